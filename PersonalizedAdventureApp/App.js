@@ -10,8 +10,14 @@ import ItineraryScreen from './src/screens/ItineraryScreen';
 import ProfileScreen from './src/screens/ProfileScreen';
 import LoginScreen from './src/screens/LoginScreen';
 import RegisterScreen from './src/screens/RegisterScreen';
+import ForgotPasswordScreen from './src/screens/ForgotPasswordScreen';
+import ResetPasswordScreen from './src/screens/ResetPasswordScreen';
+import VerifyEmailScreen from './src/screens/VerifyEmailScreen';
+import OAuthCallbackScreen from './src/screens/OAuthCallbackScreen';
+import TwoFactorSetupScreen from './src/screens/TwoFactorSetupScreen';
 import FutureItineraryScreen from './src/screens/FutureItineraryScreen';
 import CollaborativeItineraryScreen from './src/screens/CollaborativeItineraryScreen';
+import SearchScreen from './src/screens/SearchScreen';
 
 // Import context provider
 import { AuthContext, AuthProvider } from './src/context/AuthContext';
@@ -62,10 +68,18 @@ const linking = {
         },
       },
       Profile: 'profile',
+      Search: 'search',
       FutureItinerary: 'future-itinerary/:date?',
       CollaborativeItinerary: 'collaborative/:inviteCode?',
       Login: 'login',
       Register: 'register',
+      ForgotPassword: 'forgot-password',
+      // Reset emails link to reset-password?token=..., which becomes route.params.token
+      ResetPassword: 'reset-password',
+      // Verification emails link to verify-email?token=...
+      VerifyEmail: 'verify-email',
+      // Social sign-in returns to oauth?code=..., oauth?linked=... or oauth?error=...
+      OAuthCallback: 'oauth',
     },
   },
 };
@@ -164,6 +178,11 @@ const AppContent = () => {
             component={ProfileScreen} 
             options={{ title: 'Your Profile' }}
           />
+          <Stack.Screen 
+            name="Search" 
+            component={SearchScreen} 
+            options={{ title: 'Search' }}
+          />
           <Stack.Screen 
             name="FutureItinerary" 
             component={FutureItineraryScreen} 
@@ -174,6 +193,21 @@ const AppContent = () => {
             component={CollaborativeItineraryScreen} 
             options={{ title: 'Plan Together' }}
           />
+          <Stack.Screen 
+            name="VerifyEmail" 
+            component={VerifyEmailScreen} 
+            options={{ title: 'Verify Email' }}
+          />
+          <Stack.Screen 
+            name="OAuthCallback" 
+            component={OAuthCallbackScreen} 
+            options={{ title: 'Linked Accounts' }}
+          />
+          <Stack.Screen 
+            name="TwoFactorSetup" 
+            component={TwoFactorSetupScreen} 
+            options={{ title: 'Two-Step Verification' }}
+          />
         </Stack.Navigator>
       ) : (
         // No user - show authentication screens
@@ -185,6 +219,10 @@ const AppContent = () => {
         >
           <Stack.Screen name="Login" component={LoginScreen} />
           <Stack.Screen name="Register" component={RegisterScreen} />
+          <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+          <Stack.Screen name="ResetPassword" component={ResetPasswordScreen} />
+          <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
+          <Stack.Screen name="OAuthCallback" component={OAuthCallbackScreen} />
         </Stack.Navigator>
       )}
     </NavigationContainer>
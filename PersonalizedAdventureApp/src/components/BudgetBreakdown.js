@@ -0,0 +1,150 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { formatMoney } from '../utils/currency';
+
+// Bar colour for each activity category
+const CATEGORY_COLORS = {
+  food: '#ff6b6b',
+  attraction: '#4a90e2',
+  event: '#9b59b6',
+  transportation: '#f0ad4e',
+  accommodation: '#5cb85c',
+  other: '#999'
+};
+
+/**
+ * BudgetBreakdown Component
+ *
+ * Charts an itinerary's budget report from the server: spending against the
+ * trip limit, spending per category, and any budget warnings. Amounts are in
+ * the report's currency, converted by the server when activities are priced
+ * in another.
+ *
+ * @param {Object} props
+ * @param {Object} props.report - Report from `apiService.getItineraryBudget`
+ */
+const BudgetBreakdown = ({ report }) => {
+  const money = (amount) => formatMoney(amount, report.currency);
+  const spentShare = report.tripLimit > 0 ? Math.min(report.totalCost / report.tripLimit, 1) : 1;
+  const overBudget = report.totalCost > report.tripLimit;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Budget ({report.budget})</Text>
+      <Text style={styles.totalText}>
+        {money(report.totalCost)} of {money(report.tripLimit)}
+        {overBudget ? ` · ${money(-report.remaining)} over` : ` · ${money(report.remaining)} left`}
+      </Text>
+      <View style={styles.track} accessibilityLabel={`${Math.round(spentShare * 100)}% of the budget spent`}>
+        <View
+          style={[
+            styles.fill,
+            { width: `${spentShare * 100}%` },
+            overBudget && styles.overBudgetFill
+          ]}
+        />
+      </View>
+
+      {report.byCategory.map(entry => (
+        <View key={entry.category} style={styles.categoryRow}>
+          <Text style={styles.categoryName}>{entry.category}</Text>
+          <View style={styles.categoryTrack}>
+            <View
+              style={[
+                styles.fill,
+                { width: `${entry.share * 100}%`, backgroundColor: CATEGORY_COLORS[entry.category] || CATEGORY_COLORS.other }
+              ]}
+            />
+          </View>
+          <Text style={styles.categoryTotal}>{money(entry.total)}</Text>
+        </View>
+      ))}
+
+      {report.warnings.map(warning => (
+        <Text key={`${warning.code}-${warning.dayId || 'trip'}`} style={styles.warningText}>
+          ⚠️ {warning.message}
+        </Text>
+      ))}
+
+      {report.itineraryCurrency && report.itineraryCurrency !== report.currency && (
+        <Text style={styles.ratesText}>
+          Converted from {report.itineraryCurrency} at rates from {report.ratesDate}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 20,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    textTransform: 'capitalize',
+  },
+  totalText: {
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 8,
+  },
+  track: {
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: '#f0f0f0',
+    overflow: 'hidden',
+    marginBottom: 15,
+  },
+  fill: {
+    height: '100%',
+    borderRadius: 6,
+    backgroundColor: '#4a90e2',
+  },
+  overBudgetFill: {
+    backgroundColor: '#ff6b6b',
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  categoryName: {
+    width: 110,
+    color: '#666',
+    textTransform: 'capitalize',
+  },
+  categoryTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    overflow: 'hidden',
+    marginHorizontal: 8,
+  },
+  categoryTotal: {
+    width: 80,
+    textAlign: 'right',
+    color: '#333',
+  },
+  warningText: {
+    color: '#ff6b6b',
+    marginTop: 8,
+  },
+  ratesText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 10,
+  },
+});
+
+export default BudgetBreakdown;
@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { getSessions, revokeSession, signOutEverywhere } from '../utils/apiService';
+
+/**
+ * Make a readable device name from a user agent string
+ * @param {string} userAgent - User agent reported when the session started
+ * @returns {string} Short device description
+ */
+const describeDevice = (userAgent = '') => {
+  if (/iPhone|iPad/i.test(userAgent)) return 'iPhone or iPad';
+  if (/Android/i.test(userAgent)) return 'Android device';
+  if (/Macintosh|Mac OS/i.test(userAgent)) return 'Mac';
+  if (/Windows/i.test(userAgent)) return 'Windows PC';
+  if (/Linux/i.test(userAgent)) return 'Linux computer';
+  return userAgent ? userAgent.slice(0, 40) : 'Unknown device';
+};
+
+/**
+ * DeviceSessions Component
+ *
+ * Lists the devices the user is signed in on and lets them sign out a single
+ * device or every device at once.
+ *
+ * @param {Object} props
+ * @param {string} props.userId - ID of the signed-in user
+ * @param {Function} props.onCurrentDeviceSignedOut - Called when this device's own session was revoked
+ */
+const DeviceSessions = ({ userId, onCurrentDeviceSignedOut }) => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setSessions(await getSessions(userId));
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    if (userId) {
+      loadSessions();
+    }
+  }, [userId, loadSessions]);
+
+  // Sign out a single device
+  const handleRevoke = (session) => {
+    Alert.alert(
+      'Sign Out Device',
+      session.current
+        ? 'This will sign you out on this device.'
+        : `Sign out ${describeDevice(session.userAgent)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await revokeSession(userId, session._id);
+              if (session.current) {
+                onCurrentDeviceSignedOut();
+              } else {
+                loadSessions();
+              }
+            } catch (revokeError) {
+              Alert.alert('Sign Out Failed', revokeError.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Sign out every device, optionally keeping this one
+  const handleSignOutEverywhere = () => {
+    const signOut = async (keepCurrent) => {
+      try {
+        await signOutEverywhere(userId, keepCurrent);
+        if (keepCurrent) {
+          loadSessions();
+        } else {
+          onCurrentDeviceSignedOut();
+        }
+      } catch (signOutError) {
+        Alert.alert('Sign Out Failed', signOutError.message);
+      }
+    };
+
+    Alert.alert(
+      'Sign Out Everywhere',
+      'Choose whether to stay signed in on this device.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Other Devices', onPress: () => signOut(true) },
+        { text: 'All Devices', style: 'destructive', onPress: () => signOut(false) }
+      ]
+    );
+  };
+
+  if (isLoading) {
+    return <ActivityIndicator color="#4a90e2" />;
+  }
+
+  return (
+    <View>
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+      {sessions.map(session => (
+        <View key={session._id} style={styles.sessionRow}>
+          <View style={styles.sessionInfo}>
+            <Text style={styles.deviceName}>
+              {describeDevice(session.userAgent)}
+              {session.current ? ' (this device)' : ''}
+            </Text>
+            <Text style={styles.sessionDetails}>
+              {session.ip || 'Unknown IP'} · Last active {new Date(session.lastActiveAt).toLocaleString()}
+            </Text>
+          </View>
+          <TouchableOpacity
+            onPress={() => handleRevoke(session)}
+            accessibilityLabel={`Sign out ${describeDevice(session.userAgent)}`}
+            accessibilityRole="button"
+          >
+            <Text style={styles.revokeText}>Sign Out</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <TouchableOpacity
+        style={styles.signOutEverywhereButton}
+        onPress={handleSignOutEverywhere}
+        accessibilityLabel="Sign out everywhere"
+        accessibilityRole="button"
+      >
+        <Text style={styles.signOutEverywhereText}>Sign Out Everywhere</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  sessionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  sessionInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  deviceName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  sessionDetails: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  revokeText: {
+    color: '#ff6b6b',
+    fontWeight: 'bold',
+  },
+  signOutEverywhereButton: {
+    marginTop: 15,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ff6b6b',
+    alignItems: 'center',
+  },
+  signOutEverywhereText: {
+    color: '#ff6b6b',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  errorText: {
+    color: '#ff6b6b',
+    marginBottom: 10,
+  },
+});
+
+export default DeviceSessions;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Linking,
+  Platform,
+  Alert
+} from 'react-native';
+import { getOAuthProviders, linkOAuthProvider, unlinkOAuthProvider } from '../utils/apiService';
+
+/**
+ * LinkedAccounts Component
+ *
+ * Lists the social sign-in providers enabled on the server and lets the user
+ * link or unlink each one. Linking continues in the browser and returns to
+ * the OAuthCallback screen.
+ *
+ * @param {Object} props
+ * @param {Array} props.identities - Identities linked to the signed-in user
+ * @param {Function} props.onIdentitiesChanged - Called with the remaining identities after unlinking
+ */
+const LinkedAccounts = ({ identities = [], onIdentitiesChanged }) => {
+  const [providers, setProviders] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getOAuthProviders()
+      .then(list => setProviders(list || []))
+      .catch(loadError => setError(loadError.message));
+  }, []);
+
+  const handleLink = async (provider) => {
+    try {
+      const url = await linkOAuthProvider(provider.name);
+
+      if (Platform.OS === 'web') {
+        window.location.assign(url);
+      } else {
+        await Linking.openURL(url);
+      }
+    } catch (linkError) {
+      Alert.alert('Link Failed', linkError.message);
+    }
+  };
+
+  const handleUnlink = (provider) => {
+    Alert.alert(
+      'Unlink Account',
+      `You will no longer be able to sign in with ${provider.displayName}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Unlink',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              onIdentitiesChanged(await unlinkOAuthProvider(provider.name));
+            } catch (unlinkError) {
+              Alert.alert('Unlink Failed', unlinkError.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  if (providers.length === 0) {
+    return error ? <Text style={styles.errorText}>{error}</Text> : null;
+  }
+
+  return (
+    <View>
+      {providers.map(provider => {
+        const identity = identities.find(item => item.provider === provider.name);
+
+        return (
+          <View key={provider.name} style={styles.providerRow}>
+            <View style={styles.providerInfo}>
+              <Text style={styles.providerName}>{provider.displayName}</Text>
+              <Text style={styles.providerDetails}>
+                {identity ? identity.email || 'Linked' : 'Not linked'}
+              </Text>
+            </View>
+            <TouchableOpacity
+              onPress={() => (identity ? handleUnlink(provider) : handleLink(provider))}
+              accessibilityLabel={`${identity ? 'Unlink' : 'Link'} ${provider.displayName}`}
+              accessibilityRole="button"
+            >
+              <Text style={identity ? styles.unlinkText : styles.linkText}>
+                {identity ? 'Unlink' : 'Link'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  providerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  providerInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  providerName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  providerDetails: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  linkText: {
+    color: '#4a90e2',
+    fontWeight: 'bold',
+  },
+  unlinkText: {
+    color: '#ff6b6b',
+    fontWeight: 'bold',
+  },
+  errorText: {
+    color: '#ff6b6b',
+    marginBottom: 10,
+  },
+});
+
+export default LinkedAccounts;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Linking,
+  Platform,
+  Alert
+} from 'react-native';
+import { getOAuthProviders, getOAuthSignInUrl } from '../utils/apiService';
+
+/**
+ * SocialSignInButtons Component
+ *
+ * Shows a "Continue with ..." button for each sign-in provider the server has
+ * enabled. The sign-in happens in the browser, which returns to the
+ * OAuthCallback screen when it is done. Nothing is shown when no provider is
+ * enabled or the server cannot be reached.
+ */
+const SocialSignInButtons = () => {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getOAuthProviders()
+      .then(list => {
+        if (!cancelled) {
+          setProviders(list || []);
+        }
+      })
+      .catch(error => console.warn('Unable to load sign-in providers:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handlePress = async (provider) => {
+    const url = getOAuthSignInUrl(provider.name);
+
+    try {
+      if (Platform.OS === 'web') {
+        window.location.assign(url);
+      } else {
+        await Linking.openURL(url);
+      }
+    } catch (error) {
+      Alert.alert('Sign In Failed', `Could not open ${provider.displayName}`);
+    }
+  };
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.dividerRow}>
+        <View style={styles.divider} />
+        <Text style={styles.dividerText}>or</Text>
+        <View style={styles.divider} />
+      </View>
+
+      {providers.map(provider => (
+        <TouchableOpacity
+          key={provider.name}
+          style={styles.providerButton}
+          onPress={() => handlePress(provider)}
+          accessibilityLabel={`Continue with ${provider.displayName}`}
+          accessibilityHint="Opens the provider's sign-in page"
+          accessibilityRole="button"
+        >
+          <Text style={styles.providerButtonText}>Continue with {provider.displayName}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  dividerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  divider: {
+    flex: 1,
+    height: 1,
+    backgroundColor: '#ddd',
+  },
+  dividerText: {
+    marginHorizontal: 10,
+    color: '#666',
+    fontSize: 14,
+  },
+  providerButton: {
+    padding: 15,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#4a90e2',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  providerButtonText: {
+    color: '#4a90e2',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default SocialSignInButtons;
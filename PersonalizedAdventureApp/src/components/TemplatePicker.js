@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+  Alert
+} from 'react-native';
+import { getItineraryTemplates, cloneItinerary } from '../utils/apiService';
+
+/**
+ * Get today's date as YYYY-MM-DD
+ * @returns {string}
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * TemplatePicker Component
+ *
+ * Lists the user's itinerary templates and creates a new trip from the one
+ * they pick, moved to a start date and optionally to another destination.
+ *
+ * @param {Object} props
+ * @param {Function} props.onCreated - Called with the new itinerary from the server
+ * @param {Function} [props.onCancel] - Called when the user closes the picker
+ */
+const TemplatePicker = ({ onCreated, onCancel }) => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedTemplate, setSelectedTemplate] = useState(null);
+  const [startDate, setStartDate] = useState(today());
+  const [location, setLocation] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    const loadTemplates = async () => {
+      try {
+        const { data } = await getItineraryTemplates({ sort: '-updatedAt' });
+        setTemplates(data);
+      } catch (error) {
+        Alert.alert('Unable to load templates', error.message || 'Please try again later');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTemplates();
+  }, []);
+
+  const selectTemplate = (template) => {
+    setSelectedTemplate(template);
+    setLocation(template.location);
+  };
+
+  const createTrip = async () => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+      Alert.alert('Invalid date', 'Enter the start date as YYYY-MM-DD');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const itinerary = await cloneItinerary(selectedTemplate._id, {
+        startDate,
+        location: location.trim() && location.trim() !== selectedTemplate.location ? location.trim() : undefined
+      });
+      onCreated(itinerary);
+    } catch (error) {
+      Alert.alert('Unable to create trip', error.message || 'Please try again later');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <ActivityIndicator size="small" color="#4a90e2" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Start from a Template</Text>
+        {onCancel && (
+          <TouchableOpacity onPress={onCancel} accessibilityLabel="Close templates">
+            <Text style={styles.closeText}>Close</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {templates.length === 0 && (
+        <Text style={styles.emptyText}>
+          No templates yet. Open an itinerary and choose "Save as Template" to reuse it later.
+        </Text>
+      )}
+
+      {templates.map(template => (
+        <TouchableOpacity
+          key={template._id}
+          style={[styles.templateItem, selectedTemplate?._id === template._id && styles.selectedTemplate]}
+          onPress={() => selectTemplate(template)}
+          accessibilityRole="button"
+          accessibilityState={{ selected: selectedTemplate?._id === template._id }}
+        >
+          <Text style={styles.templateTitle}>{template.title}</Text>
+          <Text style={styles.templateDetails}>
+            📍 {template.location} · {template.days.length} {template.days.length === 1 ? 'day' : 'days'}
+          </Text>
+        </TouchableOpacity>
+      ))}
+
+      {selectedTemplate && (
+        <View style={styles.form}>
+          <Text style={styles.label}>Start date</Text>
+          <TextInput
+            style={styles.input}
+            value={startDate}
+            onChangeText={setStartDate}
+            placeholder="YYYY-MM-DD"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <Text style={styles.label}>Destination</Text>
+          <TextInput
+            style={styles.input}
+            value={location}
+            onChangeText={setLocation}
+            placeholder={selectedTemplate.location}
+          />
+          {location.trim() !== '' && location.trim() !== selectedTemplate.location && (
+            <Text style={styles.hint}>Activity locations will be cleared for the new destination.</Text>
+          )}
+          <TouchableOpacity style={styles.createButton} onPress={createTrip} disabled={creating}>
+            {creating ? (
+              <ActivityIndicator size="small" color="white" />
+            ) : (
+              <Text style={styles.createButtonText}>Create Trip</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 15,
+    margin: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  closeText: {
+    color: '#4a90e2',
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    color: '#666',
+  },
+  templateItem: {
+    padding: 12,
+    borderRadius: 6,
+    backgroundColor: '#f8f9fa',
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: 'transparent',
+  },
+  selectedTemplate: {
+    borderColor: '#4a90e2',
+  },
+  templateTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  templateDetails: {
+    color: '#666',
+    marginTop: 4,
+  },
+  form: {
+    marginTop: 10,
+  },
+  label: {
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 10,
+    marginBottom: 10,
+  },
+  hint: {
+    color: '#ff6b6b',
+    marginBottom: 10,
+  },
+  createButton: {
+    backgroundColor: '#4a90e2',
+    padding: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  createButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default TemplatePicker;
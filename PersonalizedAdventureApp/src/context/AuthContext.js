@@ -1,69 +1,104 @@
 import React, { createContext, useState, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as apiService from '../utils/apiService';
-import { isAuthenticated, getToken, parseToken, removeToken } from '../utils/tokenStorage';
+import { isAuthenticated, hasSession, getToken, clearSession } from '../utils/tokenStorage';
+import { sendNewDeviceLoginNotification } from '../utils/notifications';
 import { setUser as setSentryUser, clearUser as clearSentryUser, trackUserLogin, trackUserRegistration } from '../utils/analytics';
 
 // Create the Authentication Context
 export const AuthContext = createContext();
 
+// Defaults used on first launch and after an account is deleted
+const DEFAULT_PREFERENCES = {
+  activityTypes: [],
+  budgetRange: { min: 0, max: 1000 },
+  travelStyle: 'balanced',
+  accessibility: false,
+  dietaryRestrictions: [],
+  // Currency that trip costs are converted into
+  homeCurrency: 'USD'
+};
+
+const DEFAULT_SURVEY_DATA = {
+  completed: false,
+  responses: {}
+};
+
+/**
+ * Notify the user about sign-ins from other new devices, then mark those
+ * alerts as seen. Sign-ins from this device are not reported to itself.
+ */
+const checkNewDeviceLogins = async () => {
+  try {
+    const events = await apiService.getLoginActivity({ newDevice: true, unacknowledged: true });
+    const otherDevices = events.filter(event => !event.currentDevice);
+    
+    if (otherDevices.length === 0) {
+      return;
+    }
+    
+    for (const event of otherDevices) {
+      await sendNewDeviceLoginNotification(event);
+    }
+    
+    await apiService.acknowledgeLoginActivity(otherDevices.map(event => event._id));
+  } catch (error) {
+    console.warn('Unable to check for new device sign-ins:', error);
+  }
+};
+
 export const AuthProvider = ({ children }) => {
   // State for user authentication
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [authToken, setAuthToken] = useState(null);
+  // Challenge from a login that still needs a two-factor code. Kept here rather
+  // than in LoginScreen because the screen remounts while isLoading is true.
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
   
   // State for user preferences
-  const [preferences, setPreferences] = useState({
-    activityTypes: [],
-    budgetRange: { min: 0, max: 1000 },
-    travelStyle: 'balanced',
-    accessibility: false,
-    dietaryRestrictions: []
-  });
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
   
   // State for survey data
-  const [surveyData, setSurveyData] = useState({
-    completed: false,
-    responses: {}
-  });
+  const [surveyData, setSurveyData] = useState(DEFAULT_SURVEY_DATA);
 
   // Load user data from storage on app start
   useEffect(() => {
     const loadUserFromStorage = async () => {
       try {
-        // Check if user is authenticated with a valid token
-        const isAuth = await isAuthenticated();
+        // Check if user has a valid token, or a refresh token that can renew it
+        let isAuth = await isAuthenticated();
+        
+        if (!isAuth && await hasSession()) {
+          isAuth = await apiService.refreshSession();
+        }
         
         if (isAuth) {
           // Get the token
           const token = await getToken();
           setAuthToken(token);
           
-          // Parse token to get user ID
-          const tokenData = parseToken(token);
-          
-          if (tokenData && tokenData.user && tokenData.user.id) {
-            // Fetch user data from API
-            try {
-              const userData = await apiService.get(`/users/${tokenData.user.id}`);
-              if (userData && userData.data) {
-                setUser(userData.data);
-                
-                // Set user in Sentry for error tracking
-                setSentryUser({
-                  id: userData.data.id,
-                  username: userData.data.name,
-                  email: userData.data.email
-                });
-              }
-            } catch (error) {
-              console.error('Failed to fetch user data from API', error);
-              // Token might be invalid, remove it
-              await removeToken();
-              setAuthToken(null);
-              clearSentryUser();
+          // Fetch user data from API. Cookie sessions cannot read their token,
+          // so the server is asked who is signed in rather than parsing the JWT.
+          try {
+            const currentUser = await apiService.getCurrentUser();
+            if (currentUser) {
+              setUser(currentUser);
+              checkNewDeviceLogins();
+              
+              // Set user in Sentry for error tracking
+              setSentryUser({
+                id: currentUser.id,
+                username: currentUser.name,
+                email: currentUser.email
+              });
             }
+          } catch (error) {
+            console.error('Failed to fetch user data from API', error);
+            // Token might be invalid, remove it
+            await clearSession();
+            setAuthToken(null);
+            clearSentryUser();
           }
         }
         
@@ -83,6 +118,17 @@ export const AuthProvider = ({ children }) => {
     loadUserFromStorage();
   }, []);
 
+  // Sign the user out when the API reports that the session can no longer be refreshed
+  useEffect(() => {
+    const unsubscribe = apiService.onSessionExpired(() => {
+      setUser(null);
+      setAuthToken(null);
+      clearSentryUser();
+    });
+    
+    return unsubscribe;
+  }, []);
+
   // Save preferences to AsyncStorage whenever they change
   useEffect(() => {
     const savePreferencesToStorage = async () => {
@@ -113,6 +159,25 @@ export const AuthProvider = ({ children }) => {
     }
   }, [surveyData, isLoading]);
 
+  // Finish signing in once the API has returned a user
+  const completeLogin = async (loggedInUser) => {
+    setUser(loggedInUser);
+    checkNewDeviceLogins();
+    // Get the token after successful login
+    const token = await getToken();
+    setAuthToken(token);
+    
+    // Track login event in analytics
+    trackUserLogin();
+    
+    // Set user in Sentry for error tracking
+    setSentryUser({
+      id: loggedInUser.id,
+      username: loggedInUser.name,
+      email: loggedInUser.email
+    });
+  };
+
   // Login function
   const login = async (email, password) => {
     setIsLoading(true);
@@ -121,22 +186,12 @@ export const AuthProvider = ({ children }) => {
       const result = await apiService.login(email, password);
       
       if (result.success && result.user) {
-        setUser(result.user);
-        // Get the token after successful login
-        const token = await getToken();
-        setAuthToken(token);
-        
-        // Track login event in analytics
-        trackUserLogin();
-        
-        // Set user in Sentry for error tracking
-        setSentryUser({
-          id: result.user.id,
-          username: result.user.name,
-          email: result.user.email
-        });
-        
+        await completeLogin(result.user);
         return { success: true };
+      } else if (result.twoFactorRequired) {
+        // The caller must collect a code and call verifyTwoFactor
+        setTwoFactorChallenge(result.challengeToken);
+        return { success: false, twoFactorRequired: true };
       } else {
         return { success: false, error: result.error || 'Login failed' };
       }
@@ -147,6 +202,56 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step for accounts with two-factor authentication
+  const verifyTwoFactor = async (code) => {
+    if (!twoFactorChallenge) {
+      return { success: false, error: 'Please sign in again' };
+    }
+    
+    setIsLoading(true);
+    try {
+      const result = await apiService.verifyTwoFactorLogin(twoFactorChallenge, code);
+      
+      if (result.success && result.user) {
+        setTwoFactorChallenge(null);
+        await completeLogin(result.user);
+        return { success: true };
+      } else {
+        return { success: false, error: result.error || 'Verification failed' };
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Finish a social sign-in with the code from the provider redirect.
+  // isLoading is left alone: it unmounts the navigator, which would open the
+  // callback screen again and redeem the single-use code twice.
+  const loginWithOAuthCode = async (code) => {
+    try {
+      const result = await apiService.exchangeOAuthCode(code);
+      
+      if (result.success && result.user) {
+        await completeLogin(result.user);
+        return { success: true };
+      } else if (result.twoFactorRequired) {
+        setTwoFactorChallenge(result.challengeToken);
+        return { success: false, twoFactorRequired: true };
+      } else {
+        return { success: false, error: result.error || 'Sign-in failed' };
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Abandon a login that is waiting for a two-factor code
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+  };
+
   // Register function
   const register = async (name, email, password) => {
     setIsLoading(true);
@@ -210,6 +315,40 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Delete the account on the server and wipe the data kept on this device
+  const deleteAccount = async (password) => {
+    if (!user) {
+      return { success: false, error: 'You are not logged in' };
+    }
+    
+    setIsLoading(true);
+    try {
+      const result = await apiService.deleteAccount(user.id || user._id, password);
+      
+      if (!result.success) {
+        return { success: false, error: result.error || 'Account deletion failed' };
+      }
+      
+      await AsyncStorage.multiRemove(['preferences', 'surveyData']);
+      setPreferences(DEFAULT_PREFERENCES);
+      setSurveyData(DEFAULT_SURVEY_DATA);
+      setUser(null);
+      setAuthToken(null);
+      clearSentryUser();
+      
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Merge updated account fields (e.g. after verifying an email address) into the user
+  const updateUser = (newData) => {
+    setUser(prev => (prev ? { ...prev, ...newData } : prev));
+  };
+
   // Update preferences function
   const updatePreferences = (newPreferences) => {
     setPreferences(prev => ({ ...prev, ...newPreferences }));
@@ -232,8 +371,14 @@ export const AuthProvider = ({ children }) => {
         isLoading,
         authToken,
         login,
+        loginWithOAuthCode,
+        twoFactorRequired: twoFactorChallenge !== null,
+        verifyTwoFactor,
+        cancelTwoFactor,
         register,
         logout,
+        deleteAccount,
+        updateUser,
         preferences,
         updatePreferences,
         surveyData,
@@ -12,8 +12,29 @@ import {
 } from 'react-native';
 import { AuthContext } from '../context/AuthContext';
 import { scheduleNotification } from '../utils/notifications';
+import { findUserByEmail } from '../utils/apiService';
 import ChatRoom from '../components/ChatRoom';
 
+// Daily budget ranges matching the server's budget levels
+const BUDGET_RANGES = {
+  low: { min: 0, max: 100 },
+  medium: { min: 50, max: 250 },
+  high: { min: 150, max: 1000 }
+};
+
+/**
+ * Convert preferences stored on the server into the shape used by the app
+ * @param {Object} serverPreferences - Preferences from the user document
+ * @returns {Object} Preferences in app format
+ */
+const toAppPreferences = (serverPreferences = {}) => ({
+  activityTypes: serverPreferences.activities || [],
+  budgetRange: BUDGET_RANGES[serverPreferences.budget] || BUDGET_RANGES.medium,
+  travelStyle: serverPreferences.travelStyle === 'moderate' ? 'balanced' : (serverPreferences.travelStyle || 'balanced'),
+  accessibility: false,
+  dietaryRestrictions: []
+});
+
 /**
  * CollaborativeItineraryScreen Component
  * 
@@ -49,7 +70,7 @@ const CollaborativeItineraryScreen = ({ navigation }) => {
   }, []);
   
   // Function to search for a user by email
-  const searchUser = () => {
+  const searchUser = async () => {
     if (!partnerEmail.trim()) {
       Alert.alert('Error', 'Please enter an email address');
       return;
@@ -57,50 +78,41 @@ const CollaborativeItineraryScreen = ({ navigation }) => {
     
     setIsSearching(true);
     
-    // In a real app, this would be an API call
-    // For demo purposes, we'll simulate an API response
-    setTimeout(() => {
-      // Check if the email matches any of our dummy contacts
-      const foundContact = contacts.find(contact => 
-        contact.email.toLowerCase() === partnerEmail.toLowerCase()
-      );
+    try {
+      // Only verified accounts can be found, and only verified accounts can search
+      const response = await findUserByEmail(partnerEmail.trim());
+      const foundUser = response.data;
+      const partnerPreferences = toAppPreferences(foundUser.preferences);
       
-      if (foundContact) {
-        setPartnerUser({
-          id: foundContact.id,
-          name: foundContact.name,
-          email: foundContact.email,
-          preferences: {
-            activityTypes: ['hiking', 'museums', 'food'],
-            budgetRange: { min: 50, max: 200 },
-            travelStyle: 'adventurous',
-            accessibility: true,
-            dietaryRestrictions: ['vegetarian']
-          }
-        });
-        
-        // Once we have both users, merge their preferences
-        mergePreferences(preferences, {
-          activityTypes: ['hiking', 'museums', 'food'],
-          budgetRange: { min: 50, max: 200 },
-          travelStyle: 'adventurous',
-          accessibility: true,
-          dietaryRestrictions: ['vegetarian']
-        });
+      setPartnerUser({
+        id: foundUser._id,
+        name: foundUser.username,
+        email: foundUser.email,
+        preferences: partnerPreferences
+      });
+      
+      // Once we have both users, merge their preferences
+      mergePreferences(preferences, partnerPreferences);
 
-        // Send a notification that a partner has been found
-        scheduleNotification({
-          title: 'Partner Found',
-          message: `${foundContact.name} has been added as your adventure partner!`,
-          triggerTime: null // Send immediately
-        });
+      // Send a notification that a partner has been found
+      scheduleNotification({
+        title: 'Partner Found',
+        message: `${foundUser.username} has been added as your adventure partner!`,
+        triggerTime: null // Send immediately
+      });
+    } catch (error) {
+      if (error.code === 'EMAIL_NOT_VERIFIED') {
+        Alert.alert(
+          'Verify Your Email',
+          'Please verify your email address before inviting adventure partners. You can resend the verification email from your profile.'
+        );
       } else {
         Alert.alert('User Not Found', 'No user found with that email address');
-        setPartnerUser(null);
       }
-      
+      setPartnerUser(null);
+    } finally {
       setIsSearching(false);
-    }, 1500);
+    }
   };
   
   // Function to select a contact from the list
@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { 
+  View, 
+  Text, 
+  StyleSheet, 
+  TextInput, 
+  TouchableOpacity, 
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Alert
+} from 'react-native';
+import { requestPasswordReset } from '../utils/apiService';
+
+const ForgotPasswordScreen = ({ navigation }) => {
+  const [email, setEmail] = useState('');
+  const [localLoading, setLocalLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [emailSent, setEmailSent] = useState(false);
+
+  const validateForm = () => {
+    let errors = {};
+    
+    if (!email) {
+      errors.email = 'Email is required';
+    } else if (!/\S+@\S+\.\S+/.test(email)) {
+      errors.email = 'Email is invalid';
+    }
+    
+    setErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleRequestReset = async () => {
+    if (validateForm()) {
+      setLocalLoading(true);
+      try {
+        const result = await requestPasswordReset(email);
+        if (result.success) {
+          setEmailSent(true);
+        } else {
+          Alert.alert('Request Failed', result.error || 'Unable to send reset email');
+        }
+      } catch (error) {
+        Alert.alert('Request Error', error.message);
+      } finally {
+        setLocalLoading(false);
+      }
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      keyboardVerticalOffset={Platform.OS === 'ios' ? 64 : 0}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <View style={styles.formContainer}>
+          <Text style={styles.title}>Forgot Password</Text>
+          
+          {emailSent ? (
+            <>
+              <Text style={styles.subtitle}>
+                If an account exists for {email}, we've sent a link to reset your password. 
+                The link expires in one hour.
+              </Text>
+              
+              <TouchableOpacity 
+                style={styles.primaryButton}
+                onPress={() => navigation.navigate('ResetPassword')}
+                accessibilityLabel="Enter reset code"
+                accessibilityHint="Tap to enter the code from the reset email"
+              >
+                <Text style={styles.primaryButtonText}>I Have a Reset Code</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <Text style={styles.subtitle}>
+                Enter the email address for your account and we'll send you a reset link.
+              </Text>
+              
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Email</Text>
+                <TextInput
+                  style={[styles.input, errors.email && styles.inputError]}
+                  placeholder="Enter your email"
+                  value={email}
+                  onChangeText={setEmail}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  accessibilityLabel="Email input"
+                  accessibilityHint="Enter the email address of your account"
+                />
+                {errors.email && <Text style={styles.errorText}>{errors.email}</Text>}
+              </View>
+              
+              <TouchableOpacity 
+                style={styles.primaryButton}
+                onPress={handleRequestReset}
+                disabled={localLoading}
+                accessibilityLabel="Send reset link button"
+                accessibilityHint="Tap to receive a password reset email"
+              >
+                {localLoading ? (
+                  <ActivityIndicator color="white" size="small" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>Send Reset Link</Text>
+                )}
+              </TouchableOpacity>
+            </>
+          )}
+          
+          <TouchableOpacity 
+            style={styles.backLink}
+            onPress={() => navigation.navigate('Login')}
+            accessibilityLabel="Back to Sign In"
+            accessibilityHint="Tap to return to the sign in screen"
+          >
+            <Text style={styles.backLinkText}>Back to Sign In</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+  },
+  formContainer: {
+    padding: 20,
+    marginHorizontal: 20,
+    backgroundColor: 'white',
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#4a90e2',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 30,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    marginBottom: 8,
+    color: '#333',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  inputError: {
+    borderColor: '#ff6b6b',
+  },
+  errorText: {
+    color: '#ff6b6b',
+    fontSize: 14,
+    marginTop: 5,
+  },
+  primaryButton: {
+    backgroundColor: '#4a90e2',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  backLink: {
+    alignItems: 'center',
+  },
+  backLinkText: {
+    color: '#4a90e2',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default ForgotPasswordScreen;
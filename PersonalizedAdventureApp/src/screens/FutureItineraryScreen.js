@@ -45,8 +45,7 @@ const FutureItineraryScreen = ({ navigation }) => {
     
     try {
       // In a real app, this would be an actual API call
-      // const response = await fetch(`/api/itineraries?date=${formatDateForAPI(selectedDate)}`);
-      // const data = await response.json();
+      // const { data } = await getItineraries({ date: formatDateForAPI(selectedDate), sort: 'startDate' });
       
       // For demo purposes, we'll simulate an API response
       await new Promise(resolve => setTimeout(resolve, 1500));
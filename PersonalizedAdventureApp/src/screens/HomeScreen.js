@@ -257,6 +257,19 @@ const HomeScreen = ({ navigation }) => {
         )}
       </View>
 
+      <View style={styles.section}>
+        <TouchableOpacity 
+          style={styles.searchButton}
+          onPress={() => navigation.navigate('Search')}
+          accessible={true}
+          accessibilityRole="search"
+          accessibilityLabel={t('home.searchTrips')}
+          accessibilityHint={t('home.searchTripsHint')}
+        >
+          <Text style={styles.searchButtonText}>🔍 {t('home.searchTrips')}</Text>
+        </TouchableOpacity>
+      </View>
+
       {renderRecentUpdates()}
 
       <View style={styles.section}>
@@ -462,6 +475,17 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
+  searchButton: {
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  searchButtonText: {
+    color: '#666',
+    fontSize: 16,
+  },
   profileButton: {
     backgroundColor: 'white',
     padding: 15,
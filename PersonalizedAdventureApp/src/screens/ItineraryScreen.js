@@ -2,14 +2,72 @@ import React, { useState, useContext, useEffect } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, ScrollView, ActivityIndicator, Alert } from 'react-native';
 import { AuthContext } from '../context/AuthContext';
 import { useWebSocket, usePolling, fetchItineraryUpdates, UPDATE_TYPES } from '../utils/realTimeUpdates';
-import { scheduleNotification } from '../utils/notifications';
+import { scheduleNotification, scheduleActivityReminder } from '../utils/notifications';
 import SocialShareButton from '../components/SocialShareButton';
+import TemplatePicker from '../components/TemplatePicker';
+import BudgetBreakdown from '../components/BudgetBreakdown';
+import { getItineraryWithWarnings, getItineraryBudget, saveItineraryAsTemplate, optimizeItineraryRoute } from '../utils/apiService';
+import { DEFAULT_CURRENCY, formatMoney, convertAmount, getExchangeRateTable } from '../utils/currency';
+import { DEFAULT_TIME_ZONE, getHomeTime } from '../utils/timeZones';
+
+/**
+ * Convert an itinerary from the API into the shape this screen renders
+ * @param {Object} itinerary - Itinerary from the server
+ * @param {Array<Object>} [scheduleWarnings] - Schedule problems the server found
+ * @returns {Object} Itinerary for the screen
+ */
+const toScreenItinerary = (itinerary, scheduleWarnings = []) => ({
+  id: itinerary._id,
+  title: itinerary.title,
+  startDate: itinerary.startDate?.slice(0, 10),
+  endDate: itinerary.endDate?.slice(0, 10),
+  location: itinerary.location,
+  totalCost: itinerary.totalCost,
+  currency: itinerary.currency || DEFAULT_CURRENCY,
+  timeZone: itinerary.timeZone || DEFAULT_TIME_ZONE,
+  isTemplate: !!itinerary.isTemplate,
+  // Stored on the server, so it can be copied as a template
+  isSaved: true,
+  days: (itinerary.days || []).map(day => ({
+    date: day.date?.slice(0, 10),
+    // Legs of the trip can be in another time zone than the itinerary
+    timeZone: day.timeZone || itinerary.timeZone || DEFAULT_TIME_ZONE,
+    activities: (day.activities || []).map(activity => ({
+      id: activity._id,
+      // Local time at the destination; `startsAt` is the same moment in UTC
+      time: activity.startTime || '',
+      startsAt: activity.startsAt,
+      timeZone: day.timeZone || itinerary.timeZone || DEFAULT_TIME_ZONE,
+      title: activity.name,
+      description: activity.description || '',
+      location: activity.location?.name || '',
+      cost: activity.cost || 0,
+      // Activities without their own currency are priced in the trip's
+      currency: activity.currency || itinerary.currency || DEFAULT_CURRENCY,
+      weatherDependent: activity.weatherDependent,
+      reservationRequired: !!activity.reservation?.reservationId,
+      reservationStatus: activity.reservation?.status,
+      reservationId: activity.reservation?.reservationId,
+      // Overlaps, rushed transfers and closed venues, to highlight on the activity
+      warnings: scheduleWarnings.filter(warning => warning.activityId === activity._id)
+    }))
+  }))
+});
 
 const ItineraryScreen = ({ navigation, route }) => {
   const { user, preferences } = useContext(AuthContext);
   const [loading, setLoading] = useState(false);
   const [itinerary, setItinerary] = useState(null);
   const [updatedActivities, setUpdatedActivities] = useState([]);
+  // Activity the user searched for, when opened from search results
+  const [matchedActivityId, setMatchedActivityId] = useState(null);
+  const [showTemplatePicker, setShowTemplatePicker] = useState(false);
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [optimizingRoute, setOptimizingRoute] = useState(false);
+  const [budgetReport, setBudgetReport] = useState(null);
+  const [rateTable, setRateTable] = useState(null);
+  const homeCurrency = preferences?.homeCurrency || DEFAULT_CURRENCY;
+  const tripCurrency = itinerary?.currency || DEFAULT_CURRENCY;
   
   const { 
     data: wsData, 
@@ -65,6 +123,49 @@ const ItineraryScreen = ({ navigation, route }) => {
     }
   }, [pollingData]);
   
+  // Open a saved itinerary, e.g. from search results or an itinerary/:id link
+  useEffect(() => {
+    const id = route.params?.id;
+    if (!id) {
+      return;
+    }
+
+    const loadItinerary = async () => {
+      setLoading(true);
+      try {
+        const { itinerary: data, scheduleWarnings } = await getItineraryWithWarnings(id);
+        setItinerary(toScreenItinerary(data, scheduleWarnings));
+        setUpdatedActivities([]);
+        setMatchedActivityId(route.params.activityId || null);
+      } catch (error) {
+        Alert.alert('Unable to open itinerary', error.message || 'Please try again later');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadItinerary();
+  }, [route.params?.id, route.params?.activityId]);
+  
+  // Load the budget report of saved itineraries whenever their cost changes
+  useEffect(() => {
+    setBudgetReport(null);
+    if (!itinerary?.isSaved) {
+      return;
+    }
+
+    getItineraryBudget(itinerary.id, homeCurrency)
+      .then(setBudgetReport)
+      .catch(error => console.log('Budget report unavailable:', error.message));
+  }, [itinerary?.id, itinerary?.isSaved, itinerary?.totalCost, homeCurrency]);
+
+  // Load exchange rates for trips priced in another currency
+  useEffect(() => {
+    if (tripCurrency !== homeCurrency && !rateTable) {
+      getExchangeRateTable().then(setRateTable);
+    }
+  }, [tripCurrency, homeCurrency]);
+  
   useEffect(() => {
     if (route.params) {
       if (route.params.weatherUpdate) {
@@ -313,9 +414,80 @@ const ItineraryScreen = ({ navigation, route }) => {
     }
   };
 
+  const openTripFromTemplate = (createdItinerary) => {
+    setItinerary(toScreenItinerary(createdItinerary));
+    setUpdatedActivities([]);
+    setMatchedActivityId(null);
+    setShowTemplatePicker(false);
+  };
+
+  const saveAsTemplate = async () => {
+    setSavingTemplate(true);
+    try {
+      await saveItineraryAsTemplate(itinerary.id);
+      Alert.alert("Template Saved", "Reuse this plan with \"Start from a Template\". Reservations are not copied.");
+    } catch (error) {
+      Alert.alert("Unable to save template", error.message || "Please try again later");
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
+  const applyRouteOptimization = async () => {
+    setOptimizingRoute(true);
+    try {
+      const result = await optimizeItineraryRoute(itinerary.id);
+      const { itinerary: data, scheduleWarnings } = await getItineraryWithWarnings(itinerary.id);
+      setItinerary(toScreenItinerary(data, scheduleWarnings));
+      Alert.alert("Route Optimized", `You'll travel about ${(result.distanceBefore - result.distanceAfter).toFixed(1)} km less.`);
+    } catch (error) {
+      Alert.alert("Unable to optimize route", error.message || "Please try again later");
+    } finally {
+      setOptimizingRoute(false);
+    }
+  };
+
+  const optimizeRoute = async () => {
+    setOptimizingRoute(true);
+    try {
+      const preview = await optimizeItineraryRoute(itinerary.id, { dryRun: true });
+      if (preview.distanceAfter >= preview.distanceBefore) {
+        Alert.alert("Route Already Optimized", "Your activities are already in the shortest order.");
+        return;
+      }
+
+      Alert.alert(
+        "Optimize Route",
+        `Travel between activities goes from ${preview.distanceBefore.toFixed(1)} km to ${preview.distanceAfter.toFixed(1)} km. Activities with reservations or fixed times stay where they are.`,
+        [
+          { text: "Cancel", style: "cancel" },
+          { text: "Apply", onPress: applyRouteOptimization }
+        ]
+      );
+    } catch (error) {
+      Alert.alert("Unable to optimize route", error.message || "Please try again later");
+    } finally {
+      setOptimizingRoute(false);
+    }
+  };
+
+  const handleRemindMe = async (activity) => {
+    const notificationId = await scheduleActivityReminder(activity);
+    Alert.alert(
+      notificationId ? "Reminder Set" : "Unable to set reminder",
+      notificationId
+        ? `We'll remind you 30 minutes before ${activity.title} starts.`
+        : "The activity is starting soon or notifications are turned off."
+    );
+  };
+
   const renderActivity = (activity) => {
     const isUpdated = updatedActivities.includes(activity.id);
     const isNew = activity.isNew;
+    const isMatch = activity.id === matchedActivityId;
+    const homeTime = activity.startsAt ? getHomeTime(activity) : null;
+    const warnings = activity.warnings || [];
+    const upcoming = activity.startsAt && new Date(activity.startsAt) > new Date();
     
     return (
       <View 
@@ -323,7 +495,9 @@ const ItineraryScreen = ({ navigation, route }) => {
         style={[
           styles.activityItem, 
           isUpdated && styles.updatedActivity,
-          isNew && styles.newActivity
+          isNew && styles.newActivity,
+          isMatch && styles.matchedActivity,
+          warnings.length > 0 && styles.conflictActivity
         ]}
       >
         <View style={styles.activityHeader}>
@@ -331,11 +505,20 @@ const ItineraryScreen = ({ navigation, route }) => {
           <Text style={styles.activityTitle}>{activity.title}</Text>
           {isUpdated && <Text style={styles.updateBadge}>Updated</Text>}
           {isNew && <Text style={styles.newBadge}>New</Text>}
+          {isMatch && <Text style={styles.matchBadge}>Match</Text>}
         </View>
+        {homeTime && (
+          <Text style={styles.homeTime}>{homeTime} your time</Text>
+        )}
         <Text style={styles.activityDescription}>{activity.description}</Text>
+        {warnings.map(warning => (
+          <Text key={`${warning.code}-${warning.relatedActivityId || ''}`} style={styles.conflictText}>
+            ⚠️ {warning.message}
+          </Text>
+        ))}
         <View style={styles.activityDetails}>
           <Text style={styles.activityLocation}>📍 {activity.location}</Text>
-          <Text style={styles.activityCost}>💰 ${activity.cost}</Text>
+          <Text style={styles.activityCost}>💰 {formatMoney(activity.cost, activity.currency)}</Text>
         </View>
         {activity.reservationRequired && (
           <View>
@@ -357,13 +540,24 @@ const ItineraryScreen = ({ navigation, route }) => {
             )}
           </View>
         )}
+        {upcoming && (
+          <TouchableOpacity
+            onPress={() => handleRemindMe(activity)}
+            accessibilityLabel={`Remind me before ${activity.title}`}
+          >
+            <Text style={styles.remindText}>🔔 Remind me</Text>
+          </TouchableOpacity>
+        )}
       </View>
     );
   };
 
   const renderDay = (day, index) => (
     <View key={day.date} style={styles.dayContainer}>
-      <Text style={styles.dayTitle}>Day {index + 1} - {day.date}</Text>
+      <Text style={styles.dayTitle}>
+        Day {index + 1} - {day.date}
+        {day.timeZone && day.timeZone !== itinerary.timeZone ? ` (${day.timeZone})` : ''}
+      </Text>
       {day.activities.map(activity => renderActivity(activity))}
     </View>
   );
@@ -383,6 +577,16 @@ const ItineraryScreen = ({ navigation, route }) => {
     );
   };
 
+  // Activities the server found schedule problems with
+  const conflictCount = itinerary
+    ? itinerary.days.reduce((total, day) => total + day.activities.filter(activity => activity.warnings?.length).length, 0)
+    : 0;
+
+  // Trip total in the home currency, when the trip is priced in another one
+  const homeTotalCost = itinerary && tripCurrency !== homeCurrency
+    ? convertAmount(itinerary.totalCost || 0, tripCurrency, homeCurrency, rateTable)
+    : null;
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
@@ -391,7 +595,14 @@ const ItineraryScreen = ({ navigation, route }) => {
 
       {renderConnectionStatus()}
 
-      {!itinerary && !loading && (
+      {showTemplatePicker && (
+        <TemplatePicker
+          onCreated={openTripFromTemplate}
+          onCancel={() => setShowTemplatePicker(false)}
+        />
+      )}
+
+      {!itinerary && !loading && !showTemplatePicker && (
         <View style={styles.emptyState}>
           <Text style={styles.emptyStateText}>
             No itinerary yet. Generate a personalized itinerary based on your preferences.
@@ -402,6 +613,12 @@ const ItineraryScreen = ({ navigation, route }) => {
           >
             <Text style={styles.generateButtonText}>Generate Itinerary</Text>
           </TouchableOpacity>
+          <TouchableOpacity 
+            style={styles.templateButton}
+            onPress={() => setShowTemplatePicker(true)}
+          >
+            <Text style={styles.templateButtonText}>Start from a Template</Text>
+          </TouchableOpacity>
         </View>
       )}
 
@@ -420,18 +637,31 @@ const ItineraryScreen = ({ navigation, route }) => {
               {itinerary.startDate} to {itinerary.endDate}
             </Text>
             <Text style={styles.itineraryLocation}>📍 {itinerary.location}</Text>
+            {itinerary.isTemplate && <Text style={styles.templateBadge}>Template</Text>}
           </View>
 
           <View style={styles.itinerarySummary}>
             <Text style={styles.summaryTitle}>Trip Summary</Text>
             <Text style={styles.summaryText}>
-              Total Cost: ${itinerary.totalCost}
+              Total Cost: {formatMoney(itinerary.totalCost, tripCurrency)}
             </Text>
+            {homeTotalCost !== null && (
+              <Text style={styles.summaryText}>
+                About {formatMoney(homeTotalCost, homeCurrency)} in your home currency
+              </Text>
+            )}
             <Text style={styles.summaryText}>
               Activities: {itinerary.days.reduce((total, day) => total + day.activities.length, 0)}
             </Text>
+            {conflictCount > 0 && (
+              <Text style={styles.conflictText}>
+                ⚠️ {conflictCount} {conflictCount === 1 ? 'activity needs' : 'activities need'} a schedule check
+              </Text>
+            )}
           </View>
 
+          {budgetReport && <BudgetBreakdown report={budgetReport} />}
+
           <View style={styles.daysContainer}>
             {itinerary.days.map((day, index) => renderDay(day, index))}
           </View>
@@ -448,7 +678,7 @@ const ItineraryScreen = ({ navigation, route }) => {
             
             <SocialShareButton
               title={itinerary.title}
-              message={`Check out my personalized itinerary for ${itinerary.location} from ${itinerary.startDate} to ${itinerary.endDate}! It includes ${itinerary.days.reduce((total, day) => total + day.activities.length, 0)} activities with a total cost of $${itinerary.totalCost}.`}
+              message={`Check out my personalized itinerary for ${itinerary.location} from ${itinerary.startDate} to ${itinerary.endDate}! It includes ${itinerary.days.reduce((total, day) => total + day.activities.length, 0)} activities with a total cost of ${formatMoney(itinerary.totalCost, tripCurrency)}.`}
               variant="secondary"
               buttonText="Share"
               style={styles.shareButton}
@@ -465,6 +695,41 @@ const ItineraryScreen = ({ navigation, route }) => {
             />
           </View>
           
+          {itinerary.isSaved && (
+            <TouchableOpacity 
+              style={styles.templateButton}
+              onPress={optimizeRoute}
+              disabled={optimizingRoute}
+            >
+              <Text style={styles.templateButtonText}>
+                {optimizingRoute ? 'Optimizing Route...' : 'Optimize Route'}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {itinerary.isSaved && !itinerary.isTemplate && (
+            <TouchableOpacity 
+              style={styles.templateButton}
+              onPress={saveAsTemplate}
+              disabled={savingTemplate}
+            >
+              <Text style={styles.templateButtonText}>
+                {savingTemplate ? 'Saving Template...' : 'Save as Template'}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {!showTemplatePicker && (
+            <TouchableOpacity 
+              style={styles.templateButton}
+              onPress={() => setShowTemplatePicker(true)}
+            >
+              <Text style={styles.templateButtonText}>
+                {itinerary.isTemplate ? 'Plan a Trip from a Template' : 'Start from a Template'}
+              </Text>
+            </TouchableOpacity>
+          )}
+          
           <TouchableOpacity 
             style={styles.refreshButton}
             onPress={refetchItinerary}
@@ -639,11 +904,40 @@ const styles = StyleSheet.create({
     color: '#4a90e2',
     marginRight: 10,
   },
+  homeTime: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 5,
+  },
+  remindText: {
+    fontSize: 14,
+    color: '#4a90e2',
+    marginTop: 8,
+  },
   activityTitle: {
     fontSize: 16,
     fontWeight: 'bold',
     flex: 1,
   },
+  matchedActivity: {
+    backgroundColor: '#eef5fd',
+    borderRadius: 8,
+    padding: 10,
+    borderLeftWidth: 3,
+    borderLeftColor: '#4a90e2',
+  },
+  conflictActivity: {
+    backgroundColor: '#fff0f0',
+    borderRadius: 8,
+    padding: 10,
+    borderLeftWidth: 3,
+    borderLeftColor: '#ff6b6b',
+  },
+  conflictText: {
+    fontSize: 13,
+    color: '#ff6b6b',
+    marginBottom: 5,
+  },
   updateBadge: {
     backgroundColor: '#f0ad4e',
     color: 'white',
@@ -655,6 +949,17 @@ const styles = StyleSheet.create({
     overflow: 'hidden',
     marginLeft: 10,
   },
+  matchBadge: {
+    backgroundColor: '#4a90e2',
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    overflow: 'hidden',
+    marginLeft: 10,
+  },
   newBadge: {
     backgroundColor: '#4a90e2',
     color: 'white',
@@ -763,6 +1068,32 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
+  templateButton: {
+    borderWidth: 1,
+    borderColor: '#4a90e2',
+    padding: 15,
+    borderRadius: 8,
+    minWidth: '80%',
+    alignItems: 'center',
+    marginTop: 10,
+    marginBottom: 15,
+  },
+  templateButtonText: {
+    color: '#4a90e2',
+    fontWeight: 'bold',
+  },
+  templateBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#ff6b6b',
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    overflow: 'hidden',
+    marginTop: 8,
+  },
 });
 
 export default ItineraryScreen;
\ No newline at end of file
@@ -13,11 +13,13 @@ import {
 } from 'react-native';
 import { AuthContext } from '../context/AuthContext';
 import { isAuthenticated } from '../utils/tokenStorage';
+import SocialSignInButtons from '../components/SocialSignInButtons';
 
 const LoginScreen = ({ navigation }) => {
-  const { login, isLoading } = useContext(AuthContext);
+  const { login, isLoading, twoFactorRequired, verifyTwoFactor, cancelTwoFactor } = useContext(AuthContext);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   const [localLoading, setLocalLoading] = useState(false);
   const [errors, setErrors] = useState({});
   
@@ -66,6 +68,10 @@ const LoginScreen = ({ navigation }) => {
           setErrors({});
           
           navigation.replace('Home');
+        } else if (result.twoFactorRequired) {
+          // The second step is rendered from the context's twoFactorRequired flag
+          setPassword('');
+          setErrors({});
         } else {
           Alert.alert('Login Failed', result.error || 'Invalid credentials');
         }
@@ -77,6 +83,35 @@ const LoginScreen = ({ navigation }) => {
     }
   };
 
+  const handleVerifyCode = async () => {
+    if (!twoFactorCode.trim()) {
+      setErrors({ twoFactorCode: 'Authentication code is required' });
+      return;
+    }
+    
+    setLocalLoading(true);
+    try {
+      const result = await verifyTwoFactor(twoFactorCode.trim());
+      if (result.success) {
+        setEmail('');
+        setTwoFactorCode('');
+        setErrors({});
+      } else {
+        setErrors({ twoFactorCode: result.error || 'Invalid authentication code' });
+      }
+    } catch (error) {
+      Alert.alert('Login Error', error.message);
+    } finally {
+      setLocalLoading(false);
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    cancelTwoFactor();
+    setTwoFactorCode('');
+    setErrors({});
+  };
+
   if (isLoading) {
     return (
       <View style={styles.loadingContainer}>
@@ -86,6 +121,67 @@ const LoginScreen = ({ navigation }) => {
     );
   }
 
+  // Second step for accounts with two-factor authentication
+  if (twoFactorRequired) {
+    return (
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        keyboardVerticalOffset={Platform.OS === 'ios' ? 64 : 0}
+      >
+        <ScrollView contentContainerStyle={styles.scrollContainer}>
+          <View style={styles.formContainer}>
+            <Text style={styles.title}>Two-Step Verification</Text>
+            <Text style={styles.subtitle}>
+              Enter the 6-digit code from your authenticator app, or one of your backup codes
+            </Text>
+            
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Authentication Code</Text>
+              <TextInput
+                style={[styles.input, errors.twoFactorCode && styles.inputError]}
+                placeholder="123456"
+                value={twoFactorCode}
+                onChangeText={setTwoFactorCode}
+                autoCapitalize="none"
+                autoCorrect={false}
+                autoFocus
+                textContentType="oneTimeCode"
+                accessibilityLabel="Authentication code input"
+                accessibilityHint="Enter the code from your authenticator app or a backup code"
+              />
+              {errors.twoFactorCode && <Text style={styles.errorText}>{errors.twoFactorCode}</Text>}
+            </View>
+            
+            <TouchableOpacity 
+              style={styles.loginButton}
+              onPress={handleVerifyCode}
+              disabled={localLoading}
+              accessibilityLabel="Verify button"
+              accessibilityHint="Tap to finish signing in"
+            >
+              {localLoading ? (
+                <ActivityIndicator color="white" size="small" />
+              ) : (
+                <Text style={styles.loginButtonText}>Verify</Text>
+              )}
+            </TouchableOpacity>
+            
+            <View style={styles.registerContainer}>
+              <TouchableOpacity 
+                onPress={handleCancelTwoFactor}
+                accessibilityLabel="Use a different account"
+                accessibilityHint="Tap to go back to the sign in form"
+              >
+                <Text style={styles.registerLink}>Use a different account</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    );
+  }
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -128,7 +224,7 @@ const LoginScreen = ({ navigation }) => {
           
           <TouchableOpacity 
             style={styles.forgotPassword}
-            onPress={() => Alert.alert('Reset Password', 'Password reset functionality will be implemented in a future update.')}
+            onPress={() => navigation.navigate('ForgotPassword')}
             accessibilityLabel="Forgot Password"
             accessibilityHint="Tap to reset your password"
           >
@@ -149,6 +245,8 @@ const LoginScreen = ({ navigation }) => {
             )}
           </TouchableOpacity>
           
+          <SocialSignInButtons />
+          
           <View style={styles.registerContainer}>
             <Text style={styles.registerText}>Don't have an account? </Text>
             <TouchableOpacity 
@@ -0,0 +1,155 @@
+import React, { useState, useContext, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView
+} from 'react-native';
+import { AuthContext } from '../context/AuthContext';
+import { getCurrentUser } from '../utils/apiService';
+
+/**
+ * Landing screen for social sign-in. The server redirects to
+ * `oauth?code=...` after a sign-in, `oauth?linked=...` after linking a
+ * provider to the signed-in account, or `oauth?error=...` when it failed.
+ */
+const OAuthCallbackScreen = ({ navigation, route }) => {
+  const { user, loginWithOAuthCode, updateUser } = useContext(AuthContext);
+  const { code, linked, error } = route?.params || {};
+  const [status, setStatus] = useState(code ? 'signing-in' : linked ? 'linked' : 'failed');
+  const [message, setMessage] = useState(error || (code || linked ? '' : 'Sign-in was cancelled'));
+  // The code can only be redeemed once, even if the screen renders again
+  const redeemedCode = useRef(null);
+
+  useEffect(() => {
+    if (!code || redeemedCode.current === code) {
+      return;
+    }
+    redeemedCode.current = code;
+
+    const completeSignIn = async () => {
+      const result = await loginWithOAuthCode(code);
+
+      if (result.twoFactorRequired) {
+        // The login screen collects the code for the pending challenge
+        navigation.replace('Login');
+      } else if (!result.success) {
+        setStatus('failed');
+        setMessage(result.error || 'Sign-in failed');
+      }
+      // On success the signed-in screens replace this one
+    };
+
+    completeSignIn();
+  }, [code, loginWithOAuthCode, navigation]);
+
+  // Show the newly linked provider on the profile screen
+  useEffect(() => {
+    if (linked && user) {
+      getCurrentUser()
+        .then(currentUser => updateUser({ identities: currentUser.identities }))
+        .catch(loadError => console.warn('Unable to refresh linked accounts:', loadError));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [linked]);
+
+  const handleContinue = () => {
+    navigation.navigate(user ? 'Profile' : 'Login');
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollContainer}>
+      <View style={styles.formContainer}>
+        <Text style={styles.title}>{linked ? 'Link Account' : 'Sign In'}</Text>
+
+        {status === 'signing-in' && (
+          <View style={styles.statusContainer}>
+            <ActivityIndicator size="large" color="#4a90e2" />
+            <Text style={styles.subtitle}>Signing you in...</Text>
+          </View>
+        )}
+
+        {status === 'linked' && (
+          <Text style={styles.successText}>
+            Your account is now linked. You can use it to sign in next time.
+          </Text>
+        )}
+
+        {status === 'failed' && <Text style={styles.errorText}>{message}</Text>}
+
+        {status !== 'signing-in' && (
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={handleContinue}
+            accessibilityLabel={user ? 'Back to Profile' : 'Back to Sign In'}
+          >
+            <Text style={styles.primaryButtonText}>{user ? 'Back to Profile' : 'Back to Sign In'}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    backgroundColor: '#f8f9fa',
+  },
+  formContainer: {
+    padding: 20,
+    marginHorizontal: 20,
+    backgroundColor: 'white',
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#4a90e2',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginVertical: 20,
+  },
+  statusContainer: {
+    alignItems: 'center',
+    marginVertical: 20,
+  },
+  successText: {
+    fontSize: 16,
+    color: '#2e7d32',
+    textAlign: 'center',
+    marginVertical: 20,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#ff6b6b',
+    textAlign: 'center',
+    marginVertical: 20,
+  },
+  primaryButton: {
+    backgroundColor: '#4a90e2',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default OAuthCallbackScreen;
@@ -11,15 +11,30 @@ import {
 } from 'react-native';
 import { AuthContext } from '../context/AuthContext';
 import { GamificationDashboard } from '../components/ui-package';
+import DeviceSessions from '../components/DeviceSessions';
+import LinkedAccounts from '../components/LinkedAccounts';
+import { resendVerificationEmail, exportUserData } from '../utils/apiService';
+import { saveDataExport } from '../utils/dataExport';
 
 const ProfileScreen = ({ navigation }) => {
-  const { user, preferences, updatePreferences, logout } = useContext(AuthContext);
+  const {
+    user,
+    preferences,
+    updatePreferences,
+    logout,
+    deleteAccount,
+    updateUser,
+    surveyData
+  } = useContext(AuthContext);
   
   // Local state for form values and UI state
   const [formValues, setFormValues] = useState({
     ...preferences
   });
   const [showAchievements, setShowAchievements] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [showDeleteAccount, setShowDeleteAccount] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
   
   // Activity type options
   const activityTypes = [
@@ -147,6 +162,59 @@ const ProfileScreen = ({ navigation }) => {
     }
   };
 
+  // Resend the email verification link
+  const handleResendVerification = async () => {
+    const result = await resendVerificationEmail();
+    if (result.success) {
+      Alert.alert('Email Sent', 'Check your inbox for a new verification link.');
+    } else {
+      Alert.alert('Unable to Send', result.error);
+    }
+  };
+
+  // Download a copy of the user's data
+  const handleExportData = async () => {
+    setIsExporting(true);
+    try {
+      const archive = await exportUserData(user.id || user._id);
+      const location = await saveDataExport(archive, surveyData);
+      Alert.alert('Data Exported', `Your data has been saved to ${location}.`);
+    } catch (error) {
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Ask for a final confirmation, then permanently delete the account
+  const handleDeleteAccount = () => {
+    if (!deletePassword) {
+      Alert.alert('Password Required', 'Enter your password to delete your account.');
+      return;
+    }
+    
+    Alert.alert(
+      'Delete Account',
+      'This permanently deletes your account, itineraries and reservations. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await deleteAccount(deletePassword);
+            setDeletePassword('');
+            if (result.success) {
+              navigation.navigate('Login');
+            } else {
+              Alert.alert('Deletion Failed', result.error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
   // Toggle achievements dashboard
   const toggleAchievements = () => {
     setShowAchievements(!showAchievements);
@@ -176,8 +244,76 @@ const ProfileScreen = ({ navigation }) => {
           <Text style={styles.userName}>{user ? user.name : 'Guest User'}</Text>
           <Text style={styles.userEmail}>{user ? user.email : 'Not logged in'}</Text>
         </View>
+        
+        {user && user.emailVerified === false && (
+          <View style={styles.verificationBanner}>
+            <Text style={styles.verificationText}>
+              Your email address is not verified. Verify it to invite partners and make reservations.
+            </Text>
+            <View style={styles.verificationActions}>
+              <TouchableOpacity
+                onPress={handleResendVerification}
+                accessibilityLabel="Resend verification email"
+                accessibilityRole="button"
+              >
+                <Text style={styles.verificationLink}>Resend Email</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => navigation.navigate('VerifyEmail')}
+                accessibilityLabel="Enter verification code"
+                accessibilityRole="button"
+              >
+                <Text style={styles.verificationLink}>Enter Code</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
       </View>
 
+      {/* Security Section */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Security</Text>
+        <TouchableOpacity
+          style={styles.switchContainer}
+          onPress={() => navigation.navigate('TwoFactorSetup')}
+          accessibilityLabel="Manage two-step verification"
+          accessibilityRole="button"
+        >
+          <Text style={styles.switchLabel}>Two-step verification</Text>
+          <Text style={styles.securityStatus}>
+            {user && user.twoFactor && user.twoFactor.enabled ? 'On' : 'Off'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Signed-in Devices Section */}
+      {user && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Signed-in Devices</Text>
+          <Text style={styles.sectionSubtitle}>
+            Sign out any device you don't recognise.
+          </Text>
+          <DeviceSessions
+            userId={user.id || user._id}
+            onCurrentDeviceSignedOut={handleLogout}
+          />
+        </View>
+      )}
+
+      {/* Linked Accounts Section */}
+      {user && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Linked Accounts</Text>
+          <Text style={styles.sectionSubtitle}>
+            Sign in with another account instead of your password.
+          </Text>
+          <LinkedAccounts
+            identities={user.identities}
+            onIdentitiesChanged={identities => updateUser({ identities })}
+          />
+        </View>
+      )}
+
       {/* Achievements Section */}
       <TouchableOpacity 
         style={styles.achievementsButton}
@@ -357,6 +493,67 @@ const ProfileScreen = ({ navigation }) => {
         </View>
       </View>
 
+      {/* Your Data Section */}
+      {user && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Your Data</Text>
+          <Text style={styles.sectionSubtitle}>
+            Download a copy of your profile, itineraries, reservations and feedback, or delete your account.
+          </Text>
+          <TouchableOpacity
+            style={styles.dataButton}
+            onPress={handleExportData}
+            disabled={isExporting}
+            accessibilityLabel="Download my data"
+            accessibilityRole="button"
+          >
+            <Text style={styles.dataButtonText}>
+              {isExporting ? 'Preparing Download...' : 'Download My Data'}
+            </Text>
+          </TouchableOpacity>
+          
+          {showDeleteAccount ? (
+            <View>
+              <Text style={styles.budgetLabel}>Confirm with your password:</Text>
+              <TextInput
+                style={styles.budgetInput}
+                value={deletePassword}
+                onChangeText={setDeletePassword}
+                placeholder="Password"
+                secureTextEntry
+                accessibilityLabel="Password"
+              />
+              <TouchableOpacity
+                style={styles.deleteAccountButton}
+                onPress={handleDeleteAccount}
+                accessibilityLabel="Permanently delete account"
+                accessibilityRole="button"
+              >
+                <Text style={styles.deleteAccountButtonText}>Permanently Delete Account</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => {
+                  setShowDeleteAccount(false);
+                  setDeletePassword('');
+                }}
+                accessibilityLabel="Cancel account deletion"
+                accessibilityRole="button"
+              >
+                <Text style={styles.cancelDeleteText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity
+              onPress={() => setShowDeleteAccount(true)}
+              accessibilityLabel="Delete account"
+              accessibilityRole="button"
+            >
+              <Text style={styles.deleteAccountLink}>Delete Account</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
       {/* Action Buttons */}
       <View style={styles.actionContainer}>
         <TouchableOpacity 
@@ -426,6 +623,26 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#666',
   },
+  verificationBanner: {
+    backgroundColor: '#fff8e1',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 10,
+  },
+  verificationText: {
+    fontSize: 14,
+    color: '#8a6d00',
+    marginBottom: 8,
+  },
+  verificationActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  verificationLink: {
+    color: '#4a90e2',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   optionsContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -503,6 +720,11 @@ const styles = StyleSheet.create({
     fontSize: 16,
     flex: 1,
   },
+  securityStatus: {
+    fontSize: 16,
+    color: '#4a90e2',
+    fontWeight: 'bold',
+  },
   actionContainer: {
     margin: 15,
     marginTop: 5,
@@ -532,6 +754,42 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     fontSize: 16,
   },
+  dataButton: {
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#4a90e2',
+    marginBottom: 15,
+  },
+  dataButtonText: {
+    color: '#4a90e2',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  deleteAccountLink: {
+    color: '#ff6b6b',
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  deleteAccountButton: {
+    backgroundColor: '#ff6b6b',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  deleteAccountButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  cancelDeleteText: {
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 10,
+  },
   achievementsButton: {
     backgroundColor: '#4CC9F0',
     margin: 15,
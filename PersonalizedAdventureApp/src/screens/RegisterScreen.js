@@ -13,6 +13,7 @@ import {
 } from 'react-native';
 import { AuthContext } from '../context/AuthContext';
 import { isAuthenticated } from '../utils/tokenStorage';
+import SocialSignInButtons from '../components/SocialSignInButtons';
 
 const RegisterScreen = ({ navigation }) => {
   const { register, isLoading } = useContext(AuthContext);
@@ -81,7 +82,7 @@ const RegisterScreen = ({ navigation }) => {
           
           Alert.alert(
             'Registration Successful',
-            'Your account has been created successfully!',
+            'Your account has been created! We sent you an email to verify your address before you can invite partners or make reservations.',
             [{ text: 'OK', onPress: () => navigation.replace('Home') }]
           );
         } else {
@@ -185,6 +186,8 @@ const RegisterScreen = ({ navigation }) => {
             )}
           </TouchableOpacity>
           
+          <SocialSignInButtons />
+          
           <View style={styles.loginContainer}>
             <Text style={styles.loginText}>Already have an account? </Text>
             <TouchableOpacity 
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { 
+  View, 
+  Text, 
+  StyleSheet, 
+  TextInput, 
+  TouchableOpacity, 
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Alert
+} from 'react-native';
+import { resetPassword } from '../utils/apiService';
+
+const ResetPasswordScreen = ({ navigation, route }) => {
+  // The token arrives as a route param when the screen is opened from the email link
+  const [token, setToken] = useState(route?.params?.token || '');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [localLoading, setLocalLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const validateForm = () => {
+    let errors = {};
+    
+    if (!token) {
+      errors.token = 'Reset code is required';
+    }
+    
+    // Mirrors the server's password rules
+    if (!password) {
+      errors.password = 'Password is required';
+    } else if (password.length < 8) {
+      errors.password = 'Password must be at least 8 characters';
+    } else if (!/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])/.test(password)) {
+      errors.password = 'Password must contain an uppercase letter, a lowercase letter, a number and a special character';
+    }
+    
+    if (!confirmPassword) {
+      errors.confirmPassword = 'Please confirm your password';
+    } else if (password !== confirmPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+    
+    setErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleResetPassword = async () => {
+    if (validateForm()) {
+      setLocalLoading(true);
+      try {
+        const result = await resetPassword(token.trim(), password);
+        if (result.success) {
+          setPassword('');
+          setConfirmPassword('');
+          setErrors({});
+          
+          Alert.alert(
+            'Password Reset',
+            'Your password has been changed. Please sign in with your new password.',
+            [{ text: 'OK', onPress: () => navigation.navigate('Login') }]
+          );
+        } else {
+          Alert.alert('Reset Failed', result.error || 'Password reset link is invalid or has expired');
+        }
+      } catch (error) {
+        Alert.alert('Reset Error', error.message);
+      } finally {
+        setLocalLoading(false);
+      }
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      keyboardVerticalOffset={Platform.OS === 'ios' ? 64 : 0}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <View style={styles.formContainer}>
+          <Text style={styles.title}>Reset Password</Text>
+          <Text style={styles.subtitle}>Choose a new password for your account</Text>
+          
+          {!route?.params?.token && (
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Reset Code</Text>
+              <TextInput
+                style={[styles.input, errors.token && styles.inputError]}
+                placeholder="Paste the code from your email"
+                value={token}
+                onChangeText={setToken}
+                autoCapitalize="none"
+                autoCorrect={false}
+                accessibilityLabel="Reset code input"
+                accessibilityHint="Enter the code from your password reset email"
+              />
+              {errors.token && <Text style={styles.errorText}>{errors.token}</Text>}
+            </View>
+          )}
+          
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>New Password</Text>
+            <TextInput
+              style={[styles.input, errors.password && styles.inputError]}
+              placeholder="Enter a new password"
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+              accessibilityLabel="New password input"
+              accessibilityHint="Enter your new password"
+            />
+            {errors.password && <Text style={styles.errorText}>{errors.password}</Text>}
+          </View>
+          
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Confirm Password</Text>
+            <TextInput
+              style={[styles.input, errors.confirmPassword && styles.inputError]}
+              placeholder="Confirm your new password"
+              value={confirmPassword}
+              onChangeText={setConfirmPassword}
+              secureTextEntry
+              accessibilityLabel="Confirm password input"
+              accessibilityHint="Re-enter your new password"
+            />
+            {errors.confirmPassword && <Text style={styles.errorText}>{errors.confirmPassword}</Text>}
+          </View>
+          
+          <TouchableOpacity 
+            style={styles.primaryButton}
+            onPress={handleResetPassword}
+            disabled={localLoading}
+            accessibilityLabel="Reset Password button"
+            accessibilityHint="Tap to save your new password"
+          >
+            {localLoading ? (
+              <ActivityIndicator color="white" size="small" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Reset Password</Text>
+            )}
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.backLink}
+            onPress={() => navigation.navigate('Login')}
+            accessibilityLabel="Back to Sign In"
+            accessibilityHint="Tap to return to the sign in screen"
+          >
+            <Text style={styles.backLinkText}>Back to Sign In</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+  },
+  formContainer: {
+    padding: 20,
+    marginHorizontal: 20,
+    backgroundColor: 'white',
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#4a90e2',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 30,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    marginBottom: 8,
+    color: '#333',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  inputError: {
+    borderColor: '#ff6b6b',
+  },
+  errorText: {
+    color: '#ff6b6b',
+    fontSize: 14,
+    marginTop: 5,
+  },
+  primaryButton: {
+    backgroundColor: '#4a90e2',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  backLink: {
+    alignItems: 'center',
+  },
+  backLinkText: {
+    color: '#4a90e2',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default ResetPasswordScreen;
@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator
+} from 'react-native';
+import { searchItineraries } from '../utils/apiService';
+
+// Wait for the user to stop typing before searching
+const SEARCH_DELAY_MS = 300;
+
+// Matches shown under each result
+const MAX_MATCHES_SHOWN = 3;
+
+const FIELD_LABELS = {
+  title: 'Title',
+  location: 'Location',
+  'activity.name': 'Activity',
+  'activity.description': 'Description'
+};
+
+/**
+ * Split a matched text into plain and highlighted parts
+ * @param {string} text - Matched text
+ * @param {Array<Object>} ranges - `{ start, length }` of each highlighted word
+ * @returns {Array<Object>} Parts as `{ text, highlighted }`
+ */
+const splitHighlights = (text, ranges) => {
+  const parts = [];
+  let position = 0;
+
+  ranges.forEach(({ start, length }) => {
+    if (start > position) {
+      parts.push({ text: text.slice(position, start), highlighted: false });
+    }
+    parts.push({ text: text.slice(start, start + length), highlighted: true });
+    position = start + length;
+  });
+
+  if (position < text.length) {
+    parts.push({ text: text.slice(position), highlighted: false });
+  }
+
+  return parts;
+};
+
+/**
+ * Search across all of the user's itineraries and activities, e.g. to find
+ * "that sushi place from the Tokyo trip"
+ */
+const SearchScreen = ({ navigation }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [searched, setSearched] = useState(false);
+  // Only the latest search may update the results
+  const latestSearch = useRef(0);
+
+  useEffect(() => {
+    const q = query.trim();
+
+    if (!q) {
+      latestSearch.current += 1;
+      setResults([]);
+      setSearched(false);
+      setLoading(false);
+      setError('');
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      const searchId = ++latestSearch.current;
+      setLoading(true);
+      setError('');
+
+      try {
+        const data = await searchItineraries(q);
+        if (searchId === latestSearch.current) {
+          setResults(data);
+          setSearched(true);
+        }
+      } catch (searchError) {
+        if (searchId === latestSearch.current) {
+          setError(searchError.message || 'Search failed, please try again');
+        }
+      } finally {
+        if (searchId === latestSearch.current) {
+          setLoading(false);
+        }
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const openResult = (result, match) => {
+    navigation.navigate('Itinerary', {
+      id: result.itinerary._id,
+      activityId: match?.activityId
+    });
+  };
+
+  const renderHighlightedText = (match) => (
+    <Text style={styles.matchText} numberOfLines={3}>
+      {splitHighlights(match.text, match.ranges).map((part, index) => (
+        <Text key={index} style={part.highlighted ? styles.highlight : null}>
+          {part.text}
+        </Text>
+      ))}
+    </Text>
+  );
+
+  const renderResult = ({ item }) => {
+    const { itinerary, matches } = item;
+    // The first activity match decides which activity the itinerary opens on
+    const activityMatch = matches.find(match => match.activityId);
+
+    return (
+      <TouchableOpacity
+        style={styles.resultCard}
+        onPress={() => openResult(item, activityMatch)}
+        accessible={true}
+        accessibilityRole="button"
+        accessibilityLabel={`${itinerary.title}, ${itinerary.location}`}
+        accessibilityHint="Opens this itinerary"
+      >
+        <Text style={styles.resultTitle}>{itinerary.title}</Text>
+        <Text style={styles.resultSubtitle}>
+          {itinerary.location} · {itinerary.startDate?.slice(0, 10)} to {itinerary.endDate?.slice(0, 10)}
+        </Text>
+
+        {matches.slice(0, MAX_MATCHES_SHOWN).map((match, index) => (
+          <View key={index} style={styles.match}>
+            <Text style={styles.matchLabel}>
+              {FIELD_LABELS[match.field]}
+              {match.dayIndex !== undefined ? ` · Day ${match.dayIndex + 1}` : ''}
+            </Text>
+            {renderHighlightedText(match)}
+          </View>
+        ))}
+        {matches.length > MAX_MATCHES_SHOWN && (
+          <Text style={styles.moreMatches}>
+            +{matches.length - MAX_MATCHES_SHOWN} more matches
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmpty = () => {
+    if (loading) {
+      return null;
+    }
+
+    if (error) {
+      return <Text style={styles.errorText}>{error}</Text>;
+    }
+
+    return (
+      <Text style={styles.emptyText}>
+        {searched
+          ? 'No itineraries match your search'
+          : 'Search titles, places and activities from all your itineraries'}
+      </Text>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchBar}>
+        <TextInput
+          style={styles.input}
+          placeholder="Sushi in Tokyo, museums, hiking..."
+          value={query}
+          onChangeText={setQuery}
+          autoFocus
+          autoCorrect={false}
+          returnKeyType="search"
+          clearButtonMode="while-editing"
+          accessibilityLabel="Search your itineraries"
+        />
+        {loading && <ActivityIndicator style={styles.spinner} size="small" color="#4a90e2" />}
+      </View>
+
+      <FlatList
+        data={results}
+        keyExtractor={item => item.itinerary._id}
+        renderItem={renderResult}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.list}
+        keyboardShouldPersistTaps="handled"
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    margin: 15,
+    paddingHorizontal: 15,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  input: {
+    flex: 1,
+    height: 50,
+    fontSize: 16,
+  },
+  spinner: {
+    marginLeft: 10,
+  },
+  list: {
+    paddingHorizontal: 15,
+    paddingBottom: 20,
+  },
+  resultCard: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  resultTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  resultSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  match: {
+    marginTop: 6,
+  },
+  matchLabel: {
+    fontSize: 12,
+    color: '#999',
+    textTransform: 'uppercase',
+  },
+  matchText: {
+    fontSize: 14,
+    color: '#333',
+    marginTop: 2,
+  },
+  highlight: {
+    fontWeight: 'bold',
+    backgroundColor: '#fff3cd',
+  },
+  moreMatches: {
+    fontSize: 12,
+    color: '#4a90e2',
+    marginTop: 6,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#666',
+    marginTop: 40,
+    paddingHorizontal: 20,
+  },
+  errorText: {
+    textAlign: 'center',
+    color: '#ff6b6b',
+    marginTop: 40,
+    paddingHorizontal: 20,
+  },
+});
+
+export default SearchScreen;
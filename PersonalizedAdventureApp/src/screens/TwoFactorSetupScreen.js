@@ -0,0 +1,353 @@
+import React, { useState, useContext } from 'react';
+import { 
+  View, 
+  Text, 
+  StyleSheet, 
+  TextInput, 
+  TouchableOpacity, 
+  ActivityIndicator,
+  ScrollView,
+  Linking,
+  Alert
+} from 'react-native';
+import { AuthContext } from '../context/AuthContext';
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor } from '../utils/apiService';
+
+/**
+ * TwoFactorSetupScreen Component
+ * 
+ * Lets the user enroll an authenticator app (TOTP) for two-step sign in,
+ * shows their backup codes once, and turns two-factor off again.
+ */
+const TwoFactorSetupScreen = ({ navigation }) => {
+  const { user, updateUser } = useContext(AuthContext);
+  const isEnabled = Boolean(user && user.twoFactor && user.twoFactor.enabled);
+  
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [localLoading, setLocalLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Generate a secret on the server and show it to the user
+  const handleStartSetup = async () => {
+    setLocalLoading(true);
+    setError('');
+    try {
+      const data = await setupTwoFactor();
+      setEnrollment(data);
+    } catch (err) {
+      Alert.alert('Setup Failed', err.message);
+    } finally {
+      setLocalLoading(false);
+    }
+  };
+
+  // Open the provisioning URI in an installed authenticator app
+  const handleOpenAuthenticator = async () => {
+    try {
+      await Linking.openURL(enrollment.otpauthUri);
+    } catch (err) {
+      Alert.alert('No Authenticator Found', 'Enter the setup key manually in your authenticator app.');
+    }
+  };
+
+  // Confirm the first code to switch two-factor on
+  const handleEnable = async () => {
+    if (!code.trim()) {
+      setError('Authentication code is required');
+      return;
+    }
+    
+    setLocalLoading(true);
+    setError('');
+    try {
+      const data = await enableTwoFactor(code.trim());
+      setBackupCodes(data.backupCodes);
+      setEnrollment(null);
+      setCode('');
+      updateUser({ twoFactor: { enabled: true, enabledAt: new Date().toISOString() } });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLocalLoading(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!password || !code.trim()) {
+      setError('Password and authentication code are required');
+      return;
+    }
+    
+    setLocalLoading(true);
+    setError('');
+    try {
+      await disableTwoFactor(password, code.trim());
+      setPassword('');
+      setCode('');
+      updateUser({ twoFactor: { enabled: false } });
+      Alert.alert('Two-Factor Disabled', 'Two-step verification has been turned off.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLocalLoading(false);
+    }
+  };
+
+  // Backup codes are only returned once, right after enabling
+  if (backupCodes) {
+    return (
+      <ScrollView style={styles.container}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Save Your Backup Codes</Text>
+          <Text style={styles.sectionSubtitle}>
+            Each code can be used once to sign in if you lose access to your authenticator app. 
+            They will not be shown again.
+          </Text>
+          <View style={styles.codesContainer}>
+            {backupCodes.map((backupCode) => (
+              <Text key={backupCode} style={styles.backupCode} selectable>
+                {backupCode}
+              </Text>
+            ))}
+          </View>
+          <TouchableOpacity 
+            style={styles.primaryButton}
+            onPress={() => navigation.goBack()}
+            accessibilityLabel="Done"
+            accessibilityRole="button"
+          >
+            <Text style={styles.primaryButtonText}>I've Saved My Codes</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      {isEnabled ? (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Two-Step Verification Is On</Text>
+          <Text style={styles.sectionSubtitle}>
+            To turn it off, enter your password and a code from your authenticator app or a backup code.
+          </Text>
+          
+          <TextInput
+            style={styles.input}
+            placeholder="Password"
+            value={password}
+            onChangeText={setPassword}
+            secureTextEntry
+            accessibilityLabel="Password input"
+          />
+          <TextInput
+            style={styles.input}
+            placeholder="Authentication code"
+            value={code}
+            onChangeText={setCode}
+            autoCapitalize="none"
+            autoCorrect={false}
+            accessibilityLabel="Authentication code input"
+          />
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+          
+          <TouchableOpacity 
+            style={styles.dangerButton}
+            onPress={handleDisable}
+            disabled={localLoading}
+            accessibilityLabel="Turn off two-step verification"
+            accessibilityRole="button"
+          >
+            {localLoading ? (
+              <ActivityIndicator color="#ff6b6b" size="small" />
+            ) : (
+              <Text style={styles.dangerButtonText}>Turn Off</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      ) : enrollment ? (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Add to Your Authenticator App</Text>
+          <Text style={styles.sectionSubtitle}>
+            Open the setup link on this device, or enter the setup key manually in your authenticator app.
+          </Text>
+          
+          <TouchableOpacity 
+            style={styles.secondaryButton}
+            onPress={handleOpenAuthenticator}
+            accessibilityLabel="Open authenticator app"
+            accessibilityRole="button"
+          >
+            <Text style={styles.secondaryButtonText}>Open Authenticator App</Text>
+          </TouchableOpacity>
+          
+          <Text style={styles.label}>Setup Key</Text>
+          <Text style={styles.secret} selectable>{enrollment.secret}</Text>
+          
+          <Text style={styles.label}>Enter the 6-digit code shown in the app</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="123456"
+            value={code}
+            onChangeText={setCode}
+            keyboardType="number-pad"
+            maxLength={6}
+            accessibilityLabel="Authentication code input"
+          />
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+          
+          <TouchableOpacity 
+            style={styles.primaryButton}
+            onPress={handleEnable}
+            disabled={localLoading}
+            accessibilityLabel="Turn on two-step verification"
+            accessibilityRole="button"
+          >
+            {localLoading ? (
+              <ActivityIndicator color="white" size="small" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Verify and Turn On</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Two-Step Verification</Text>
+          <Text style={styles.sectionSubtitle}>
+            Protect your reservations and travel plans by requiring a code from an authenticator 
+            app whenever you sign in.
+          </Text>
+          
+          <TouchableOpacity 
+            style={styles.primaryButton}
+            onPress={handleStartSetup}
+            disabled={localLoading}
+            accessibilityLabel="Set up two-step verification"
+            accessibilityRole="button"
+          >
+            {localLoading ? (
+              <ActivityIndicator color="white" size="small" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Set Up</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 15,
+    borderRadius: 10,
+    padding: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  sectionSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  label: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 8,
+  },
+  secret: {
+    fontFamily: 'monospace',
+    fontSize: 16,
+    letterSpacing: 1,
+    backgroundColor: '#f1f1f1',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 10,
+  },
+  errorText: {
+    color: '#ff6b6b',
+    fontSize: 14,
+    marginBottom: 10,
+  },
+  codesContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+  backupCode: {
+    width: '48%',
+    fontFamily: 'monospace',
+    fontSize: 16,
+    textAlign: 'center',
+    backgroundColor: '#f1f1f1',
+    borderRadius: 6,
+    paddingVertical: 8,
+    marginBottom: 8,
+  },
+  primaryButton: {
+    backgroundColor: '#4a90e2',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 5,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#4a90e2',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  secondaryButtonText: {
+    color: '#4a90e2',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  dangerButton: {
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ff6b6b',
+    marginTop: 5,
+  },
+  dangerButtonText: {
+    color: '#ff6b6b',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default TwoFactorSetupScreen;
@@ -0,0 +1,212 @@
+import React, { useState, useContext, useEffect } from 'react';
+import { 
+  View, 
+  Text, 
+  StyleSheet, 
+  TextInput, 
+  TouchableOpacity, 
+  ActivityIndicator,
+  ScrollView
+} from 'react-native';
+import { AuthContext } from '../context/AuthContext';
+import { verifyEmail } from '../utils/apiService';
+
+const VerifyEmailScreen = ({ navigation, route }) => {
+  const { user, updateUser } = useContext(AuthContext);
+  // The token arrives as a route param when the screen is opened from the email link
+  const [token, setToken] = useState(route?.params?.token || '');
+  const [status, setStatus] = useState('idle'); // idle | verifying | verified | failed
+  const [message, setMessage] = useState('');
+
+  const handleVerify = async (tokenToVerify = token) => {
+    if (!tokenToVerify.trim()) {
+      setStatus('failed');
+      setMessage('Verification code is required');
+      return;
+    }
+    
+    setStatus('verifying');
+    const result = await verifyEmail(tokenToVerify.trim());
+    
+    if (result.success) {
+      setStatus('verified');
+      setMessage(result.message);
+      
+      // Keep the signed-in user's state in sync
+      if (user && result.user) {
+        updateUser({ emailVerified: true, emailVerifiedAt: result.user.emailVerifiedAt });
+      }
+    } else {
+      setStatus('failed');
+      setMessage(result.error || 'Verification link is invalid or has expired');
+    }
+  };
+
+  // Verify straight away when opened from the email link
+  useEffect(() => {
+    if (route?.params?.token) {
+      handleVerify(route.params.token);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [route?.params?.token]);
+
+  const handleContinue = () => {
+    navigation.navigate(user ? 'Home' : 'Login');
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollContainer}>
+      <View style={styles.formContainer}>
+        <Text style={styles.title}>Verify Email</Text>
+        
+        {status === 'verifying' && (
+          <View style={styles.statusContainer}>
+            <ActivityIndicator size="large" color="#4a90e2" />
+            <Text style={styles.subtitle}>Verifying your email address...</Text>
+          </View>
+        )}
+        
+        {status === 'verified' && (
+          <>
+            <Text style={styles.successText}>{message}</Text>
+            <TouchableOpacity 
+              style={styles.primaryButton}
+              onPress={handleContinue}
+              accessibilityLabel="Continue"
+              accessibilityHint={user ? 'Tap to return to the home screen' : 'Tap to sign in'}
+            >
+              <Text style={styles.primaryButtonText}>Continue</Text>
+            </TouchableOpacity>
+          </>
+        )}
+        
+        {(status === 'idle' || status === 'failed') && (
+          <>
+            <Text style={styles.subtitle}>
+              Enter the code from the verification email we sent you.
+            </Text>
+            
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Verification Code</Text>
+              <TextInput
+                style={[styles.input, status === 'failed' && styles.inputError]}
+                placeholder="Paste the code from your email"
+                value={token}
+                onChangeText={setToken}
+                autoCapitalize="none"
+                autoCorrect={false}
+                accessibilityLabel="Verification code input"
+                accessibilityHint="Enter the code from your verification email"
+              />
+              {status === 'failed' && <Text style={styles.errorText}>{message}</Text>}
+            </View>
+            
+            <TouchableOpacity 
+              style={styles.primaryButton}
+              onPress={() => handleVerify()}
+              accessibilityLabel="Verify Email button"
+              accessibilityHint="Tap to verify your email address"
+            >
+              <Text style={styles.primaryButtonText}>Verify Email</Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity 
+              style={styles.backLink}
+              onPress={handleContinue}
+              accessibilityLabel={user ? 'Back to Home' : 'Back to Sign In'}
+            >
+              <Text style={styles.backLinkText}>{user ? 'Back to Home' : 'Back to Sign In'}</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    backgroundColor: '#f8f9fa',
+  },
+  formContainer: {
+    padding: 20,
+    marginHorizontal: 20,
+    backgroundColor: 'white',
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#4a90e2',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginVertical: 20,
+  },
+  statusContainer: {
+    alignItems: 'center',
+    marginVertical: 20,
+  },
+  successText: {
+    fontSize: 16,
+    color: '#2e7d32',
+    textAlign: 'center',
+    marginVertical: 20,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    marginBottom: 8,
+    color: '#333',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  inputError: {
+    borderColor: '#ff6b6b',
+  },
+  errorText: {
+    color: '#ff6b6b',
+    fontSize: 14,
+    marginTop: 5,
+  },
+  primaryButton: {
+    backgroundColor: '#4a90e2',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  backLink: {
+    alignItems: 'center',
+  },
+  backLinkText: {
+    color: '#4a90e2',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default VerifyEmailScreen;
@@ -3,15 +3,153 @@
  * 
  * This utility provides functions for making API requests with JWT authentication.
  * It integrates with the tokenStorage utility to automatically include the JWT token
- * in requests and handle token expiration.
+ * in requests and handle token expiration. When a request fails with 401 the
+ * stored refresh token is exchanged for a new access token and the request is
+ * retried once.
+ *
+ * The web build uses a cookie session instead: the server keeps both tokens in
+ * httpOnly cookies that scripts cannot read, and state-changing requests echo
+ * the CSRF token in the `x-csrf-token` header.
  */
 
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { optimizedFetch, fetchWithRetry } from './apiOptimizer';
-import { getToken, removeToken, storeToken } from './tokenStorage';
+import {
+  getToken,
+  getRefreshToken,
+  getCsrfToken,
+  storeSession,
+  clearSession
+} from './tokenStorage';
 
 // Base URL for API requests
 const API_BASE_URL = 'http://localhost:3000/api';
 
+// Browsers can hold httpOnly cookies, so the web build never handles raw tokens
+const USE_COOKIE_SESSION = Platform.OS === 'web';
+
+// Methods that change state and therefore need a CSRF token in cookie sessions
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Random per-install ID the server uses to recognise sign-ins from new devices
+const DEVICE_ID_KEY = 'device_id';
+let deviceId = null;
+
+// Endpoints whose 401 responses must not trigger a token refresh
+const AUTH_ENDPOINTS = [
+  '/users/login',
+  '/users/login/2fa',
+  '/users/register',
+  '/users/logout',
+  '/users/token/refresh',
+  '/users/password/forgot',
+  '/users/password/reset',
+  '/users/email/verify',
+  '/auth/oauth/exchange'
+];
+
+// In-flight refresh request shared by concurrent callers, so a rotated
+// refresh token is never presented twice
+let refreshPromise = null;
+
+// Callbacks notified when the session can no longer be renewed
+const sessionExpiredListeners = new Set();
+
+/**
+ * Register a callback for when the session expires and cannot be refreshed
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Function that removes the listener
+ */
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+/**
+ * Clear stored tokens and notify session expiry listeners
+ * @returns {Promise<void>}
+ */
+const expireSession = async () => {
+  await clearSession();
+  sessionExpiredListeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Session expired listener failed:', error);
+    }
+  });
+};
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Concurrent calls share the same request.
+ * @returns {Promise<boolean>} True if a new access token was stored
+ */
+export const refreshSession = async () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      // Cookie sessions send the refresh token cookie automatically
+      const refreshToken = USE_COOKIE_SESSION ? null : await getRefreshToken();
+      const csrfToken = USE_COOKIE_SESSION ? await getCsrfToken() : null;
+      
+      if (!refreshToken && !csrfToken) {
+        return false;
+      }
+      
+      try {
+        const response = await fetch(`${API_BASE_URL}/users/token/refresh`, await addAuthHeaders({
+          method: 'POST',
+          body: JSON.stringify(refreshToken ? { refreshToken } : {})
+        }));
+        
+        if (!response.ok) {
+          // The refresh token was rejected, so the session is over
+          if (response.status === 400 || response.status === 401) {
+            await clearSession();
+          }
+          return false;
+        }
+        
+        const data = await response.json();
+        await storeSession(data);
+        return true;
+      } catch (error) {
+        // Network failure: keep the refresh token for the next attempt
+        console.error('Token refresh failed:', error);
+        return false;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  
+  return refreshPromise;
+};
+
+/**
+ * Get this install's device ID, creating it on first use
+ * @returns {Promise<string>} Device ID
+ */
+const getDeviceId = async () => {
+  if (deviceId) {
+    return deviceId;
+  }
+  
+  try {
+    deviceId = await AsyncStorage.getItem(DEVICE_ID_KEY);
+    
+    if (!deviceId) {
+      deviceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+      await AsyncStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+  } catch (error) {
+    console.warn('Unable to persist device ID:', error);
+  }
+  
+  return deviceId;
+};
+
 /**
  * Add authentication headers to request options
  * @param {Object} options - Request options
@@ -35,6 +173,25 @@ const addAuthHeaders = async (options = {}) => {
     options.headers['x-auth-token'] = token;
   }
   
+  // Identify the device so sign-ins from new devices can be detected
+  const currentDeviceId = await getDeviceId();
+  if (currentDeviceId) {
+    options.headers['x-device-id'] = currentDeviceId;
+  }
+  
+  // Cookie sessions: send the cookies and prove the request came from this app
+  if (USE_COOKIE_SESSION) {
+    options.credentials = 'include';
+    options.headers['x-session-mode'] = 'cookie';
+    
+    if (UNSAFE_METHODS.includes((options.method || 'GET').toUpperCase())) {
+      const csrfToken = await getCsrfToken();
+      if (csrfToken) {
+        options.headers['x-csrf-token'] = csrfToken;
+      }
+    }
+  }
+  
   return options;
 };
 
@@ -59,8 +216,8 @@ const handleResponse = async (response) => {
   
   // Handle authentication errors
   if (response.status === 401) {
-    // Token is invalid or expired, remove it
-    await removeToken();
+    // Token is invalid or expired and could not be refreshed, end the session
+    await expireSession();
     
     // Throw error with message from response if available
     throw new Error(
@@ -68,10 +225,51 @@ const handleResponse = async (response) => {
     );
   }
   
-  // Handle other errors
-  throw new Error(
+  // Handle other errors, keeping the status and machine-readable code for callers
+  const error = new Error(
     (isJson && data.message) || `Request failed with status ${response.status}`
   );
+  error.status = response.status;
+  error.code = isJson ? data.code : undefined;
+  throw error;
+};
+
+/**
+ * Send an authenticated request, refreshing the access token once on 401
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {Object} options - Fetch options including method and body
+ * @returns {Promise<Response>} The raw fetch response
+ */
+const sendRawRequest = async (endpoint, options = {}) => {
+  const url = `${API_BASE_URL}${endpoint}`;
+  
+  // Build headers per attempt so a refreshed token is picked up on retry
+  const send = async () => fetch(url, await addAuthHeaders({
+    ...options,
+    headers: { ...options.headers }
+  }));
+  
+  let response = await send();
+  
+  if (response.status === 401 && !AUTH_ENDPOINTS.includes(endpoint)) {
+    const refreshed = await refreshSession();
+    
+    if (refreshed) {
+      response = await send();
+    }
+  }
+  
+  return response;
+};
+
+/**
+ * Send an authenticated request and parse the response
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {Object} options - Fetch options including method and body
+ * @returns {Promise<Object>} Response data
+ */
+const sendRequest = async (endpoint, options = {}) => {
+  return handleResponse(await sendRawRequest(endpoint, options));
 };
 
 /**
@@ -81,16 +279,11 @@ const handleResponse = async (response) => {
  * @returns {Promise<Object>} Response data
  */
 export const get = async (endpoint, options = {}) => {
-  const url = `${API_BASE_URL}${endpoint}`;
-  const authOptions = await addAuthHeaders(options);
-  
   try {
-    const response = await fetch(url, {
+    return await sendRequest(endpoint, {
       method: 'GET',
-      ...authOptions
+      ...options
     });
-    
-    return await handleResponse(response);
   } catch (error) {
     console.error(`GET request to ${endpoint} failed:`, error);
     throw error;
@@ -105,17 +298,12 @@ export const get = async (endpoint, options = {}) => {
  * @returns {Promise<Object>} Response data
  */
 export const post = async (endpoint, data = {}, options = {}) => {
-  const url = `${API_BASE_URL}${endpoint}`;
-  const authOptions = await addAuthHeaders(options);
-  
   try {
-    const response = await fetch(url, {
+    return await sendRequest(endpoint, {
       method: 'POST',
       body: JSON.stringify(data),
-      ...authOptions
+      ...options
     });
-    
-    return await handleResponse(response);
   } catch (error) {
     console.error(`POST request to ${endpoint} failed:`, error);
     throw error;
@@ -130,17 +318,12 @@ export const post = async (endpoint, data = {}, options = {}) => {
  * @returns {Promise<Object>} Response data
  */
 export const put = async (endpoint, data = {}, options = {}) => {
-  const url = `${API_BASE_URL}${endpoint}`;
-  const authOptions = await addAuthHeaders(options);
-  
   try {
-    const response = await fetch(url, {
+    return await sendRequest(endpoint, {
       method: 'PUT',
       body: JSON.stringify(data),
-      ...authOptions
+      ...options
     });
-    
-    return await handleResponse(response);
   } catch (error) {
     console.error(`PUT request to ${endpoint} failed:`, error);
     throw error;
@@ -154,16 +337,11 @@ export const put = async (endpoint, data = {}, options = {}) => {
  * @returns {Promise<Object>} Response data
  */
 export const del = async (endpoint, options = {}) => {
-  const url = `${API_BASE_URL}${endpoint}`;
-  const authOptions = await addAuthHeaders(options);
-  
   try {
-    const response = await fetch(url, {
+    return await sendRequest(endpoint, {
       method: 'DELETE',
-      ...authOptions
+      ...options
     });
-    
-    return await handleResponse(response);
   } catch (error) {
     console.error(`DELETE request to ${endpoint} failed:`, error);
     throw error;
@@ -247,9 +425,19 @@ export const login = async (email, password) => {
   try {
     const response = await post('/users/login', { email, password });
     
-    if (response.success && response.token) {
-      // Store the token
-      await storeToken(response.token);
+    // Accounts with two-factor enabled must complete a second step
+    if (response.success && response.twoFactorRequired) {
+      return {
+        success: false,
+        twoFactorRequired: true,
+        challengeToken: response.challengeToken
+      };
+    }
+    
+    // Header sessions receive the tokens, cookie sessions only a CSRF token
+    if (response.success && (response.token || response.csrfToken)) {
+      // Store the access token and refresh token
+      await storeSession(response);
       return {
         success: true,
         user: response.data
@@ -268,6 +456,65 @@ export const login = async (email, password) => {
   }
 };
 
+/**
+ * Complete a two-factor login with an authenticator or backup code
+ * @param {string} challengeToken - Challenge returned by the password step
+ * @param {string} code - Authenticator code or backup code
+ * @returns {Promise<Object>} User data and success status
+ */
+export const verifyTwoFactorLogin = async (challengeToken, code) => {
+  try {
+    const response = await post('/users/login/2fa', { challengeToken, code });
+    
+    if (response.success && (response.token || response.csrfToken)) {
+      await storeSession(response);
+      return {
+        success: true,
+        user: response.data
+      };
+    }
+    
+    return {
+      success: false,
+      error: response.message || 'Verification failed'
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * @returns {Promise<Object>} Secret and otpauth:// provisioning URI
+ */
+export const setupTwoFactor = async () => {
+  const response = await post('/users/2fa/setup');
+  return response.data;
+};
+
+/**
+ * Confirm two-factor enrollment with a code from the authenticator app
+ * @param {string} code - Authenticator code
+ * @returns {Promise<Object>} Backup codes to show the user once
+ */
+export const enableTwoFactor = async (code) => {
+  const response = await post('/users/2fa/enable', { code });
+  return response.data;
+};
+
+/**
+ * Turn off two-factor authentication
+ * @param {string} password - Account password
+ * @param {string} code - Authenticator code or backup code
+ * @returns {Promise<Object>} Response data
+ */
+export const disableTwoFactor = async (password, code) => {
+  return post('/users/2fa/disable', { password, code });
+};
+
 /**
  * Register a new user
  * @param {string} name - User name
@@ -280,8 +527,8 @@ export const register = async (name, email, password) => {
     const response = await post('/users/register', { name, email, password });
     
     if (response.success && response.token) {
-      // Store the token
-      await storeToken(response.token);
+      // Store the access token and refresh token
+      await storeSession(response);
       return {
         success: true,
         user: response.data
@@ -301,13 +548,578 @@ export const register = async (name, email, password) => {
 };
 
 /**
- * Logout user and remove JWT token
+ * Request a password reset email
+ * @param {string} email - Account email address
+ * @returns {Promise<Object>} Success status and message
+ */
+export const requestPasswordReset = async (email) => {
+  try {
+    const response = await post('/users/password/forgot', { email });
+    return {
+      success: true,
+      message: response.message
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Set a new password using the token from a password reset email
+ * @param {string} token - Reset token from the email link
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Success status and message
+ */
+export const resetPassword = async (token, password) => {
+  try {
+    const response = await post('/users/password/reset', { token, password });
+    return {
+      success: true,
+      message: response.message
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Verify an email address using the token from a verification email
+ * @param {string} token - Verification token from the email link
+ * @returns {Promise<Object>} Success status, message and updated user
+ */
+export const verifyEmail = async (token) => {
+  try {
+    const response = await post('/users/email/verify', { token });
+    return {
+      success: true,
+      message: response.message,
+      user: response.data
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Ask the server to send another verification email to the signed-in user
+ * @returns {Promise<Object>} Success status and message
+ */
+export const resendVerificationEmail = async () => {
+  try {
+    const response = await post('/users/email/verify/resend');
+    return {
+      success: true,
+      message: response.message
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Get the signed-in user
+ * @returns {Promise<Object>} User data
+ */
+export const getCurrentUser = async () => {
+  const response = await get('/users/me');
+  return response.data;
+};
+
+/**
+ * Get recent sign-ins to the user's account
+ * @param {Object} filters - Optional filters
+ * @param {boolean} filters.newDevice - Only sign-ins from new devices
+ * @param {boolean} filters.unacknowledged - Only alerts that have not been seen
+ * @returns {Promise<Array>} Login events, each with a `currentDevice` flag
+ */
+export const getLoginActivity = async ({ newDevice = false, unacknowledged = false } = {}) => {
+  const params = [];
+  if (newDevice) params.push('newDevice=true');
+  if (unacknowledged) params.push('unacknowledged=true');
+  
+  const query = params.length > 0 ? `?${params.join('&')}` : '';
+  const response = await get(`/users/login-activity${query}`);
+  return response.data;
+};
+
+/**
+ * Mark new-device sign-in alerts as seen
+ * @param {Array<string>} eventIds - Login event IDs to acknowledge
+ * @returns {Promise<Object>} Response data
+ */
+export const acknowledgeLoginActivity = async (eventIds) => {
+  return post('/users/login-activity/acknowledge', { eventIds });
+};
+
+/**
+ * List the devices the user is signed in on
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Sessions, with the current device marked `current`
+ */
+export const getSessions = async (userId) => {
+  const response = await get(`/users/${userId}/sessions`);
+  return response.data;
+};
+
+/**
+ * Sign one device out
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session to revoke
+ * @returns {Promise<Object>} Response data
+ */
+export const revokeSession = async (userId, sessionId) => {
+  return del(`/users/${userId}/sessions/${sessionId}`);
+};
+
+/**
+ * Sign out of every device
+ * @param {string} userId - User ID
+ * @param {boolean} keepCurrent - Keep this device signed in
+ * @returns {Promise<Object>} Response data
+ */
+export const signOutEverywhere = async (userId, keepCurrent = false) => {
+  return del(`/users/${userId}/sessions${keepCurrent ? '?keepCurrent=true' : ''}`);
+};
+
+/**
+ * Get one page of the user's itineraries
+ * @param {Object} params - Optional filters: `date`, `from`, `to`, `location`,
+ *   `category`, `minCost`, `maxCost`, `template` (true to list templates), plus `sort`, `limit` and `cursor`
+ * @returns {Promise<Object>} `{ data, total, pagination }`; pass `pagination.nextCursor` as `cursor` for the next page
+ */
+export const getItineraries = async (params = {}) => {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  
+  const response = await get(`/itineraries${query ? `?${query}` : ''}`);
+  return {
+    data: response.data,
+    total: response.total,
+    pagination: response.pagination
+  };
+};
+
+/**
+ * Get one page of the user's itinerary templates
+ * @param {Object} params - The same filters and paging options as `getItineraries`
+ * @returns {Promise<Object>} `{ data, total, pagination }`
+ */
+export const getItineraryTemplates = async (params = {}) => {
+  return getItineraries({ ...params, template: true });
+};
+
+/**
+ * Get an itinerary's costs by day and by category, checked against its budget
+ * @param {string} id - Itinerary ID
+ * @param {string} [currency] - Currency to report in; defaults to the user's home currency
+ * @returns {Promise<Object>} `{ currency, budget, dailyLimit, tripLimit, totalCost, remaining, byCategory, byDay, warnings }`
+ */
+export const getItineraryBudget = async (id, currency) => {
+  const response = await get(`/itineraries/${id}/budget${currency ? `?currency=${encodeURIComponent(currency)}` : ''}`);
+  return response.data;
+};
+
+/**
+ * Get the exchange-rate table the server converts costs with
+ * @returns {Promise<Object>} `{ base, date, rates }`
+ */
+export const getExchangeRates = async () => {
+  const response = await get('/exchange-rates');
+  return response.data;
+};
+
+/**
+ * Save a copy of an itinerary as a template, without its reservations
+ * @param {string} id - Itinerary ID
+ * @param {string} [title] - Title for the template; defaults to the itinerary's
+ * @returns {Promise<Object>} The new template
+ */
+export const saveItineraryAsTemplate = async (id, title) => {
+  const response = await post(`/itineraries/${id}/template`, title ? { title } : {});
+  return response.data;
+};
+
+/**
+ * Copy an itinerary or template as a new trip
+ * @param {string} id - Itinerary or template ID
+ * @param {Object} options - `startDate` (YYYY-MM-DD), plus an optional new `location` and `title`
+ * @returns {Promise<Object>} The new itinerary, with every day moved to the new dates
+ */
+export const cloneItinerary = async (id, { startDate, location, title }) => {
+  const response = await post(`/itineraries/${id}/clone`, { startDate, location, title });
+  return response.data;
+};
+
+/**
+ * Reorder the flexible activities of each day to shorten the route between them.
+ * Activities with a reservation, a fixed time or no map location stay in place.
+ * @param {string} id - Itinerary ID
+ * @param {Object} [options] - `dryRun` to preview the new order without saving it,
+ *   and `dayIds` to optimize only some days
+ * @returns {Promise<Object>} `{ applied, distanceBefore, distanceAfter, days }`, with distances in km
+ */
+export const optimizeItineraryRoute = async (id, { dryRun = false, dayIds } = {}) => {
+  const response = await post(`/itineraries/${id}/optimize-route`, dayIds ? { dryRun, dayIds } : { dryRun });
+  return response.data;
+};
+
+/**
+ * Get one itinerary by ID
+ * @param {string} id - Itinerary ID
+ * @returns {Promise<Object>} The itinerary
+ */
+export const getItinerary = async (id) => {
+  const response = await get(`/itineraries/${id}`);
+  return response.data;
+};
+
+/**
+ * Get an itinerary with the problems found in its schedule
+ * @param {string} id - Itinerary ID
+ * @returns {Promise<Object>} `{ itinerary, scheduleWarnings }`; each warning has a `code`,
+ *   a `message` and the `activityId` to highlight
+ */
+export const getItineraryWithWarnings = async (id) => {
+  const response = await get(`/itineraries/${id}`);
+  return { itinerary: response.data, scheduleWarnings: response.scheduleWarnings || [] };
+};
+
+/**
+ * Get an itinerary only if it changed, for use with
+ * `offlineCache.getItineraryWithOfflineSupport`
+ * @param {string} id - Itinerary ID
+ * @param {Object} headers - Conditional headers, e.g. `If-None-Match` with a cached ETag
+ * @returns {Promise<Object>} `{ status, data, headers: { etag } }`; `data` is null on 304
+ */
+export const getItineraryIfChanged = async (id, headers = {}) => {
+  const response = await sendRawRequest(`/itineraries/${id}`, { method: 'GET', headers });
+  const etag = response.headers.get('etag');
+  
+  if (response.status === 304) {
+    return { status: 304, data: null, headers: { etag } };
+  }
+  
+  const body = await handleResponse(response);
+  return { status: response.status, data: body.data, headers: { etag } };
+};
+
+/**
+ * Update an itinerary
+ * @param {string} id - Itinerary ID
+ * @param {Object} changes - Fields to change
+ * @param {Object} options - Pass `etag` to only update the version that was loaded
+ * @returns {Promise<Object>} `{ data, etag }` with the updated itinerary
+ * @throws {Error} With `status` 412 and `code` 'ITINERARY_CHANGED' if someone else changed it first
+ */
+export const updateItinerary = async (id, changes, { etag } = {}) => {
+  const response = await sendRawRequest(`/itineraries/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(changes),
+    headers: etag ? { 'If-Match': etag } : {}
+  });
+  const body = await handleResponse(response);
+  return { data: body.data, etag: response.headers.get('etag') };
+};
+
+/**
+ * Get what changed in an itinerary since a version, for use with
+ * `offlineCache.syncItineraryChanges`
+ * @param {string} id - Itinerary ID
+ * @param {number} sinceVersion - Version of the copy the app already has
+ * @returns {Promise<Object>} `{ full, version, patch }`, or `{ full: true, version, itinerary }`
+ *   if the changes are no longer available, plus the new `etag`
+ */
+export const getItineraryChanges = async (id, sinceVersion) => {
+  const response = await sendRawRequest(`/itineraries/${id}/changes?sinceVersion=${sinceVersion}`, { method: 'GET' });
+  const body = await handleResponse(response);
+  return { ...body.data, etag: response.headers.get('etag') };
+};
+
+/**
+ * Change an itinerary with a JSON Patch, e.g. edits made while offline
+ * @param {string} id - Itinerary ID
+ * @param {Array<Object>} operations - JSON Patch operations on the itinerary content
+ * @param {Object} options - Pass `etag` to only patch the version that was loaded
+ * @returns {Promise<Object>} `{ data, etag }` with the patched itinerary
+ * @throws {Error} With `status` 409 and `code` 'PATCH_TEST_FAILED' if a `test` operation fails
+ */
+export const patchItinerary = async (id, operations, { etag } = {}) => {
+  const response = await sendRawRequest(`/itineraries/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(operations),
+    headers: {
+      'Content-Type': 'application/json-patch+json',
+      ...(etag ? { 'If-Match': etag } : {})
+    }
+  });
+  const body = await handleResponse(response);
+  return { data: body.data, etag: response.headers.get('etag') };
+};
+
+/**
+ * Delete an itinerary
+ * @param {string} id - Itinerary ID
+ * @param {Object} options - Pass `etag` to only delete the version that was loaded
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} With `status` 412 and `code` 'ITINERARY_CHANGED' if someone else changed it first
+ */
+export const deleteItinerary = async (id, { etag } = {}) => {
+  return del(`/itineraries/${id}`, { headers: etag ? { 'If-Match': etag } : {} });
+};
+
+/**
+ * Search the user's itineraries and their activities
+ * @param {string} q - Words to search for
+ * @param {number} [limit] - Maximum number of results (1 to 50)
+ * @returns {Promise<Array<Object>>} Results, best match first, each with
+ *   `itinerary`, `score` and `matches` ({ field, text, ranges, dayIndex, activityIndex, activityId })
+ */
+export const searchItineraries = async (q, limit) => {
+  const response = await get(`/itineraries/search?q=${encodeURIComponent(q)}${limit ? `&limit=${limit}` : ''}`);
+  return response.data;
+};
+
+/**
+ * Add an activity to a day of an itinerary
+ * @param {string} itineraryId - Itinerary ID
+ * @param {string} dayId - Day ID
+ * @param {Object} activity - Activity fields, plus an optional `position` in the day
+ * @returns {Promise<Object>} `{ data, totalCost }` with the new activity
+ */
+export const addActivity = async (itineraryId, dayId, activity) => {
+  const response = await post(`/itineraries/${itineraryId}/days/${dayId}/activities`, activity);
+  return { data: response.data, totalCost: response.totalCost };
+};
+
+/**
+ * Update some fields of an activity
+ * @param {string} itineraryId - Itinerary ID
+ * @param {string} dayId - Day ID
+ * @param {string} activityId - Activity ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} `{ data, totalCost }` with the updated activity
+ */
+export const updateActivity = async (itineraryId, dayId, activityId, changes) => {
+  const response = await put(`/itineraries/${itineraryId}/days/${dayId}/activities/${activityId}`, changes);
+  return { data: response.data, totalCost: response.totalCost };
+};
+
+/**
+ * Move an activity to another day or position
+ * @param {string} itineraryId - Itinerary ID
+ * @param {string} dayId - Day the activity is on
+ * @param {string} activityId - Activity ID
+ * @param {Object} target - `{ toDayId, position }`; both optional
+ * @returns {Promise<Object>} `{ dayId, position, activity }`
+ */
+export const moveActivity = async (itineraryId, dayId, activityId, target) => {
+  const response = await post(`/itineraries/${itineraryId}/days/${dayId}/activities/${activityId}/move`, target);
+  return response.data;
+};
+
+/**
+ * Delete an activity
+ * @param {string} itineraryId - Itinerary ID
+ * @param {string} dayId - Day ID
+ * @param {string} activityId - Activity ID
+ * @returns {Promise<number>} The itinerary's new total cost
+ */
+export const deleteActivity = async (itineraryId, dayId, activityId) => {
+  const response = await del(`/itineraries/${itineraryId}/days/${dayId}/activities/${activityId}`);
+  return response.totalCost;
+};
+
+/**
+ * List the saved versions of an itinerary, newest first
+ * @param {string} itineraryId - Itinerary ID
+ * @returns {Promise<Object>} `{ currentVersion, data }`
+ */
+export const getItineraryVersions = async (itineraryId) => {
+  const response = await get(`/itineraries/${itineraryId}/versions`);
+  return { currentVersion: response.currentVersion, data: response.data };
+};
+
+/**
+ * Get one version of an itinerary with the changes made in it
+ * @param {string} itineraryId - Itinerary ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} The version with its `snapshot` and `changes`
+ */
+export const getItineraryVersion = async (itineraryId, version) => {
+  const response = await get(`/itineraries/${itineraryId}/versions/${version}`);
+  return response.data;
+};
+
+/**
+ * Restore an earlier version of an itinerary
+ * @param {string} itineraryId - Itinerary ID
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object>} The restored itinerary
+ */
+export const revertItinerary = async (itineraryId, version) => {
+  const response = await post(`/itineraries/${itineraryId}/versions/${version}/revert`);
+  return response.data;
+};
+
+/**
+ * Find a verified user by email address to invite as a collaborator
+ * @param {string} email - Email address to look up
+ * @returns {Promise<Object>} Response containing the user
+ * @throws {Error} With `code` 'EMAIL_NOT_VERIFIED' if the caller is unverified
+ */
+export const findUserByEmail = async (email) => {
+  return get(`/users/lookup?email=${encodeURIComponent(email)}`);
+};
+
+/**
+ * Download a copy of everything the server stores about a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Export archive
+ */
+export const exportUserData = async (userId) => {
+  const response = await get(`/users/${userId}/export`);
+  return response.data;
+};
+
+/**
+ * Permanently delete the user's account and data, then remove the local session
+ * @param {string} userId - User ID
+ * @param {string} password - Account password, to confirm the deletion
+ * @returns {Promise<Object>} Success status
+ */
+export const deleteAccount = async (userId, password) => {
+  try {
+    await del(`/users/${userId}`, {
+      body: JSON.stringify({ password })
+    });
+    
+    // The server has already revoked the tokens
+    await clearSession();
+    return {
+      success: true
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Get the social sign-in providers enabled on the server
+ * @returns {Promise<Array>} Providers as `{ name, displayName }`
+ */
+export const getOAuthProviders = async () => {
+  const response = await get('/auth/oauth/providers');
+  return response.data;
+};
+
+/**
+ * Get the app URL the server sends social sign-in results to
+ * @returns {string} Redirect URI handled by the OAuthCallback screen
+ */
+export const getOAuthRedirectUri = () => (
+  Platform.OS === 'web' ? `${window.location.origin}/oauth` : 'personalizedadventure://oauth'
+);
+
+/**
+ * Build the URL that starts a social sign-in in the browser
+ * @param {string} provider - Provider name
+ * @returns {string} Sign-in URL
+ */
+export const getOAuthSignInUrl = (provider) => (
+  `${API_BASE_URL}/auth/oauth/${provider}/start?redirectUri=${encodeURIComponent(getOAuthRedirectUri())}`
+);
+
+/**
+ * Exchange the single-use code from a social sign-in redirect for a session
+ * @param {string} code - Code from the redirect
+ * @returns {Promise<Object>} User data and success status
+ */
+export const exchangeOAuthCode = async (code) => {
+  try {
+    const response = await post('/auth/oauth/exchange', { code });
+    
+    // Accounts with two-factor enabled must complete a second step
+    if (response.success && response.twoFactorRequired) {
+      return {
+        success: false,
+        twoFactorRequired: true,
+        challengeToken: response.challengeToken
+      };
+    }
+    
+    if (response.success && (response.token || response.csrfToken)) {
+      await storeSession(response);
+      return {
+        success: true,
+        user: response.data
+      };
+    }
+    
+    return {
+      success: false,
+      error: response.message || 'Sign-in failed'
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Get the URL that links a social sign-in provider to the signed-in account
+ * @param {string} provider - Provider name
+ * @returns {Promise<string>} URL to open in the browser
+ */
+export const linkOAuthProvider = async (provider) => {
+  const response = await post(`/auth/oauth/${provider}/link`, { redirectUri: getOAuthRedirectUri() });
+  return response.data.authorizationUrl;
+};
+
+/**
+ * Unlink a social sign-in provider from the signed-in account
+ * @param {string} provider - Provider name
+ * @returns {Promise<Array>} Remaining linked identities
+ */
+export const unlinkOAuthProvider = async (provider) => {
+  const response = await del(`/auth/oauth/identities/${provider}`);
+  return response.data;
+};
+
+/**
+ * Logout user, revoke the tokens on the server and remove them locally
  * @returns {Promise<Object>} Success status
  */
 export const logout = async () => {
   try {
-    // Remove the token
-    await removeToken();
+    // Ask the server to revoke the tokens; local logout proceeds even if this fails
+    try {
+      const refreshToken = USE_COOKIE_SESSION ? null : await getRefreshToken();
+      await post('/users/logout', refreshToken ? { refreshToken } : {});
+    } catch (error) {
+      console.warn('Server-side logout failed:', error);
+    }
+    
+    // Remove the tokens
+    await clearSession();
     return {
       success: true
     };
@@ -326,7 +1138,54 @@ export default {
   del,
   optimizedGet,
   fetchWithRetryAuth,
+  refreshSession,
+  onSessionExpired,
   login,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
   register,
-  logout
+  logout,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getCurrentUser,
+  getLoginActivity,
+  acknowledgeLoginActivity,
+  getSessions,
+  revokeSession,
+  signOutEverywhere,
+  getItineraries,
+  getItinerary,
+  getItineraryWithWarnings,
+  getItineraryBudget,
+  getExchangeRates,
+  getItineraryTemplates,
+  saveItineraryAsTemplate,
+  cloneItinerary,
+  optimizeItineraryRoute,
+  getItineraryIfChanged,
+  updateItinerary,
+  getItineraryChanges,
+  patchItinerary,
+  deleteItinerary,
+  searchItineraries,
+  addActivity,
+  updateActivity,
+  moveActivity,
+  deleteActivity,
+  getItineraryVersions,
+  getItineraryVersion,
+  revertItinerary,
+  findUserByEmail,
+  exportUserData,
+  deleteAccount,
+  getOAuthProviders,
+  getOAuthRedirectUri,
+  getOAuthSignInUrl,
+  exchangeOAuthCode,
+  linkOAuthProvider,
+  unlinkOAuthProvider
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Currency Utility
+ *
+ * Formats money and converts it between currencies with the server's
+ * exchange-rate table. The table is kept in AsyncStorage, so costs can still
+ * be converted while offline.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getExchangeRates } from './apiService';
+
+// Constants for storage keys
+const EXCHANGE_RATES_KEY = 'exchange_rates';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Format an amount of money, e.g. "€12.50"
+ * @param {number} amount - Amount of money
+ * @param {string} [currency] - ISO 4217 currency code
+ * @returns {string} Formatted amount
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount || 0);
+  } catch (error) {
+    // Intl is missing on some older JS engines
+    return `${(amount || 0).toFixed(2)} ${currency}`;
+  }
+};
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Currency to convert into
+ * @param {Object} table - Rate table from `getExchangeRateTable`
+ * @returns {number|null} Amount in `to` rounded to cents, or null if a currency is not in the table
+ */
+export const convertAmount = (amount, from, to, table) => {
+  if (from === to) {
+    return amount;
+  }
+
+  const fromRate = table?.rates?.[from];
+  const toRate = table?.rates?.[to];
+
+  if (!fromRate || !toRate) {
+    return null;
+  }
+
+  return Math.round((amount / fromRate) * toRate * 100) / 100;
+};
+
+/**
+ * Get the exchange-rate table, refreshing the stored copy when online
+ * @returns {Promise<Object|null>} `{ base, date, rates }`, or null if it has never been downloaded
+ */
+export const getExchangeRateTable = async () => {
+  try {
+    const table = await getExchangeRates();
+    await AsyncStorage.setItem(EXCHANGE_RATES_KEY, JSON.stringify(table));
+    return table;
+  } catch (error) {
+    console.log('Using stored exchange rates:', error.message);
+  }
+
+  try {
+    const stored = await AsyncStorage.getItem(EXCHANGE_RATES_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error reading stored exchange rates:', error);
+    return null;
+  }
+};
+
+export default {
+  DEFAULT_CURRENCY,
+  formatMoney,
+  convertAmount,
+  getExchangeRateTable
+};
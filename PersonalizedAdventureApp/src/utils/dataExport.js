@@ -0,0 +1,70 @@
+/**
+ * Data Export Utility
+ *
+ * Saves the personal data archive returned by the server so the user can keep
+ * a copy. Feedback answers only live on the device, so they are added to the
+ * archive here before it is saved.
+ */
+
+import { Platform, Share } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+
+/**
+ * Build the file name for an export archive
+ *
+ * @param {Object} archive - Export archive from the server
+ * @returns {string} File name such as `personalized-adventure-export-2026-10-19.json`
+ */
+const getFileName = (archive) => {
+  const date = (archive.exportedAt || new Date().toISOString()).slice(0, 10);
+  return `personalized-adventure-export-${date}.json`;
+};
+
+/**
+ * Save the export archive, adding the feedback stored on this device
+ *
+ * On the web the file is downloaded by the browser. On iOS and Android it is
+ * written to the app's document directory and offered to the share sheet.
+ *
+ * @param {Object} archive - Export archive from the server
+ * @param {Object} surveyData - Local survey data containing feedback responses
+ * @returns {Promise<string>} Where the file was saved (file name on the web, URI on devices)
+ */
+export const saveDataExport = async (archive, surveyData = {}) => {
+  const fileName = getFileName(archive);
+  const contents = JSON.stringify({
+    ...archive,
+    feedback: Object.values(surveyData.responses || {})
+  }, null, 2);
+
+  if (Platform.OS === 'web') {
+    const blob = new Blob([contents], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+    return fileName;
+  }
+
+  const fileUri = `${FileSystem.documentDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, contents);
+
+  try {
+    // Android's share sheet only accepts text, so the file is shared on iOS only
+    await Share.share(
+      Platform.OS === 'ios'
+        ? { url: fileUri, title: fileName }
+        : { message: contents, title: fileName }
+    );
+  } catch (error) {
+    console.warn('Unable to open the share sheet for the data export:', error);
+  }
+
+  return fileUri;
+};
+
+export default {
+  saveDataExport
+};
@@ -71,6 +71,8 @@ const enTranslations = {
     newEvent: 'New Event',
     reservationUpdate: 'Reservation Update',
     justNow: 'Just now',
+    searchTrips: 'Search your trips',
+    searchTripsHint: 'Find places and activities from any of your itineraries',
   },
   itinerary: {
     title: 'Your Itinerary',
@@ -243,6 +245,8 @@ const esTranslations = {
     newEvent: 'Nuevo evento',
     reservationUpdate: 'Actualización de reserva',
     justNow: 'Ahora mismo',
+    searchTrips: 'Busca en tus viajes',
+    searchTripsHint: 'Encuentra lugares y actividades de cualquiera de tus itinerarios',
   },
   itinerary: {
     title: 'Tu itinerario',
@@ -1,6 +1,7 @@
 import * as Notifications from 'expo-notifications';
 import * as Permissions from 'expo-permissions';
 import { Platform } from 'react-native';
+import { formatTimeInZone, getHomeTime } from './timeZones';
 
 /**
  * Configure notification behavior
@@ -169,4 +170,47 @@ export const sendWelcomeNotification = async () => {
     data: { screen: 'Home' },
     triggerTime: 5 // Send after 5 seconds
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Alert the user that their account was used to sign in on another device
+ * @param {Object} event - Login event from the server
+ * @param {string} event.userAgent - Browser or app that signed in
+ * @param {string} event.ip - IP address of the sign-in
+ * @param {string} event.createdAt - When the sign-in happened
+ * @returns {Promise<string>} Notification identifier
+ */
+export const sendNewDeviceLoginNotification = async (event) => {
+  const time = new Date(event.createdAt).toLocaleString();
+  
+  return scheduleNotification({
+    title: 'New sign-in to your account',
+    message: `Your account was used on a new device (${event.ip || 'unknown location'}) at ${time}. If this wasn't you, reset your password.`,
+    data: { screen: 'Profile', loginEventId: event._id }
+  });
+};
+
+/**
+ * Remind the user shortly before an activity starts. The reminder fires at the
+ * right moment wherever the device is, and gives the time at the destination
+ * as well as the device's time when they differ.
+ * @param {Object} activity - Activity with `title`, `startsAt` (UTC) and its day's `timeZone`
+ * @param {number} [minutesBefore=30] - How long before the start to remind
+ * @returns {Promise<string|null>} Notification identifier, or null if the activity has started
+ */
+export const scheduleActivityReminder = async (activity, minutesBefore = 30) => {
+  const triggerTime = new Date(new Date(activity.startsAt).getTime() - minutesBefore * 60 * 1000);
+  if (!activity.startsAt || triggerTime <= new Date()) {
+    return null;
+  }
+
+  const localTime = formatTimeInZone(activity.startsAt, activity.timeZone);
+  const homeTime = getHomeTime(activity);
+
+  return scheduleNotification({
+    title: `Coming up: ${activity.title}`,
+    message: `Starts at ${localTime} local time${homeTime ? ` (${homeTime} your time)` : ''}${activity.location ? ` at ${activity.location}` : ''}.`,
+    data: { screen: 'Itinerary', activityId: activity.id },
+    triggerTime
+  });
+};
@@ -359,7 +359,9 @@ export const isOnline = async () => {
  * or the device is offline.
  * 
  * @param {string} itineraryId - ID of the itinerary to retrieve
- * @param {Function} fetchFunction - Function to fetch the itinerary from the API
+ * @param {Function} fetchFunction - Function to fetch the itinerary from the API, called with
+ *   the ID and conditional headers and resolving to `{ status, data, headers: { etag } }`,
+ *   such as `apiService.getItineraryIfChanged`
  * @param {Object} options - Options for fetching
  * @param {boolean} options.forceRefresh - Whether to force a refresh from the API
  * @returns {Promise<Object|null>} Itinerary data or null if not available
@@ -600,6 +602,84 @@ export const updateCachedItineraryPart = async (itineraryId, path, value) => {
   }
 };
 
+/**
+ * Apply the add, remove and replace operations of a JSON Patch from the server
+ *
+ * @param {Object} data - Cached itinerary data
+ * @param {Object[]} patch - JSON Patch operations
+ * @returns {Object} Patched copy of the data
+ */
+const applyServerPatch = (data, patch) => {
+  const patchedData = JSON.parse(JSON.stringify(data));
+
+  patch.forEach(({ op, path, value }) => {
+    const keys = path
+      .slice(1)
+      .split('/')
+      .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const lastKey = keys.pop();
+    const parent = keys.reduce((target, key) => target[key], patchedData);
+
+    if (Array.isArray(parent)) {
+      const index = lastKey === '-' ? parent.length : parseInt(lastKey, 10);
+      if (op === 'add') {
+        parent.splice(index, 0, value);
+      } else if (op === 'remove') {
+        parent.splice(index, 1);
+      } else {
+        parent[index] = value;
+      }
+    } else if (op === 'remove') {
+      delete parent[lastKey];
+    } else {
+      parent[lastKey] = value;
+    }
+  });
+
+  return patchedData;
+};
+
+/**
+ * Bring a cached itinerary up to date by downloading only what changed
+ *
+ * Uses the itinerary's `version` in the cached copy to ask the server for the
+ * changes since then. If the server no longer has that version it sends the
+ * whole itinerary, which replaces the cached copy.
+ *
+ * @param {string} itineraryId - ID of the itinerary to sync
+ * @param {Function} fetchChanges - Function that gets the changes, e.g.
+ *   `apiService.getItineraryChanges`; called with the ID and the cached version
+ * @returns {Promise<Object|null>} The synced itinerary, the cached copy if syncing
+ *   failed, or null if nothing is cached
+ */
+export const syncItineraryChanges = async (itineraryId, fetchChanges) => {
+  const cachedData = await getCachedItinerary(itineraryId);
+
+  // Without a cached copy and its version there is nothing to patch
+  if (!cachedData || typeof cachedData.version !== 'number') {
+    return cachedData;
+  }
+
+  try {
+    const changes = await fetchChanges(itineraryId, cachedData.version);
+
+    if (!changes.full && changes.patch.length === 0) {
+      // Already up to date
+      await updateCacheMetadata(itineraryId, { timestamp: Date.now() });
+      return cachedData;
+    }
+
+    const syncedData = changes.full ? changes.itinerary : applyServerPatch(cachedData, changes.patch);
+    await cacheItinerary(itineraryId, syncedData, { isComplete: true, etag: changes.etag });
+
+    console.log(`Itinerary ${itineraryId} synced to version ${changes.version}`);
+    return syncedData;
+  } catch (error) {
+    console.error(`Error syncing itinerary ${itineraryId}:`, error);
+    return cachedData;
+  }
+};
+
 /**
  * Get all cached itineraries
  * 
@@ -730,6 +810,7 @@ export default {
   getItineraryWithOfflineSupport,
   getAllCachedItineraries,
   updateCachedItineraryPart,
+  syncItineraryChanges,
   needsRevalidation,
   cleanupOldCaches,
   getCachedETag,
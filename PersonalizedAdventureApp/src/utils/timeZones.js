@@ -0,0 +1,64 @@
+/**
+ * Time Zone Utility
+ *
+ * Shows itinerary times in the destination's time zone ("local") and in the
+ * device's time zone ("home"). The server sends each activity's `startsAt` as
+ * a UTC instant, so it can be shown in either zone.
+ */
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+/**
+ * Get the time zone the device is set to
+ * @returns {string} IANA time zone, e.g. "America/Chicago"
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+  } catch (error) {
+    return DEFAULT_TIME_ZONE;
+  }
+};
+
+/**
+ * Format the time of day of an instant in a time zone, e.g. "08:00"
+ * @param {string|Date} instant - Instant, such as an activity's `startsAt`
+ * @param {string} timeZone - IANA time zone
+ * @returns {string|null} Time as HH:MM, or null if it cannot be formatted
+ */
+export const formatTimeInZone = (instant, timeZone) => {
+  if (!instant) {
+    return null;
+  }
+
+  try {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(new Date(instant));
+  } catch (error) {
+    // Intl without time zone data on some older JS engines
+    return null;
+  }
+};
+
+/**
+ * Get the home time of an activity when the device is in another time zone
+ * @param {Object} activity - Activity with `startsAt` and its day's `timeZone`
+ * @param {string} [homeTimeZone] - Time zone to compare with; defaults to the device's
+ * @returns {string|null} Home time as HH:MM, or null if it is the same as the local time
+ */
+export const getHomeTime = (activity, homeTimeZone = getDeviceTimeZone()) => {
+  const localTime = formatTimeInZone(activity.startsAt, activity.timeZone);
+  const homeTime = formatTimeInZone(activity.startsAt, homeTimeZone);
+  return homeTime && homeTime !== localTime ? homeTime : null;
+};
+
+export default {
+  DEFAULT_TIME_ZONE,
+  getDeviceTimeZone,
+  formatTimeInZone,
+  getHomeTime
+};
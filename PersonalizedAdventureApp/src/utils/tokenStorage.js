@@ -2,7 +2,9 @@
  * Token Storage Utility
  * 
  * This utility provides functions for securely storing and retrieving
- * JWT tokens using Expo SecureStore with AsyncStorage fallback.
+ * JWT access tokens and refresh tokens using Expo SecureStore with
+ * AsyncStorage fallback. Cookie sessions (the web build) keep both tokens in
+ * httpOnly cookies, so only their CSRF token is stored here.
  */
 
 import * as SecureStore from 'expo-secure-store';
@@ -11,6 +13,8 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 // Constants for storage keys
 const TOKEN_KEY = 'auth_token';
 const TOKEN_EXPIRY_KEY = 'auth_token_expiry';
+const REFRESH_TOKEN_KEY = 'auth_refresh_token';
+const CSRF_TOKEN_KEY = 'auth_csrf_token';
 
 /**
  * Check if SecureStore is available on the device
@@ -126,6 +130,151 @@ export const removeToken = async () => {
   }
 };
 
+/**
+ * Store the refresh token used to renew expired access tokens
+ * @param {string} refreshToken - Opaque refresh token issued by the server
+ * @returns {Promise<boolean>} True if the refresh token was stored successfully
+ */
+export const storeRefreshToken = async (refreshToken) => {
+  try {
+    const secureStoreAvailable = await isSecureStoreAvailable();
+    
+    if (secureStoreAvailable) {
+      await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, refreshToken);
+    } else {
+      await AsyncStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error storing refresh token:', error);
+    return false;
+  }
+};
+
+/**
+ * Retrieve the stored refresh token
+ * @returns {Promise<string|null>} The stored refresh token or null if not found
+ */
+export const getRefreshToken = async () => {
+  try {
+    const secureStoreAvailable = await isSecureStoreAvailable();
+    
+    if (secureStoreAvailable) {
+      return await SecureStore.getItemAsync(REFRESH_TOKEN_KEY);
+    }
+    
+    return await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error retrieving refresh token:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove the stored refresh token
+ * @returns {Promise<boolean>} True if the refresh token was removed successfully
+ */
+export const removeRefreshToken = async () => {
+  try {
+    const secureStoreAvailable = await isSecureStoreAvailable();
+    
+    if (secureStoreAvailable) {
+      await SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY);
+    } else {
+      await AsyncStorage.removeItem(REFRESH_TOKEN_KEY);
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error removing refresh token:', error);
+    return false;
+  }
+};
+
+/**
+ * Store the CSRF token of a cookie session. It is not a secret (the server
+ * also sets it as a readable cookie), so plain AsyncStorage is used.
+ * @param {string} csrfToken - CSRF token issued by the server
+ * @returns {Promise<boolean>} True if the CSRF token was stored successfully
+ */
+export const storeCsrfToken = async (csrfToken) => {
+  try {
+    await AsyncStorage.setItem(CSRF_TOKEN_KEY, csrfToken);
+    return true;
+  } catch (error) {
+    console.error('Error storing CSRF token:', error);
+    return false;
+  }
+};
+
+/**
+ * Retrieve the stored CSRF token
+ * @returns {Promise<string|null>} The stored CSRF token or null if not found
+ */
+export const getCsrfToken = async () => {
+  try {
+    return await AsyncStorage.getItem(CSRF_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error retrieving CSRF token:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove the stored CSRF token
+ * @returns {Promise<boolean>} True if the CSRF token was removed successfully
+ */
+export const removeCsrfToken = async () => {
+  try {
+    await AsyncStorage.removeItem(CSRF_TOKEN_KEY);
+    return true;
+  } catch (error) {
+    console.error('Error removing CSRF token:', error);
+    return false;
+  }
+};
+
+/**
+ * Store the session data returned by the login and refresh endpoints.
+ * Cookie sessions only return a CSRF token; header sessions return the tokens.
+ * @param {Object} session - Session data from the server
+ * @param {string} session.token - JWT access token (optional)
+ * @param {string} session.refreshToken - Refresh token (optional)
+ * @param {string} session.csrfToken - CSRF token for cookie sessions (optional)
+ * @param {number} session.expiresIn - Access token lifetime in seconds (optional)
+ * @returns {Promise<boolean>} True if everything was stored successfully
+ */
+export const storeSession = async ({ token, refreshToken, csrfToken, expiresIn }) => {
+  const expiry = expiresIn ? Date.now() + expiresIn * 1000 : null;
+  const results = [];
+  
+  if (token) {
+    results.push(await storeToken(token, expiry));
+  }
+  
+  if (refreshToken) {
+    results.push(await storeRefreshToken(refreshToken));
+  }
+  
+  if (csrfToken) {
+    results.push(await storeCsrfToken(csrfToken));
+  }
+  
+  return results.length > 0 && results.every(Boolean);
+};
+
+/**
+ * Remove the access token, the refresh token and the CSRF token
+ * @returns {Promise<boolean>} True if everything was removed successfully
+ */
+export const clearSession = async () => {
+  const tokenRemoved = await removeToken();
+  const refreshRemoved = await removeRefreshToken();
+  const csrfRemoved = await removeCsrfToken();
+  return tokenRemoved && refreshRemoved && csrfRemoved;
+};
+
 /**
  * Check if the user is authenticated (has a valid token)
  * @returns {Promise<boolean>} True if user is authenticated
@@ -135,6 +284,26 @@ export const isAuthenticated = async () => {
   return token !== null;
 };
 
+/**
+ * Check if the user has a session that can be resumed, either through a
+ * valid access token, a refresh token that can obtain a new one, or the
+ * CSRF token of a cookie session
+ * @returns {Promise<boolean>} True if a session can be resumed
+ */
+export const hasSession = async () => {
+  if (await isAuthenticated()) {
+    return true;
+  }
+  
+  const refreshToken = await getRefreshToken();
+  if (refreshToken !== null) {
+    return true;
+  }
+  
+  const csrfToken = await getCsrfToken();
+  return csrfToken !== null;
+};
+
 /**
  * Parse JWT token to get payload data
  * @param {string} token - JWT token to parse
@@ -167,6 +336,15 @@ export default {
   storeToken,
   getToken,
   removeToken,
+  storeRefreshToken,
+  getRefreshToken,
+  removeRefreshToken,
+  storeCsrfToken,
+  getCsrfToken,
+  removeCsrfToken,
+  storeSession,
+  clearSession,
   isAuthenticated,
+  hasSession,
   parseToken
 };
\ No newline at end of file
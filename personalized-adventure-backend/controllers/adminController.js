@@ -0,0 +1,471 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Itinerary = require('../models/Itinerary');
+const { hasPermission, revokeUserSessions } = require('../middleware/auth');
+const { sendWriteConflict } = require('../utils/etag');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { getReservations, restoreReservations } = require('../utils/reservations');
+
+/**
+ * List user accounts, optionally filtered by role, status or a search term
+ * @route GET /api/admin/users
+ * @access Support, Admin
+ */
+exports.listUsers = async (req, res) => {
+  try {
+    const { role, status, q } = req.query;
+    
+    const filter = {};
+    if (role) filter.role = role;
+    if (status) filter.status = status;
+    if (q) {
+      // Escape regex metacharacters so the search term is matched literally
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    
+    const users = await User.find(filter).select('-password').sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve users'
+    });
+  }
+};
+
+/**
+ * Get a user account together with its itineraries
+ * @route GET /api/admin/users/:id
+ * @access Support, Admin
+ */
+exports.getUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+    
+    const user = await User.findById(id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const itineraries = await Itinerary.find({ userId: id })
+      .select('title location startDate endDate totalCost createdAt')
+      .sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        itineraries
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve user'
+    });
+  }
+};
+
+/**
+ * Edit a user account. Changing the role additionally requires `users:roles`.
+ * @route PUT /api/admin/users/:id
+ * @access Admin
+ */
+exports.updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, email, preferences, role } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+    
+    const updateData = {};
+    if (username) updateData.username = username;
+    if (preferences) updateData.preferences = preferences;
+    
+    if (role) {
+      if (!hasPermission(req.user.role, 'users:roles')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions to change roles'
+        });
+      }
+      
+      // Prevent admins from locking themselves out
+      if (id === req.user.id && role !== req.user.role) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
+      }
+      
+      updateData.role = role;
+    }
+    
+    const existingUser = await User.findById(id).select('email');
+    
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // A new address has to be verified again, as when users change it themselves
+    const emailChanged = email && email !== existingUser.email;
+    if (emailChanged) {
+      updateData.email = email;
+      updateData.emailVerified = false;
+      updateData.$unset = { emailVerifiedAt: 1 };
+    }
+    
+    const updatedUser = await User.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    ).select('-password');
+    
+    if (!updatedUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: updatedUser
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user'
+    });
+  }
+};
+
+/**
+ * Suspend a user account and end all of its sessions
+ * @route POST /api/admin/users/:id/suspend
+ * @access Support, Admin
+ */
+exports.suspendUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+    
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+    
+    const user = await User.findById(id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Support staff cannot suspend accounts that outrank them
+    if (user.role !== 'user' && !hasPermission(req.user.role, 'users:roles')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to suspend staff accounts'
+      });
+    }
+    
+    user.status = 'suspended';
+    user.suspension = {
+      reason: reason || '',
+      suspendedAt: new Date(),
+      suspendedBy: req.user.id
+    };
+    await user.save();
+    
+    // Sign the user out of every device immediately
+    await revokeUserSessions(user.id);
+    
+    const userResponse = user.toObject();
+    delete userResponse.password;
+    
+    res.status(200).json({
+      success: true,
+      message: 'User suspended successfully',
+      data: userResponse
+    });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suspend user'
+    });
+  }
+};
+
+/**
+ * Lift a suspension from a user account
+ * @route POST /api/admin/users/:id/unsuspend
+ * @access Support, Admin
+ */
+exports.unsuspendUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+    
+    const existingUser = await User.findById(id).select('role');
+    
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Support staff cannot reactivate accounts that outrank them
+    if (existingUser.role !== 'user' && !hasPermission(req.user.role, 'users:roles')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reactivate staff accounts'
+      });
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      id,
+      { status: 'active', $unset: { suspension: 1 } },
+      { new: true }
+    ).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error reactivating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user'
+    });
+  }
+};
+
+/**
+ * List itineraries across all accounts, optionally for a single user
+ * @route GET /api/admin/itineraries
+ * @access Support, Admin
+ */
+exports.listItineraries = async (req, res) => {
+  try {
+    const { userId } = req.query;
+    
+    const filter = {};
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID format'
+        });
+      }
+      filter.userId = userId;
+    }
+    
+    const itineraries = await Itinerary.find(filter).sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: itineraries.length,
+      data: itineraries
+    });
+  } catch (error) {
+    console.error('Error listing itineraries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve itineraries'
+    });
+  }
+};
+
+/**
+ * Get any itinerary by ID
+ * @route GET /api/admin/itineraries/:id
+ * @access Support, Admin
+ */
+exports.getItinerary = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid itinerary ID format'
+      });
+    }
+    
+    const itinerary = await Itinerary.findById(id);
+    
+    if (!itinerary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Itinerary not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: itinerary
+    });
+  } catch (error) {
+    console.error('Error retrieving itinerary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve itinerary'
+    });
+  }
+};
+
+/**
+ * Edit any itinerary. The owner, collaborators and reservations cannot be
+ * changed through this route.
+ * @route PUT /api/admin/itineraries/:id
+ * @access Support, Admin
+ */
+exports.updateItinerary = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, collaborators, _id, createdAt, version, ...updateData } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid itinerary ID format'
+      });
+    }
+    
+    const itinerary = await Itinerary.findById(id);
+    
+    if (!itinerary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Itinerary not found'
+      });
+    }
+    
+    // Saving the document records a version, so support edits can be reverted
+    const reservations = getReservations(itinerary);
+    itinerary.set(updateData);
+    restoreReservations(itinerary, reservations);
+    itinerary.$locals.changedBy = req.user.id;
+    const updatedItinerary = await itinerary.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Itinerary updated successfully',
+      data: updatedItinerary
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    console.error('Error updating itinerary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update itinerary'
+    });
+  }
+};
+
+/**
+ * Delete any itinerary
+ * @route DELETE /api/admin/itineraries/:id
+ * @access Admin
+ */
+exports.deleteItinerary = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid itinerary ID format'
+      });
+    }
+    
+    const deletedItinerary = await Itinerary.findByIdAndDelete(id);
+    
+    if (!deletedItinerary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Itinerary not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Itinerary deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting itinerary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete itinerary'
+    });
+  }
+};
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const { hashToken } = require('../middleware/auth');
+const { generateApiKey } = require('../middleware/apiKeyAuth');
+
+// Active keys a single user may have at once
+const MAX_ACTIVE_KEYS = 10;
+
+// Fields of a key that are safe to show to its owner
+const PUBLIC_FIELDS = '-keyHash';
+
+/**
+ * List the caller's API keys, newest first. Revoked keys are included so
+ * their usage can still be reviewed.
+ * @route GET /api/keys
+ * @access Private
+ */
+exports.listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user.id })
+      .select(PUBLIC_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    console.error('Error retrieving API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve API keys'
+    });
+  }
+};
+
+/**
+ * Create an API key. The raw key is only included in this response.
+ * @route POST /api/keys
+ * @access Private (verified accounts only)
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, rateLimitPerMinute, expiresInDays } = req.body;
+
+    const activeKeys = await ApiKey.countDocuments({ userId: req.user.id, revokedAt: null });
+
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys, please revoke one first`
+      });
+    }
+
+    const key = generateApiKey();
+    const apiKey = await ApiKey.create({
+      userId: req.user.id,
+      name,
+      prefix: key.slice(0, 12),
+      keyHash: hashToken(key),
+      // Duplicates are dropped so the stored list reads cleanly
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    const apiKeyResponse = apiKey.toObject();
+    delete apiKeyResponse.keyHash;
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again',
+      key,
+      data: apiKeyResponse
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  }
+};
+
+/**
+ * Revoke one of the caller's API keys. Partners using it are cut off at once.
+ * @route DELETE /api/keys/:id
+ * @access Private
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if the ID is valid
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID format'
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, userId: req.user.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    ).select(PUBLIC_FIELDS);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  }
+};
+
+/**
+ * Recent requests made with one of the caller's API keys
+ * @route GET /api/keys/:id/usage
+ * @access Private
+ */
+exports.getApiKeyUsage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    // Check if the ID is valid
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID format'
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: id, userId: req.user.id }).select(PUBLIC_FIELDS);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const [usage, requestsLast24h, rejectedLast24h] = await Promise.all([
+      ApiKeyUsage.find({ apiKeyId: id }).sort({ createdAt: -1 }).limit(limit).lean(),
+      ApiKeyUsage.countDocuments({ apiKeyId: id, createdAt: { $gt: since } }),
+      ApiKeyUsage.countDocuments({ apiKeyId: id, createdAt: { $gt: since }, statusCode: { $gte: 400 } })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apiKey,
+        requestsLast24h,
+        rejectedLast24h,
+        usage
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving API key usage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve API key usage'
+    });
+  }
+};
@@ -0,0 +1,27 @@
+const { getRateTable } = require('../utils/exchangeRates');
+
+// How long clients may use a downloaded rate table before checking again
+const RATES_MAX_AGE_SECONDS = 6 * 60 * 60;
+
+/**
+ * Get the exchange-rate table the server converts costs with, so the app can
+ * keep a copy for converting costs offline
+ * @route GET /api/exchange-rates
+ * @access Public
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    res.set('Cache-Control', `public, max-age=${RATES_MAX_AGE_SECONDS}`);
+
+    res.status(200).json({
+      success: true,
+      data: getRateTable()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving exchange rates',
+      error: error.message
+    });
+  }
+};
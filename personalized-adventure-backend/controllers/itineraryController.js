@@ -3,198 +3,1322 @@ const Itinerary = require('../models/Itinerary');
 const User = require('../models/User');
 const weatherAPI = require('../utils/weatherAPI');
 const eventsAPI = require('../utils/eventsAPI');
+const placesAPI = require('../utils/placesAPI');
 const { autoReservationFallback } = require('../utils/reservationAI');
+const { buildItineraryQuery, paginate } = require('../utils/itineraryQuery');
+const { DEFAULT_SEARCH_LIMIT, getSearchTerms, buildSearchResult } = require('../utils/itinerarySearch');
+const ItineraryVersion = require('../models/ItineraryVersion');
+const { diffSnapshots } = require('../utils/itineraryDiff');
+const { itineraryETag, sendNotModified, checkIfMatch, sendItineraryChanged, sendWriteConflict } = require('../utils/etag');
+const { parsePointer, createPatch, applyPatch } = require('../utils/jsonPatch');
+const { copyItineraryContent } = require('../utils/itineraryCopy');
+const { getReservations, restoreReservations, withoutReservations } = require('../utils/reservations');
+const { checkBudget, buildBudgetReport } = require('../utils/budget');
+const { toDateKey, listTripDates } = require('../utils/timeZones');
+const { checkSchedule } = require('../utils/schedule');
+const { optimizeDayRoute } = require('../utils/routeOptimizer');
+const { mergePreferences, planTripDays } = require('../utils/itineraryGenerator');
 
-// Get all itineraries
+// Currency of the cost estimates in generated itineraries
+const GENERATED_COST_CURRENCY = 'USD';
+
+// Top-level fields a JSON Patch may change; `totalCost` is always recalculated
+const PATCHABLE_FIELDS = Itinerary.VERSIONED_FIELDS.filter(field => field !== 'totalCost');
+
+/**
+ * Load the itinerary in `req.params.id` if the authenticated user has at least
+ * the given access level, otherwise send the error response.
+ * Users with no access at all get a 404 so other users' itineraries stay hidden.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} level - Required access level: 'viewer', 'editor' or 'owner'
+ * @returns {Promise<Object|null>} - The itinerary, or null if a response was sent
+ */
+const findItineraryWithAccess = async (req, res, level) => {
+  const { id } = req.params;
+  
+  // Check if the ID is valid
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid itinerary ID format'
+    });
+    return null;
+  }
+  
+  const itinerary = await Itinerary.findById(id);
+  
+  // Check if itinerary exists and is visible to the caller
+  if (!itinerary || !itinerary.getAccessLevel(req.user.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Itinerary not found'
+    });
+    return null;
+  }
+  
+  if (!itinerary.hasAccess(req.user.id, level)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to perform this action'
+    });
+    return null;
+  }
+  
+  return itinerary;
+};
+
+// Get all itineraries owned by or shared with the authenticated user
 exports.getAllItineraries = async (req, res) => {
   try {
-    // Query the database for all itineraries
-    const itineraries = await Itinerary.find().sort({ createdAt: -1 });
+    // Filters, sort and cursor are validated by the route.
+    // Templates are only listed when asked for with `template=true`.
+    const baseFilter = {
+      ...Itinerary.accessibleBy(req.user.id),
+      isTemplate: req.query.template === 'true' ? true : { $ne: true }
+    };
+    const query = buildItineraryQuery(baseFilter, req.query);
+    
+    // Fetch one extra itinerary to know whether there is another page
+    const [itineraries, total] = await Promise.all([
+      Itinerary.find(query.pageFilter).sort(query.sort).limit(query.limit + 1),
+      Itinerary.countDocuments(query.filter)
+    ]);
+    
+    const { data, pagination } = paginate(itineraries, query);
+    
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      pagination,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving itineraries',
+      error: error.message
+    });
+  }
+};
+
+// Search itineraries owned by or shared with the user, best matches first
+exports.searchItineraries = async (req, res) => {
+  try {
+    // The search string and limit are validated by the route
+    const { q } = req.query;
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT;
+    
+    const itineraries = await Itinerary.find(
+      { $and: [Itinerary.accessibleBy(req.user.id), { $text: { $search: q } }] },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean();
+    
+    const terms = getSearchTerms(q);
+    const results = itineraries.map(itinerary => buildSearchResult(itinerary, terms));
+    
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error searching itineraries',
+      error: error.message
+    });
+  }
+};
+
+// Get a specific itinerary by ID
+exports.getItineraryById = async (req, res) => {
+  try {
+    // Find the itinerary and check the caller can view it
+    const itinerary = await findItineraryWithAccess(req, res, 'viewer');
+    if (!itinerary) {
+      return;
+    }
+    
+    // Clients revalidate cached copies with If-None-Match
+    if (sendNotModified(req, res, itinerary)) {
+      return;
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: itinerary,
+      scheduleWarnings: checkSchedule(itinerary)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving itinerary',
+      error: error.message
+    });
+  }
+};
+
+// Create a new itinerary
+exports.createItinerary = async (req, res) => {
+  try {
+    const { title, location, startDate, endDate, timeZone, currency, preferences, days } = req.body;
+    // The owner is always the authenticated user, never a value from the body
+    const userId = req.user.id;
+    
+    // Validate required fields
+    if (!title || !location || !startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide all required fields: title, location, startDate, endDate'
+      });
+    }
+    
+    // Check if user exists
+    const userExists = await User.findById(userId);
+    if (!userExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Create new itinerary
+    const newItinerary = new Itinerary({
+      title,
+      location,
+      startDate,
+      endDate,
+      timeZone,
+      // Costs are in the user's home currency unless the trip has its own
+      currency: currency || userExists.preferences?.homeCurrency,
+      userId,
+      // The budget is checked against the user's preferences unless the trip has its own
+      preferences: preferences || userExists.preferences || {},
+      days: days ? withoutReservations(days) : []
+    });
+    newItinerary.$locals.changedBy = userId;
+    
+    // Save to database
+    const savedItinerary = await newItinerary.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Itinerary created successfully',
+      data: savedItinerary,
+      budgetWarnings: checkBudget(savedItinerary),
+      scheduleWarnings: checkSchedule(savedItinerary)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating itinerary',
+      error: error.message
+    });
+  }
+};
+
+// Update an itinerary (owner or editor)
+exports.updateItinerary = async (req, res) => {
+  try {
+    // Ownership, sharing, history and templates are managed through their own routes
+    const { userId, collaborators, _id, createdAt, version, isTemplate, ...updateData } = req.body;
+    
+    // Find the itinerary and check the caller can edit it
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary || !checkIfMatch(req, res, itinerary)) {
+      return;
+    }
+    
+    // Update the itinerary; saving the document records a version
+    const reservations = getReservations(itinerary);
+    itinerary.set(updateData);
+    restoreReservations(itinerary, reservations);
+    itinerary.$locals.changedBy = req.user.id;
+    const updatedItinerary = await itinerary.save();
+    res.set('ETag', itineraryETag(updatedItinerary));
+    
+    res.status(200).json({
+      success: true,
+      message: `Itinerary updated successfully`,
+      data: updatedItinerary,
+      budgetWarnings: checkBudget(updatedItinerary),
+      scheduleWarnings: checkSchedule(updatedItinerary)
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error updating itinerary',
+      error: error.message
+    });
+  }
+};
+
+// Delete an itinerary (owner only)
+exports.deleteItinerary = async (req, res) => {
+  try {
+    // Find the itinerary and check the caller owns it
+    const itinerary = await findItineraryWithAccess(req, res, 'owner');
+    if (!itinerary || !checkIfMatch(req, res, itinerary)) {
+      return;
+    }
+    
+    // Delete the itinerary, unless someone saved it since it was loaded
+    const deleted = await Itinerary.findOneAndDelete(itinerary.getLoadedStateFilter());
+    if (!deleted) {
+      return sendItineraryChanged(res);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: `Itinerary deleted successfully`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting itinerary',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Share an itinerary with another verified user, or change their role
+ * 
+ * @route POST /api/itineraries/:id/collaborators
+ * @access Private (owner, verified email required)
+ */
+exports.addCollaborator = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    
+    const itinerary = await findItineraryWithAccess(req, res, 'owner');
+    if (!itinerary) {
+      return;
+    }
+    
+    // Only verified, active accounts can be invited
+    const collaborator = await User.findOne({ email, emailVerified: true, status: { $ne: 'suspended' } });
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user found with that email address'
+      });
+    }
+    
+    if (collaborator.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this itinerary'
+      });
+    }
+    
+    const existing = itinerary.collaborators.find(
+      entry => entry.userId.toString() === collaborator.id
+    );
+    
+    if (existing) {
+      existing.role = role || existing.role;
+    } else {
+      itinerary.collaborators.push({ userId: collaborator.id, role: role || 'viewer' });
+    }
+    
+    await itinerary.save();
+    
+    res.status(200).json({
+      success: true,
+      message: `Itinerary shared with ${collaborator.username}`,
+      data: itinerary.collaborators
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error sharing itinerary',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stop sharing an itinerary with a user. Owners can remove anyone;
+ * collaborators can remove themselves.
+ * 
+ * @route DELETE /api/itineraries/:id/collaborators/:userId
+ * @access Private (owner, or the collaborator themselves)
+ */
+exports.removeCollaborator = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const level = userId === req.user.id ? 'viewer' : 'owner';
+    
+    const itinerary = await findItineraryWithAccess(req, res, level);
+    if (!itinerary) {
+      return;
+    }
+    
+    const remaining = itinerary.collaborators.filter(
+      entry => entry.userId.toString() !== userId
+    );
+    
+    if (remaining.length === itinerary.collaborators.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+    
+    itinerary.collaborators = remaining;
+    await itinerary.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Collaborator removed successfully',
+      data: itinerary.collaborators
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error removing collaborator',
+      error: error.message
+    });
+  }
+};
+
+// Activity fields that can be set through the activity routes; reservations
+// are managed through the reserve route
+const ACTIVITY_FIELDS = ['name', 'description', 'startTime', 'endTime', 'location', 'category', 'cost', 'currency', 'travelMode', 'weatherDependent', 'fixedTime'];
+
+/**
+ * Pick the editable activity fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Activity fields
+ */
+const pickActivityFields = (body) => ACTIVITY_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * Find a day of an itinerary by ID, otherwise send the error response
+ * @param {Object} itinerary - Itinerary document
+ * @param {string} dayId - Day ID
+ * @param {Object} res - Express response object
+ * @returns {Object|null} - The day, or null if a response was sent
+ */
+const findDay = (itinerary, dayId, res) => {
+  if (!mongoose.Types.ObjectId.isValid(dayId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid day ID format'
+    });
+    return null;
+  }
+  
+  const day = itinerary.days.id(dayId);
+  
+  if (!day) {
+    res.status(404).json({
+      success: false,
+      message: 'Day not found'
+    });
+    return null;
+  }
+  
+  return day;
+};
+
+/**
+ * Find an activity of a day by ID, otherwise send the error response
+ * @param {Object} day - Day subdocument
+ * @param {string} activityId - Activity ID
+ * @param {Object} res - Express response object
+ * @returns {Object|null} - The activity, or null if a response was sent
+ */
+const findActivity = (day, activityId, res) => {
+  if (!mongoose.Types.ObjectId.isValid(activityId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid activity ID format'
+    });
+    return null;
+  }
+  
+  const activity = day.activities.id(activityId);
+  
+  if (!activity) {
+    res.status(404).json({
+      success: false,
+      message: 'Activity not found'
+    });
+    return null;
+  }
+  
+  return activity;
+};
+
+/**
+ * Clamp an optional list position to the list
+ * @param {number|string|undefined} position - Requested position, 0 for first
+ * @param {number} length - Length of the list
+ * @returns {number} - Position to insert at; the end when none was given
+ */
+const insertPosition = (position, length) => (
+  position === undefined ? length : Math.min(Math.max(parseInt(position, 10), 0), length)
+);
+
+/**
+ * Save an itinerary after its days or activities changed, and send its new ETag
+ * @param {Object} itinerary - Itinerary document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} - The saved itinerary
+ */
+const saveDayChanges = async (itinerary, req, res) => {
+  itinerary.calculateTotalCost();
+  itinerary.updatedAt = Date.now();
+  itinerary.$locals.changedBy = req.user.id;
+  const savedItinerary = await itinerary.save();
+  res.set('ETag', itineraryETag(savedItinerary));
+  return savedItinerary;
+};
+
+/**
+ * Add a day to an itinerary. Days are kept in date order. Send `timeZone`
+ * when the day is part of a leg in another time zone than the itinerary's.
+ * 
+ * @route POST /api/itineraries/:id/days
+ * @access Private (owner or editor)
+ */
+exports.addDay = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary) {
+      return;
+    }
+    
+    const date = new Date(req.body.date);
+    const day = toDateKey(date);
+    
+    if (day < toDateKey(itinerary.startDate) || day > toDateKey(itinerary.endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The day must be between the itinerary start and end dates'
+      });
+    }
+    
+    if (itinerary.days.some(existing => toDateKey(existing.date) === day)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The itinerary already has this day'
+      });
+    }
+    
+    const position = itinerary.days.filter(existing => existing.date < date).length;
+    itinerary.days.splice(position, 0, { date, timeZone: req.body.timeZone, activities: [] });
+    await saveDayChanges(itinerary, req, res);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Day added successfully',
+      data: itinerary.days[position]
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error adding day',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a day and all of its activities
+ * 
+ * @route DELETE /api/itineraries/:id/days/:dayId
+ * @access Private (owner or editor)
+ */
+exports.deleteDay = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary || !checkIfMatch(req, res, itinerary)) {
+      return;
+    }
+    
+    const day = findDay(itinerary, req.params.dayId, res);
+    if (!day) {
+      return;
+    }
+    
+    itinerary.days.pull(day._id);
+    await saveDayChanges(itinerary, req, res);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Day deleted successfully',
+      totalCost: itinerary.totalCost
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting day',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add an activity to a day, at the end or at `position`
+ * 
+ * @route POST /api/itineraries/:id/days/:dayId/activities
+ * @access Private (owner or editor)
+ */
+exports.addActivity = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary) {
+      return;
+    }
+    
+    const day = findDay(itinerary, req.params.dayId, res);
+    if (!day) {
+      return;
+    }
+    
+    const position = insertPosition(req.body.position, day.activities.length);
+    day.activities.splice(position, 0, pickActivityFields(req.body));
+    await saveDayChanges(itinerary, req, res);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Activity added successfully',
+      data: day.activities[position],
+      totalCost: itinerary.totalCost,
+      budgetWarnings: checkBudget(itinerary),
+      scheduleWarnings: checkSchedule(itinerary)
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error adding activity',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update the fields of an activity. Fields left out of the body are unchanged.
+ * 
+ * @route PUT /api/itineraries/:id/days/:dayId/activities/:activityId
+ * @access Private (owner or editor)
+ */
+exports.updateActivity = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary || !checkIfMatch(req, res, itinerary)) {
+      return;
+    }
+    
+    const day = findDay(itinerary, req.params.dayId, res);
+    if (!day) {
+      return;
+    }
+    
+    const activity = findActivity(day, req.params.activityId, res);
+    if (!activity) {
+      return;
+    }
+    
+    activity.set(pickActivityFields(req.body));
+    await saveDayChanges(itinerary, req, res);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Activity updated successfully',
+      data: activity,
+      totalCost: itinerary.totalCost,
+      budgetWarnings: checkBudget(itinerary),
+      scheduleWarnings: checkSchedule(itinerary)
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error updating activity',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Move an activity to another day, or to another position on the same day
+ * 
+ * @route POST /api/itineraries/:id/days/:dayId/activities/:activityId/move
+ * @access Private (owner or editor)
+ */
+exports.moveActivity = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary) {
+      return;
+    }
+    
+    const day = findDay(itinerary, req.params.dayId, res);
+    if (!day) {
+      return;
+    }
+    
+    const activity = findActivity(day, req.params.activityId, res);
+    if (!activity) {
+      return;
+    }
+    
+    const targetDay = findDay(itinerary, req.body.toDayId || req.params.dayId, res);
+    if (!targetDay) {
+      return;
+    }
+    
+    // The activity keeps its ID so links to it stay valid
+    const moved = activity.toObject();
+    day.activities.pull(activity._id);
+    const position = insertPosition(req.body.position, targetDay.activities.length);
+    targetDay.activities.splice(position, 0, moved);
+    await saveDayChanges(itinerary, req, res);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Activity moved successfully',
+      data: {
+        dayId: targetDay._id,
+        position,
+        activity: targetDay.activities[position]
+      },
+      // Moving an activity can put a day over its limit
+      budgetWarnings: checkBudget(itinerary),
+      scheduleWarnings: checkSchedule(itinerary)
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error moving activity',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an activity
+ * 
+ * @route DELETE /api/itineraries/:id/days/:dayId/activities/:activityId
+ * @access Private (owner or editor)
+ */
+exports.deleteActivity = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary || !checkIfMatch(req, res, itinerary)) {
+      return;
+    }
+    
+    const day = findDay(itinerary, req.params.dayId, res);
+    if (!day) {
+      return;
+    }
+    
+    const activity = findActivity(day, req.params.activityId, res);
+    if (!activity) {
+      return;
+    }
+    
+    day.activities.pull(activity._id);
+    await saveDayChanges(itinerary, req, res);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Activity deleted successfully',
+      totalCost: itinerary.totalCost
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting activity',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Find a stored version of an itinerary, otherwise send the error response
+ * @param {Object} itinerary - Itinerary document
+ * @param {number|string} version - Version number
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - The version, or null if a response was sent
+ */
+const findVersion = async (itinerary, version, res) => {
+  const itineraryVersion = await ItineraryVersion.findOne({
+    itineraryId: itinerary._id,
+    version: Number(version)
+  }).lean();
+  
+  if (!itineraryVersion) {
+    res.status(404).json({
+      success: false,
+      message: 'Version not found'
+    });
+    return null;
+  }
+  
+  return itineraryVersion;
+};
+
+/**
+ * List the saved versions of an itinerary, newest first. Snapshots are left
+ * out; fetch a single version to see its content and changes.
+ * 
+ * @route GET /api/itineraries/:id/versions
+ * @access Private (owner or collaborator)
+ */
+exports.getVersions = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'viewer');
+    if (!itinerary) {
+      return;
+    }
+    
+    const versions = await ItineraryVersion.find({ itineraryId: itinerary._id })
+      .select('-snapshot')
+      .sort({ version: -1 })
+      .populate('changedBy', 'username');
     
     res.status(200).json({
       success: true,
-      count: itineraries.length,
-      data: itineraries
+      currentVersion: itinerary.version,
+      count: versions.length,
+      data: versions
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error retrieving itineraries',
+      message: 'Error retrieving itinerary versions',
       error: error.message
     });
   }
 };
 
-// Get a specific itinerary by ID
-exports.getItineraryById = async (req, res) => {
+/**
+ * Get one version of an itinerary with the changes made since the version before it
+ * 
+ * @route GET /api/itineraries/:id/versions/:version
+ * @access Private (owner or collaborator)
+ */
+exports.getVersion = async (req, res) => {
   try {
-    const { id } = req.params;
+    const itinerary = await findItineraryWithAccess(req, res, 'viewer');
+    if (!itinerary) {
+      return;
+    }
     
-    // Check if the ID is valid
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid itinerary ID format'
-      });
+    const itineraryVersion = await findVersion(itinerary, req.params.version, res);
+    if (!itineraryVersion) {
+      return;
     }
     
-    // Find the itinerary by ID
-    const itinerary = await Itinerary.findById(id);
+    // The previous version may have been pruned, in which case there is nothing to compare with
+    const previous = await ItineraryVersion.findOne({
+      itineraryId: itinerary._id,
+      version: { $lt: itineraryVersion.version }
+    }).sort({ version: -1 }).lean();
+    
+    const comparable = previous || itineraryVersion.action === 'create';
     
-    // Check if itinerary exists
+    res.status(200).json({
+      success: true,
+      data: {
+        ...itineraryVersion,
+        comparedTo: previous ? previous.version : null,
+        changes: comparable ? diffSnapshots(previous && previous.snapshot, itineraryVersion.snapshot) : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving itinerary version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Compare two versions of an itinerary. `to` defaults to the current version.
+ * 
+ * @route GET /api/itineraries/:id/versions/diff?from=:version&to=:version
+ * @access Private (owner or collaborator)
+ */
+exports.diffVersions = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'viewer');
     if (!itinerary) {
-      return res.status(404).json({
-        success: false,
-        message: 'Itinerary not found'
-      });
+      return;
+    }
+    
+    const from = await findVersion(itinerary, req.query.from, res);
+    if (!from) {
+      return;
+    }
+    
+    const to = await findVersion(itinerary, req.query.to || itinerary.version, res);
+    if (!to) {
+      return;
     }
     
     res.status(200).json({
       success: true,
-      data: itinerary
+      data: {
+        from: from.version,
+        to: to.version,
+        changes: diffSnapshots(from.snapshot, to.snapshot)
+      }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error retrieving itinerary',
+      message: 'Error comparing itinerary versions',
       error: error.message
     });
   }
 };
 
-// Create a new itinerary
-exports.createItinerary = async (req, res) => {
+/**
+ * Restore an earlier version. The restored content is saved as a new
+ * version, so the revert itself can be undone. Activities keep their
+ * current reservations.
+ * 
+ * @route POST /api/itineraries/:id/versions/:version/revert
+ * @access Private (owner or editor)
+ */
+exports.revertToVersion = async (req, res) => {
   try {
-    const { title, location, startDate, endDate, userId, preferences, days } = req.body;
-    
-    // Validate required fields
-    if (!title || !location || !startDate || !endDate || !userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide all required fields: title, location, startDate, endDate, userId'
-      });
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary) {
+      return;
     }
     
-    // Check if userId is valid
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid user ID format'
-      });
+    const itineraryVersion = await findVersion(itinerary, req.params.version, res);
+    if (!itineraryVersion) {
+      return;
     }
     
-    // Check if user exists
-    const userExists = await User.findById(userId);
-    if (!userExists) {
-      return res.status(404).json({
+    if (itineraryVersion.version === itinerary.version) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'This is already the current version'
       });
     }
     
-    // Create new itinerary
-    const newItinerary = new Itinerary({
-      title,
-      location,
-      startDate,
-      endDate,
-      userId,
-      preferences: preferences || {},
-      days: days || []
-    });
-    
-    // Save to database
-    const savedItinerary = await newItinerary.save();
+    // Reservations stay as they are now, not as they were in the old version
+    const reservations = getReservations(itinerary);
+    itinerary.restoreSnapshot(itineraryVersion.snapshot);
+    restoreReservations(itinerary, reservations);
+    itinerary.$locals.changedBy = req.user.id;
+    itinerary.$locals.revertedFrom = itineraryVersion.version;
+    const savedItinerary = await itinerary.save();
+    res.set('ETag', itineraryETag(savedItinerary));
     
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Itinerary created successfully',
-      data: savedItinerary
+      message: `Itinerary reverted to version ${itineraryVersion.version}`,
+      data: savedItinerary,
+      budgetWarnings: checkBudget(savedItinerary),
+      scheduleWarnings: checkSchedule(savedItinerary)
     });
   } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
     res.status(500).json({
       success: false,
-      message: 'Error creating itinerary',
+      message: 'Error reverting itinerary',
       error: error.message
     });
   }
 };
 
-// Update an itinerary
-exports.updateItinerary = async (req, res) => {
+/**
+ * Changes to an itinerary since a version the client has, as a JSON Patch
+ * against the itinerary's JSON form. `sinceVersion` is a version number;
+ * `since` is a timestamp, for clients that only know when they last synced.
+ * When that version is no longer kept the whole itinerary is sent instead,
+ * with `full: true`.
+ * 
+ * @route GET /api/itineraries/:id/changes?sinceVersion=:version
+ * @access Private (owner or collaborator)
+ */
+exports.getItineraryChanges = async (req, res) => {
   try {
-    const { id } = req.params;
-    const updateData = req.body;
+    const itinerary = await findItineraryWithAccess(req, res, 'viewer');
+    if (!itinerary) {
+      return;
+    }
     
-    // Check if the ID is valid
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid itinerary ID format'
+    const { since, sinceVersion } = req.query;
+    const baseFilter = sinceVersion !== undefined
+      ? { itineraryId: itinerary._id, version: Number(sinceVersion) }
+      : { itineraryId: itinerary._id, createdAt: { $lte: new Date(since) } };
+    
+    const upToDate = Number(sinceVersion) === itinerary.version;
+    const base = upToDate ? null : await ItineraryVersion.findOne(baseFilter).sort({ version: -1 }).lean();
+    
+    res.set('ETag', itineraryETag(itinerary));
+    
+    if (upToDate || (base && base.version === itinerary.version)) {
+      return res.status(200).json({
+        success: true,
+        data: { full: false, fromVersion: itinerary.version, version: itinerary.version, patch: [] }
       });
     }
     
-    // Find and update the itinerary
-    const updatedItinerary = await Itinerary.findByIdAndUpdate(
-      id,
-      { ...updateData, updatedAt: Date.now() },
-      { new: true, runValidators: true }
-    );
-    
-    // Check if itinerary exists
-    if (!updatedItinerary) {
-      return res.status(404).json({
-        success: false,
-        message: 'Itinerary not found'
+    if (!base) {
+      return res.status(200).json({
+        success: true,
+        data: { full: true, version: itinerary.version, itinerary }
       });
     }
     
+    const patch = createPatch(
+      JSON.parse(JSON.stringify(base.snapshot)),
+      JSON.parse(JSON.stringify(itinerary.getSnapshot()))
+    );
+    patch.push(
+      { op: 'replace', path: '/version', value: itinerary.version },
+      { op: 'replace', path: '/updatedAt', value: itinerary.updatedAt.toISOString() }
+    );
+    
     res.status(200).json({
       success: true,
-      message: `Itinerary updated successfully`,
-      data: updatedItinerary
+      data: { full: false, fromVersion: base.version, version: itinerary.version, patch }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error updating itinerary',
+      message: 'Error retrieving itinerary changes',
       error: error.message
     });
   }
 };
 
-// Delete an itinerary
-exports.deleteItinerary = async (req, res) => {
+/**
+ * Apply a JSON Patch made offline. Paths are relative to the itinerary's JSON
+ * form and may only touch its content (`PATCHABLE_FIELDS`). Send `If-Match`
+ * with the ETag the patch was made against, or include `test` operations, so
+ * it is not applied on top of someone else's changes.
+ * 
+ * @route PATCH /api/itineraries/:id
+ * @access Private (owner or editor)
+ */
+exports.patchItinerary = async (req, res) => {
   try {
-    const { id } = req.params;
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary || !checkIfMatch(req, res, itinerary)) {
+      return;
+    }
+    
+    const patch = req.body;
+    const outsideContent = patch.some(operation => [operation.path, operation.from].some(pointer => (
+      pointer !== undefined && !PATCHABLE_FIELDS.includes((parsePointer(pointer) || [])[0])
+    )));
     
-    // Check if the ID is valid
-    if (!mongoose.Types.ObjectId.isValid(id)) {
+    if (outsideContent) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid itinerary ID format'
+        code: 'INVALID_PATCH',
+        message: `A patch can only change: ${PATCHABLE_FIELDS.join(', ')}`
       });
     }
     
-    // Find and delete the itinerary
-    const deletedItinerary = await Itinerary.findByIdAndDelete(id);
+    const current = JSON.parse(JSON.stringify(itinerary.getSnapshot()));
+    const { document, error, failedTest } = applyPatch(current, patch);
     
-    // Check if itinerary exists
-    if (!deletedItinerary) {
-      return res.status(404).json({
+    if (error) {
+      return res.status(failedTest ? 409 : 400).json({
         success: false,
-        message: 'Itinerary not found'
+        code: failedTest ? 'PATCH_TEST_FAILED' : 'INVALID_PATCH',
+        message: error
       });
     }
     
+    // Only set the fields the patch changed, so unchanged ones are not versioned
+    const changedFields = new Set(createPatch(current, document).map(operation => parsePointer(operation.path)[0]));
+    const reservations = getReservations(itinerary);
+    changedFields.forEach(field => itinerary.set(field, document[field]));
+    restoreReservations(itinerary, reservations);
+    
+    itinerary.calculateTotalCost();
+    itinerary.$locals.changedBy = req.user.id;
+    const savedItinerary = await itinerary.save();
+    res.set('ETag', itineraryETag(savedItinerary));
+    
     res.status(200).json({
       success: true,
-      message: `Itinerary deleted successfully`
+      message: 'Itinerary patched successfully',
+      data: savedItinerary,
+      budgetWarnings: checkBudget(savedItinerary),
+      scheduleWarnings: checkSchedule(savedItinerary)
     });
   } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    // The patch produced an itinerary the schema rejects, e.g. an activity without a name
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_PATCH',
+        message: `The patched itinerary is not valid: ${error.message}`
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      message: 'Error deleting itinerary',
+      message: 'Error patching itinerary',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Report an itinerary's costs by day and by category, checked against its
+ * budget (see utils/budget.js). Amounts are converted into `currency`, which
+ * defaults to the caller's home currency.
+ *
+ * @route GET /api/itineraries/:id/budget
+ * @access Private (owner or collaborator)
+ */
+exports.getBudgetReport = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'viewer');
+    if (!itinerary) {
+      return;
+    }
+
+    // Report in the requested currency, or the caller's home currency
+    let { currency } = req.query;
+    if (!currency) {
+      const user = await User.findById(req.user.id).select('preferences');
+      currency = user?.preferences?.homeCurrency || itinerary.currency;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: buildBudgetReport(itinerary, { currency })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error building budget report',
+      error: error.message
+    });
+  }
+};
+
+// Round a distance in kilometres to 10 metres
+const roundDistance = (distance) => Math.round(distance * 100) / 100;
+
+/**
+ * Reorder the flexible activities of each day to shorten the route between
+ * them (see utils/routeOptimizer.js). Activities with a reservation or a fixed
+ * time stay where they are. Send `dayIds` to optimize some days only, and
+ * `dryRun: true` to see the new order and distances without saving them.
+ *
+ * @route POST /api/itineraries/:id/optimize-route
+ * @access Private (owner or editor)
+ */
+exports.optimizeRoute = async (req, res) => {
+  try {
+    const { dayIds, dryRun = false } = req.body;
+
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary || (!dryRun && !checkIfMatch(req, res, itinerary))) {
+      return;
+    }
+
+    let days = itinerary.days;
+    if (dayIds) {
+      days = [];
+      for (const dayId of dayIds) {
+        const day = findDay(itinerary, dayId, res);
+        if (!day) {
+          return;
+        }
+        days.push(day);
+      }
+    }
+
+    const results = days.map(day => ({
+      day,
+      ...optimizeDayRoute(day.activities.map(activity => activity.toObject()))
+    }));
+    const applied = !dryRun && results.some(result => result.changed);
+
+    if (applied) {
+      // Activities keep their IDs in their new places
+      results
+        .filter(result => result.changed)
+        .forEach(({ day, activities }) => day.set('activities', activities));
+      await saveDayChanges(itinerary, req, res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: applied ? 'Route optimized successfully' : 'Route optimization checked',
+      data: {
+        applied,
+        distanceBefore: roundDistance(results.reduce((sum, result) => sum + result.distanceBefore, 0)),
+        distanceAfter: roundDistance(results.reduce((sum, result) => sum + result.distanceAfter, 0)),
+        days: results.map(({ day, activities, distanceBefore, distanceAfter, changed }) => ({
+          dayId: day._id,
+          date: day.date,
+          changed,
+          distanceBefore,
+          distanceAfter,
+          activities: activities.map(({ _id, name, startTime, endTime }) => ({ _id, name, startTime, endTime }))
+        }))
+      },
+      scheduleWarnings: checkSchedule(itinerary)
+    });
+  } catch (error) {
+    if (sendWriteConflict(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error optimizing route',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Save a copy of an itinerary owned by the caller
+ * @param {Object} itinerary - Itinerary to copy
+ * @param {Object} req - Express request object
+ * @param {Object} options - `isTemplate`, plus the options of `copyItineraryContent`
+ * @returns {Promise<Object>} - The saved copy
+ */
+const saveCopy = async (itinerary, req, { isTemplate, ...options }) => {
+  const copy = new Itinerary({
+    ...copyItineraryContent(itinerary, options),
+    userId: req.user.id,
+    isTemplate
+  });
+  copy.calculateTotalCost();
+  copy.$locals.changedBy = req.user.id;
+  return copy.save();
+};
+
+/**
+ * Save an itinerary as a template. The template is a copy owned by the caller
+ * with the same days and activities but no reservations, and is listed with
+ * `GET /api/itineraries?template=true` rather than with trips.
+ *
+ * @route POST /api/itineraries/:id/template
+ * @access Private (owner or collaborator)
+ */
+exports.saveAsTemplate = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'viewer');
+    if (!itinerary) {
+      return;
+    }
+
+    const template = await saveCopy(itinerary, req, { isTemplate: true, title: req.body.title });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template saved successfully',
+      data: template
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error saving template',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Clone an itinerary or template as a new trip starting on `startDate`.
+ * Every day moves by the same number of days and reservations are left out.
+ * With a new `location`, activity locations from the old destination are
+ * dropped.
+ *
+ * @route POST /api/itineraries/:id/clone
+ * @access Private (owner or collaborator)
+ */
+exports.cloneItinerary = async (req, res) => {
+  try {
+    const itinerary = await findItineraryWithAccess(req, res, 'viewer');
+    if (!itinerary) {
+      return;
+    }
+
+    const { startDate, location, timeZone, title } = req.body;
+    const clone = await saveCopy(itinerary, req, { isTemplate: false, startDate, location, timeZone, title });
+
+    res.status(201).json({
+      success: true,
+      message: 'Itinerary cloned successfully',
+      data: clone,
+      budgetWarnings: checkBudget(clone),
+      scheduleWarnings: checkSchedule(clone)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error cloning itinerary',
       error: error.message
     });
   }
@@ -206,7 +1330,7 @@ exports.deleteItinerary = async (req, res) => {
  * and if that fails, it uses the AI-based fallback mechanism.
  * 
  * @route POST /api/itineraries/:id/reserve
- * @access Private
+ * @access Private (owner or editor, verified email required)
  */
 exports.reserveActivity = async (req, res) => {
   try {
@@ -221,23 +1345,11 @@ exports.reserveActivity = async (req, res) => {
       });
     }
     
-    // Check if the itinerary ID is valid
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid itinerary ID format'
-      });
-    }
-    
-    // Find the itinerary
-    const itinerary = await Itinerary.findById(id);
-    
-    // Check if itinerary exists
-    if (!itinerary) {
-      return res.status(404).json({
-        success: false,
-        message: 'Itinerary not found'
-      });
+    // Find the itinerary and check the caller can edit it. `If-Match` is checked before
+    // anything is booked, as a booking cannot be undone once the provider confirmed it.
+    const itinerary = await findItineraryWithAccess(req, res, 'editor');
+    if (!itinerary || !checkIfMatch(req, res, itinerary)) {
+      return;
     }
     
     // Log the reservation attempt
@@ -282,46 +1394,56 @@ exports.reserveActivity = async (req, res) => {
     
     // If the reservation was successful (either through external API or fallback)
     if (reservationResult.success) {
-      // Update the itinerary with the reservation information
-      // Find the specific activity in the itinerary days
+      const booking = {
+        reservationId: reservationResult.reservationId,
+        provider: reservationResult.details?.provider || 'External Reservation System',
+        confirmationCode: reservationResult.details?.confirmationCode || reservationResult.reservationId
+      };
       let activityUpdated = false;
       
-      if (activityId) {
-        // If an activityId was provided, find and update that specific activity
-        for (let i = 0; i < itinerary.days.length; i++) {
-          const activityIndex = itinerary.days[i].activities.findIndex(
-            activity => activity._id.toString() === activityId
+      if (activityId && mongoose.Types.ObjectId.isValid(activityId)) {
+        // The booking is made by now, so it is stored with a single update of the activity
+        // rather than a save that fails if the itinerary was edited in the meantime. The
+        // version is bumped so ETags and the changes feed pick the reservation up.
+        try {
+          const result = await Itinerary.updateOne(
+            { _id: itinerary._id, 'days.activities._id': activityId },
+            {
+              $set: {
+                'days.$[].activities.$[activity].reservation': {
+                  ...booking,
+                  confirmedTime: desiredTime,
+                  status: 'confirmed',
+                  notes: reservationResult.details?.notes || '',
+                  createdAt: new Date()
+                },
+                updatedAt: new Date()
+              },
+              $inc: { version: 1 }
+            },
+            { arrayFilters: [{ 'activity._id': activityId }] }
           );
-          
-          if (activityIndex !== -1) {
-            // Add reservation details to the activity
-            itinerary.days[i].activities[activityIndex].reservation = {
-              reservationId: reservationResult.reservationId,
-              confirmedTime: desiredTime,
-              provider: reservationResult.details?.provider || 'External Reservation System',
-              confirmationCode: reservationResult.details?.confirmationCode || reservationResult.reservationId,
-              status: 'confirmed',
-              notes: reservationResult.details?.notes || '',
-              createdAt: new Date()
-            };
-            
-            activityUpdated = true;
-            break;
-          }
+          activityUpdated = result.modifiedCount > 0;
+        } catch (error) {
+          // Give the caller the booking so it is not lost with the failed update
+          console.error('Error storing reservation:', error);
+          return res.status(500).json({
+            success: false,
+            message: 'The reservation was made but could not be added to the itinerary',
+            error: error.message,
+            data: booking
+          });
         }
       }
       
-      // Save the updated itinerary
-      await itinerary.save();
-      
       res.status(200).json({
         success: true,
         message: 'Reservation successful',
         data: {
-          reservationId: reservationResult.reservationId,
+          reservationId: booking.reservationId,
           activityUpdated,
-          provider: reservationResult.details?.provider || 'External Reservation System',
-          confirmationCode: reservationResult.details?.confirmationCode || reservationResult.reservationId
+          provider: booking.provider,
+          confirmationCode: booking.confirmationCode
         }
       });
     } else {
@@ -401,24 +1523,46 @@ const getProviderByActivityType = (activityType) => {
   return providers[activityType.toLowerCase()] || providers.default;
 };
 
+/**
+ * Explain a generated itinerary: why each activity was picked, and notes on
+ * each day such as the weather and slots left free
+ * @param {Object} itinerary - Saved itinerary
+ * @param {Array<Object>} plans - Day plans from `planTripDays`, in the order of the itinerary's days
+ * @returns {Object} - `{ preferences, currency, days }`
+ */
+const buildGenerationReport = (itinerary, plans) => ({
+  preferences: itinerary.preferences,
+  currency: GENERATED_COST_CURRENCY,
+  days: plans.map((plan, dayIndex) => {
+    const day = itinerary.days[dayIndex];
+    return {
+      dayId: day._id,
+      date: plan.date,
+      weather: plan.weather,
+      budget: plan.budget,
+      notes: plan.notes,
+      activities: plan.activities.map((pick, index) => ({
+        activityId: day.activities[index]._id,
+        name: pick.activity.name,
+        score: pick.score,
+        reasons: pick.reasons
+      }))
+    };
+  })
+});
+
 // Generate a personalized itinerary
 exports.generateItinerary = async (req, res) => {
   try {
-    const { location, startDate, endDate, preferences, userId, title } = req.body;
+    const { location, startDate, endDate, timeZone, currency, preferences, title } = req.body;
+    // The itinerary is generated for the authenticated user
+    const userId = req.user.id;
     
     // Validate required fields
-    if (!location || !startDate || !endDate || !userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide all required fields: location, startDate, endDate, userId'
-      });
-    }
-    
-    // Check if userId is valid
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
+    if (!location || !startDate || !endDate) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid user ID format'
+        message: 'Please provide all required fields: location, startDate, endDate'
       });
     }
     
@@ -437,194 +1581,56 @@ exports.generateItinerary = async (req, res) => {
     // Get events happening in the location during the specified dates
     const events = await eventsAPI.getEvents(location, startDate, endDate);
     
-    // Calculate date range
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+    // Get places to visit and eat at in the location
+    const places = await placesAPI.getPlaces(location);
     
-    // Generate days array with activities based on preferences, weather, and events
-    const days = [];
-    let totalCost = 0;
+    // Fill each day of the trip with the places and events that best fit the preferences.
+    // Days are calendar dates, so every day of the trip is planned wherever the server runs;
+    // the activity times are local to the destination's time zone.
+    const tripPreferences = mergePreferences(preferences, user.preferences);
+    const plans = planTripDays({
+      dates: listTripDates(startDate, endDate),
+      places,
+      events,
+      weather: weatherForecast,
+      preferences: tripPreferences
+    });
     
-    for (let i = 0; i < daysDiff; i++) {
-      const currentDate = new Date(start);
-      currentDate.setDate(start.getDate() + i);
-      const formattedDate = currentDate.toISOString().split('T')[0];
-      
-      // Get weather for this day
-      const dayWeather = weatherForecast.find(w => w.date === formattedDate);
-      
-      // Get events for this day
-      const dayEvents = events.filter(e => e.date === formattedDate);
-      
-      // Generate activities based on weather, events, and preferences
-      const activities = [];
-      
-      // Morning activity (usually breakfast)
-      activities.push({
-        name: 'Breakfast',
-        description: 'Start your day with a delicious breakfast',
-        startTime: '08:00',
-        endTime: '09:30',
-        location: {
-          name: `${location} Cafe`,
-          address: `123 Main St, ${location}`,
-          coordinates: {
-            lat: 0,
-            lng: 0
-          }
-        },
-        category: 'food',
-        cost: 15,
-        weatherDependent: false
-      });
-      
-      // Add a weather-dependent activity if the weather is good
-      if (dayWeather && !['rainy', 'stormy'].includes(dayWeather.weatherType)) {
-        activities.push({
-          name: 'Outdoor Exploration',
-          description: `Explore the beautiful outdoors in ${location}`,
-          startTime: '10:00',
-          endTime: '12:30',
-          location: {
-            name: `${location} Park`,
-            address: `456 Park Ave, ${location}`,
-            coordinates: {
-              lat: 0,
-              lng: 0
-            }
-          },
-          category: 'attraction',
-          cost: 0,
-          weatherDependent: true
-        });
-      } else {
-        // Indoor activity for bad weather
-        activities.push({
-          name: 'Museum Visit',
-          description: `Visit the famous museum in ${location}`,
-          startTime: '10:00',
-          endTime: '12:30',
-          location: {
-            name: `${location} Museum`,
-            address: `789 Museum Rd, ${location}`,
-            coordinates: {
-              lat: 0,
-              lng: 0
-            }
-          },
-          category: 'attraction',
-          cost: 20,
-          weatherDependent: false
-        });
-      }
-      
-      // Lunch
-      activities.push({
-        name: 'Lunch',
-        description: 'Enjoy a local cuisine for lunch',
-        startTime: '13:00',
-        endTime: '14:30',
-        location: {
-          name: `${location} Restaurant`,
-          address: `101 Food St, ${location}`,
-          coordinates: {
-            lat: 0,
-            lng: 0
-          }
-        },
-        category: 'food',
-        cost: 25,
-        weatherDependent: false
-      });
-      
-      // Afternoon activity
-      activities.push({
-        name: 'Shopping',
-        description: `Shop at the local markets in ${location}`,
-        startTime: '15:00',
-        endTime: '17:00',
-        location: {
-          name: `${location} Market`,
-          address: `202 Market St, ${location}`,
-          coordinates: {
-            lat: 0,
-            lng: 0
-          }
-        },
-        category: 'attraction',
-        cost: 50,
-        weatherDependent: false
-      });
-      
-      // Add an event if available
-      if (dayEvents.length > 0) {
-        const event = dayEvents[0]; // Take the first event
-        activities.push({
-          name: event.name,
-          description: event.description,
-          startTime: event.time,
-          endTime: '', // End time not provided by the event
-          location: {
-            name: event.location.name,
-            address: event.location.address,
-            coordinates: event.location.coordinates
-          },
-          category: 'event',
-          cost: event.price,
-          weatherDependent: false
-        });
-      }
-      
-      // Dinner
-      activities.push({
-        name: 'Dinner',
-        description: 'Enjoy a fine dining experience',
-        startTime: '19:00',
-        endTime: '21:00',
-        location: {
-          name: `${location} Fine Dining`,
-          address: `303 Gourmet Ave, ${location}`,
-          coordinates: {
-            lat: 0,
-            lng: 0
-          }
-        },
-        category: 'food',
-        cost: 40,
-        weatherDependent: false
-      });
-      
-      // Calculate day cost
-      const dayCost = activities.reduce((sum, activity) => sum + activity.cost, 0);
-      totalCost += dayCost;
-      
-      days.push({
-        date: currentDate,
-        activities
-      });
-    }
+    const days = plans.map(plan => ({
+      date: plan.date,
+      activities: plan.activities.map(pick => pick.activity)
+    }));
+    
+    // The generated costs are estimates in US dollars, converted into the trip's currency
+    days.forEach(day => day.activities.forEach(activity => {
+      activity.currency = GENERATED_COST_CURRENCY;
+    }));
     
-    // Create the itinerary object
+    // Create the itinerary object; the total cost is added up when it is saved
     const itineraryData = {
       title: title || `${location} Adventure (${startDate} to ${endDate})`,
       location,
       startDate,
       endDate,
+      timeZone,
+      currency: currency || user.preferences?.homeCurrency,
       userId,
-      preferences: preferences || user.preferences || {},
-      days,
-      totalCost
+      preferences: tripPreferences,
+      days
     };
     
     // Save the generated itinerary to the database
     const newItinerary = new Itinerary(itineraryData);
+    newItinerary.$locals.changedBy = userId;
     const savedItinerary = await newItinerary.save();
     
     res.status(201).json({
       success: true,
       message: 'Personalized itinerary generated successfully',
-      data: savedItinerary
+      data: savedItinerary,
+      budgetWarnings: checkBudget(savedItinerary),
+      scheduleWarnings: checkSchedule(savedItinerary),
+      generation: buildGenerationReport(savedItinerary, plans)
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const LoginEvent = require('../models/LoginEvent');
+const { getLoginMetadata } = require('../utils/loginSecurity');
+
+// Number of events returned by default and at most
+const DEFAULT_EVENT_LIMIT = 20;
+const MAX_EVENT_LIMIT = 100;
+
+/**
+ * List recent sign-in attempts on the caller's account, newest first.
+ * Each event is marked `currentDevice` when it came from the device making
+ * this request, so the app can skip alerting about its own login.
+ * @route GET /api/users/login-activity?newDevice=true&unacknowledged=true&limit=
+ * @access Private
+ */
+exports.getLoginActivity = async (req, res) => {
+  try {
+    const { newDevice, unacknowledged } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_EVENT_LIMIT, MAX_EVENT_LIMIT);
+    
+    const filter = { userId: req.user.id };
+    if (newDevice === 'true') {
+      filter.newDevice = true;
+    }
+    if (unacknowledged === 'true') {
+      filter.acknowledgedAt = null;
+    }
+    
+    const events = await LoginEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    
+    const { deviceFingerprint } = getLoginMetadata(req);
+    
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events.map(event => ({
+        ...event,
+        currentDevice: event.deviceFingerprint === deviceFingerprint
+      }))
+    });
+  } catch (error) {
+    console.error('Error retrieving login activity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve login activity'
+    });
+  }
+};
+
+/**
+ * Mark new-device alerts as seen. Acknowledges the given `eventIds`, or all
+ * unacknowledged events when none are given.
+ * @route POST /api/users/login-activity/acknowledge
+ * @access Private
+ */
+exports.acknowledgeLoginActivity = async (req, res) => {
+  try {
+    const { eventIds } = req.body;
+    const filter = { userId: req.user.id, acknowledgedAt: null };
+    
+    if (Array.isArray(eventIds) && eventIds.length > 0) {
+      if (!eventIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid login event ID format'
+        });
+      }
+      filter._id = { $in: eventIds };
+    }
+    
+    const result = await LoginEvent.updateMany(filter, { acknowledgedAt: new Date() });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Login activity acknowledged',
+      data: { acknowledged: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error acknowledging login activity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge login activity'
+    });
+  }
+};
@@ -0,0 +1,582 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const AccountToken = require('../models/AccountToken');
+const OAuthState = require('../models/OAuthState');
+const {
+  hashPassword,
+  hashToken,
+  parseCookies,
+  sendLoginSession,
+  sendTwoFactorChallenge
+} = require('../middleware/auth');
+const { recordSuccessfulLogin } = require('../utils/loginSecurity');
+const {
+  getProvider,
+  listProviders,
+  randomValue,
+  getCodeChallenge,
+  issueMockCode,
+  getCallbackUrl
+} = require('../utils/oauthProviders');
+
+// The user has ten minutes to finish signing in at the provider
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Cookie tying a pending sign-in to the browser that started it
+const OAUTH_BROWSER_COOKIE = 'oauthBrowser';
+const OAUTH_BROWSER_COOKIE_PATH = '/api/auth/oauth';
+
+// The app has two minutes to exchange the login code it was redirected with
+const OAUTH_LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+
+const DEFAULT_APP_REDIRECT_URIS = [
+  'personalizedadventure://oauth',
+  'http://localhost:19006/oauth',
+  'http://localhost:8081/oauth'
+];
+
+/**
+ * Check that a redirect URI belongs to the app, so login codes are never
+ * handed to another site
+ * @param {string} uri - Redirect URI requested by the app
+ * @returns {boolean} - True if the URI is allowed
+ */
+const isAllowedAppRedirect = (uri) => {
+  const allowed = process.env.OAUTH_APP_REDIRECT_URIS
+    ? process.env.OAUTH_APP_REDIRECT_URIS.split(',').map(value => value.trim())
+    : DEFAULT_APP_REDIRECT_URIS;
+
+  return typeof uri === 'string' && allowed.includes(uri);
+};
+
+/**
+ * Send the user back to the app with the result of the sign-in
+ * @param {Object} res - Express response object
+ * @param {string} appRedirectUri - Allowed app redirect URI
+ * @param {Object} params - Query parameters for the app
+ */
+const redirectToApp = (res, appRedirectUri, params) => {
+  const separator = appRedirectUri.includes('?') ? '&' : '?';
+  res.redirect(`${appRedirectUri}${separator}${new URLSearchParams(params).toString()}`);
+};
+
+/**
+ * Cookie options for the browser key of a sign-in with a provider
+ * @param {Object} provider - The provider
+ * @returns {Object} - Options for `res.cookie` and `res.clearCookie`
+ */
+const getBrowserCookieOptions = (provider) => {
+  // A form_post callback is a cross-site POST, which only carries SameSite=None cookies
+  const formPost = provider.responseMode === 'form_post';
+
+  return {
+    httpOnly: true,
+    secure: formPost || process.env.NODE_ENV === 'production',
+    sameSite: formPost ? 'none' : 'lax',
+    path: OAUTH_BROWSER_COOKIE_PATH
+  };
+};
+
+/**
+ * Store a pending sign-in, give the browser the key that completes it, and
+ * build the provider's authorization URL. Only the browser that receives this
+ * response can finish the sign-in, so a started flow cannot be passed on to
+ * someone else to complete.
+ * @param {Object} res - Express response object
+ * @param {Object} provider - The provider
+ * @param {string} appRedirectUri - Where the app wants the result delivered
+ * @param {string} [linkUserId] - Signed-in user linking the identity
+ * @returns {Promise<string>} - Authorization URL
+ */
+const createAuthorizationUrl = async (res, provider, appRedirectUri, linkUserId) => {
+  const state = randomValue();
+  const nonce = randomValue();
+  const codeVerifier = randomValue();
+  const browserKey = randomValue();
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    browserKeyHash: hashToken(browserKey),
+    provider: provider.name,
+    nonce,
+    codeVerifier,
+    appRedirectUri,
+    linkUserId: linkUserId || null,
+    expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MS)
+  });
+
+  res.cookie(OAUTH_BROWSER_COOKIE, browserKey, {
+    ...getBrowserCookieOptions(provider),
+    maxAge: OAUTH_STATE_TTL_MS
+  });
+
+  return provider.getAuthorizationUrl({
+    redirectUri: getCallbackUrl(provider.name),
+    state,
+    nonce,
+    codeChallenge: getCodeChallenge(codeVerifier)
+  });
+};
+
+/**
+ * Pick an unused username for a new social sign-in account
+ * @param {Object} profile - Provider profile
+ * @returns {Promise<string>} - Username
+ */
+const generateUsername = async (profile) => {
+  const source = profile.name || (profile.email || '').split('@')[0];
+  let base = source.replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 20);
+
+  if (base.length < 3) {
+    base = 'traveler';
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = attempt === 0 ? base : `${base}-${crypto.randomBytes(3).toString('hex')}`;
+
+    if (!(await User.exists({ username: candidate }))) {
+      return candidate;
+    }
+  }
+
+  return `traveler-${crypto.randomBytes(6).toString('hex')}`;
+};
+
+/**
+ * Find the account for a provider identity, linking or creating one when needed.
+ *
+ * - An identity that is already linked signs in to its account.
+ * - Otherwise a verified provider email is linked to the verified account with that email.
+ * - An unverified account with that email is never linked automatically, since
+ *   anyone could have registered it; its owner has to link from their profile.
+ *   Neither is any account for a provider whose emails cannot be trusted (`linksByEmail: false`).
+ * - With no matching account, a new one is created without a usable password.
+ *
+ * @param {Object} provider - The provider
+ * @param {Object} profile - Verified provider profile
+ * @returns {Promise<Object>} - `{ user }` or `{ error }`
+ */
+const findOrCreateUser = async (provider, profile) => {
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: { provider: provider.name, subject: profile.subject } }
+  });
+
+  if (linkedUser) {
+    return { user: linkedUser };
+  }
+
+  if (!profile.email) {
+    return { error: `${provider.displayName} did not share an email address` };
+  }
+
+  const existingUser = await User.findOne({ email: profile.email });
+
+  if (existingUser) {
+    if (provider.linksByEmail === false || !profile.emailVerified || !existingUser.emailVerified) {
+      return {
+        error: `An account with this email already exists. Sign in with your password and link ${provider.displayName} from your profile.`
+      };
+    }
+
+    existingUser.identities.push({
+      provider: provider.name,
+      subject: profile.subject,
+      email: profile.email
+    });
+    await existingUser.save();
+
+    return { user: existingUser };
+  }
+
+  const user = await User.create({
+    username: await generateUsername(profile),
+    email: profile.email,
+    emailVerified: profile.emailVerified,
+    emailVerifiedAt: profile.emailVerified ? new Date() : undefined,
+    // Nobody knows this password; the user can set one with a password reset
+    password: await hashPassword(crypto.randomBytes(32).toString('hex')),
+    passwordSet: false,
+    identities: [{
+      provider: provider.name,
+      subject: profile.subject,
+      email: profile.email
+    }]
+  });
+
+  return { user };
+};
+
+/**
+ * Link a provider identity to a signed-in user
+ * @param {string} userId - The user's ID
+ * @param {Object} provider - The provider
+ * @param {Object} profile - Verified provider profile
+ * @returns {Promise<Object>} - `{ user }` or `{ error }`
+ */
+const linkIdentity = async (userId, provider, profile) => {
+  const owner = await User.findOne({
+    identities: { $elemMatch: { provider: provider.name, subject: profile.subject } }
+  }).select('_id');
+
+  if (owner && owner.id !== String(userId)) {
+    return { error: `This ${provider.displayName} account is already linked to another user` };
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  if (!owner) {
+    // Replace any earlier identity from the same provider
+    user.identities = user.identities.filter(identity => identity.provider !== provider.name);
+    user.identities.push({
+      provider: provider.name,
+      subject: profile.subject,
+      email: profile.email
+    });
+    await user.save();
+  }
+
+  return { user };
+};
+
+/**
+ * List the enabled sign-in providers
+ * @route GET /api/auth/oauth/providers
+ * @access Public
+ */
+exports.getProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listProviders()
+  });
+};
+
+/**
+ * Send the browser to the provider to sign in
+ * @route GET /api/auth/oauth/:provider/start?redirectUri=
+ * @access Public
+ */
+exports.startSignIn = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in provider not available'
+      });
+    }
+
+    if (!isAllowedAppRedirect(req.query.redirectUri)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Redirect URI is not allowed'
+      });
+    }
+
+    res.redirect(await createAuthorizationUrl(res, provider, req.query.redirectUri));
+  } catch (error) {
+    console.error('Error starting social sign-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start sign-in'
+    });
+  }
+};
+
+/**
+ * Start linking a provider to the signed-in account. Returns the URL to open,
+ * since the browser cannot send the access token header itself. The request
+ * must come from the browser that opens the URL, as it receives the cookie
+ * the callback checks.
+ * @route POST /api/auth/oauth/:provider/link
+ * @access Private
+ */
+exports.startLink = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in provider not available'
+      });
+    }
+
+    if (!isAllowedAppRedirect(req.body.redirectUri)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Redirect URI is not allowed'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        authorizationUrl: await createAuthorizationUrl(res, provider, req.body.redirectUri, req.user.id)
+      }
+    });
+  } catch (error) {
+    console.error('Error starting account linking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start account linking'
+    });
+  }
+};
+
+/**
+ * Handle the provider's redirect back after sign-in. The result is passed to
+ * the app as a single-use login code (`?code=`), a linked provider
+ * (`?linked=`) or an error message (`?error=`).
+ * @route GET|POST /api/auth/oauth/:provider/callback
+ * @access Public
+ */
+exports.handleCallback = async (req, res) => {
+  try {
+    // Providers using form_post send the parameters in the body
+    const params = req.method === 'POST' ? req.body : req.query;
+
+    // The sign-in must be finished in the browser that started it
+    const browserKey = parseCookies(req)[OAUTH_BROWSER_COOKIE];
+
+    const pending = params.state && browserKey && await OAuthState.findOneAndDelete({
+      stateHash: hashToken(String(params.state)),
+      browserKeyHash: hashToken(browserKey),
+      provider: req.params.provider,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in request is invalid or has expired, please try again'
+      });
+    }
+
+    const provider = getProvider(pending.provider);
+
+    if (provider) {
+      res.clearCookie(OAUTH_BROWSER_COOKIE, getBrowserCookieOptions(provider));
+    }
+
+    if (params.error || !params.code || !provider) {
+      return redirectToApp(res, pending.appRedirectUri, {
+        error: params.error_description || 'Sign-in was cancelled'
+      });
+    }
+
+    let profile;
+    try {
+      profile = await provider.exchangeCode({
+        code: String(params.code),
+        redirectUri: getCallbackUrl(provider.name),
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce
+      });
+    } catch (error) {
+      console.error(`Error verifying ${provider.name} sign-in:`, error.message);
+      return redirectToApp(res, pending.appRedirectUri, {
+        error: `Could not verify your ${provider.displayName} sign-in`
+      });
+    }
+
+    if (pending.linkUserId) {
+      const { error } = await linkIdentity(pending.linkUserId, provider, profile);
+      return redirectToApp(res, pending.appRedirectUri, error ? { error } : { linked: provider.name });
+    }
+
+    const { user, error } = await findOrCreateUser(provider, profile);
+
+    if (error) {
+      return redirectToApp(res, pending.appRedirectUri, { error });
+    }
+
+    const code = crypto.randomBytes(32).toString('hex');
+    await AccountToken.create({
+      userId: user.id,
+      purpose: 'oauth-login',
+      tokenHash: hashToken(code),
+      expiresAt: new Date(Date.now() + OAUTH_LOGIN_CODE_TTL_MS)
+    });
+
+    redirectToApp(res, pending.appRedirectUri, { code });
+  } catch (error) {
+    console.error('Error completing social sign-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete sign-in'
+    });
+  }
+};
+
+/**
+ * Exchange the login code from the callback redirect for a session.
+ * Responds like `POST /api/users/login`, including the two-factor challenge.
+ * @route POST /api/auth/oauth/exchange
+ * @access Public
+ */
+exports.exchangeLoginCode = async (req, res) => {
+  try {
+    // Consume the code atomically so it cannot be used twice
+    const loginToken = await AccountToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(req.body.code),
+        purpose: 'oauth-login',
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() }
+    );
+
+    if (!loginToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in code is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(loginToken.userId);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in code is invalid or has expired'
+      });
+    }
+
+    // Suspended accounts cannot sign in
+    if (user.status === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been suspended'
+      });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
+    await recordSuccessfulLogin(user, req);
+    await sendLoginSession(req, res, user);
+  } catch (error) {
+    console.error('Error exchanging sign-in code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Sign-in failed'
+    });
+  }
+};
+
+/**
+ * Unlink a provider from the signed-in account. The last way to sign in
+ * cannot be removed.
+ * @route DELETE /api/auth/oauth/identities/:provider
+ * @access Private
+ */
+exports.unlinkIdentity = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const remaining = user.identities.filter(identity => identity.provider !== req.params.provider);
+
+    if (remaining.length === user.identities.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'This provider is not linked to your account'
+      });
+    }
+
+    if (!user.passwordSet && remaining.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password before unlinking your only sign-in method'
+      });
+    }
+
+    user.identities = remaining;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Provider unlinked',
+      data: user.identities
+    });
+  } catch (error) {
+    console.error('Error unlinking provider:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink provider'
+    });
+  }
+};
+
+/**
+ * Escape text for an HTML page
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Sign-in page of the mock identity provider. Shows a form for the identity to
+ * sign in as; submitting it redirects to the callback with an authorization code.
+ * @route GET /api/auth/oauth/mock/authorize
+ * @access Public (mock provider only)
+ */
+exports.mockAuthorize = async (req, res) => {
+  const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, email, name } = req.query;
+
+  if (!getProvider('mock') || redirectUri !== getCallbackUrl('mock') || !state || !nonce || !codeChallenge) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid mock authorization request'
+    });
+  }
+
+  if (email) {
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const code = issueMockCode({
+      subject: `mock-${normalizedEmail}`,
+      email: normalizedEmail,
+      emailVerified: req.query.email_verified === 'true',
+      name: name || null
+    }, { nonce, codeChallenge });
+
+    return res.redirect(`${redirectUri}?${new URLSearchParams({ code, state }).toString()}`);
+  }
+
+  const hidden = { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge };
+
+  // The form redirects on to the app's custom scheme, which the default form-action policy would block
+  res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+  res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Mock Identity Provider</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 40px auto;">
+  <h1>Mock Identity Provider</h1>
+  <p>Choose the identity to sign in as. This provider is for development only.</p>
+  <form method="get">
+    ${Object.entries(hidden).map(([key, value]) => `<input type="hidden" name="${key}" value="${escapeHtml(value)}">`).join('\n    ')}
+    <p><label>Email<br><input type="email" name="email" required style="width: 100%;"></label></p>
+    <p><label>Name<br><input type="text" name="name" style="width: 100%;"></label></p>
+    <p><label><input type="checkbox" name="email_verified" value="true" checked> Email is verified</label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+};
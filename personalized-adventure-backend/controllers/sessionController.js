@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { revokeSessions, revokeUserSessions } = require('../middleware/auth');
+
+/**
+ * List the devices a user is signed in on, most recently active first.
+ * The session making the request is marked `current`.
+ * @route GET /api/users/:id/sessions
+ * @access Private
+ */
+exports.listSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if the ID is valid
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+    
+    const sessions = await Session.find({ userId: id, revokedAt: null })
+      .select('-refreshFamily -deviceFingerprint')
+      .sort({ lastActiveAt: -1 })
+      .lean();
+    
+    const currentSessionId = req.tokenPayload && req.tokenPayload.sid;
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === currentSessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error retrieving sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve sessions'
+    });
+  }
+};
+
+/**
+ * Sign a single device out
+ * @route DELETE /api/users/:id/sessions/:sessionId
+ * @access Private
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    
+    // Check if the IDs are valid
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format'
+      });
+    }
+    
+    const revoked = await revokeSessions({ _id: sessionId, userId: id });
+    
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Device signed out successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out device'
+    });
+  }
+};
+
+/**
+ * Sign out everywhere. With `?keepCurrent=true` the device making the
+ * request stays signed in.
+ * @route DELETE /api/users/:id/sessions
+ * @access Private
+ */
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if the ID is valid
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+    
+    const currentSessionId = req.tokenPayload && req.tokenPayload.sid;
+    const keepCurrent = req.query.keepCurrent === 'true' && currentSessionId && id === req.user.id;
+    
+    const revoked = await revokeUserSessions(id, {
+      exceptSessionId: keepCurrent ? currentSessionId : undefined
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: keepCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out devices'
+    });
+  }
+};
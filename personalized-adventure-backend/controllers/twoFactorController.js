@@ -0,0 +1,190 @@
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const {
+  comparePassword,
+  generateBackupCodes,
+  verifyTwoFactorCode
+} = require('../middleware/auth');
+
+/**
+ * Start two-factor enrollment by generating a new secret.
+ * The secret is not active until it is confirmed with `enableTwoFactor`.
+ * @route POST /api/users/2fa/setup
+ * @access Private
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = totp.generateSecret();
+    user.set('twoFactor.pendingSecret', secret);
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totp.buildProvisioningUri({ secret, accountName: user.email })
+      }
+    });
+  } catch (error) {
+    console.error('Error setting up two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set up two-factor authentication'
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app.
+ * Returns backup codes, which are shown to the user only once.
+ * @route POST /api/users/2fa/enable
+ * @access Private
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+    
+    if (!user || !user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it'
+      });
+    }
+    
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: {
+        backupCodes: codes
+      }
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+/**
+ * Turn off two-factor authentication. Requires the password and a current code.
+ * @route POST /api/users/2fa/disable
+ * @access Private
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!(await comparePassword(password, user.password)) || !(await verifyTwoFactorCode(user, code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+    
+    user.twoFactor = { enabled: false };
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+/**
+ * Replace all backup codes with a new set. Requires a current code.
+ * @route POST /api/users/2fa/backup-codes
+ * @access Private
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!(await verifyTwoFactorCode(user, code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Your previous codes no longer work.',
+      data: {
+        backupCodes: codes
+      }
+    });
+  } catch (error) {
+    console.error('Error regenerating backup codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate backup codes'
+    });
+  }
+};
@@ -1,6 +1,28 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const User = require('../models/User');
-const { hashPassword } = require('../middleware/auth');
+const AccountToken = require('../models/AccountToken');
+const {
+  hashPassword,
+  comparePassword,
+  hashToken,
+  hasPermission,
+  revokeAccessToken,
+  revokeUserSessions
+} = require('../middleware/auth');
+const { sendMail } = require('../utils/mailer');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { buildDataExport, eraseAccount } = require('../utils/accountData');
+
+// Password reset links are valid for one hour
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Verification emails are throttled per account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const VERIFICATION_MAX_SENDS_PER_DAY = 5;
+
+// What signed-in users may see of accounts other than their own
+const PUBLIC_PROFILE_FIELDS = 'username createdAt';
 
 /**
  * Create a new user
@@ -39,13 +61,21 @@ exports.createUser = async (req, res) => {
     // Save to database
     const savedUser = await newUser.save();
     
+    // Ask the user to prove they own the address; the account works with
+    // restrictions until they do
+    try {
+      await sendVerificationEmail(savedUser);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+    
     // Remove password from response
     const userResponse = savedUser.toObject();
     delete userResponse.password;
     
     res.status(201).json({
       success: true,
-      message: 'User created successfully',
+      message: 'User created successfully, please check your email to verify your address',
       data: userResponse
     });
   } catch (error) {
@@ -61,7 +91,7 @@ exports.createUser = async (req, res) => {
 /**
  * Get all users
  * @route GET /api/users
- * @access Private (would typically be admin-only)
+ * @access Support, Admin
  */
 exports.getAllUsers = async (req, res) => {
   try {
@@ -83,7 +113,8 @@ exports.getAllUsers = async (req, res) => {
 };
 
 /**
- * Get a specific user by ID
+ * Get a specific user by ID. Other people's accounts are limited to their
+ * public profile unless the caller may read user accounts.
  * @route GET /api/users/:id
  * @access Private
  */
@@ -99,8 +130,16 @@ exports.getUser = async (req, res) => {
       });
     }
     
+    let fields = '-password';
+    if (req.user.id !== id) {
+      const currentUser = await User.findById(req.user.id).select('role');
+      if (!currentUser || !hasPermission(currentUser.role, 'users:read')) {
+        fields = PUBLIC_PROFILE_FIELDS;
+      }
+    }
+    
     // Find the user by ID
-    const user = await User.findById(id).select('-password');
+    const user = await User.findById(id).select(fields);
     
     // Check if user exists
     if (!user) {
@@ -123,6 +162,37 @@ exports.getUser = async (req, res) => {
   }
 };
 
+/**
+ * Get the signed-in user. Lets cookie-session clients, which cannot read
+ * their access token, find out who they are logged in as.
+ * @route GET /api/users/me
+ * @access Private
+ */
+exports.getCurrentUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+    
+    // Check if user exists
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error retrieving current user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve user'
+    });
+  }
+};
+
 /**
  * Update a user
  * @route PUT /api/users/:id
@@ -141,12 +211,29 @@ exports.updateUser = async (req, res) => {
       });
     }
     
+    const existingUser = await User.findById(id).select('email');
+    
+    // Check if user exists
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
     // Create update object with only allowed fields
     const updateData = {};
     if (username) updateData.username = username;
-    if (email) updateData.email = email;
     if (preferences) updateData.preferences = preferences;
     
+    // A new address has to be verified again
+    const emailChanged = email && email !== existingUser.email;
+    if (emailChanged) {
+      updateData.email = email;
+      updateData.emailVerified = false;
+      updateData.$unset = { emailVerifiedAt: 1 };
+    }
+    
     // Find and update the user
     const updatedUser = await User.findByIdAndUpdate(
       id,
@@ -154,12 +241,12 @@ exports.updateUser = async (req, res) => {
       { new: true, runValidators: true }
     ).select('-password');
     
-    // Check if user exists
-    if (!updatedUser) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
     }
     
     res.status(200).json({
@@ -177,13 +264,15 @@ exports.updateUser = async (req, res) => {
 };
 
 /**
- * Delete a user
+ * Delete a user and erase their itineraries, shares and tokens.
+ * Users deleting their own account must confirm it with their password.
  * @route DELETE /api/users/:id
  * @access Private
  */
 exports.deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
+    const { password } = req.body || {};
     
     // Check if the ID is valid
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -193,20 +282,43 @@ exports.deleteUser = async (req, res) => {
       });
     }
     
-    // Find and delete the user
-    const deletedUser = await User.findByIdAndDelete(id);
+    const user = await User.findById(id);
     
     // Check if user exists
-    if (!deletedUser) {
+    if (!user) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
+    // Deleting your own account needs the password, so a stolen token cannot erase it
+    const isSelf = req.user.id === id;
+    if (isSelf && !user.passwordSet) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password with "Forgot password" before deleting your account'
+      });
+    }
+    
+    if (isSelf && (!password || !(await comparePassword(password, user.password)))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+    
+    // Remove the user along with their itineraries, shares and tokens
+    const erased = await eraseAccount(id);
+    
+    if (isSelf) {
+      await revokeAccessToken(req.tokenPayload);
+    }
+    
     res.status(200).json({
       success: true,
-      message: 'User deleted successfully'
+      message: 'User and associated data deleted successfully',
+      data: erased
     });
   } catch (error) {
     console.error('Error deleting user:', error);
@@ -215,4 +327,325 @@ exports.deleteUser = async (req, res) => {
       message: 'Failed to delete user'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Download everything stored about a user as a JSON archive
+ * @route GET /api/users/:id/export
+ * @access Private
+ */
+exports.exportUserData = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if the ID is valid
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+    
+    const data = await buildDataExport(id);
+    
+    // Check if user exists
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const fileName = `personalized-adventure-export-${id}-${data.exportedAt.slice(0, 10)}.json`;
+    
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export user data'
+    });
+  }
+};
+
+/**
+ * Request a password reset email.
+ * Always responds with the same message so the endpoint cannot be used to
+ * discover which email addresses have accounts.
+ * @route POST /api/users/password/forgot
+ * @access Public
+ */
+exports.requestPasswordReset = async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+  
+  try {
+    const { email } = req.body;
+    
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+    
+    // Only the most recent link should work
+    await AccountToken.updateMany(
+      { userId: user.id, purpose: 'password-reset', usedAt: null },
+      { usedAt: new Date() }
+    );
+    
+    const token = crypto.randomBytes(32).toString('hex');
+    await AccountToken.create({
+      userId: user.id,
+      purpose: 'password-reset',
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS)
+    });
+    
+    const resetUrl = `${process.env.PASSWORD_RESET_URL || 'personalizedadventure://reset-password'}?token=${token}`;
+    
+    // A failed send is only logged, so the response does not reveal that the account exists
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Personalized Adventure password',
+        text: [
+          `Hi ${user.username},`,
+          '',
+          'We received a request to reset your password. Open the link below to choose a new one:',
+          resetUrl,
+          '',
+          `If the link does not open the app, enter this code on the reset screen: ${token}`,
+          '',
+          'The link expires in one hour. If you did not request a reset, you can ignore this email.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+    }
+    
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset'
+    });
+  }
+};
+
+/**
+ * Reset a password using a token from a password reset email.
+ * The token is consumed and every existing login is signed out.
+ * @route POST /api/users/password/reset
+ * @access Public
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    // Consume the token atomically so it cannot be used twice
+    const resetToken = await AccountToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        purpose: 'password-reset',
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() }
+    );
+    
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+    
+    const user = await User.findById(resetToken.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+    
+    user.password = await hashPassword(password);
+    // Social sign-in accounts get their first usable password this way
+    user.passwordSet = true;
+    // Proving access to the mailbox also lifts any login lockout
+    user.set('loginSecurity.failedAttempts', 0);
+    user.set('loginSecurity.lockedUntil', null);
+    await user.save();
+    
+    // Whoever knew the old password must not stay signed in
+    await revokeUserSessions(user.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset, please login with your new password'
+    });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+};
+
+/**
+ * Verify an email address using the token from a verification email
+ * @route POST /api/users/email/verify
+ * @access Public
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    // Consume the token atomically so it cannot be used twice
+    const verificationToken = await AccountToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        purpose: 'email-verification',
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() }
+    );
+    
+    if (!verificationToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      verificationToken.userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    ).select('-password');
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+};
+
+/**
+ * Send a new verification email to the authenticated user.
+ * Limited to one email per minute and five per day per account.
+ * @route POST /api/users/email/verify/resend
+ * @access Private
+ */
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+    
+    const recentSends = await AccountToken.find({
+      userId: user.id,
+      purpose: 'email-verification',
+      createdAt: { $gt: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    }).select('createdAt').sort({ createdAt: -1 });
+    
+    const lastSentAt = recentSends.length > 0 ? recentSends[0].createdAt.getTime() : 0;
+    const cooldownRemaining = lastSentAt + VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+    
+    if (recentSends.length >= VERIFICATION_MAX_SENDS_PER_DAY || cooldownRemaining > 0) {
+      const retryAfterSeconds = cooldownRemaining > 0
+        ? Math.ceil(cooldownRemaining / 1000)
+        : Math.ceil((recentSends[recentSends.length - 1].createdAt.getTime() + 24 * 60 * 60 * 1000 - Date.now()) / 1000);
+      
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Verification email was sent recently, please try again later',
+        retryAfter: retryAfterSeconds
+      });
+    }
+    
+    await sendVerificationEmail(user);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+};
+
+/**
+ * Look up a verified user by email address to invite them to collaborate.
+ * Only verified accounts can be found, and only verified accounts can search,
+ * so an unconfirmed address cannot be used to impersonate someone. Only what
+ * the invite needs is returned.
+ * @route GET /api/users/lookup?email=
+ * @access Private (verified email required)
+ */
+exports.findUserByEmail = async (req, res) => {
+  try {
+    const { email } = req.query;
+    
+    const user = await User.findOne({ email, emailVerified: true, status: { $ne: 'suspended' } })
+      .select('_id username email');
+    
+    if (!user || user.id === req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user found with that email address'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error looking up user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up user'
+    });
+  }
+};
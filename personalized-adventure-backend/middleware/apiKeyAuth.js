@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const User = require('../models/User');
+const { authenticateToken, hashToken } = require('./auth');
+
+/**
+ * Partner API keys.
+ *
+ * A key is sent in the `x-api-key` header and acts as the user who created
+ * it, limited to its scopes. Routes opt in with
+ * `authenticateTokenOrApiKey(scope)`; every other route only accepts user
+ * tokens, so a new route never becomes reachable by partners by accident.
+ */
+
+const API_KEY_HEADER = 'x-api-key';
+const API_KEY_PREFIX = 'pak_';
+const MAX_RATE_LIMIT_PER_MINUTE = 1000;
+
+/**
+ * Generate a new raw API key
+ * @returns {string} - The key, shown to the user once
+ */
+const generateApiKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Per-key rate limiter. Each key gets its own `rateLimitPerMinute` budget.
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => req.apiKey.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down'
+  }
+});
+
+/**
+ * Record a request made with an API key once its response is sent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const logApiKeyUsage = (req, res) => {
+  res.on('finish', () => {
+    const now = new Date();
+
+    Promise.all([
+      ApiKeyUsage.create({
+        apiKeyId: req.apiKey.id,
+        userId: req.user.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        ip: req.ip,
+        createdAt: now
+      }),
+      ApiKey.updateOne({ _id: req.apiKey.id }, { lastUsedAt: now })
+    ]).catch(error => console.error('Failed to log API key usage:', error));
+  });
+};
+
+/**
+ * Middleware factory authenticating a request by API key
+ * @param {string} scope - Scope the key needs for this route
+ * @returns {Function} - Express middleware
+ */
+const authenticateApiKey = (scope) => async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      keyHash: hashToken(req.header(API_KEY_HEADER)),
+      revokedAt: null
+    });
+
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired API key'
+      });
+    }
+
+    // Keys stop working while their owner is suspended
+    const owner = await User.findById(apiKey.userId).select('status');
+
+    if (!owner || owner.status === 'suspended') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired API key'
+      });
+    }
+
+    req.user = { id: apiKey.userId.toString() };
+    req.apiKey = {
+      id: apiKey.id,
+      scopes: apiKey.scopes,
+      rateLimitPerMinute: apiKey.rateLimitPerMinute
+    };
+
+    // Rejected and rate limited requests are logged too
+    logApiKeyUsage(req, res);
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        code: 'API_KEY_SCOPE_MISSING',
+        message: `This API key does not have the ${scope} scope`
+      });
+    }
+
+    apiKeyLimiter(req, res, next);
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
+/**
+ * Middleware factory for routes partners may call. Requests with an
+ * `x-api-key` header need a key with `scope`; all others go through
+ * `authenticateToken` as usual.
+ * @param {string} scope - Scope an API key needs for this route
+ * @returns {Function} - Express middleware
+ */
+const authenticateTokenOrApiKey = (scope) => {
+  const apiKeyAuth = authenticateApiKey(scope);
+
+  return (req, res, next) => (
+    req.header(API_KEY_HEADER) ? apiKeyAuth(req, res, next) : authenticateToken(req, res, next)
+  );
+};
+
+module.exports = {
+  API_KEY_HEADER,
+  MAX_RATE_LIMIT_PER_MINUTE,
+  generateApiKey,
+  apiKeyLimiter,
+  authenticateApiKey,
+  authenticateTokenOrApiKey
+};
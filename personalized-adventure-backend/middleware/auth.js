@@ -1,8 +1,59 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
 const rateLimit = require('express-rate-limit');
 const { validationResult } = require('express-validator');
+const totp = require('../utils/totp');
+const {
+  getLoginMetadata,
+  getLockoutRemainingMs,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../utils/loginSecurity');
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Users with two-factor enabled have this long to enter their code after the password step
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// Cookie sessions (used by the web app) keep both tokens in httpOnly cookies and
+// protect state-changing requests with a double-submit CSRF token
+const ACCESS_TOKEN_COOKIE = 'token';
+const REFRESH_TOKEN_COOKIE = 'refreshToken';
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'x-csrf-token';
+// The refresh cookie is only sent to the refresh and logout endpoints
+const REFRESH_TOKEN_COOKIE_PATH = '/api/users';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Permissions granted to each user role.
+ * Regular users have no extra permissions; they can only act on their own data.
+ */
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: [
+    'users:read',
+    'users:suspend',
+    'itineraries:read',
+    'itineraries:write'
+  ],
+  admin: [
+    'users:read',
+    'users:write',
+    'users:suspend',
+    'users:roles',
+    'itineraries:read',
+    'itineraries:write',
+    'itineraries:delete'
+  ]
+};
 
 /**
  * Rate limiter for authentication routes to prevent brute force attacks
@@ -20,6 +71,21 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: false, // Don't count successful requests
 });
 
+/**
+ * Rate limiter for password reset routes to prevent email flooding and token guessing
+ * Limits each IP to 5 reset requests per hour
+ */
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 requests per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many password reset requests from this IP, please try again later'
+  }
+});
+
 /**
  * Hashes a password using bcrypt
  * @param {string} password - The plain text password to hash
@@ -54,11 +120,11 @@ const comparePassword = async (password, hashedPassword) => {
 };
 
 /**
- * Generates a JWT token for a user
+ * Generates a short-lived JWT access token for a user
  * @param {Object} user - The user object to generate a token for
  * @returns {string} - The generated JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   try {
     // Get JWT secret from environment variables
     const jwtSecret = process.env.JWT_SECRET || 'your-default-jwt-secret';
@@ -70,14 +136,341 @@ const generateToken = (user) => {
       }
     };
     
-    // Sign the token with a 1 day expiration
-    return jwt.sign(payload, jwtSecret, { expiresIn: '1d' });
+    // Tie the token to its session so signing the device out revokes it
+    if (sessionId) {
+      payload.sid = sessionId.toString();
+    }
+    
+    // Sign the token with a unique ID so it can be revoked before it expires
+    return jwt.sign(payload, jwtSecret, {
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      jwtid: crypto.randomUUID()
+    });
   } catch (error) {
     console.error('Error generating token:', error);
     throw new Error('Token generation failed');
   }
 };
 
+/**
+ * Hashes an opaque token (refresh token) for storage
+ * @param {string} token - The raw token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Issues a new refresh token for a user and stores its hash
+ * @param {Object} user - The user the token belongs to
+ * @param {string} [family] - Rotation family to continue; a new one is started if omitted
+ * @returns {Promise<Object>} - The raw token and its stored record
+ */
+const generateRefreshToken = async (user, family) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  
+  const record = await RefreshToken.create({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: getRefreshExpiry()
+  });
+  
+  return { token, record };
+};
+
+/**
+ * Adds an access token to the revocation list
+ * @param {Object} decoded - The decoded JWT payload (must contain `jti` and `exp`)
+ * @returns {Promise<void>}
+ */
+const revokeAccessToken = async (decoded) => {
+  if (!decoded || !decoded.jti) {
+    return;
+  }
+  
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        userId: decoded.user && decoded.user.id,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Revokes every refresh token in a rotation family
+ * @param {string} family - The family identifier
+ * @returns {Promise<void>}
+ */
+const revokeRefreshTokenFamily = async (family) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+/**
+ * Revokes every active refresh token belonging to a user, ending all of their logins
+ * @param {string} userId - The user's ID
+ * @returns {Promise<void>}
+ */
+const revokeUserRefreshTokens = async (userId) => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+/**
+ * Gets the expiry for a session or refresh token issued now
+ * @returns {Date} - Expiry date
+ */
+const getRefreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Signs out the sessions matching a filter: marks them revoked and revokes
+ * their refresh token families. Their access tokens stop working at once
+ * because `authenticateToken` checks the session.
+ * @param {Object} filter - MongoDB filter on sessions (`revokedAt: null` is added)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeSessions = async (filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('refreshFamily');
+  
+  if (sessions.length === 0) {
+    return 0;
+  }
+  
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { revokedAt: new Date() }
+  );
+  await RefreshToken.updateMany(
+    { family: { $in: sessions.map(session => session.refreshFamily) }, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  
+  return sessions.length;
+};
+
+/**
+ * Signs a user out of every session (e.g. after a password reset or suspension)
+ * @param {string} userId - The user's ID
+ * @param {Object} options - Options
+ * @param {string} options.exceptSessionId - Session to keep signed in
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, { exceptSessionId } = {}) => {
+  const filter = { userId };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  
+  const revoked = await revokeSessions(filter);
+  
+  // Logins from before sessions existed only have refresh tokens
+  if (!exceptSessionId) {
+    await revokeUserRefreshTokens(userId);
+  }
+  
+  return revoked;
+};
+
+/**
+ * Starts a session for a login. A device has at most one active session,
+ * so signing in again on the same device replaces the previous one.
+ * @param {Object} user - The user document
+ * @param {Object} req - Express request object
+ * @param {string} refreshFamily - Existing refresh family to adopt (optional)
+ * @returns {Promise<Object>} - The new session
+ */
+const startSession = async (user, req, refreshFamily) => {
+  const { ip, userAgent, deviceFingerprint } = getLoginMetadata(req);
+  
+  if (!refreshFamily) {
+    await revokeSessions({ userId: user.id, deviceFingerprint });
+  }
+  
+  return Session.create({
+    userId: user.id,
+    refreshFamily: refreshFamily || crypto.randomUUID(),
+    deviceFingerprint,
+    userAgent,
+    ip,
+    expiresAt: getRefreshExpiry()
+  });
+};
+
+/**
+ * Checks whether a role grants a permission
+ * @param {string} role - The user's role
+ * @param {string} permission - The permission to check, e.g. `users:read`
+ * @returns {boolean} - True if the role grants the permission
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Parses the cookies sent with a request
+ * @param {Object} req - Express request object
+ * @returns {Object} - Cookie values keyed by name
+ */
+const parseCookies = (req) => {
+  const header = (req.headers && req.headers.cookie) || '';
+  
+  return header.split(';').reduce((cookies, pair) => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const name = pair.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        // Ignore malformed cookie values
+      }
+    }
+    return cookies;
+  }, {});
+};
+
+/**
+ * Checks whether a client asked for a cookie session (`x-session-mode: cookie`)
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if tokens should only be sent as cookies
+ */
+const wantsCookieSession = (req) => {
+  return req.header('x-session-mode') === 'cookie';
+};
+
+/**
+ * Checks the double-submit CSRF token: the `x-csrf-token` header must match the `csrfToken` cookie
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if the header and cookie are present and equal
+ */
+const hasValidCsrfToken = (req) => {
+  const headerToken = req.header(CSRF_HEADER);
+  const cookieToken = parseCookies(req)[CSRF_COOKIE];
+  
+  if (!headerToken || !cookieToken) {
+    return false;
+  }
+  
+  const headerBuffer = Buffer.from(headerToken);
+  const cookieBuffer = Buffer.from(cookieToken);
+  
+  return headerBuffer.length === cookieBuffer.length &&
+    crypto.timingSafeEqual(headerBuffer, cookieBuffer);
+};
+
+/**
+ * Sends the 403 response for a missing or mismatched CSRF token
+ * @param {Object} res - Express response object
+ */
+const rejectCsrf = (res) => {
+  res.status(403).json({
+    success: false,
+    message: 'Invalid or missing CSRF token',
+    code: 'CSRF_TOKEN_INVALID'
+  });
+};
+
+/**
+ * Sets the access token cookie on a response
+ * @param {Object} res - Express response object
+ * @param {string} token - The access token
+ */
+const setTokenCookie = (res, token) => {
+  res.cookie(ACCESS_TOKEN_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
+    sameSite: 'strict',
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000
+  });
+};
+
+/**
+ * Sets the cookies for a session: the access token, a fresh CSRF token and,
+ * for cookie sessions, the refresh token
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - `{ token, refreshToken }`; omit `refreshToken` to leave it out of cookies
+ * @returns {string} - The CSRF token the client must echo in the `x-csrf-token` header
+ */
+const setSessionCookies = (res, { token, refreshToken }) => {
+  const secure = process.env.NODE_ENV === 'production';
+  const refreshMaxAge = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+  
+  setTokenCookie(res, token);
+  
+  if (refreshToken) {
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+      httpOnly: true,
+      secure,
+      sameSite: 'strict',
+      path: REFRESH_TOKEN_COOKIE_PATH,
+      maxAge: refreshMaxAge
+    });
+  }
+  
+  // Readable by scripts on the API's origin; the value is also returned in the response body
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    httpOnly: false,
+    secure,
+    sameSite: 'strict',
+    maxAge: refreshMaxAge
+  });
+  
+  return csrfToken;
+};
+
+/**
+ * Clears all session cookies
+ * @param {Object} res - Express response object
+ */
+const clearSessionCookies = (res) => {
+  res.cookie(ACCESS_TOKEN_COOKIE, '', {
+    httpOnly: true,
+    expires: new Date(0)
+  });
+  res.cookie(REFRESH_TOKEN_COOKIE, '', {
+    httpOnly: true,
+    path: REFRESH_TOKEN_COOKIE_PATH,
+    expires: new Date(0)
+  });
+  res.cookie(CSRF_COOKIE, '', {
+    expires: new Date(0)
+  });
+};
+
+/**
+ * Middleware for unauthenticated session endpoints (refresh, logout) that
+ * requires a CSRF token when the request relies on session cookies instead
+ * of tokens sent explicitly in the header or body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyCsrf = (req, res, next) => {
+  const cookies = parseCookies(req);
+  const usesCookies = !req.header('x-auth-token') &&
+    !(req.body && req.body.refreshToken) &&
+    Boolean(cookies[ACCESS_TOKEN_COOKIE] || cookies[REFRESH_TOKEN_COOKIE]);
+  
+  if (usesCookies && !SAFE_METHODS.includes(req.method) && !hasValidCsrfToken(req)) {
+    return rejectCsrf(res);
+  }
+  
+  next();
+};
+
 /**
  * Middleware to validate request inputs
  * @param {Object} req - Express request object
@@ -105,10 +498,11 @@ const validateInputs = (req, res, next) => {
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   try {
-    // Get token from header
-    const token = req.header('x-auth-token');
+    // Get token from header, falling back to the session cookie
+    const headerToken = req.header('x-auth-token');
+    const token = headerToken || parseCookies(req)[ACCESS_TOKEN_COOKIE];
     
     // Check if token exists
     if (!token) {
@@ -118,30 +512,58 @@ const authenticateToken = (req, res, next) => {
       });
     }
     
+    // Browsers attach cookies automatically, so cookie-authenticated writes need a CSRF token
+    if (!headerToken && !SAFE_METHODS.includes(req.method) && !hasValidCsrfToken(req)) {
+      return rejectCsrf(res);
+    }
+    
     // Get JWT secret from environment variables
     const jwtSecret = process.env.JWT_SECRET || 'your-default-jwt-secret';
     
     // Verify token
-    jwt.verify(token, jwtSecret, (error, decoded) => {
-      if (error) {
-        // Token is invalid or expired
-        if (error.name === 'TokenExpiredError') {
-          return res.status(401).json({
-            success: false,
-            message: 'Token has expired, please login again'
-          });
-        }
-        
+    let decoded;
+    try {
+      decoded = jwt.verify(token, jwtSecret);
+    } catch (error) {
+      // Token is invalid or expired
+      if (error.name === 'TokenExpiredError') {
         return res.status(401).json({
           success: false,
-          message: 'Invalid authentication token'
+          message: 'Token has expired, please login again'
         });
       }
       
-      // Add user from payload to request object
-      req.user = decoded.user;
-      next();
-    });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication token'
+      });
+    }
+    
+    // Only access tokens carry a user claim (login challenges do not)
+    if (!decoded.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication token'
+      });
+    }
+    
+    // Reject tokens that were revoked (e.g. on logout) or whose session was signed out
+    const [revoked, activeSession] = await Promise.all([
+      decoded.jti ? RevokedToken.exists({ jti: decoded.jti }) : null,
+      decoded.sid ? Session.exists({ _id: decoded.sid, revokedAt: null }) : true
+    ]);
+    
+    if (revoked || !activeSession) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked, please login again'
+      });
+    }
+    
+    // Add user from payload to request object
+    req.user = decoded.user;
+    req.tokenPayload = decoded;
+    next();
   } catch (error) {
     console.error('Authentication error:', error);
     res.status(500).json({
@@ -163,8 +585,14 @@ const authorizeUser = async (req, res, next) => {
     // Get the user ID from the request parameters
     const { id } = req.params;
     
-    // Check if the authenticated user is the same as the requested user
-    if (req.user.id !== id) {
+    // Users can always act on their own account
+    if (req.user.id === id) {
+      return next();
+    }
+    
+    // Otherwise the caller needs permission to manage other accounts
+    const currentUser = await User.findById(req.user.id).select('role');
+    if (!currentUser || !hasPermission(currentUser.role, 'users:write')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to perform this action'
@@ -181,6 +609,228 @@ const authorizeUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Creates middleware that requires the authenticated user's role to grant
+ * every listed permission. The role is read from the database so role
+ * changes take effect immediately. Must run after `authenticateToken`.
+ * @param {...string} permissions - Required permissions, e.g. `users:read`
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const currentUser = await User.findById(req.user.id).select('role status');
+    
+    if (!currentUser || currentUser.status === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to perform this action'
+      });
+    }
+    
+    const missing = permissions.filter(permission => !hasPermission(currentUser.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+    
+    req.user.role = currentUser.role;
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authorization failed'
+    });
+  }
+};
+
+/**
+ * Middleware that only lets accounts with a verified email address through.
+ * Used for actions that reach other people or third parties, such as
+ * collaboration invites and reservations. Must run after `authenticateToken`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const currentUser = await User.findById(req.user.id).select('emailVerified');
+    
+    if (!currentUser || !currentUser.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address to use this feature'
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authorization failed'
+    });
+  }
+};
+
+/**
+ * Creates a short-lived token proving the password step of a login succeeded.
+ * It has no `user` claim, so `authenticateToken` will not accept it.
+ * @param {Object} user - The user logging in
+ * @returns {string} - Signed challenge token
+ */
+const generateTwoFactorChallenge = (user) => {
+  const jwtSecret = process.env.JWT_SECRET || 'your-default-jwt-secret';
+  
+  return jwt.sign({ sub: user.id }, jwtSecret, {
+    audience: 'two-factor-challenge',
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+  });
+};
+
+/**
+ * Normalizes a backup code as typed by the user (case and dashes are ignored)
+ * @param {string} code - The backup code
+ * @returns {string} - Normalized code
+ */
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Generates a fresh set of single-use backup codes
+ * @param {number} [count=10] - Number of codes
+ * @returns {Object} - Raw codes for the user and hashes to store
+ */
+const generateBackupCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeBackupCode(code)))
+  };
+};
+
+/**
+ * Checks a second-factor code for a user with two-factor enabled.
+ * Authenticator codes cannot be reused; backup codes are consumed.
+ * The user must be loaded with `+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep`.
+ * @param {Object} user - The user document
+ * @param {string} code - Authenticator code or backup code
+ * @returns {Promise<boolean>} - True if the code was accepted
+ */
+const verifyTwoFactorCode = async (user, code) => {
+  const step = totp.verifyCode(user.twoFactor.secret, code);
+  
+  if (step !== null) {
+    if (user.twoFactor.lastUsedStep !== undefined && step <= user.twoFactor.lastUsedStep) {
+      return false;
+    }
+    
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return true;
+  }
+  
+  const codeHash = hashToken(normalizeBackupCode(code));
+  const backupCodes = user.twoFactor.backupCodes || [];
+  
+  if (backupCodes.includes(codeHash)) {
+    user.twoFactor.backupCodes = backupCodes.filter(hash => hash !== codeHash);
+    await user.save();
+    return true;
+  }
+  
+  return false;
+};
+
+/**
+ * Issues tokens for an authenticated user and sends the login response.
+ * Cookie sessions (`x-session-mode: cookie`) get the tokens as cookies only.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - The user that logged in
+ * @returns {Promise<void>}
+ */
+const sendLoginSession = async (req, res, user) => {
+  // Start a session for this device with its own refresh token family
+  const session = await startSession(user, req);
+  const token = generateToken(user, session.id);
+  const { token: refreshToken } = await generateRefreshToken(user, session.refreshFamily);
+  
+  // Return token and user data (excluding password and two-factor secrets)
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  if (userResponse.twoFactor) {
+    userResponse.twoFactor = {
+      enabled: userResponse.twoFactor.enabled,
+      enabledAt: userResponse.twoFactor.enabledAt
+    };
+  }
+  
+  // Cookie sessions keep both tokens out of reach of page scripts
+  if (wantsCookieSession(req)) {
+    const csrfToken = setSessionCookies(res, { token, refreshToken });
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      csrfToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      data: userResponse
+    });
+  }
+  
+  // Set token in HTTP-only cookie for added security
+  const csrfToken = setSessionCookies(res, { token });
+  
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    token, // Still include token in response for clients that need it
+    refreshToken,
+    csrfToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    data: userResponse
+  });
+};
+
+/**
+ * Sends the response asking for the second factor of a login
+ * @param {Object} res - Express response object
+ * @param {Object} user - The user logging in
+ */
+const sendTwoFactorChallenge = (res, user) => {
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication required',
+    twoFactorRequired: true,
+    challengeToken: generateTwoFactorChallenge(user),
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+  });
+};
+
+/**
+ * Sends the response for a login attempt on a locked account
+ * @param {Object} res - Express response object
+ * @param {number} remainingMs - Remaining lock time in milliseconds
+ */
+const sendAccountLocked = (res, remainingMs) => {
+  const retryAfter = Math.ceil(remainingMs / 1000);
+  
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Please try again in ${Math.ceil(retryAfter / 60)} minutes`,
+    code: 'ACCOUNT_LOCKED',
+    retryAfter
+  });
+};
+
 /**
  * Login function to authenticate a user and generate a token
  * @param {Object} req - Express request object
@@ -201,55 +851,276 @@ const login = async (req, res) => {
     // Find user by email
     const user = await User.findOne({ email });
     
-    // Check if user exists and compare passwords
+    // Check if user exists
     // Using a generic error message to prevent user enumeration
-    if (!user || !(await comparePassword(password, user.password))) {
+    if (!user) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
     
-    // Generate token
-    const token = generateToken(user);
+    // Locked accounts are rejected before the password is checked
+    const lockRemainingMs = getLockoutRemainingMs(user);
+    if (lockRemainingMs > 0) {
+      await recordFailedLogin(user, req, 'locked');
+      return sendAccountLocked(res, lockRemainingMs);
+    }
     
-    // Return token and user data (excluding password)
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    // Compare passwords, counting failures against the account
+    if (!(await comparePassword(password, user.password))) {
+      const lockoutMs = await recordFailedLogin(user, req, 'password');
+      if (lockoutMs > 0) {
+        return sendAccountLocked(res, lockoutMs);
+      }
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
     
-    // Set token in HTTP-only cookie for added security
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
-      sameSite: 'strict',
-      maxAge: 24 * 60 * 60 * 1000 // 1 day
+    // Suspended accounts cannot sign in
+    if (user.status === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been suspended'
+      });
+    }
+    
+    // Ask for the second factor before issuing any tokens
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+    
+    await recordSuccessfulLogin(user, req);
+    await sendLoginSession(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
     });
+  }
+};
+
+/**
+ * Second login step for accounts with two-factor authentication.
+ * Accepts either a current authenticator code or an unused backup code.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const jwtSecret = process.env.JWT_SECRET || 'your-default-jwt-secret';
+    
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, jwtSecret, { audience: 'two-factor-challenge' });
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please login again'
+      });
+    }
+    
+    const user = await User.findById(decoded.sub)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user || user.status === 'suspended' || !user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please login again'
+      });
+    }
+    
+    // Guessing codes counts towards the same lockout as guessing passwords
+    const lockRemainingMs = getLockoutRemainingMs(user);
+    if (lockRemainingMs > 0) {
+      await recordFailedLogin(user, req, 'locked');
+      return sendAccountLocked(res, lockRemainingMs);
+    }
+    
+    if (!(await verifyTwoFactorCode(user, code))) {
+      const lockoutMs = await recordFailedLogin(user, req, 'two-factor');
+      if (lockoutMs > 0) {
+        return sendAccountLocked(res, lockoutMs);
+      }
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    await recordSuccessfulLogin(user, req);
+    await sendLoginSession(req, res, user);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a rotated refresh token.
+ * Presenting a refresh token that was already rotated is treated as theft and
+ * revokes the whole family, forcing a fresh login.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const refreshAccessToken = async (req, res) => {
+  try {
+    // Cookie sessions send the refresh token as a cookie instead of in the body
+    const bodyToken = req.body && req.body.refreshToken;
+    const fromCookie = !bodyToken;
+    const refreshToken = bodyToken || parseCookies(req)[REFRESH_TOKEN_COOKIE];
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+    
+    const tokenHash = hashToken(refreshToken);
+    
+    // Claim the token in one write, so of two requests presenting it only one gets to rotate it
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date() }
+    );
+    
+    if (!stored) {
+      const presented = await RefreshToken.findOne({ tokenHash });
+      
+      // A revoked token being replayed means the chain is compromised
+      if (presented && presented.revokedAt && presented.expiresAt.getTime() > Date.now()) {
+        await revokeSessions({ refreshFamily: presented.family });
+        await revokeRefreshTokenFamily(presented.family);
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token has been revoked, please login again'
+        });
+      }
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+    
+    const user = await User.findById(stored.userId);
+    if (!user || user.status === 'suspended') {
+      await revokeSessions({ refreshFamily: stored.family });
+      await revokeRefreshTokenFamily(stored.family);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+    
+    // Find the device session; logins from before sessions existed get one now
+    let session = await Session.findOne({ refreshFamily: stored.family });
+    
+    if (session && session.revokedAt) {
+      await revokeRefreshTokenFamily(stored.family);
+      return res.status(401).json({
+        success: false,
+        message: 'This device has been signed out, please login again'
+      });
+    }
+    
+    if (session) {
+      session.lastActiveAt = new Date();
+      session.ip = req.ip;
+      session.expiresAt = getRefreshExpiry();
+      await session.save();
+    } else {
+      session = await startSession(user, req, stored.family);
+    }
+    
+    // Rotate: issue the next token in the family and record it on the retired one
+    const { token: nextRefreshToken, record } = await generateRefreshToken(user, stored.family);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedByHash: record.tokenHash });
+    
+    const token = generateToken(user, session.id);
+    
+    if (fromCookie) {
+      const csrfToken = setSessionCookies(res, { token, refreshToken: nextRefreshToken });
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Token refreshed',
+        csrfToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+      });
+    }
+    
+    const csrfToken = setSessionCookies(res, { token });
     
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      token, // Still include token in response for clients that need it
-      data: userResponse
+      message: 'Token refreshed',
+      token,
+      refreshToken: nextRefreshToken,
+      csrfToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed'
+      message: 'Token refresh failed'
     });
   }
 };
 
 /**
- * Logout function to clear the authentication token cookie
+ * Logout function to revoke the caller's tokens and clear the authentication cookie
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const logout = (req, res) => {
-  res.cookie('token', '', {
-    httpOnly: true,
-    expires: new Date(0)
-  });
+const logout = async (req, res) => {
+  try {
+    const jwtSecret = process.env.JWT_SECRET || 'your-default-jwt-secret';
+    const cookies = parseCookies(req);
+    const accessToken = req.header('x-auth-token') || cookies[ACCESS_TOKEN_COOKIE];
+    const refreshToken = (req.body && req.body.refreshToken) || cookies[REFRESH_TOKEN_COOKIE];
+    
+    // Revoke the access token so it cannot be used for the rest of its lifetime
+    if (accessToken) {
+      let decoded = null;
+      try {
+        decoded = jwt.verify(accessToken, jwtSecret);
+      } catch (error) {
+        // Expired or invalid tokens are already unusable
+      }
+      
+      if (decoded) {
+        await revokeAccessToken(decoded);
+        if (decoded.sid) {
+          await revokeSessions({ _id: decoded.sid });
+        }
+      }
+    }
+    
+    // Revoke the session and refresh token chain belonging to this login
+    if (refreshToken) {
+      const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+      if (stored) {
+        await revokeSessions({ refreshFamily: stored.family });
+        await revokeRefreshTokenFamily(stored.family);
+      }
+    }
+  } catch (error) {
+    console.error('Logout revocation error:', error);
+  }
+  
+  clearSessionCookies(res);
   
   res.status(200).json({
     success: true,
@@ -261,10 +1132,30 @@ module.exports = {
   hashPassword,
   comparePassword,
   generateToken,
+  generateRefreshToken,
+  hashToken,
+  parseCookies,
+  revokeAccessToken,
+  revokeRefreshTokenFamily,
+  revokeUserRefreshTokens,
+  revokeSessions,
+  revokeUserSessions,
+  hasPermission,
+  ROLE_PERMISSIONS,
   authenticateToken,
   authorizeUser,
+  requirePermission,
+  requireVerifiedEmail,
+  verifyCsrf,
+  generateBackupCodes,
+  verifyTwoFactorCode,
+  sendLoginSession,
+  sendTwoFactorChallenge,
   login,
+  verifyTwoFactorLogin,
   logout,
+  refreshAccessToken,
   authLimiter,
+  passwordResetLimiter,
   validateInputs
 };
\ No newline at end of file
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Single-use tokens sent to a user out of band (e.g. by email) to confirm
+ * an account action such as resetting a password or verifying an email address.
+ * Social sign-in also uses them to hand the login over to the app.
+ */
+const AccountTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification', 'oauth-login'],
+    required: true
+  },
+  // SHA-256 hash of the token; the raw value is only ever sent to the user, in the
+  // email or, for `oauth-login`, in the redirect back to the app
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB purge expired tokens automatically
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', AccountTokenSchema);
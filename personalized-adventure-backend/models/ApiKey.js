@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// What a key may do on behalf of the user who created it
+const API_KEY_SCOPES = ['itineraries:read', 'itineraries:create', 'itineraries:reserve'];
+
+/**
+ * A credential a user hands to a partner (e.g. a travel agency) so it can
+ * work with the user's itineraries without the user's password. Keys only
+ * reach the routes their scopes allow and are rate limited per key.
+ */
+const ApiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Label chosen by the user, e.g. the partner's name
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key, shown so the user can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 hash of the key; the raw value is only shown once, when created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    required: true
+  },
+  rateLimitPerMinute: {
+    type: Number,
+    default: 60
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+ApiKey.API_KEY_SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * One request made with an API key, so users can see what partners did
+ * with their keys.
+ */
+const ApiKeyUsageSchema = new mongoose.Schema({
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Usage is kept for 90 days
+ApiKeyUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ApiKeyUsage', ApiKeyUsageSchema);
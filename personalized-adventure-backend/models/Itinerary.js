@@ -1,4 +1,30 @@
 const mongoose = require('mongoose');
+const ItineraryVersion = require('./ItineraryVersion');
+const { summarizeCosts } = require('../utils/budget');
+const { CURRENCY_CODE, DEFAULT_CURRENCY } = require('../utils/exchangeRates');
+const { TRAVEL_MODES, DEFAULT_TRAVEL_MODE } = require('../utils/schedule');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  normalizeTime,
+  toCalendarDate,
+  addDays,
+  zonedTimeToUtc
+} = require('../utils/timeZones');
+
+// Content saved with each version; sharing and timestamps are not versioned
+const VERSIONED_FIELDS = ['title', 'location', 'startDate', 'endDate', 'timeZone', 'currency', 'days', 'preferences', 'totalCost'];
+
+// Versions kept per itinerary; older ones are deleted
+const MAX_VERSIONS = 50;
+
+// Time of day as 24-hour "HH:MM"
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const timeZoneValidator = {
+  validator: isValidTimeZone,
+  message: props => `${props.value} is not an IANA time zone`
+};
 
 const ItinerarySchema = new mongoose.Schema({
   title: {
@@ -19,16 +45,52 @@ const ItinerarySchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // IANA time zone of the destination; activity times are local to it
+  timeZone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE,
+    validate: timeZoneValidator
+  },
+  // ISO 4217 code of the itinerary's costs, including `totalCost`
+  currency: {
+    type: String,
+    uppercase: true,
+    match: CURRENCY_CODE,
+    default: DEFAULT_CURRENCY
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: true,
+    index: true
   },
+  // Other users the owner has shared this itinerary with
+  collaborators: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'editor'],
+      default: 'viewer'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   days: [{
     date: {
       type: Date,
       required: true
     },
+    // Time zone of a leg of the trip in another zone than the itinerary's
+    timeZone: {
+      type: String,
+      validate: timeZoneValidator
+    },
     activities: [{
       name: {
         type: String,
@@ -43,14 +105,36 @@ const ItinerarySchema = new mongoose.Schema({
       endTime: {
         type: String
       },
+      // When `startTime` and `endTime` happen, set on save from the day's date and time zone
+      startsAt: {
+        type: Date
+      },
+      endsAt: {
+        type: Date
+      },
       location: {
         name: String,
         address: String,
         coordinates: {
           lat: Number,
           lng: Number
+        },
+        // Periods the place is open in local time; days of the week run from 0 (Sunday)
+        openingHours: {
+          type: [{
+            _id: false,
+            days: [{ type: Number, min: 0, max: 6 }],
+            open: { type: String, match: TIME_OF_DAY, required: true },
+            close: { type: String, match: TIME_OF_DAY, required: true }
+          }],
+          default: undefined
         }
       },
+      // How people get to this activity from the one before, when not the trip's travel mode
+      travelMode: {
+        type: String,
+        enum: TRAVEL_MODES
+      },
       category: {
         type: String,
         enum: ['food', 'attraction', 'event', 'transportation', 'accommodation', 'other']
@@ -59,10 +143,21 @@ const ItinerarySchema = new mongoose.Schema({
         type: Number,
         default: 0
       },
+      // Currency of `cost` when it differs from the itinerary's
+      currency: {
+        type: String,
+        uppercase: true,
+        match: CURRENCY_CODE
+      },
       weatherDependent: {
         type: Boolean,
         default: false
       },
+      // Must happen at its time, so route optimization leaves it in place
+      fixedTime: {
+        type: Boolean,
+        default: false
+      },
       reservation: {
         reservationId: String,
         confirmedTime: String,
@@ -92,12 +187,24 @@ const ItinerarySchema = new mongoose.Schema({
       type: String,
       enum: ['relaxed', 'moderate', 'adventurous'],
       default: 'moderate'
+    },
+    // How people get around between activities, for schedule checks
+    travelMode: {
+      type: String,
+      enum: TRAVEL_MODES,
+      default: DEFAULT_TRAVEL_MODE
     }
   },
+  // Sum of the activity costs in the itinerary's currency, recalculated on every save
   totalCost: {
     type: Number,
     default: 0
   },
+  // Templates are reusable plans, listed apart from trips and cloned onto new dates
+  isTemplate: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -105,13 +212,292 @@ const ItinerarySchema = new mongoose.Schema({
   updatedAt: {
     type: Date,
     default: Date.now
+  },
+  // Latest version in the itinerary's history, see models/ItineraryVersion.js
+  version: {
+    type: Number,
+    default: 0
+  }
+});
+
+ItinerarySchema.index({ 'collaborators.userId': 1 });
+
+// Support the default list order and date range filters
+ItinerarySchema.index({ userId: 1, createdAt: -1, _id: -1 });
+ItinerarySchema.index({ userId: 1, startDate: 1, endDate: 1 });
+
+// Full-text search over itineraries and their activities; titles count most
+ItinerarySchema.index(
+  {
+    title: 'text',
+    location: 'text',
+    'days.activities.name': 'text',
+    'days.activities.description': 'text'
+  },
+  {
+    name: 'itinerary_text',
+    weights: {
+      title: 10,
+      location: 5,
+      'days.activities.name': 5,
+      'days.activities.description': 1
+    }
+  }
+);
+
+// Access levels in increasing order of privilege
+const ACCESS_LEVELS = ['viewer', 'editor', 'owner'];
+
+/**
+ * Get the access level a user has on this itinerary
+ * @param {string} userId - The user's ID
+ * @returns {string|null} - 'owner', 'editor', 'viewer' or null if the user has no access
+ */
+ItinerarySchema.methods.getAccessLevel = function(userId) {
+  if (!userId) {
+    return null;
+  }
+  
+  if (this.userId && this.userId.toString() === userId.toString()) {
+    return 'owner';
   }
+  
+  const collaborator = (this.collaborators || []).find(
+    entry => entry.userId && entry.userId.toString() === userId.toString()
+  );
+  
+  return collaborator ? collaborator.role : null;
+};
+
+/**
+ * Check whether a user has at least the given access level
+ * @param {string} userId - The user's ID
+ * @param {string} level - Required level: 'viewer', 'editor' or 'owner'
+ * @returns {boolean} - True if the user's access is sufficient
+ */
+ItinerarySchema.methods.hasAccess = function(userId, level) {
+  const access = this.getAccessLevel(userId);
+  return access !== null && ACCESS_LEVELS.indexOf(access) >= ACCESS_LEVELS.indexOf(level);
+};
+
+/**
+ * Recalculate `totalCost` from the cost of every activity
+ * @returns {number} - The new total
+ */
+ItinerarySchema.methods.calculateTotalCost = function() {
+  this.totalCost = summarizeCosts(this).totalCost;
+  return this.totalCost;
+};
+
+/**
+ * Get the time zone a day's activity times are in
+ * @param {Object} day - Day of this itinerary
+ * @returns {string} - IANA time zone
+ */
+ItinerarySchema.methods.getDayTimeZone = function(day) {
+  return day.timeZone || this.timeZone || DEFAULT_TIME_ZONE;
+};
+
+/**
+ * Set a path only when its value changes, so unchanged content does not
+ * count as a change in the version history
+ * @param {Object} target - Document or subdocument
+ * @param {string} path - Path to set
+ * @param {*} value - New value
+ */
+const setIfChanged = (target, path, value) => {
+  const current = target.get(path);
+  const same = current instanceof Date && value instanceof Date
+    ? current.getTime() === value.getTime()
+    : current === value;
+
+  if (!same) {
+    target.set(path, value);
+  }
+};
+
+/**
+ * Normalize the schedule: dates become calendar dates at UTC midnight, times
+ * become "HH:MM", and each activity gets the instants it starts and ends.
+ * Activities ending before they start end the next day. Days in an unknown
+ * time zone are left for validation to reject.
+ */
+ItinerarySchema.methods.normalizeSchedule = function() {
+  if (!isValidTimeZone(this.timeZone)) {
+    return;
+  }
+
+  ['startDate', 'endDate'].forEach(field => {
+    if (this[field]) {
+      setIfChanged(this, field, toCalendarDate(this[field], this.timeZone));
+    }
+  });
+
+  (this.days || []).forEach((day, dayIndex) => {
+    const timeZone = this.getDayTimeZone(day);
+    if (!isValidTimeZone(timeZone)) {
+      return;
+    }
+
+    if (day.date) {
+      setIfChanged(day, 'date', toCalendarDate(day.date, timeZone));
+    }
+
+    (day.activities || []).forEach((activity, activityIndex) => {
+      const instants = {};
+
+      [['startTime', 'startsAt'], ['endTime', 'endsAt']].forEach(([field, instantField]) => {
+        if (!activity[field]) {
+          setIfChanged(activity, instantField, undefined);
+          return;
+        }
+
+        const time = normalizeTime(activity[field]);
+        if (!time) {
+          this.invalidate(`days.${dayIndex}.activities.${activityIndex}.${field}`, 'Times must use the HH:MM format', activity[field]);
+          return;
+        }
+
+        setIfChanged(activity, field, time);
+        instants[instantField] = day.date ? zonedTimeToUtc(day.date, time, timeZone) : undefined;
+      });
+
+      if (instants.startsAt && instants.endsAt && instants.endsAt < instants.startsAt) {
+        instants.endsAt = zonedTimeToUtc(addDays(day.date, 1), activity.endTime, timeZone);
+      }
+
+      Object.entries(instants).forEach(([field, instant]) => setIfChanged(activity, field, instant));
+    });
+  });
+};
+
+/**
+ * Query filter matching itineraries a user owns or has been shared
+ * @param {string} userId - The user's ID
+ * @returns {Object} - MongoDB filter
+ */
+ItinerarySchema.statics.accessibleBy = function(userId) {
+  return {
+    $or: [
+      { userId },
+      { 'collaborators.userId': userId }
+    ]
+  };
+};
+
+/**
+ * Get the versioned content of this itinerary
+ * @returns {Object} - Plain copy of `VERSIONED_FIELDS`
+ */
+ItinerarySchema.methods.getSnapshot = function() {
+  const data = this.toObject({ depopulate: true });
+  return VERSIONED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = data[field];
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Replace the versioned content of this itinerary with a snapshot.
+ * Days and activities keep the IDs they had in the snapshot.
+ * @param {Object} snapshot - Snapshot from `getSnapshot`
+ */
+ItinerarySchema.methods.restoreSnapshot = function(snapshot) {
+  VERSIONED_FIELDS.forEach(field => {
+    this.set(field, snapshot[field]);
+  });
+};
+
+ItinerarySchema.pre('validate', function(next) {
+  this.normalizeSchedule();
+  next();
+});
+
+/**
+ * Get a filter that only matches this itinerary while it is stored in the
+ * state it was loaded in, i.e. nobody else has saved it since
+ * @returns {Object} - Query filter on `_id`, `version` and `updatedAt`
+ */
+ItinerarySchema.methods.getLoadedStateFilter = function() {
+  const { version = this.version, updatedAt = this.updatedAt } = this.$locals.loadedState || {};
+  return { _id: this._id, version, updatedAt };
+};
+
+// Remember the `version` and `updatedAt` each itinerary was loaded with. These are what its
+// ETag is made of (see utils/etag.js), and saves only go through while they are unchanged.
+ItinerarySchema.pre('init', function(data) {
+  this.$locals.loadedState = {
+    version: data.version ?? null,
+    updatedAt: data.updatedAt ?? null
+  };
 });
 
-// Update the updatedAt field before saving
+// Update the updatedAt field and total cost before saving, and prepare a new version when the
+// content changed. Controllers can set `$locals.changedBy` to the user making the change.
+//
+// Saving a loaded itinerary is conditional on it still being stored as it was loaded, so of two
+// concurrent writes the second fails with a `DocumentNotFoundError` instead of overwriting the first.
 ItinerarySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    const { version, updatedAt } = this.getLoadedStateFilter();
+    this.$where = { ...this.$where, version, updatedAt };
+  }
+  
   this.updatedAt = Date.now();
+  this.calculateTotalCost();
+  
+  if (this.isNew || VERSIONED_FIELDS.some(field => this.isModified(field))) {
+    this.version = (this.version || 0) + 1;
+    this.$locals.pendingVersion = {
+      itineraryId: this._id,
+      version: this.version,
+      action: this.$locals.revertedFrom ? 'revert' : this.isNew ? 'create' : 'update',
+      revertedFrom: this.$locals.revertedFrom || null,
+      changedBy: this.$locals.changedBy || null,
+      snapshot: this.getSnapshot()
+    };
+  }
+  
   next();
 });
 
-module.exports = mongoose.model('Itinerary', ItinerarySchema);
\ No newline at end of file
+// Store the version once the save succeeded. Saves are conditional on the loaded version (see
+// the pre-save hook), so two saves can never record the same number. The itinerary is already
+// written when this runs, so a version that cannot be stored is logged and left out of the
+// history rather than reported as a failed save.
+ItinerarySchema.post('save', async function(doc) {
+  doc.$locals.loadedState = { version: doc.version, updatedAt: doc.updatedAt };
+  
+  const pendingVersion = doc.$locals.pendingVersion;
+  delete doc.$locals.pendingVersion;
+  delete doc.$locals.revertedFrom;
+  
+  if (!pendingVersion) {
+    return;
+  }
+  
+  try {
+    await ItineraryVersion.create(pendingVersion);
+    await ItineraryVersion.deleteMany({
+      itineraryId: doc._id,
+      version: { $lte: pendingVersion.version - MAX_VERSIONS }
+    });
+  } catch (error) {
+    // The itinerary itself was saved, so the request still succeeds
+    console.error('Failed to record itinerary version:', error);
+  }
+});
+
+// Deleting an itinerary deletes its history
+ItinerarySchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await ItineraryVersion.deleteMany({ itineraryId: doc._id });
+  }
+});
+
+const Itinerary = mongoose.model('Itinerary', ItinerarySchema);
+
+Itinerary.VERSIONED_FIELDS = VERSIONED_FIELDS;
+Itinerary.MAX_VERSIONS = MAX_VERSIONS;
+
+module.exports = Itinerary;
\ No newline at end of file
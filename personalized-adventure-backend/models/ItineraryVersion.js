@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * A saved version of an itinerary's content. One is written every time the
+ * content changes (see the save hooks in models/Itinerary.js), so earlier
+ * versions can be compared and restored.
+ */
+const ItineraryVersionSchema = new mongoose.Schema({
+  itineraryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Itinerary',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // What led to this version
+  action: {
+    type: String,
+    enum: ['create', 'update', 'revert'],
+    default: 'update'
+  },
+  // Version restored by a revert
+  revertedFrom: {
+    type: Number,
+    default: null
+  },
+  // User who made the change, when it came from a request
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Itinerary content at this version, see `Itinerary.VERSIONED_FIELDS`
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ItineraryVersionSchema.index({ itineraryId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ItineraryVersion', ItineraryVersionSchema);
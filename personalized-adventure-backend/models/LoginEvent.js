@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * A sign-in attempt on an account, kept so users can review recent activity
+ * and be told about logins from devices they have not used before.
+ */
+const LoginEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  // Why a failed attempt was rejected
+  failureReason: {
+    type: String,
+    enum: ['password', 'two-factor', 'locked']
+  },
+  ip: String,
+  userAgent: String,
+  // SHA-256 of the client's device ID header, or of the user agent when none is sent
+  deviceFingerprint: {
+    type: String,
+    index: true
+  },
+  // Successful login from a device with no earlier successful login
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the user has seen the new-device alert in the app
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Login history is kept for 90 days
+LoginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', LoginEventSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * A social sign-in that is waiting for the provider to redirect back.
+ * The `state` parameter sent to the provider only identifies this record;
+ * the nonce and PKCE verifier never leave the server. The browser that
+ * started the sign-in holds a key in a cookie, so the callback cannot be
+ * completed in another browser.
+ */
+const OAuthStateSchema = new mongoose.Schema({
+  // SHA-256 hash of the `state` parameter
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 hash of the key in the browser's `oauthBrowser` cookie
+  browserKeyHash: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Where the app wants the result delivered (checked against OAUTH_APP_REDIRECT_URIS)
+  appRedirectUri: {
+    type: String,
+    required: true
+  },
+  // Set when a signed-in user is linking the identity to their account
+  linkUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Abandoned sign-ins are purged automatically
+OAuthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', OAuthStateSchema);
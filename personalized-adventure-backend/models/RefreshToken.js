@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 hash of the token; the raw value is only ever sent to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Every token issued by rotating the same login shares a family,
+  // so a reused token can take down the whole chain
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedByHash: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB purge expired tokens automatically
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
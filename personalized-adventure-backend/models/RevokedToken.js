@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const RevokedTokenSchema = new mongoose.Schema({
+  // The `jti` claim of the revoked access token
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Matches the token's own expiry; after that the JWT is rejected anyway
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Drop entries once the underlying token could no longer be used
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
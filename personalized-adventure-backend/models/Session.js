@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in device. Each login starts a session that owns one refresh token
+ * family; access tokens carry the session ID (`sid`) so revoking the session
+ * signs the device out immediately, not just when its access token expires.
+ */
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Refresh token family issued to this session
+  refreshFamily: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Same fingerprint as login events; one active session per device
+  deviceFingerprint: {
+    type: String,
+    index: true
+  },
+  userAgent: String,
+  ip: String,
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // Pushed forward on every refresh; matches the refresh token lifetime
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB purge sessions that were not refreshed in time
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
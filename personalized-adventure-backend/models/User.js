@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCY_CODE, DEFAULT_CURRENCY } = require('../utils/exchangeRates');
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -14,10 +15,101 @@ const UserSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // New accounts (and changed addresses) stay unverified until the emailed link is used
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   password: {
     type: String,
     required: true
   },
+  // False for accounts created through social sign-in, which get a random password
+  passwordSet: {
+    type: Boolean,
+    default: true
+  },
+  // External identities (Google, Apple, OIDC) that can sign in to this account
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    // The provider's stable user ID (`sub` claim)
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  role: {
+    type: String,
+    enum: ['user', 'support', 'admin'],
+    default: 'user'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  // Optional TOTP second factor. Secrets are never returned by default queries.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused single-use backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Failed sign-in tracking for per-account lockout
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    // Number of lockouts since the last successful login; each one lasts longer
+    lockoutCount: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    lastFailedAt: Date,
+    lastLoginAt: Date
+  },
+  suspension: {
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   preferences: {
     activities: [String],
     budget: {
@@ -29,6 +121,13 @@ const UserSchema = new mongoose.Schema({
       type: String,
       enum: ['relaxed', 'moderate', 'adventurous'],
       default: 'moderate'
+    },
+    // ISO 4217 code that costs are converted into for this user
+    homeCurrency: {
+      type: String,
+      uppercase: true,
+      match: CURRENCY_CODE,
+      default: DEFAULT_CURRENCY
     }
   },
   createdAt: {
@@ -37,4 +136,10 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
+// An external identity can only be linked to one account
+UserSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
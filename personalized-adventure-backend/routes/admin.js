@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const {
+  authenticateToken,
+  requirePermission,
+  validateInputs
+} = require('../middleware/auth');
+
+// Validation rules
+const updateUserValidationRules = [
+  check('username')
+    .optional()
+    .isLength({ min: 3, max: 30 }).withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/).withMessage('Username can only contain letters, numbers, underscores and hyphens')
+    .trim().escape(),
+  
+  check('email')
+    .optional()
+    .isEmail().withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  check('role')
+    .optional()
+    .isIn(['user', 'support', 'admin']).withMessage('Role must be one of: user, support, admin')
+];
+
+const suspendValidationRules = [
+  check('reason')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+    .trim().escape()
+];
+
+// Every admin route requires an authenticated staff account
+router.use(authenticateToken);
+
+// User accounts
+router.get('/users', requirePermission('users:read'), adminController.listUsers);
+router.get('/users/:id', requirePermission('users:read'), adminController.getUser);
+router.put(
+  '/users/:id',
+  requirePermission('users:write'),
+  updateUserValidationRules,
+  validateInputs,
+  adminController.updateUser
+);
+router.post(
+  '/users/:id/suspend',
+  requirePermission('users:suspend'),
+  suspendValidationRules,
+  validateInputs,
+  adminController.suspendUser
+);
+router.post('/users/:id/unsuspend', requirePermission('users:suspend'), adminController.unsuspendUser);
+
+// Itineraries
+router.get('/itineraries', requirePermission('itineraries:read'), adminController.listItineraries);
+router.get('/itineraries/:id', requirePermission('itineraries:read'), adminController.getItinerary);
+router.put('/itineraries/:id', requirePermission('itineraries:write'), adminController.updateItinerary);
+router.delete('/itineraries/:id', requirePermission('itineraries:delete'), adminController.deleteItinerary);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const apiKeyController = require('../controllers/apiKeyController');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+const { MAX_RATE_LIMIT_PER_MINUTE } = require('../middleware/apiKeyAuth');
+const { authenticateToken, requireVerifiedEmail, validateInputs } = require('../middleware/auth');
+
+// Validation rules
+const createApiKeyValidationRules = [
+  check('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  
+  check('scopes')
+    .isArray({ min: 1 }).withMessage('At least one scope is required'),
+  
+  check('scopes.*')
+    .isIn(API_KEY_SCOPES).withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+  
+  check('rateLimitPerMinute')
+    .optional()
+    .isInt({ min: 1, max: MAX_RATE_LIMIT_PER_MINUTE }).withMessage(`Rate limit must be between 1 and ${MAX_RATE_LIMIT_PER_MINUTE} requests per minute`)
+    .toInt(),
+  
+  check('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days')
+    .toInt()
+];
+
+// Keys are managed by the signed-in user only; API keys cannot manage keys
+router.use(authenticateToken);
+
+// List the user's API keys
+router.get('/', apiKeyController.listApiKeys);
+
+// Create an API key (verified email required, since keys let partners act for the user)
+router.post(
+  '/',
+  requireVerifiedEmail,
+  createApiKeyValidationRules,
+  validateInputs,
+  apiKeyController.createApiKey
+);
+
+// Recent requests made with a key
+router.get('/:id/usage', apiKeyController.getApiKeyUsage);
+
+// Revoke a key
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRateController');
+
+// Get the rate table used to convert costs between currencies
+router.get('/', exchangeRateController.getExchangeRates);
+
+module.exports = router;
@@ -7,7 +7,11 @@ router.get('/api', (req, res) => {
     message: 'API is working',
     endpoints: {
       itineraries: '/api/itineraries',
-      users: '/api/users'
+      users: '/api/users',
+      admin: '/api/admin',
+      oauth: '/api/auth/oauth',
+      apiKeys: '/api/keys',
+      exchangeRates: '/api/exchange-rates'
     }
   });
 });
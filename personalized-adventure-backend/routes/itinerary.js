@@ -1,26 +1,419 @@
 const express = require('express');
 const router = express.Router();
+const { check, body } = require('express-validator');
 const itineraryController = require('../controllers/itineraryController');
+const { authenticateToken, requireVerifiedEmail, validateInputs } = require('../middleware/auth');
+const { authenticateTokenOrApiKey } = require('../middleware/apiKeyAuth');
+const { MAX_LIMIT, DEFAULT_SORT, SORT_OPTIONS, decodeCursor } = require('../utils/itineraryQuery');
+const { MAX_SEARCH_LIMIT } = require('../utils/itinerarySearch');
+const { PATCH_OPERATIONS } = require('../utils/jsonPatch');
+const { isSupportedCurrency } = require('../utils/exchangeRates');
+const { isValidTimeZone } = require('../utils/timeZones');
+const { TRAVEL_MODES } = require('../utils/schedule');
+const { MAX_TRIP_DAYS } = require('../utils/itineraryGenerator');
 
-// Get all itineraries
-router.get('/', itineraryController.getAllItineraries);
+// Activity categories that can be used as a filter
+const ACTIVITY_CATEGORIES = ['food', 'attraction', 'event', 'transportation', 'accommodation', 'other'];
+
+// Validation rules
+
+// Currencies are ISO 4217 codes the exchange-rate table can convert
+const currencyValidationRule = check('currency')
+  .optional()
+  .toUpperCase()
+  .custom(isSupportedCurrency).withMessage('Currency must be an ISO 4217 code with a known exchange rate');
+
+// Time zones are IANA names such as Europe/Lisbon
+const timeZoneValidationRule = check('timeZone')
+  .optional()
+  .custom(isValidTimeZone).withMessage('Time zone must be an IANA time zone such as Europe/Lisbon');
+
+const travelModeMessage = `Travel mode must be one of: ${TRAVEL_MODES.join(', ')}`;
+
+// Fields of a whole itinerary, when creating, generating or updating one
+const itineraryValidationRules = [
+  currencyValidationRule,
+  timeZoneValidationRule,
+  
+  check('preferences.travelMode')
+    .optional()
+    .isIn(TRAVEL_MODES).withMessage(travelModeMessage),
+  
+  check('preferences.activities')
+    .optional()
+    .isArray().withMessage('Preferred activities must be a list'),
+  
+  check('preferences.budget')
+    .optional()
+    .isIn(['low', 'medium', 'high']).withMessage('Budget must be one of: low, medium, high'),
+  
+  check('preferences.travelStyle')
+    .optional()
+    .isIn(['relaxed', 'moderate', 'adventurous']).withMessage('Travel style must be one of: relaxed, moderate, adventurous')
+];
+
+// Trip length in days, counting both the start and the end date
+const countTripDays = (startDate, endDate) => (
+  Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000)) + 1
+);
+
+const generateValidationRules = [
+  check(['startDate', 'endDate'])
+    .notEmpty().withMessage('Start and end dates are required').bail()
+    .isISO8601({ strict: true }).withMessage('Dates must use the YYYY-MM-DD format'),
+  
+  check('endDate')
+    .if(check('startDate').isISO8601({ strict: true }))
+    .if(check('endDate').isISO8601({ strict: true }))
+    .custom((endDate, { req }) => countTripDays(req.body.startDate, endDate) >= 1)
+    .withMessage('End date cannot be before the start date').bail()
+    .custom((endDate, { req }) => countTripDays(req.body.startDate, endDate) <= MAX_TRIP_DAYS)
+    .withMessage(`Trips can be generated for up to ${MAX_TRIP_DAYS} days`),
+  
+  ...itineraryValidationRules
+];
+
+const collaboratorValidationRules = [
+  check('email')
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  check('role')
+    .optional()
+    .isIn(['viewer', 'editor']).withMessage('Role must be one of: viewer, editor')
+];
+
+const itineraryListValidationRules = [
+  check('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+  
+  check('cursor')
+    .optional()
+    .custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor').bail()
+    .custom((value, { req }) => decodeCursor(value).sort === (req.query.sort || DEFAULT_SORT))
+    .withMessage('The cursor belongs to a different sort; start again from the first page'),
+  
+  check('sort')
+    .optional()
+    .isIn(SORT_OPTIONS).withMessage(`Sort must be one of: ${SORT_OPTIONS.join(', ')}`),
+  
+  check('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Location must be between 1 and 100 characters'),
+  
+  check(['date', 'from', 'to'])
+    .optional()
+    .isISO8601({ strict: true }).withMessage('Dates must use the YYYY-MM-DD format'),
+  
+  check('category')
+    .optional()
+    .custom(value => value.split(',').every(category => ACTIVITY_CATEGORIES.includes(category.trim())))
+    .withMessage(`Category must be among: ${ACTIVITY_CATEGORIES.join(', ')}`),
+  
+  check(['minCost', 'maxCost'])
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Cost filters must be positive numbers'),
+  
+  check('template')
+    .optional()
+    .isIn(['true', 'false']).withMessage('template must be true or false')
+];
+
+const itinerarySearchValidationRules = [
+  check('q')
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('Search must be between 1 and 200 characters'),
+  
+  check('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_SEARCH_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_SEARCH_LIMIT}`)
+];
+
+const dayValidationRules = [
+  check('date')
+    .notEmpty().withMessage('Date is required')
+    .isISO8601({ strict: true }).withMessage('Date must use the YYYY-MM-DD format'),
+  
+  timeZoneValidationRule
+];
+
+/**
+ * Validation rules for the fields of an activity
+ * @param {boolean} requireName - Whether `name` must be present (when adding)
+ * @returns {Array} - express-validator rules
+ */
+const activityValidationRules = (requireName) => [
+  requireName
+    ? check('name').trim().notEmpty().withMessage('Activity name is required')
+    : check('name').optional().trim().notEmpty().withMessage('Activity name cannot be empty'),
+  
+  check('description')
+    .optional()
+    .isString().withMessage('Description must be text'),
+  
+  check(['startTime', 'endTime'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Times must use the HH:MM format'),
+  
+  check('location')
+    .optional()
+    .isObject().withMessage('Location must be an object with name, address and coordinates'),
+  
+  check('location.openingHours')
+    .optional()
+    .isArray().withMessage('Opening hours must be a list of { days, open, close } periods'),
+  
+  check(['location.openingHours.*.open', 'location.openingHours.*.close'])
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Opening hours must use the HH:MM format'),
+  
+  check('location.openingHours.*.days')
+    .isArray({ min: 1 }).withMessage('Opening hours need the days of the week they apply to'),
+  
+  check('location.openingHours.*.days.*')
+    .isInt({ min: 0, max: 6 }).withMessage('Days of the week run from 0 (Sunday) to 6 (Saturday)'),
+  
+  check('travelMode')
+    .optional()
+    .isIn(TRAVEL_MODES).withMessage(travelModeMessage),
+  
+  check('category')
+    .optional()
+    .isIn(ACTIVITY_CATEGORIES).withMessage(`Category must be one of: ${ACTIVITY_CATEGORIES.join(', ')}`),
+  
+  check('cost')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
+  
+  currencyValidationRule,
+  
+  check(['weatherDependent', 'fixedTime'])
+    .optional()
+    .isBoolean().withMessage('weatherDependent and fixedTime must be true or false')
+];
+
+// Where to put an activity in its day, 0 for first; defaults to last
+const positionValidationRule = check('position')
+  .optional()
+  .isInt({ min: 0 }).withMessage('Position must be 0 or more');
+
+const moveActivityValidationRules = [
+  check('toDayId')
+    .optional()
+    .isMongoId().withMessage('Invalid day ID format'),
+  
+  positionValidationRule
+];
+
+const versionValidationRules = [
+  check('version')
+    .isInt({ min: 1 }).withMessage('Version must be a positive whole number')
+];
+
+const versionDiffValidationRules = [
+  check('from')
+    .notEmpty().withMessage('The version to compare from is required')
+    .isInt({ min: 1 }).withMessage('Versions must be positive whole numbers'),
+  
+  check('to')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Versions must be positive whole numbers')
+];
+
+const changesValidationRules = [
+  check('sinceVersion')
+    .optional()
+    .isInt({ min: 0 }).withMessage('sinceVersion must be a version number'),
+  
+  check('since')
+    .if(check('sinceVersion').not().exists())
+    .notEmpty().withMessage('Provide sinceVersion or since').bail()
+    .isISO8601().withMessage('since must be an ISO 8601 timestamp')
+];
+
+const templateValidationRules = [
+  check('title')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Title cannot be empty')
+];
+
+const cloneValidationRules = [
+  check('startDate')
+    .notEmpty().withMessage('Start date is required').bail()
+    .isISO8601({ strict: true }).withMessage('Start date must use the YYYY-MM-DD format'),
+  
+  check('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Location must be between 1 and 100 characters'),
+  
+  timeZoneValidationRule,
+  
+  ...templateValidationRules
+];
+
+const optimizeRouteValidationRules = [
+  check('dayIds')
+    .optional()
+    .isArray({ min: 1 }).withMessage('dayIds must be a list of day IDs'),
+  
+  check('dayIds.*')
+    .isMongoId().withMessage('Invalid day ID format'),
+  
+  check('dryRun')
+    .optional()
+    .isBoolean().withMessage('dryRun must be true or false')
+    .toBoolean()
+];
+
+// Patches are sent as application/json-patch+json
+const patchValidationRules = [
+  body()
+    .custom(value => Array.isArray(value) && value.length > 0 && value.length <= 100)
+    .withMessage('The body must be a JSON Patch with 1 to 100 operations'),
+  
+  body('*.op')
+    .isIn(PATCH_OPERATIONS).withMessage(`op must be one of: ${PATCH_OPERATIONS.join(', ')}`),
+  
+  body('*.path')
+    .isString().withMessage('path must be a JSON Pointer')
+];
+
+// Every itinerary route acts on behalf of the authenticated user.
+// Routes partners may call with an API key come first and name the scope they need.
+
+// Get itineraries owned by or shared with the user, filtered, sorted and paged by cursor
+router.get(
+  '/',
+  authenticateTokenOrApiKey('itineraries:read'),
+  itineraryListValidationRules,
+  validateInputs,
+  itineraryController.getAllItineraries
+);
 
 // Create a new itinerary
-router.post('/', itineraryController.createItinerary);
+router.post(
+  '/',
+  authenticateTokenOrApiKey('itineraries:create'),
+  itineraryValidationRules,
+  validateInputs,
+  itineraryController.createItinerary
+);
+
+// Search itineraries and their activities, ranked by relevance with highlighted matches
+router.get(
+  '/search',
+  authenticateTokenOrApiKey('itineraries:read'),
+  itinerarySearchValidationRules,
+  validateInputs,
+  itineraryController.searchItineraries
+);
+
+// Get a specific itinerary by ID
+router.get('/:id', authenticateTokenOrApiKey('itineraries:read'), itineraryController.getItineraryById);
+
+// Reserve an activity for an itinerary (verified email required)
+router.post(
+  '/:id/reserve',
+  authenticateTokenOrApiKey('itineraries:reserve'),
+  requireVerifiedEmail,
+  itineraryController.reserveActivity
+);
+
+// The remaining routes need a signed-in user
+router.use(authenticateToken);
 
 // Generate a personalized itinerary based on user preferences
-router.post('/generate', itineraryController.generateItinerary);
+router.post('/generate', generateValidationRules, validateInputs, itineraryController.generateItinerary);
 
-// Reserve an activity for an itinerary
-router.post('/:id/reserve', itineraryController.reserveActivity);
+// Share an itinerary with another user (verified email required)
+router.post(
+  '/:id/collaborators',
+  requireVerifiedEmail,
+  collaboratorValidationRules,
+  validateInputs,
+  itineraryController.addCollaborator
+);
 
-// Get a specific itinerary by ID
-router.get('/:id', itineraryController.getItineraryById);
+// Stop sharing an itinerary with a user
+router.delete('/:id/collaborators/:userId', itineraryController.removeCollaborator);
+
+// Add a day to an itinerary
+router.post('/:id/days', dayValidationRules, validateInputs, itineraryController.addDay);
+
+// Delete a day and its activities
+router.delete('/:id/days/:dayId', itineraryController.deleteDay);
+
+// Add an activity to a day
+router.post(
+  '/:id/days/:dayId/activities',
+  activityValidationRules(true),
+  positionValidationRule,
+  validateInputs,
+  itineraryController.addActivity
+);
+
+// Update an activity
+router.put(
+  '/:id/days/:dayId/activities/:activityId',
+  activityValidationRules(false),
+  validateInputs,
+  itineraryController.updateActivity
+);
+
+// Move an activity to another day or position
+router.post(
+  '/:id/days/:dayId/activities/:activityId/move',
+  moveActivityValidationRules,
+  validateInputs,
+  itineraryController.moveActivity
+);
+
+// Delete an activity
+router.delete('/:id/days/:dayId/activities/:activityId', itineraryController.deleteActivity);
+
+// List the saved versions of an itinerary
+router.get('/:id/versions', itineraryController.getVersions);
+
+// Compare two versions
+router.get('/:id/versions/diff', versionDiffValidationRules, validateInputs, itineraryController.diffVersions);
+
+// Get one version and what changed in it
+router.get('/:id/versions/:version', versionValidationRules, validateInputs, itineraryController.getVersion);
+
+// Restore an earlier version
+router.post(
+  '/:id/versions/:version/revert',
+  versionValidationRules,
+  validateInputs,
+  itineraryController.revertToVersion
+);
+
+// Changes since a version, for offline clients
+router.get('/:id/changes', changesValidationRules, validateInputs, itineraryController.getItineraryChanges);
+
+// Costs by day and category, checked against the budget
+router.get('/:id/budget', currencyValidationRule, validateInputs, itineraryController.getBudgetReport);
+
+// Reorder flexible activities to shorten the route of each day
+router.post('/:id/optimize-route', optimizeRouteValidationRules, validateInputs, itineraryController.optimizeRoute);
+
+// Save a copy of an itinerary as a template
+router.post('/:id/template', templateValidationRules, validateInputs, itineraryController.saveAsTemplate);
+
+// Copy an itinerary or template onto new dates
+router.post('/:id/clone', cloneValidationRules, validateInputs, itineraryController.cloneItinerary);
 
 // Update an itinerary
-router.put('/:id', itineraryController.updateItinerary);
+router.put('/:id', itineraryValidationRules, validateInputs, itineraryController.updateItinerary);
+
+// Apply a JSON Patch to an itinerary
+router.patch('/:id', patchValidationRules, validateInputs, itineraryController.patchItinerary);
 
 // Delete an itinerary
 router.delete('/:id', itineraryController.deleteItinerary);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
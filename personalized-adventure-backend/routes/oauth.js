@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const oauthController = require('../controllers/oauthController');
+const {
+  authenticateToken,
+  authLimiter,
+  validateInputs
+} = require('../middleware/auth');
+
+// Validation rules
+const exchangeValidationRules = [
+  check('code')
+    .notEmpty().withMessage('Sign-in code is required')
+    .isHexadecimal().withMessage('Sign-in code is invalid')
+];
+
+const linkValidationRules = [
+  check('redirectUri')
+    .notEmpty().withMessage('Redirect URI is required')
+];
+
+// Public routes
+// Providers the app can show sign-in buttons for
+router.get('/providers', oauthController.getProviders);
+
+// Sign-in page of the mock identity provider (development only)
+router.get('/mock/authorize', oauthController.mockAuthorize);
+
+// Send the browser to the provider; the result comes back to `redirectUri`
+router.get('/:provider/start', authLimiter, oauthController.startSignIn);
+
+// Provider redirect after sign-in (Apple posts the result as a form)
+router.get('/:provider/callback', oauthController.handleCallback);
+router.post('/:provider/callback', oauthController.handleCallback);
+
+// Exchange the single-use code from the callback redirect for a session
+router.post(
+  '/exchange',
+  authLimiter,
+  exchangeValidationRules,
+  validateInputs,
+  oauthController.exchangeLoginCode
+);
+
+// Protected routes
+// Link another provider to the signed-in account
+router.post(
+  '/:provider/link',
+  authenticateToken,
+  linkValidationRules,
+  validateInputs,
+  oauthController.startLink
+);
+
+// Unlink a provider from the signed-in account
+router.delete('/identities/:provider', authenticateToken, oauthController.unlinkIdentity);
+
+module.exports = router;
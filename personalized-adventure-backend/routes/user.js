@@ -2,12 +2,21 @@ const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
 const userController = require('../controllers/userController');
+const twoFactorController = require('../controllers/twoFactorController');
+const loginActivityController = require('../controllers/loginActivityController');
+const sessionController = require('../controllers/sessionController');
 const { 
   login, 
+  verifyTwoFactorLogin,
   logout,
+  refreshAccessToken,
   authenticateToken, 
   authorizeUser, 
+  requirePermission,
+  requireVerifiedEmail,
+  verifyCsrf,
   authLimiter,
+  passwordResetLimiter,
   validateInputs
 } = require('../middleware/auth');
 
@@ -60,6 +69,52 @@ const updateUserValidationRules = [
     .isObject().withMessage('Preferences must be an object')
 ];
 
+const twoFactorLoginValidationRules = [
+  check('challengeToken')
+    .notEmpty().withMessage('Login challenge is required'),
+  
+  check('code')
+    .notEmpty().withMessage('Authentication code is required')
+    .isLength({ max: 20 }).withMessage('Authentication code is invalid')
+];
+
+const twoFactorCodeValidationRules = [
+  check('code')
+    .notEmpty().withMessage('Authentication code is required')
+    .isLength({ max: 20 }).withMessage('Authentication code is invalid')
+];
+
+const forgotPasswordValidationRules = [
+  check('email')
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email address')
+    .normalizeEmail()
+];
+
+const verifyEmailValidationRules = [
+  check('token')
+    .notEmpty().withMessage('Verification token is required')
+    .isHexadecimal().withMessage('Verification token is invalid')
+];
+
+const lookupValidationRules = [
+  check('email')
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email address')
+    .normalizeEmail()
+];
+
+const resetPasswordValidationRules = [
+  check('token')
+    .notEmpty().withMessage('Reset token is required')
+    .isHexadecimal().withMessage('Reset token is invalid'),
+  
+  check('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])/).withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+];
+
 // Public routes
 // Login route with rate limiting and validation
 router.post(
@@ -70,8 +125,39 @@ router.post(
   login
 );
 
-// Logout route
-router.post('/logout', logout);
+// Second login step for accounts with two-factor authentication
+router.post(
+  '/login/2fa',
+  authLimiter,
+  twoFactorLoginValidationRules,
+  validateInputs,
+  verifyTwoFactorLogin
+);
+
+// Logout route (revokes the presented access and refresh tokens)
+router.post('/logout', verifyCsrf, logout);
+
+// Exchange a refresh token for a new access token (rotates the refresh token).
+// The token comes from the body, or from the session cookie for cookie sessions.
+router.post('/token/refresh', verifyCsrf, refreshAccessToken);
+
+// Request a password reset email
+router.post(
+  '/password/forgot',
+  passwordResetLimiter,
+  forgotPasswordValidationRules,
+  validateInputs,
+  userController.requestPasswordReset
+);
+
+// Set a new password using the token from the reset email
+router.post(
+  '/password/reset',
+  passwordResetLimiter,
+  resetPasswordValidationRules,
+  validateInputs,
+  userController.resetPassword
+);
 
 // Register a new user with validation
 router.post(
@@ -81,9 +167,64 @@ router.post(
   userController.createUser
 );
 
+// Confirm an email address using the token from the verification email
+router.post(
+  '/email/verify',
+  authLimiter,
+  verifyEmailValidationRules,
+  validateInputs,
+  userController.verifyEmail
+);
+
 // Protected routes (require authentication)
-// Get all users
-router.get('/', authenticateToken, userController.getAllUsers);
+// Send another verification email (throttled per account)
+router.post('/email/verify/resend', authenticateToken, userController.resendVerificationEmail);
+
+// Two-factor authentication enrollment
+router.post('/2fa/setup', authenticateToken, twoFactorController.setupTwoFactor);
+router.post(
+  '/2fa/enable',
+  authenticateToken,
+  twoFactorCodeValidationRules,
+  validateInputs,
+  twoFactorController.enableTwoFactor
+);
+router.post(
+  '/2fa/disable',
+  authenticateToken,
+  authLimiter,
+  check('password').notEmpty().withMessage('Password is required'),
+  twoFactorCodeValidationRules,
+  validateInputs,
+  twoFactorController.disableTwoFactor
+);
+router.post(
+  '/2fa/backup-codes',
+  authenticateToken,
+  twoFactorCodeValidationRules,
+  validateInputs,
+  twoFactorController.regenerateBackupCodes
+);
+
+// Recent sign-ins and new-device alerts for the signed-in user
+router.get('/login-activity', authenticateToken, loginActivityController.getLoginActivity);
+router.post('/login-activity/acknowledge', authenticateToken, loginActivityController.acknowledgeLoginActivity);
+
+// Get the signed-in user
+router.get('/me', authenticateToken, userController.getCurrentUser);
+
+// Find a verified user to invite as a collaborator (verified callers only)
+router.get(
+  '/lookup',
+  authenticateToken,
+  requireVerifiedEmail,
+  lookupValidationRules,
+  validateInputs,
+  userController.findUserByEmail
+);
+
+// Get all users (staff only)
+router.get('/', authenticateToken, requirePermission('users:read'), userController.getAllUsers);
 
 // Get a specific user by ID
 router.get('/:id', authenticateToken, userController.getUser);
@@ -98,7 +239,19 @@ router.put(
   userController.updateUser
 );
 
-// Delete a user (requires authentication and authorization)
+// List the devices a user is signed in on (requires authentication and authorization)
+router.get('/:id/sessions', authenticateToken, authorizeUser, sessionController.listSessions);
+
+// Sign out everywhere, optionally keeping the current device (?keepCurrent=true)
+router.delete('/:id/sessions', authenticateToken, authorizeUser, sessionController.revokeAllSessions);
+
+// Sign a single device out
+router.delete('/:id/sessions/:sessionId', authenticateToken, authorizeUser, sessionController.revokeSession);
+
+// Download a copy of a user's data (requires authentication and authorization)
+router.get('/:id/export', authenticateToken, authorizeUser, userController.exportUserData);
+
+// Delete a user and all associated data (requires authentication and authorization)
 router.delete('/:id', authenticateToken, authorizeUser, userController.deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -15,26 +15,40 @@ const hpp = require('hpp');
 const indexRoutes = require('./routes/index');
 const itineraryRoutes = require('./routes/itinerary');
 const userRoutes = require('./routes/user');
+const adminRoutes = require('./routes/admin');
+const oauthRoutes = require('./routes/oauth');
+const apiKeyRoutes = require('./routes/apiKeys');
+const exchangeRateRoutes = require('./routes/exchangeRates');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
 // Apply security middleware
 // Set security HTTP headers
 app.use(helmet());
 
-// Apply CORS with more restrictive options for production
+// Apply CORS with more restrictive options for production.
+// Credentials are allowed so the web app can use cookie sessions; browsers do not
+// accept '*' with credentials, so development reflects the request origin instead.
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? process.env.ALLOWED_ORIGINS?.split(',') || 'https://yourdomain.com' 
-    : '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token']
+    : true,
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'x-csrf-token', 'x-session-mode', 'x-device-id', 'x-api-key', 'If-None-Match', 'If-Match'],
+  // Let browser clients read ETags for conditional requests
+  exposedHeaders: ['ETag']
 }));
 
 // Parse JSON request body
-app.use(bodyParser.json({ limit: '10kb' })); // Limit body size
+app.use(bodyParser.json({ limit: '10kb', type: ['application/json', 'application/json-patch+json'] })); // Limit body size
 app.use(bodyParser.urlencoded({ extended: true, limit: '10kb' }));
 
 // Data sanitization against XSS attacks
@@ -47,6 +61,10 @@ app.use(hpp());
 app.use('/', indexRoutes);
 app.use('/api/itineraries', itineraryRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/auth/oauth', oauthRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 
 // Default route
 app.get('/', (req, res) => {
@@ -0,0 +1,28 @@
+/**
+ * Tests for the data export helpers in utils/accountData.js
+ */
+
+const { collectReservations } = require('../utils/accountData');
+const { buildItinerary } = require('./helpers');
+
+describe('collectReservations', () => {
+  it('lists reserved activities with their itinerary and day', () => {
+    const itinerary = buildItinerary();
+    itinerary.days[0].activities[1].reservation = { reservationId: 'res-1', status: 'confirmed', provider: 'OpenTable' };
+
+    // The export reads itineraries as plain objects
+    expect(collectReservations([itinerary.toObject()])).toEqual([{
+      itineraryId: itinerary._id,
+      itineraryTitle: 'Weekend in Lisbon',
+      date: itinerary.days[0].date,
+      activity: 'Pastéis de Belém',
+      reservationId: 'res-1',
+      status: 'confirmed',
+      provider: 'OpenTable'
+    }]);
+  });
+
+  it('handles itineraries without days or reservations', () => {
+    expect(collectReservations([{ _id: 'itinerary-2', title: 'Empty' }])).toEqual([]);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for staff account and itinerary management in controllers/adminController.js
+ */
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+
+jest.mock('../models/AccountToken', () => ({
+  create: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+jest.mock('../utils/mailer', () => ({
+  sendMail: jest.fn()
+}));
+
+const User = require('../models/User');
+const Itinerary = require('../models/Itinerary');
+const AccountToken = require('../models/AccountToken');
+const { sendMail } = require('../utils/mailer');
+const adminController = require('../controllers/adminController');
+const { mockResponse, buildItinerary } = require('./helpers');
+
+describe('Admin user management', () => {
+  const adminId = '64b7f0c2a1b2c3d4e5f60718';
+  const userId = '64b7f0c2a1b2c3d4e5f60719';
+  let user;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    user = {
+      id: userId,
+      username: 'ana',
+      email: 'ana@example.com',
+      emailVerified: true,
+      emailVerifiedAt: new Date('2026-01-01')
+    };
+    User.findById.mockReturnValue({ select: async () => user });
+    User.findByIdAndUpdate.mockImplementation((id, { $unset, ...update }) => ({
+      select: async () => {
+        Object.keys($unset || {}).forEach(field => delete user[field]);
+        return Object.assign(user, update);
+      }
+    }));
+  });
+
+  const updateUser = async (body) => {
+    const res = mockResponse();
+    await adminController.updateUser(
+      { params: { id: userId }, body, user: { id: adminId, role: 'admin' } },
+      res
+    );
+    return res;
+  };
+
+  it('asks for the new address to be verified when staff change it', async () => {
+    const res = await updateUser({ email: 'ana@example.org' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      userId,
+      { email: 'ana@example.org', emailVerified: false, $unset: { emailVerifiedAt: 1 } },
+      expect.any(Object)
+    );
+    expect(user.emailVerified).toBe(false);
+    expect(user.emailVerifiedAt).toBeUndefined();
+    expect(AccountToken.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId,
+      purpose: 'email-verification'
+    }));
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'ana@example.org' }));
+  });
+
+  it('keeps the verification when the address stays the same', async () => {
+    const res = await updateUser({ email: 'ana@example.com', username: 'ana.s' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(userId, { username: 'ana.s' }, expect.any(Object));
+    expect(user.emailVerified).toBe(true);
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('only lets staff who may change roles reactivate staff accounts', async () => {
+    const unsuspend = async (role, callerRole) => {
+      user = { ...user, role, status: 'suspended' };
+      const res = mockResponse();
+      await adminController.unsuspendUser(
+        { params: { id: userId }, user: { id: adminId, role: callerRole } },
+        res
+      );
+      return res;
+    };
+
+    const supportOnAdmin = await unsuspend('admin', 'support');
+    expect(supportOnAdmin.status).toHaveBeenCalledWith(403);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+
+    const supportOnUser = await unsuspend('user', 'support');
+    expect(supportOnUser.status).toHaveBeenCalledWith(200);
+
+    const adminOnSupport = await unsuspend('support', 'admin');
+    expect(adminOnSupport.status).toHaveBeenCalledWith(200);
+    expect(user.status).toBe('active');
+  });
+});
+
+describe('Admin itinerary edits', () => {
+  const supportId = '64b7f0c2a1b2c3d4e5f6071a';
+  const ownerId = '64b7f0c2a1b2c3d4e5f6071b';
+  const collaboratorId = '64b7f0c2a1b2c3d4e5f6071c';
+  let itinerary;
+
+  beforeEach(() => {
+    itinerary = buildItinerary({ userId: ownerId, collaborators: [{ userId: collaboratorId }] });
+    itinerary.days[0].activities[0].reservation = { reservationId: 'R-1', status: 'confirmed' };
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+    jest.spyOn(itinerary, 'save').mockResolvedValue(itinerary);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves collaborators and reservations as they are', async () => {
+    const body = JSON.parse(JSON.stringify(itinerary));
+    body.title = 'Long weekend in Lisbon';
+    body.collaborators = [{ userId: supportId, role: 'editor' }];
+    body.days[0].activities[0].reservation = { reservationId: 'R-1', status: 'cancelled' };
+    body.days[0].activities[1].reservation = { reservationId: 'FORGED', status: 'confirmed' };
+
+    const res = mockResponse();
+    await adminController.updateItinerary(
+      { params: { id: itinerary.id }, body, user: { id: supportId, role: 'support' } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(itinerary.title).toBe('Long weekend in Lisbon');
+    expect(itinerary.collaborators.map(collaborator => collaborator.userId.toString())).toEqual([collaboratorId]);
+    expect(itinerary.days[0].activities[0].reservation.status).toBe('confirmed');
+    expect(itinerary.days[0].activities[1].reservation.reservationId).toBeUndefined();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for partner API key authentication in middleware/apiKeyAuth.js
+ */
+
+jest.mock('../models/ApiKey', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  API_KEY_SCOPES: ['itineraries:read', 'itineraries:create', 'itineraries:reserve']
+}));
+
+jest.mock('../models/ApiKeyUsage', () => ({
+  create: jest.fn()
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn()
+}));
+
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const User = require('../models/User');
+const { hashToken } = require('../middleware/auth');
+const { generateApiKey, authenticateTokenOrApiKey } = require('../middleware/apiKeyAuth');
+const { mockResponse } = require('./helpers');
+
+const mockRequest = (headers = {}) => ({
+  method: 'GET',
+  originalUrl: '/api/itineraries?limit=5',
+  ip: '203.0.113.7',
+  headers,
+  header: (name) => headers[name.toLowerCase()]
+});
+
+const storedKey = (overrides = {}) => ({
+  id: `key-${Math.random()}`,
+  userId: { toString: () => 'user-1' },
+  scopes: ['itineraries:read'],
+  rateLimitPerMinute: 60,
+  expiresAt: null,
+  ...overrides
+});
+
+const selectResolving = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+describe('API key authentication', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findById.mockReturnValue(selectResolving({ status: 'active' }));
+    ApiKeyUsage.create.mockResolvedValue({});
+    ApiKey.updateOne.mockResolvedValue({});
+  });
+
+  it('generates prefixed keys and looks them up by hash', async () => {
+    const key = generateApiKey();
+    ApiKey.findOne.mockResolvedValue(storedKey());
+
+    expect(key).toMatch(/^pak_[0-9a-f]{48}$/);
+
+    const next = jest.fn();
+    await authenticateTokenOrApiKey('itineraries:read')(mockRequest({ 'x-api-key': key }), mockResponse(), next);
+
+    expect(ApiKey.findOne).toHaveBeenCalledWith({ keyHash: hashToken(key), revokedAt: null });
+  });
+
+  it('acts as the key owner when the key has the scope', async () => {
+    ApiKey.findOne.mockResolvedValue(storedKey());
+    const req = mockRequest({ 'x-api-key': 'pak_valid' });
+    const next = jest.fn();
+
+    await authenticateTokenOrApiKey('itineraries:read')(req, mockResponse(), next);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({ id: 'user-1' });
+    expect(req.apiKey.scopes).toEqual(['itineraries:read']);
+  });
+
+  it('rejects keys without the scope the route needs', async () => {
+    ApiKey.findOne.mockResolvedValue(storedKey());
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticateTokenOrApiKey('itineraries:create')(mockRequest({ 'x-api-key': 'pak_valid' }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'API_KEY_SCOPE_MISSING' }));
+  });
+
+  it('rejects unknown, expired and suspended-owner keys', async () => {
+    const check = async () => {
+      const res = mockResponse();
+      await authenticateTokenOrApiKey('itineraries:read')(mockRequest({ 'x-api-key': 'pak_x' }), res, jest.fn());
+      return res.status.mock.calls[0][0];
+    };
+
+    ApiKey.findOne.mockResolvedValue(null);
+    expect(await check()).toBe(401);
+
+    ApiKey.findOne.mockResolvedValue(storedKey({ expiresAt: new Date(Date.now() - 1000) }));
+    expect(await check()).toBe(401);
+
+    ApiKey.findOne.mockResolvedValue(storedKey());
+    User.findById.mockReturnValue(selectResolving({ status: 'suspended' }));
+    expect(await check()).toBe(401);
+  });
+
+  it('limits each key to its own requests per minute', async () => {
+    const key = storedKey({ rateLimitPerMinute: 2 });
+    ApiKey.findOne.mockResolvedValue(key);
+    const middleware = authenticateTokenOrApiKey('itineraries:read');
+    const next = jest.fn();
+
+    for (let i = 0; i < 3; i++) {
+      await middleware(mockRequest({ 'x-api-key': 'pak_valid' }), mockResponse(), next);
+    }
+    // The limiter finishes asynchronously
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(next).toHaveBeenCalledTimes(2);
+
+    // Another key has its own budget
+    ApiKey.findOne.mockResolvedValue(storedKey({ rateLimitPerMinute: 2 }));
+    await middleware(mockRequest({ 'x-api-key': 'pak_other' }), mockResponse(), next);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(next).toHaveBeenCalledTimes(3);
+  });
+
+  it('logs each request once the response is sent', async () => {
+    const key = storedKey();
+    ApiKey.findOne.mockResolvedValue(key);
+    const res = mockResponse();
+
+    await authenticateTokenOrApiKey('itineraries:read')(mockRequest({ 'x-api-key': 'pak_valid' }), res, jest.fn());
+    res.statusCode = 200;
+    res.emit('finish');
+
+    expect(ApiKeyUsage.create).toHaveBeenCalledWith(expect.objectContaining({
+      apiKeyId: key.id,
+      userId: 'user-1',
+      method: 'GET',
+      path: '/api/itineraries',
+      statusCode: 200
+    }));
+    expect(ApiKey.updateOne).toHaveBeenCalledWith({ _id: key.id }, expect.objectContaining({ lastUsedAt: expect.any(Date) }));
+  });
+
+  it('falls back to user tokens when no API key is sent', async () => {
+    const res = mockResponse();
+    const req = mockRequest();
+    req.cookies = {};
+
+    await authenticateTokenOrApiKey('itineraries:read')(req, res, jest.fn());
+
+    expect(ApiKey.findOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * Tests for token issuing, rotation, revocation and permission checks in middleware/auth.js
+ */
+
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn()
+}));
+
+jest.mock('../models/RefreshToken', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+jest.mock('../models/RevokedToken', () => ({
+  exists: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../models/Session', () => ({
+  create: jest.fn(),
+  exists: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const {
+  generateToken,
+  hashToken,
+  authenticateToken,
+  refreshAccessToken,
+  requirePermission
+} = require('../middleware/auth');
+const { mockResponse } = require('./helpers');
+
+describe('Auth middleware', () => {
+  const user = { id: '64b7f0c2a1b2c3d4e5f60718' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Session.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    Session.findOne.mockResolvedValue(null);
+    Session.create.mockImplementation(async (doc) => ({ ...doc, id: 'session-1' }));
+    Session.exists.mockResolvedValue({ _id: 'session-1' });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('generateToken', () => {
+    it('issues a short-lived token with a unique jti', () => {
+      const first = jwt.decode(generateToken(user));
+      const second = jwt.decode(generateToken(user));
+
+      expect(first.user.id).toBe(user.id);
+      expect(first.jti).toBeDefined();
+      expect(first.jti).not.toBe(second.jti);
+      expect(first.exp - first.iat).toBe(15 * 60);
+    });
+  });
+
+  describe('authenticateToken', () => {
+    it('accepts a valid token that is not revoked', async () => {
+      RevokedToken.exists.mockResolvedValue(null);
+      const req = { header: () => generateToken(user) };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe(user.id);
+    });
+
+    it('rejects a token whose session was signed out', async () => {
+      RevokedToken.exists.mockResolvedValue(null);
+      Session.exists.mockResolvedValue(null);
+      const req = { header: () => generateToken(user, '64b7f0c2a1b2c3d4e5f60799') };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(Session.exists).toHaveBeenCalledWith({ _id: '64b7f0c2a1b2c3d4e5f60799', revokedAt: null });
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('rejects a revoked token', async () => {
+      RevokedToken.exists.mockResolvedValue({ _id: 'revoked' });
+      const req = { header: () => generateToken(user) };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('cookie sessions', () => {
+    const cookieRequest = (method, cookie, headers = {}) => ({
+      method,
+      headers: { cookie },
+      header: (name) => headers[name]
+    });
+
+    beforeEach(() => {
+      RevokedToken.exists.mockResolvedValue(null);
+    });
+
+    it('accepts the access token cookie on safe requests', async () => {
+      const req = cookieRequest('GET', `token=${generateToken(user)}`);
+      const next = jest.fn();
+
+      await authenticateToken(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe(user.id);
+    });
+
+    it('rejects cookie-authenticated writes without a matching CSRF token', async () => {
+      const cookie = `token=${generateToken(user)}; csrfToken=expected`;
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await authenticateToken(cookieRequest('POST', cookie, { 'x-csrf-token': 'forged' }), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CSRF_TOKEN_INVALID' }));
+    });
+
+    it('accepts cookie-authenticated writes with a matching CSRF token', async () => {
+      const cookie = `token=${generateToken(user)}; csrfToken=expected`;
+      const next = jest.fn();
+
+      await authenticateToken(cookieRequest('PUT', cookie, { 'x-csrf-token': 'expected' }), mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('refreshes from the refresh token cookie without exposing tokens in the body', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({
+        userId: user.id,
+        family: 'family-2',
+        expiresAt: new Date(Date.now() + 60000),
+        revokedAt: null
+      });
+      RefreshToken.create.mockImplementation(async (doc) => doc);
+      User.findById.mockResolvedValue(user);
+
+      const req = { body: {}, ...cookieRequest('POST', 'refreshToken=cookie-token') };
+      const res = mockResponse();
+
+      await refreshAccessToken(req, res);
+
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ tokenHash: hashToken('cookie-token'), revokedAt: null }),
+        { revokedAt: expect.any(Date) }
+      );
+      expect(res.cookie).toHaveBeenCalledWith('refreshToken', expect.any(String), expect.objectContaining({ httpOnly: true }));
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.csrfToken).toBeDefined();
+      expect(body.token).toBeUndefined();
+      expect(body.refreshToken).toBeUndefined();
+    });
+  });
+
+  describe('refreshAccessToken', () => {
+    it('rotates a valid refresh token', async () => {
+      const stored = {
+        _id: 'refresh-1',
+        userId: user.id,
+        family: 'family-1',
+        expiresAt: new Date(Date.now() + 60000),
+        revokedAt: null
+      };
+      RefreshToken.findOneAndUpdate.mockResolvedValue(stored);
+      RefreshToken.create.mockImplementation(async (doc) => doc);
+      User.findById.mockResolvedValue(user);
+
+      const req = { body: { refreshToken: 'raw-token' }, header: () => undefined };
+      const res = mockResponse();
+
+      await refreshAccessToken(req, res);
+
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { tokenHash: hashToken('raw-token'), revokedAt: null, expiresAt: { $gt: expect.any(Date) } },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ family: 'family-1' }));
+      expect(RefreshToken.updateOne).toHaveBeenCalledWith(
+        { _id: 'refresh-1' },
+        { replacedByHash: RefreshToken.create.mock.calls[0][0].tokenHash }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.token).toBeDefined();
+      expect(body.refreshToken).not.toBe('raw-token');
+    });
+
+    it('adopts a login from before sessions existed into a new session', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({
+        userId: user.id,
+        family: 'legacy-family',
+        expiresAt: new Date(Date.now() + 60000),
+        revokedAt: null
+      });
+      RefreshToken.create.mockImplementation(async (doc) => doc);
+      User.findById.mockResolvedValue(user);
+      Session.create.mockImplementation(async (doc) => ({ ...doc, id: 'session-2' }));
+
+      const res = mockResponse();
+      await refreshAccessToken({ body: { refreshToken: 'raw-token' }, header: () => undefined }, res);
+
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ refreshFamily: 'legacy-family' }));
+      expect(jwt.decode(res.json.mock.calls[0][0].token).sid).toBe('session-2');
+    });
+
+    it('rejects a refresh for a device that was signed out', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({
+        userId: user.id,
+        family: 'family-3',
+        expiresAt: new Date(Date.now() + 60000),
+        revokedAt: null
+      });
+      User.findById.mockResolvedValue(user);
+      Session.findOne.mockResolvedValue({ id: 'session-3', revokedAt: new Date() });
+
+      const res = mockResponse();
+      await refreshAccessToken({ body: { refreshToken: 'raw-token' }, header: () => undefined }, res);
+
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('revokes the whole family when a rotated token is replayed', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue({
+        userId: user.id,
+        family: 'family-1',
+        expiresAt: new Date(Date.now() + 60000),
+        revokedAt: new Date()
+      });
+
+      const req = { body: { refreshToken: 'stolen-token' } };
+      const res = mockResponse();
+
+      await refreshAccessToken(req, res);
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: 'family-1', revokedAt: null },
+        expect.any(Object)
+      );
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('only lets one of two concurrent refreshes with the same token through', async () => {
+      const stored = {
+        _id: 'refresh-4',
+        userId: user.id,
+        family: 'family-4',
+        expiresAt: new Date(Date.now() + 60000),
+        revokedAt: null
+      };
+      // The first request claims the token, so the second finds it revoked
+      RefreshToken.findOneAndUpdate.mockResolvedValueOnce(stored).mockResolvedValueOnce(null);
+      RefreshToken.findOne.mockResolvedValue({ ...stored, revokedAt: new Date() });
+      RefreshToken.create.mockImplementation(async (doc) => doc);
+      User.findById.mockResolvedValue(user);
+
+      const first = mockResponse();
+      const second = mockResponse();
+      await Promise.all([
+        refreshAccessToken({ body: { refreshToken: 'raw-token' }, header: () => undefined }, first),
+        refreshAccessToken({ body: { refreshToken: 'raw-token' }, header: () => undefined }, second)
+      ]);
+
+      expect(first.status).toHaveBeenCalledWith(200);
+      expect(second.status).toHaveBeenCalledWith(401);
+      expect(RefreshToken.create).toHaveBeenCalledTimes(1);
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: 'family-4', revokedAt: null },
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('requirePermission', () => {
+    const selectRole = (doc) => ({ select: jest.fn().mockResolvedValue(doc) });
+
+    it('allows a role that grants the permission', async () => {
+      User.findById.mockReturnValue(selectRole({ role: 'support', status: 'active' }));
+      const req = { user: { id: user.id } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await requirePermission('users:read')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.role).toBe('support');
+    });
+
+    it('rejects a role missing one of the permissions', async () => {
+      User.findById.mockReturnValue(selectRole({ role: 'support', status: 'active' }));
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await requirePermission('users:read', 'users:roles')({ user: { id: user.id } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('rejects suspended staff accounts', async () => {
+      User.findById.mockReturnValue(selectRole({ role: 'admin', status: 'suspended' }));
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await requirePermission('users:read')({ user: { id: user.id } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for cost roll-ups and budget checks in utils/budget.js and the budget
+ * report in controllers/itineraryController.js
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const User = require('../models/User');
+const itineraryController = require('../controllers/itineraryController');
+const { summarizeCosts, checkBudget, buildBudgetReport, getBudgetLimits } = require('../utils/budget');
+const { mockResponse, buildItinerary } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+// Weekend in Lisbon at a given budget level, with meals and a day that costs more than the others
+const budgetItinerary = (budget = 'low') => buildItinerary({
+  userId: ownerId,
+  preferences: { budget },
+  days: [
+    {
+      date: new Date('2026-05-01'),
+      activities: [
+        { name: 'Tram 28', category: 'transportation', cost: 3.1 },
+        { name: 'Dinner at Ramiro', category: 'food', cost: 120.2 }
+      ]
+    },
+    {
+      date: new Date('2026-05-02'),
+      activities: [
+        { name: 'Oceanarium', category: 'attraction', cost: 25 },
+        { name: 'Pastéis de Belém', category: 'food', cost: 6 },
+        { name: 'Souvenirs', cost: 20 }
+      ]
+    }
+  ]
+});
+
+describe('Cost roll-ups', () => {
+  it('add up costs by day and by category', () => {
+    const summary = summarizeCosts(budgetItinerary());
+
+    expect(summary.totalCost).toBe(174.3);
+    expect(summary.byCategory).toEqual({ transportation: 3.1, food: 126.2, attraction: 25, other: 20 });
+    expect(summary.byDay.map(day => day.total)).toEqual([123.3, 51]);
+    expect(summary.byDay[1].byCategory).toEqual({ attraction: 25, food: 6, other: 20 });
+  });
+
+  it('replace the total cost sent by clients with the sum of the activities', () => {
+    const itinerary = budgetItinerary();
+    itinerary.totalCost = 1;
+
+    expect(itinerary.calculateTotalCost()).toBe(174.3);
+    expect(itinerary.totalCost).toBe(174.3);
+  });
+});
+
+describe('Budget checks', () => {
+  it('use a daily limit for the budget preference over every day of the trip', () => {
+    expect(getBudgetLimits(budgetItinerary('low'))).toEqual({ budget: 'low', dailyLimit: 100, tripLimit: 200 });
+    expect(getBudgetLimits({ ...budgetItinerary().toObject(), preferences: {} }).budget).toBe('medium');
+  });
+
+  it('warn about days over the daily limit and trips close to their limit', () => {
+    const itinerary = budgetItinerary('low');
+    const warnings = checkBudget(itinerary);
+
+    expect(warnings.map(warning => warning.code)).toEqual(['DAY_OVER_BUDGET']);
+    expect(warnings[0]).toEqual(expect.objectContaining({
+      dayId: itinerary.days[0]._id,
+      total: 123.3,
+      limit: 100
+    }));
+
+    itinerary.days[1].activities.push({ name: 'Fado', category: 'event', cost: 10 });
+    expect(checkBudget(itinerary).map(warning => warning.code)).toEqual(['TRIP_NEAR_BUDGET', 'DAY_OVER_BUDGET']);
+
+    itinerary.days[1].activities.push({ name: 'Sintra tour', category: 'attraction', cost: 40 });
+    expect(checkBudget(itinerary)[0].code).toBe('TRIP_OVER_BUDGET');
+  });
+
+  it('give no warnings within budget', () => {
+    expect(checkBudget(budgetItinerary('medium'))).toEqual([]);
+  });
+
+  it('report categories largest first with their share of the total', () => {
+    const report = buildBudgetReport(budgetItinerary('medium'));
+
+    expect(report.remaining).toBe(325.7);
+    expect(report.byCategory[0]).toEqual({ category: 'food', total: 126.2, share: 0.72 });
+    expect(report.byCategory.map(entry => entry.category)).toEqual(['food', 'attraction', 'other', 'transportation']);
+    expect(report.byDay[0]).toEqual(expect.objectContaining({ limit: 250, overBudget: false }));
+  });
+});
+
+describe('Budget report route', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends the report to people who can view the itinerary', async () => {
+    const itinerary = budgetItinerary('low');
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ preferences: { homeCurrency: 'USD' } })
+    });
+
+    const res = mockResponse();
+    await itineraryController.getBudgetReport({ params: { id: itinerary.id }, query: {}, user: { id: ownerId } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data.warnings[0].code).toBe('DAY_OVER_BUDGET');
+
+    const stranger = mockResponse();
+    await itineraryController.getBudgetReport(
+      { params: { id: itinerary.id }, query: {}, user: { id: new mongoose.Types.ObjectId().toString() } },
+      stranger
+    );
+    expect(stranger.status).toHaveBeenCalledWith(404);
+  });
+});
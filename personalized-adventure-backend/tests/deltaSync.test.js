@@ -0,0 +1,177 @@
+/**
+ * Tests for delta sync: utils/jsonPatch.js and the changes and patch routes
+ * in controllers/itineraryController.js
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const ItineraryVersion = require('../models/ItineraryVersion');
+const itineraryController = require('../controllers/itineraryController');
+const { createPatch, applyPatch, parsePointer } = require('../utils/jsonPatch');
+const { mockResponse, buildItinerary } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+const itineraryFields = {
+  userId: ownerId,
+  updatedAt: new Date('2026-04-01T10:00:00.000Z'),
+  version: 5
+};
+
+const toJson = (value) => JSON.parse(JSON.stringify(value));
+
+describe('JSON Patch', () => {
+  it('creates patches that turn one document into the other', () => {
+    const before = toJson(buildItinerary(itineraryFields).getSnapshot());
+    const after = toJson(before);
+    after.title = 'Long weekend in Lisbon';
+    after.days[0].activities[1].cost = 8;
+    after.days[0].activities.push({ name: 'Fado', cost: 40 });
+
+    const patch = createPatch(before, after);
+
+    expect(patch[0]).toEqual({ op: 'replace', path: '/title', value: 'Long weekend in Lisbon' });
+    // A list whose items changed is replaced as a whole
+    expect(patch[1]).toEqual({ op: 'replace', path: '/days/0/activities', value: after.days[0].activities });
+    expect(applyPatch(before, patch).document).toEqual(after);
+  });
+
+  it('patches single fields of items that stayed in place', () => {
+    const before = toJson(buildItinerary(itineraryFields).getSnapshot());
+    const after = toJson(before);
+    after.days[0].activities[0].cost = 4;
+
+    expect(createPatch(before, after)).toEqual([{ op: 'replace', path: '/days/0/activities/0/cost', value: 4 }]);
+  });
+
+  it('applies every operation without changing the original', () => {
+    const document = { list: [1, 2, 3], nested: { a: 'x' } };
+
+    const { document: result } = applyPatch(document, [
+      { op: 'add', path: '/list/-', value: 4 },
+      { op: 'remove', path: '/list/0' },
+      { op: 'move', from: '/nested/a', path: '/moved' },
+      { op: 'copy', from: '/list', path: '/copy' },
+      { op: 'test', path: '/moved', value: 'x' },
+      { op: 'replace', path: '/nested', value: { b: true } }
+    ]);
+
+    expect(result).toEqual({ list: [2, 3, 4], nested: { b: true }, moved: 'x', copy: [2, 3, 4] });
+    expect(document).toEqual({ list: [1, 2, 3], nested: { a: 'x' } });
+  });
+
+  it('reports the first operation that fails', () => {
+    const document = { list: [1] };
+
+    expect(applyPatch(document, [{ op: 'remove', path: '/list/3' }])).toEqual(expect.objectContaining({ index: 0, failedTest: false }));
+    expect(applyPatch(document, [{ op: 'add', path: '/missing/key', value: 1 }]).index).toBe(0);
+    expect(applyPatch(document, [{ op: 'test', path: '/list/0', value: 2 }]).failedTest).toBe(true);
+  });
+
+  it('refuses pointers into object prototypes', () => {
+    expect(parsePointer('/__proto__/polluted')).toBeNull();
+    expect(applyPatch({}, [{ op: 'add', path: '/constructor/prototype/polluted', value: 1 }]).error).toBeDefined();
+    expect({}.polluted).toBeUndefined();
+  });
+});
+
+describe('Delta sync routes', () => {
+  let itinerary;
+
+  beforeEach(() => {
+    itinerary = buildItinerary(itineraryFields);
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+    jest.spyOn(itinerary, 'save').mockResolvedValue(itinerary);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const request = (query = {}, body = {}, headers = {}) => ({
+    params: { id: itinerary.id },
+    query,
+    body,
+    user: { id: ownerId },
+    get: (name) => headers[name.toLowerCase()]
+  });
+
+  it('sends the changes since a version as a patch', async () => {
+    const oldSnapshot = itinerary.getSnapshot();
+    oldSnapshot.title = 'Lisbon';
+    jest.spyOn(ItineraryVersion, 'findOne').mockReturnValue({
+      sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue({ version: 3, snapshot: oldSnapshot }) })
+    });
+    const res = mockResponse();
+
+    await itineraryController.getItineraryChanges(request({ sinceVersion: '3' }), res);
+
+    expect(res.json.mock.calls[0][0].data).toEqual({
+      full: false,
+      fromVersion: 3,
+      version: 5,
+      patch: [
+        { op: 'replace', path: '/title', value: 'Weekend in Lisbon' },
+        { op: 'replace', path: '/version', value: 5 },
+        { op: 'replace', path: '/updatedAt', value: '2026-04-01T10:00:00.000Z' }
+      ]
+    });
+  });
+
+  it('sends an empty patch when the client is up to date, and everything when its version is gone', async () => {
+    const upToDate = mockResponse();
+    await itineraryController.getItineraryChanges(request({ sinceVersion: '5' }), upToDate);
+    expect(upToDate.json.mock.calls[0][0].data.patch).toEqual([]);
+
+    jest.spyOn(ItineraryVersion, 'findOne').mockReturnValue({
+      sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(null) })
+    });
+    const pruned = mockResponse();
+    await itineraryController.getItineraryChanges(request({ sinceVersion: '1' }), pruned);
+    expect(pruned.json.mock.calls[0][0].data).toEqual({ full: true, version: 5, itinerary });
+  });
+
+  it('applies a patch to the itinerary content and recalculates the total cost', async () => {
+    const res = mockResponse();
+
+    await itineraryController.patchItinerary(request({}, [
+      { op: 'test', path: '/days/0/activities/1/name', value: 'Pastéis de Belém' },
+      { op: 'replace', path: '/days/0/activities/1/cost', value: 10 },
+      { op: 'add', path: '/days/0/activities/-', value: { name: 'Fado', cost: 40 } }
+    ]), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(itinerary.days[0].activities).toHaveLength(3);
+    expect(itinerary.totalCost).toBe(78);
+    expect(itinerary.$locals.changedBy).toBe(ownerId);
+  });
+
+  it('rejects patches outside the content, failed tests and invalid results', async () => {
+    const outside = mockResponse();
+    await itineraryController.patchItinerary(request({}, [{ op: 'add', path: '/collaborators/-', value: {} }]), outside);
+    expect(outside.status).toHaveBeenCalledWith(400);
+
+    const conflict = mockResponse();
+    await itineraryController.patchItinerary(request({}, [{ op: 'test', path: '/title', value: 'Old title' }]), conflict);
+    expect(conflict.status).toHaveBeenCalledWith(409);
+    expect(conflict.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PATCH_TEST_FAILED' }));
+
+    expect(itinerary.save).not.toHaveBeenCalled();
+  });
+
+  it('does not let a patch touch reservations', async () => {
+    itinerary.days[0].activities[0].reservation = { reservationId: 'R-1', status: 'confirmed' };
+    const res = mockResponse();
+
+    await itineraryController.patchItinerary(request({}, [
+      { op: 'replace', path: '/days/0/activities/0/reservation/status', value: 'cancelled' },
+      { op: 'add', path: '/days/0/activities/1/reservation', value: { reservationId: 'FORGED', status: 'confirmed' } },
+      { op: 'replace', path: '/days/0/activities/1/cost', value: 10 }
+    ]), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(itinerary.days[0].activities[0].reservation.status).toBe('confirmed');
+    expect(itinerary.days[0].activities[1].reservation.reservationId).toBeUndefined();
+    expect(itinerary.days[0].activities[1].cost).toBe(10);
+  });
+});
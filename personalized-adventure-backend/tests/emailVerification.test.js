@@ -0,0 +1,208 @@
+/**
+ * Tests for email verification in controllers/userController.js and the
+ * routes gated by `requireVerifiedEmail` in middleware/auth.js
+ */
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+
+jest.mock('../models/AccountToken', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  updateMany: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../utils/mailer', () => ({
+  sendMail: jest.fn()
+}));
+
+const User = require('../models/User');
+const AccountToken = require('../models/AccountToken');
+const { sendMail } = require('../utils/mailer');
+const { hashToken, requireVerifiedEmail } = require('../middleware/auth');
+const userController = require('../controllers/userController');
+const itineraryRoutes = require('../routes/itinerary');
+const userRoutes = require('../routes/user');
+const { mockResponse } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Email verification', () => {
+  let user;
+  let tokens;
+
+  const recentSends = (...minutesAgo) => {
+    const sends = minutesAgo.map(minutes => ({ createdAt: new Date(Date.now() - minutes * MINUTE_MS) }));
+    AccountToken.find.mockReturnValue({
+      select: () => ({ sort: async () => sends })
+    });
+  };
+
+  const resend = async () => {
+    const res = mockResponse();
+    await userController.resendVerificationEmail({ user: { id: user.id } }, res);
+    return res;
+  };
+
+  const verify = async (token) => {
+    const res = mockResponse();
+    await userController.verifyEmail({ body: { token } }, res);
+    return res;
+  };
+
+  const sentToken = () => sendMail.mock.calls[0][0].text.match(/\?token=(\w+)/)[1];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tokens = [];
+    user = {
+      id: '64b7f0c2a1b2c3d4e5f60718',
+      username: 'ana',
+      email: 'ana@example.com',
+      emailVerified: false
+    };
+    User.findById.mockResolvedValue(user);
+    User.findByIdAndUpdate.mockImplementation((id, update) => ({
+      select: async () => Object.assign(user, update)
+    }));
+    AccountToken.create.mockImplementation(async (doc) => {
+      const token = { usedAt: null, ...doc };
+      tokens.push(token);
+      return token;
+    });
+    AccountToken.findOneAndUpdate.mockImplementation(async (filter, update) => {
+      const token = tokens.find(candidate =>
+        candidate.tokenHash === filter.tokenHash &&
+        candidate.purpose === filter.purpose &&
+        candidate.usedAt === null &&
+        candidate.expiresAt > filter.expiresAt.$gt
+      );
+      if (!token) {
+        return null;
+      }
+      const before = { ...token };
+      Object.assign(token, update);
+      return before;
+    });
+    recentSends();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('verifies the address with the emailed token', async () => {
+    const sent = await resend();
+    expect(sent.status).toHaveBeenCalledWith(200);
+    expect(tokens[0].tokenHash).toBe(hashToken(sentToken()));
+
+    const res = await verify(sentToken());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      user.id,
+      { emailVerified: true, emailVerifiedAt: expect.any(Date) },
+      { new: true }
+    );
+    expect(user.emailVerified).toBe(true);
+  });
+
+  it('does not accept a token twice, once expired or after a newer one was sent', async () => {
+    await resend();
+    const token = sentToken();
+    expect((await verify(token)).status).toHaveBeenCalledWith(200);
+    expect((await verify(token)).status).toHaveBeenCalledWith(400);
+
+    user.emailVerified = false;
+    tokens = [];
+    sendMail.mockClear();
+    await resend();
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+    expect((await verify(sentToken())).status).toHaveBeenCalledWith(400);
+
+    // Sending a new link retires the earlier ones
+    expect(AccountToken.updateMany).toHaveBeenCalledWith(
+      { userId: user.id, purpose: 'email-verification', usedAt: null },
+      { usedAt: expect.any(Date) }
+    );
+  });
+
+  it('throttles resends to one a minute and five a day', async () => {
+    recentSends(0.5);
+    const tooSoon = await resend();
+    expect(tooSoon.status).toHaveBeenCalledWith(429);
+    expect(tooSoon.set).toHaveBeenCalledWith('Retry-After', '30');
+
+    recentSends(10, 60, 120, 180, 23 * 60);
+    const tooMany = await resend();
+    expect(tooMany.status).toHaveBeenCalledWith(429);
+    expect(tooMany.json).toHaveBeenCalledWith(expect.objectContaining({ retryAfter: 3600 }));
+
+    recentSends(10, 60);
+    expect((await resend()).status).toHaveBeenCalledWith(200);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not resend to a verified address', async () => {
+    user.emailVerified = true;
+
+    const res = await resend();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+});
+
+describe('Routes that need a verified email', () => {
+  const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+  // Check a route uses `requireVerifiedEmail` and run it, reporting whether it passed the request on
+  const runFromVerification = async (router, method, path) => {
+    const layer = router.stack.find(candidate =>
+      candidate.route && candidate.route.path === path && candidate.route.methods[method]
+    );
+    const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+    const start = handlers.indexOf(requireVerifiedEmail);
+    expect(start).toBeGreaterThanOrEqual(0);
+
+    const res = mockResponse();
+    let passed = false;
+    await handlers[start]({ user: { id: userId }, params: {}, query: {}, body: {} }, res, () => {
+      passed = true;
+    });
+    return { res, passed };
+  };
+
+  const gatedRoutes = [
+    [itineraryRoutes, 'post', '/:id/collaborators'],
+    [itineraryRoutes, 'post', '/:id/reserve'],
+    [userRoutes, 'get', '/lookup']
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it.each(gatedRoutes)('rejects unverified accounts (%#)', async (router, method, path) => {
+    User.findById.mockReturnValue({ select: async () => ({ emailVerified: false }) });
+
+    const { res, passed } = await runFromVerification(router, method, path);
+
+    expect(passed).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'EMAIL_NOT_VERIFIED' }));
+  });
+
+  it.each(gatedRoutes)('lets verified accounts through (%#)', async (router, method, path) => {
+    User.findById.mockReturnValue({ select: async () => ({ emailVerified: true }) });
+
+    const { res, passed } = await runFromVerification(router, method, path);
+
+    expect(passed).toBe(true);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for itinerary ETags and conditional requests in utils/etag.js
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const ItineraryVersion = require('../models/ItineraryVersion');
+const itineraryController = require('../controllers/itineraryController');
+const { itineraryETag, matchesETag } = require('../utils/etag');
+const { mockResponse, buildItinerary } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+const itineraryFields = {
+  userId: ownerId,
+  updatedAt: new Date('2026-04-01T10:00:00.000Z'),
+  version: 4
+};
+
+const request = (itinerary, headers = {}, body = {}) => ({
+  params: { id: itinerary.id },
+  body,
+  user: { id: ownerId },
+  get: (name) => headers[name.toLowerCase()]
+});
+
+describe('Itinerary ETags', () => {
+  let itinerary;
+
+  beforeEach(() => {
+    itinerary = buildItinerary(itineraryFields);
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+    jest.spyOn(itinerary, 'save').mockResolvedValue(itinerary);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('changes the ETag whenever the itinerary is saved', () => {
+    const etag = itineraryETag(itinerary);
+
+    expect(etag).toMatch(/^"[\w-]{32}"$/);
+    // A copy loaded again from the database has the same ETag
+    expect(itineraryETag(new Itinerary(itinerary.toObject()))).toBe(etag);
+
+    itinerary.updatedAt = new Date('2026-04-01T10:00:00.001Z');
+    expect(itineraryETag(itinerary)).not.toBe(etag);
+  });
+
+  it('compares ETag lists weakly or strongly', () => {
+    expect(matchesETag('"a", "b"', '"b"', false)).toBe(true);
+    expect(matchesETag('*', '"b"', false)).toBe(true);
+    expect(matchesETag('W/"b"', '"b"', true)).toBe(true);
+    expect(matchesETag('W/"b"', '"b"', false)).toBe(false);
+    expect(matchesETag('"a"', '"b"', true)).toBe(false);
+  });
+
+  it('sends the ETag and answers a matching If-None-Match with 304', async () => {
+    const etag = itineraryETag(itinerary);
+
+    const fresh = mockResponse();
+    await itineraryController.getItineraryById(request(itinerary), fresh);
+    expect(fresh.set).toHaveBeenCalledWith('ETag', etag);
+    expect(fresh.status).toHaveBeenCalledWith(200);
+
+    const cached = mockResponse();
+    await itineraryController.getItineraryById(request(itinerary, { 'if-none-match': etag }), cached);
+    expect(cached.status).toHaveBeenCalledWith(304);
+    expect(cached.json).not.toHaveBeenCalled();
+  });
+
+  it('rejects edits and deletes made against an old ETag', async () => {
+    const stale = mockResponse();
+    await itineraryController.updateItinerary(
+      request(itinerary, { 'if-match': '"stale"' }, { title: 'Overwritten' }),
+      stale
+    );
+
+    expect(stale.status).toHaveBeenCalledWith(412);
+    expect(stale.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ITINERARY_CHANGED' }));
+    expect(stale.set).toHaveBeenCalledWith('ETag', itineraryETag(itinerary));
+    expect(itinerary.save).not.toHaveBeenCalled();
+
+    const deleteSpy = jest.spyOn(Itinerary, 'findOneAndDelete').mockResolvedValue(itinerary);
+    const staleDelete = mockResponse();
+    await itineraryController.deleteItinerary(request(itinerary, { 'if-match': '"stale"' }), staleDelete);
+
+    expect(staleDelete.status).toHaveBeenCalledWith(412);
+    expect(deleteSpy).not.toHaveBeenCalled();
+  });
+
+  it('applies edits made against the current ETag and sends the new one', async () => {
+    const res = mockResponse();
+    await itineraryController.updateItinerary(
+      request(itinerary, { 'if-match': itineraryETag(itinerary) }, { title: 'Long weekend in Lisbon' }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(itinerary.title).toBe('Long weekend in Lisbon');
+    expect(res.set).toHaveBeenCalledWith('ETag', expect.any(String));
+  });
+
+  it('lets only one of two concurrent edits with the same ETag through', async () => {
+    // Both requests load the itinerary before either of them saves it
+    const stored = itinerary.toObject({ depopulate: true });
+    const etag = itineraryETag(itinerary);
+    Itinerary.findById
+      .mockResolvedValueOnce(Itinerary.hydrate(stored))
+      .mockResolvedValueOnce(Itinerary.hydrate(stored));
+    jest.spyOn(ItineraryVersion, 'create').mockResolvedValue({});
+    jest.spyOn(ItineraryVersion, 'deleteMany').mockResolvedValue({});
+    const updateSpy = jest.spyOn(Itinerary.collection, 'updateOne').mockImplementation(async (filter, update) => {
+      const current = filter.version === stored.version &&
+        filter.updatedAt.getTime() === stored.updatedAt.getTime();
+      if (current) {
+        Object.assign(stored, update.$set);
+      }
+      return { acknowledged: true, matchedCount: current ? 1 : 0, modifiedCount: current ? 1 : 0 };
+    });
+
+    const first = mockResponse();
+    const second = mockResponse();
+    const firstLoaded = itineraryController.updateItinerary(
+      request(itinerary, { 'if-match': etag }, { title: 'Long weekend in Lisbon' }),
+      first
+    );
+    const secondLoaded = itineraryController.updateItinerary(
+      request(itinerary, { 'if-match': etag }, { title: 'Overwritten' }),
+      second
+    );
+    await Promise.all([firstLoaded, secondLoaded]);
+
+    expect(updateSpy).toHaveBeenCalledTimes(2);
+    expect(first.status).toHaveBeenCalledWith(200);
+    expect(second.status).toHaveBeenCalledWith(412);
+    expect(second.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ITINERARY_CHANGED' }));
+    expect(stored).toEqual(expect.objectContaining({ title: 'Long weekend in Lisbon', version: 5 }));
+    expect(ItineraryVersion.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not delete an itinerary someone saved since it was loaded', async () => {
+    const deleteSpy = jest.spyOn(Itinerary, 'findOneAndDelete').mockResolvedValue(null);
+    const res = mockResponse();
+    await itineraryController.deleteItinerary(request(itinerary, { 'if-match': itineraryETag(itinerary) }), res);
+
+    expect(deleteSpy).toHaveBeenCalledWith({
+      _id: itinerary._id,
+      version: 4,
+      updatedAt: itinerary.updatedAt
+    });
+    expect(res.status).toHaveBeenCalledWith(412);
+  });
+});
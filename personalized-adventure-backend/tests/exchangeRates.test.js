@@ -0,0 +1,120 @@
+/**
+ * Tests for exchange-rate tables in utils/exchangeRates.js and multi-currency
+ * totals in utils/budget.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const User = require('../models/User');
+const itineraryController = require('../controllers/itineraryController');
+const bundledTable = require('../data/exchangeRates.json');
+const {
+  loadRatesFile,
+  setRateTable,
+  getRateTable,
+  isSupportedCurrency,
+  convertAmount
+} = require('../utils/exchangeRates');
+const { summarizeCosts, getBudgetLimits, buildBudgetReport } = require('../utils/budget');
+const { mockResponse, buildItinerary } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+const testTable = {
+  base: 'USD',
+  date: '2026-10-01',
+  rates: { EUR: 0.8, GBP: 0.5, JPY: 150 }
+};
+
+const itineraryFields = {
+  currency: 'EUR',
+  userId: ownerId,
+  preferences: { budget: 'low' },
+  days: [
+    {
+      date: new Date('2026-05-01'),
+      activities: [
+        { name: 'Tram 28', category: 'transportation', cost: 3 },
+        // Booked from home in dollars
+        { name: 'Fado dinner', category: 'food', cost: 50, currency: 'USD' }
+      ]
+    }
+  ]
+};
+
+describe('Exchange-rate tables', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    setRateTable(testTable);
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+  });
+
+  afterEach(() => {
+    setRateTable(bundledTable);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('converts through the base currency', () => {
+    expect(convertAmount(10, 'USD', 'EUR')).toBeCloseTo(8);
+    expect(convertAmount(8, 'EUR', 'GBP')).toBeCloseTo(5);
+    expect(convertAmount(3, 'GBP', 'GBP')).toBe(3);
+    expect(convertAmount(3, 'GBP', 'XYZ')).toBeNull();
+    expect(isSupportedCurrency('USD')).toBe(true);
+    expect(isSupportedCurrency('CHF')).toBe(false);
+  });
+
+  it('imports a rates file and rejects malformed ones', () => {
+    const filePath = path.join(tempDir, 'rates.json');
+    fs.writeFileSync(filePath, JSON.stringify({ base: 'EUR', date: '2026-10-02', rates: { USD: 1.25 } }));
+
+    expect(loadRatesFile(filePath)).toEqual({ base: 'EUR', date: '2026-10-02', rates: { USD: 1.25, EUR: 1 } });
+
+    fs.writeFileSync(filePath, JSON.stringify({ base: 'EUR', rates: { USD: -1 } }));
+    expect(() => loadRatesFile(filePath)).toThrow('Invalid rate for USD');
+    expect(() => setRateTable({ rates: {} })).toThrow('base currency');
+  });
+
+  it('ships a bundled table with the common travel currencies', () => {
+    setRateTable(bundledTable);
+
+    expect(getRateTable().base).toBe('USD');
+    ['EUR', 'GBP', 'JPY', 'CHF'].forEach(code => expect(isSupportedCurrency(code)).toBe(true));
+  });
+
+  it('adds up costs in the itinerary currency', () => {
+    const itinerary = buildItinerary(itineraryFields);
+
+    expect(itinerary.calculateTotalCost()).toBe(43);
+    expect(summarizeCosts(itinerary).byCategory).toEqual({ transportation: 3, food: 40 });
+    // Limits are set in dollars
+    expect(getBudgetLimits(itinerary)).toEqual({ budget: 'low', dailyLimit: 80, tripLimit: 160 });
+  });
+
+  it('reports a budget in the home currency', async () => {
+    const itinerary = buildItinerary(itineraryFields);
+    const report = buildBudgetReport(itinerary, { currency: 'GBP' });
+
+    expect(report).toEqual(expect.objectContaining({
+      currency: 'GBP',
+      itineraryCurrency: 'EUR',
+      ratesDate: '2026-10-01',
+      totalCost: 26.88,
+      tripLimit: 100
+    }));
+
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ preferences: { homeCurrency: 'JPY' } })
+    });
+    const res = mockResponse();
+    await itineraryController.getBudgetReport({ params: { id: itinerary.id }, query: {}, user: { id: ownerId } }, res);
+
+    expect(res.json.mock.calls[0][0].data.currency).toBe('JPY');
+    expect(res.json.mock.calls[0][0].data.totalCost).toBe(8062.5);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Helpers shared by the test files
+ */
+
+const { EventEmitter } = require('events');
+const Itinerary = require('../models/Itinerary');
+
+/**
+ * Stand-in for an Express response. Every method records its calls and can be
+ * chained; `status` also sets `statusCode`, and `emit('finish')` runs the
+ * listeners middleware registered.
+ * @returns {Object} - Response mock
+ */
+const mockResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  ['json', 'send', 'end', 'set', 'type', 'redirect', 'cookie', 'clearCookie'].forEach(method => {
+    res[method] = jest.fn(() => res);
+  });
+  res.setHeader = jest.fn();
+  return res;
+};
+
+/**
+ * Build an unsaved weekend trip to Lisbon: two days with three activities
+ * costing 3, 6 and 25
+ * @param {Object} fields - Fields to set or replace, usually at least `userId`
+ * @returns {Object} - Itinerary document
+ */
+const buildItinerary = (fields = {}) => new Itinerary({
+  title: 'Weekend in Lisbon',
+  location: 'Lisbon',
+  startDate: new Date('2026-05-01'),
+  endDate: new Date('2026-05-02'),
+  days: [
+    {
+      date: new Date('2026-05-01'),
+      activities: [
+        { name: 'Tram 28', cost: 3 },
+        { name: 'Pastéis de Belém', cost: 6 }
+      ]
+    },
+    {
+      date: new Date('2026-05-02'),
+      activities: [{ name: 'Oceanarium', cost: 25 }]
+    }
+  ],
+  ...fields
+});
+
+module.exports = {
+  mockResponse,
+  buildItinerary
+};
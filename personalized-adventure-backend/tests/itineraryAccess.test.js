@@ -0,0 +1,52 @@
+/**
+ * Tests for itinerary ownership and sharing checks in models/Itinerary.js
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const { buildItinerary } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+const editorId = new mongoose.Types.ObjectId().toString();
+const viewerId = new mongoose.Types.ObjectId().toString();
+const strangerId = new mongoose.Types.ObjectId().toString();
+
+const itineraryFields = {
+  userId: ownerId,
+  collaborators: [
+    { userId: editorId, role: 'editor' },
+    { userId: viewerId }
+  ]
+};
+
+describe('Itinerary access', () => {
+  it('resolves the access level of owners, collaborators and strangers', () => {
+    const itinerary = buildItinerary(itineraryFields);
+
+    expect(itinerary.getAccessLevel(ownerId)).toBe('owner');
+    expect(itinerary.getAccessLevel(editorId)).toBe('editor');
+    expect(itinerary.getAccessLevel(viewerId)).toBe('viewer');
+    expect(itinerary.getAccessLevel(strangerId)).toBeNull();
+    expect(itinerary.getAccessLevel(undefined)).toBeNull();
+  });
+
+  it('only grants levels at or below the user\'s own', () => {
+    const itinerary = buildItinerary(itineraryFields);
+
+    expect(itinerary.hasAccess(ownerId, 'owner')).toBe(true);
+    expect(itinerary.hasAccess(editorId, 'editor')).toBe(true);
+    expect(itinerary.hasAccess(editorId, 'owner')).toBe(false);
+    expect(itinerary.hasAccess(viewerId, 'viewer')).toBe(true);
+    expect(itinerary.hasAccess(viewerId, 'editor')).toBe(false);
+    expect(itinerary.hasAccess(strangerId, 'viewer')).toBe(false);
+  });
+
+  it('builds a list filter covering owned and shared itineraries', () => {
+    expect(Itinerary.accessibleBy(viewerId)).toEqual({
+      $or: [
+        { userId: viewerId },
+        { 'collaborators.userId': viewerId }
+      ]
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Tests for the day and activity routes in controllers/itineraryController.js,
+ * and for how whole-itinerary updates treat reservations
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const User = require('../models/User');
+const itineraryController = require('../controllers/itineraryController');
+const { mockResponse, buildItinerary } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+const viewerId = new mongoose.Types.ObjectId().toString();
+
+// The trip runs to the 3rd with nothing planned on the 2nd, so days can be added in between
+const loadItinerary = () => {
+  const itinerary = buildItinerary({
+    userId: ownerId,
+    endDate: new Date('2026-05-03'),
+    collaborators: [{ userId: viewerId }]
+  });
+  itinerary.days[1].date = new Date('2026-05-03');
+  itinerary.calculateTotalCost();
+  jest.spyOn(itinerary, 'save').mockResolvedValue(itinerary);
+  return itinerary;
+};
+
+const request = (itinerary, { params = {}, body = {}, userId = ownerId, headers = {} } = {}) => ({
+  params: { id: itinerary.id, ...params },
+  body,
+  user: { id: userId },
+  get: (name) => headers[name.toLowerCase()]
+});
+
+describe('Itinerary days and activities', () => {
+  let itinerary;
+
+  beforeEach(() => {
+    itinerary = loadItinerary();
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds an activity at a position and recalculates the total cost', async () => {
+    const res = mockResponse();
+    const dayId = itinerary.days[0].id;
+
+    await itineraryController.addActivity(
+      request(itinerary, { params: { dayId }, body: { name: 'Fado show', cost: 40, position: 1, reservation: { status: 'confirmed' } } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(itinerary.days[0].activities.map(activity => activity.name)).toEqual(['Tram 28', 'Fado show', 'Pastéis de Belém']);
+    // Reservations are only set through the reserve route
+    expect(itinerary.days[0].activities[1].reservation.status).toBe('pending');
+    expect(itinerary.totalCost).toBe(74);
+    expect(res.json.mock.calls[0][0].totalCost).toBe(74);
+  });
+
+  it('updates only the fields that were sent', async () => {
+    const res = mockResponse();
+    const day = itinerary.days[1];
+    const activity = day.activities[0];
+
+    await itineraryController.updateActivity(
+      request(itinerary, { params: { dayId: day.id, activityId: activity.id }, body: { cost: 30 } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(activity.name).toBe('Oceanarium');
+    expect(itinerary.totalCost).toBe(39);
+  });
+
+  it('moves an activity to another day and keeps its ID', async () => {
+    const res = mockResponse();
+    const [firstDay, lastDay] = itinerary.days;
+    const activityId = firstDay.activities[1].id;
+
+    await itineraryController.moveActivity(
+      request(itinerary, { params: { dayId: firstDay.id, activityId }, body: { toDayId: lastDay.id, position: 0 } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(firstDay.activities.map(activity => activity.name)).toEqual(['Tram 28']);
+    expect(lastDay.activities.map(activity => activity.id)[0]).toBe(activityId);
+    expect(itinerary.totalCost).toBe(34);
+  });
+
+  it('deletes activities and days', async () => {
+    const [firstDay, lastDay] = itinerary.days;
+
+    await itineraryController.deleteActivity(
+      request(itinerary, { params: { dayId: firstDay.id, activityId: firstDay.activities[0].id } }),
+      mockResponse()
+    );
+    expect(itinerary.totalCost).toBe(31);
+
+    await itineraryController.deleteDay(request(itinerary, { params: { dayId: lastDay.id } }), mockResponse());
+    expect(itinerary.days).toHaveLength(1);
+    expect(itinerary.totalCost).toBe(6);
+  });
+
+  it('adds days in date order within the trip dates', async () => {
+    const res = mockResponse();
+    await itineraryController.addDay(request(itinerary, { body: { date: '2026-05-02' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(itinerary.days.map(day => day.date.toISOString().slice(0, 10))).toEqual(['2026-05-01', '2026-05-02', '2026-05-03']);
+
+    const outside = mockResponse();
+    await itineraryController.addDay(request(itinerary, { body: { date: '2026-05-04' } }), outside);
+    expect(outside.status).toHaveBeenCalledWith(400);
+
+    const duplicate = mockResponse();
+    await itineraryController.addDay(request(itinerary, { body: { date: '2026-05-01' } }), duplicate);
+    expect(duplicate.status).toHaveBeenCalledWith(409);
+  });
+
+  it('rejects unknown days and activities and callers who cannot edit', async () => {
+    const dayId = itinerary.days[0].id;
+
+    const badId = mockResponse();
+    await itineraryController.updateActivity(request(itinerary, { params: { dayId, activityId: 'nope' } }), badId);
+    expect(badId.status).toHaveBeenCalledWith(400);
+
+    const missing = mockResponse();
+    await itineraryController.deleteActivity(
+      request(itinerary, { params: { dayId, activityId: new mongoose.Types.ObjectId().toString() } }),
+      missing
+    );
+    expect(missing.status).toHaveBeenCalledWith(404);
+
+    const viewer = mockResponse();
+    await itineraryController.addActivity(
+      request(itinerary, { params: { dayId }, body: { name: 'Sneaky' }, userId: viewerId }),
+      viewer
+    );
+    expect(viewer.status).toHaveBeenCalledWith(403);
+    expect(itinerary.save).not.toHaveBeenCalled();
+  });
+
+  it('keeps reservations out of whole-itinerary updates', async () => {
+    const [tram, pastry] = itinerary.days[0].activities;
+    tram.reservation = { reservationId: 'R-1', confirmationCode: 'ABC', status: 'confirmed' };
+
+    const body = JSON.parse(JSON.stringify(itinerary));
+    body.days[0].activities[0].reservation = { reservationId: 'R-1', status: 'cancelled' };
+    body.days[0].activities[1].reservation = { reservationId: 'FORGED', status: 'confirmed' };
+    body.days[1].activities.push({ name: 'Fado', cost: 40, reservation: { reservationId: 'FORGED', status: 'confirmed' } });
+
+    const res = mockResponse();
+    await itineraryController.updateItinerary(request(itinerary, { body }), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(itinerary.days[0].activities.id(tram.id).reservation).toEqual(expect.objectContaining({
+      reservationId: 'R-1',
+      status: 'confirmed'
+    }));
+    expect(itinerary.days[0].activities.id(pastry.id).reservation.reservationId).toBeUndefined();
+    expect(itinerary.days[1].activities[1].name).toBe('Fado');
+    expect(itinerary.days[1].activities[1].reservation.reservationId).toBeUndefined();
+  });
+
+  it('keeps reservations out of new itineraries', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue({ preferences: {} });
+    jest.spyOn(Itinerary.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const body = {
+      title: 'Porto',
+      location: 'Porto',
+      startDate: '2026-06-01',
+      endDate: '2026-06-02',
+      days: [{ date: '2026-06-01', activities: [{ name: 'Port tasting', reservation: { reservationId: 'FORGED', status: 'confirmed' } }] }]
+    };
+
+    const res = mockResponse();
+    await itineraryController.createItinerary(request(itinerary, { body }), res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const created = res.json.mock.calls[0][0].data;
+    expect(created.days[0].activities[0].name).toBe('Port tasting');
+    expect(created.days[0].activities[0].reservation.reservationId).toBeUndefined();
+  });
+});
+
+describe('Reserving an activity', () => {
+  let itinerary;
+
+  // Book through the (simulated) external provider, which answers after a second
+  const reserve = async (body, headers) => {
+    const res = mockResponse();
+    const pending = itineraryController.reserveActivity(
+      request(itinerary, { body: { activityType: 'restaurant', desiredTime: '2026-05-01T19:00', ...body }, headers }),
+      res
+    );
+    await jest.advanceTimersByTimeAsync(1000);
+    await pending;
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    itinerary = loadItinerary();
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+    jest.spyOn(Itinerary, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Math, 'random').mockReturnValue(0.9);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('stores the booking on the activity without a version-checked save', async () => {
+    const activityId = itinerary.days[1].activities[0].id;
+
+    const res = await reserve({ activityId });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ activityUpdated: true, provider: 'OpenTable' }));
+    expect(itinerary.save).not.toHaveBeenCalled();
+    expect(Itinerary.updateOne).toHaveBeenCalledWith(
+      { _id: itinerary._id, 'days.activities._id': activityId },
+      {
+        $set: {
+          'days.$[].activities.$[activity].reservation': expect.objectContaining({
+            reservationId: res.json.mock.calls[0][0].data.reservationId,
+            status: 'confirmed'
+          }),
+          updatedAt: expect.any(Date)
+        },
+        $inc: { version: 1 }
+      },
+      { arrayFilters: [{ 'activity._id': activityId }] }
+    );
+  });
+
+  it('checks If-Match before booking', async () => {
+    const res = await reserve({ activityId: itinerary.days[1].activities[0].id }, { 'if-match': '"stale"' });
+
+    expect(res.status).toHaveBeenCalledWith(412);
+    expect(Math.random).not.toHaveBeenCalled();
+    expect(Itinerary.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('returns the booking when it cannot be stored', async () => {
+    Itinerary.updateOne.mockRejectedValue(new Error('connection lost'));
+
+    const res = await reserve({ activityId: itinerary.days[1].activities[0].id });
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0].data).toEqual({
+      reservationId: expect.stringMatching(/^EXT/),
+      provider: 'OpenTable',
+      confirmationCode: expect.any(String)
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Tests for preference-driven generation in utils/itineraryGenerator.js and
+ * the generate endpoint in controllers/itineraryController.js
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const User = require('../models/User');
+const itineraryController = require('../controllers/itineraryController');
+const itineraryRoutes = require('../routes/itinerary');
+const weatherAPI = require('../utils/weatherAPI');
+const eventsAPI = require('../utils/eventsAPI');
+const placesAPI = require('../utils/placesAPI');
+const { mergePreferences, planTripDays } = require('../utils/itineraryGenerator');
+const { listTripDates } = require('../utils/timeZones');
+const { mockResponse } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+// 4 May 2026 is a Monday, when the museum and the gallery are closed
+const MONDAY = '2026-05-04';
+const TUESDAY = '2026-05-05';
+
+const plan = async (date, { weatherType = 'sunny', events = [], ...preferences } = {}) => {
+  const places = await placesAPI.getPlaces('Lisbon');
+  const [day] = planTripDays({
+    dates: listTripDates(date, date),
+    places,
+    events,
+    weather: [{ date, weatherType }],
+    preferences
+  });
+  return day;
+};
+
+const names = (day) => day.activities.map(pick => pick.activity.name);
+
+const visits = (day) => day.activities
+  .map(pick => pick.activity)
+  .filter(activity => activity.category !== 'food');
+
+const concert = (type = 'Concert') => ({
+  id: 'event-1',
+  name: `Lisbon ${type} Event`,
+  type,
+  date: TUESDAY,
+  time: '20:00',
+  price: 30,
+  location: {
+    name: 'Lisbon Venue 1',
+    address: '1 Main St, Lisbon',
+    coordinates: placesAPI.getMockCoordinates('Lisbon', [0.5, 0.5])
+  }
+});
+
+describe('Itinerary generation', () => {
+  it('pick activities that match interests and the travel style', async () => {
+    const adventurous = await plan(TUESDAY, { activities: ['Hiking'], travelStyle: 'adventurous' });
+    const trail = adventurous.activities.find(pick => pick.activity.name === 'Lisbon Ridge Trail');
+    expect(trail.activity.startTime).toBe('08:45');
+    expect(trail.reasons).toEqual(expect.arrayContaining([
+      'Matches your interest in Hiking',
+      'Suits your adventurous travel style'
+    ]));
+
+    // A relaxed day has no time for a three-hour hike
+    const relaxed = await plan(TUESDAY, { activities: ['Hiking'], travelStyle: 'relaxed' });
+    expect(names(relaxed)).not.toContain('Lisbon Ridge Trail');
+    expect(relaxed.activities.length).toBeLessThan(adventurous.activities.length);
+  });
+
+  it('keep activities indoors in the rain and out of storms', async () => {
+    const rainy = await plan(TUESDAY, { weatherType: 'rainy' });
+    expect(rainy.notes).toContain('Rainy weather expected, so indoor activities were preferred');
+    expect(visits(rainy).map(activity => activity.weatherDependent)).not.toContain(true);
+
+    const stormy = await plan(TUESDAY, { weatherType: 'stormy', activities: ['parks'] });
+    expect(stormy.activities.map(pick => pick.activity.weatherDependent)).not.toContain(true);
+  });
+
+  it('stay within the daily budget and skip closed places', async () => {
+    const day = await plan(MONDAY, { activities: ['museums'], budget: 'low' });
+
+    expect(day.budget).toEqual({ limit: 100, spent: expect.any(Number) });
+    expect(day.budget.spent).toBeLessThanOrEqual(100);
+    expect(names(day)).toContain('Lisbon Science Center');
+    expect(names(day)).not.toContain('Lisbon City Museum');
+    expect(names(day)).not.toContain('Lisbon Art Gallery');
+    expect(day.activities.filter(pick => pick.activity.category === 'food')).toHaveLength(3);
+  });
+
+  it('plan the day around an event that matches an interest', async () => {
+    const day = await plan(TUESDAY, { activities: ['music'], events: [concert()] });
+
+    const event = day.activities.find(pick => pick.activity.category === 'event');
+    expect(event.activity).toEqual(expect.objectContaining({
+      name: 'Lisbon Concert Event',
+      startTime: '20:00',
+      endTime: '22:00',
+      fixedTime: true
+    }));
+    expect(event.reasons).toContain(`Only on ${TUESDAY}`);
+    expect(day.notes).toContain('Dinner moved to 18:00 to make way for Lisbon Concert Event');
+    expect(day.activities.map(pick => pick.activity.startTime))
+      .toEqual([...day.activities.map(pick => pick.activity.startTime)].sort());
+
+    // Events nobody asked for do not take over the evening
+    const other = await plan(TUESDAY, { activities: ['music'], events: [concert('Conference')] });
+    expect(other.activities.map(pick => pick.activity.category)).not.toContain('event');
+  });
+
+  it('do not repeat a place within a day', async () => {
+    const places = await placesAPI.getPlaces('Lisbon');
+    const days = planTripDays({
+      dates: listTripDates(MONDAY, '2026-05-07'),
+      places,
+      preferences: { activities: ['museums'], travelStyle: 'adventurous' }
+    });
+
+    expect(days).toHaveLength(4);
+    days.forEach(day => {
+      expect(new Set(names(day)).size).toBe(day.activities.length);
+      expect(day.notes).toContain('No weather forecast for this day');
+    });
+  });
+
+  it('plan a day whose forecast has no weather type as one without a forecast', async () => {
+    const places = await placesAPI.getPlaces('Lisbon');
+    const [day] = planTripDays({
+      dates: listTripDates(TUESDAY, TUESDAY),
+      places,
+      weather: [{ date: TUESDAY }],
+      preferences: { activities: ['museums'] }
+    });
+
+    expect(day.weather).toBeNull();
+    expect(day.activities.length).toBeGreaterThan(0);
+    expect(day.notes).toContain('No weather forecast for this day');
+  });
+
+  it('prefer the preferences sent for the trip over the saved ones', () => {
+    expect(mergePreferences(
+      { budget: 'low', activities: [] },
+      { activities: ['museums'], budget: 'high', travelStyle: 'relaxed', homeCurrency: 'EUR' }
+    )).toEqual({ activities: [], budget: 'low', travelStyle: 'relaxed' });
+  });
+});
+
+describe('Generate endpoint', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves the generated trip and explains each activity', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue({
+      _id: ownerId,
+      preferences: { activities: ['museums'], budget: 'high', travelStyle: 'relaxed' }
+    });
+    jest.spyOn(weatherAPI, 'getWeatherForecast').mockResolvedValue([{ date: TUESDAY, weatherType: 'rainy' }]);
+    jest.spyOn(eventsAPI, 'getEvents').mockResolvedValue([]);
+    jest.spyOn(Itinerary.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+
+    const res = mockResponse();
+    await itineraryController.generateItinerary({
+      body: { location: 'Lisbon', startDate: TUESDAY, endDate: TUESDAY, preferences: { budget: 'low' } },
+      user: { id: ownerId }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const { data, generation } = res.json.mock.calls[0][0];
+    expect(data.preferences).toEqual(expect.objectContaining({ activities: ['museums'], budget: 'low', travelStyle: 'relaxed' }));
+
+    const [day] = data.days;
+    expect(generation.days[0]).toEqual(expect.objectContaining({
+      dayId: day._id,
+      weather: 'rainy',
+      budget: { limit: 100, spent: day.activities.reduce((total, activity) => total + activity.cost, 0) }
+    }));
+    expect(generation.days[0].activities.map(pick => pick.activityId)).toEqual(day.activities.map(activity => activity._id));
+    expect(generation.days[0].activities[1].reasons).toContain('Matches your interest in museums');
+    day.activities.forEach(activity => {
+      expect(activity.location.coordinates.lat).not.toBe(0);
+    });
+  });
+
+  it('rejects trips with invalid dates or more than 30 days', async () => {
+    // Run the route's validation, stopping before the controller
+    const validate = async (body) => {
+      const layer = itineraryRoutes.stack.find(candidate => candidate.route && candidate.route.path === '/generate');
+      const handlers = layer.route.stack.map(routeLayer => routeLayer.handle).slice(0, -1);
+      const req = { body: { location: 'Lisbon', ...body }, query: {}, params: {}, user: { id: ownerId } };
+      const res = mockResponse();
+
+      for (const handler of handlers) {
+        let passed = false;
+        await handler(req, res, () => {
+          passed = true;
+        });
+        if (!passed) {
+          return res.json.mock.calls[0][0].errors.map(error => error.message);
+        }
+      }
+      return [];
+    };
+
+    expect(await validate({ startDate: TUESDAY, endDate: '2026-06-03' })).toEqual([]);
+    expect(await validate({ startDate: '5 May 2026', endDate: TUESDAY }))
+      .toEqual(['Dates must use the YYYY-MM-DD format']);
+    expect(await validate({ startDate: TUESDAY })).toEqual(['Start and end dates are required']);
+    expect(await validate({ startDate: TUESDAY, endDate: MONDAY }))
+      .toEqual(['End date cannot be before the start date']);
+    expect(await validate({ startDate: TUESDAY, endDate: '2026-06-04' }))
+      .toEqual(['Trips can be generated for up to 30 days']);
+  });
+});
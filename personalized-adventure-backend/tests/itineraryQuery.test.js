@@ -0,0 +1,126 @@
+/**
+ * Tests for itinerary list filters, sorting and cursor pagination in utils/itineraryQuery.js
+ */
+
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  buildItineraryQuery,
+  paginate
+} = require('../utils/itineraryQuery');
+const itineraryRoutes = require('../routes/itinerary');
+const { mockResponse } = require('./helpers');
+
+const baseFilter = { userId: 'user-1' };
+
+describe('Itinerary list query', () => {
+  it('sorts newest first with the default page size', () => {
+    const query = buildItineraryQuery(baseFilter, {});
+
+    expect(query.sort).toEqual({ createdAt: -1, _id: -1 });
+    expect(query.limit).toBe(DEFAULT_LIMIT);
+    expect(query.filter).toEqual({ $and: [baseFilter] });
+    expect(query.pageFilter).toBe(query.filter);
+  });
+
+  it('caps the page size', () => {
+    expect(buildItineraryQuery(baseFilter, { limit: '5000' }).limit).toBe(MAX_LIMIT);
+  });
+
+  it('finds itineraries covering a single date', () => {
+    const { filter } = buildItineraryQuery(baseFilter, { date: '2026-07-04' });
+
+    expect(filter.$and).toEqual([
+      baseFilter,
+      { endDate: { $gte: new Date('2026-07-04T00:00:00.000Z') } },
+      { startDate: { $lte: new Date('2026-07-04T23:59:59.999Z') } }
+    ]);
+  });
+
+  it('combines location, category and cost filters', () => {
+    const { filter } = buildItineraryQuery(baseFilter, {
+      location: 'san (fran',
+      category: 'food, event',
+      minCost: '50',
+      maxCost: '200'
+    });
+
+    expect(filter.$and[1].location.test('San (Francisco')).toBe(true);
+    expect(filter.$and[2]).toEqual({ 'days.activities.category': { $in: ['food', 'event'] } });
+    expect(filter.$and[3]).toEqual({ totalCost: { $gte: 50, $lte: 200 } });
+  });
+
+  it('continues after the cursor without changing the total count filter', () => {
+    const last = { _id: '64b7f0c2a1b2c3d4e5f60718', totalCost: 120 };
+    const cursor = encodeCursor(last, 'totalCost');
+    const query = buildItineraryQuery(baseFilter, { sort: 'totalCost', cursor });
+
+    expect(query.sort).toEqual({ totalCost: 1, _id: 1 });
+    expect(query.filter).toEqual({ $and: [baseFilter] });
+    expect(query.pageFilter.$and[1]).toEqual({
+      $or: [
+        { totalCost: { $gt: 120 } },
+        { totalCost: 120, _id: { $gt: last._id } }
+      ]
+    });
+  });
+
+  it('restores dates from cursors on date fields', () => {
+    const createdAt = new Date('2026-01-02T03:04:05.000Z');
+    const cursor = encodeCursor({ _id: '64b7f0c2a1b2c3d4e5f60718', createdAt }, '-createdAt');
+
+    expect(decodeCursor(cursor)).toEqual({ sort: '-createdAt', value: createdAt, id: '64b7f0c2a1b2c3d4e5f60718' });
+  });
+
+  it('rejects malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify({ sort: 'totalCost', value: 1, id: { $ne: null } })).toString('base64url'))).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify({ sort: 'password', value: 1, id: '64b7f0c2a1b2c3d4e5f60718' })).toString('base64url'))).toBeNull();
+  });
+
+  it('returns a next cursor only when there is another page', () => {
+    const results = [1, 2, 3].map(n => ({ _id: `64b7f0c2a1b2c3d4e5f6071${n}`, createdAt: new Date(2026, 0, n) }));
+
+    const page = paginate(results, { limit: 2, sortOption: '-createdAt' });
+    expect(page.data).toHaveLength(2);
+    expect(page.pagination.hasMore).toBe(true);
+    expect(decodeCursor(page.pagination.nextCursor).id).toBe(results[1]._id);
+
+    const lastPage = paginate(results, { limit: 3, sortOption: '-createdAt' });
+    expect(lastPage.pagination).toEqual({ limit: 3, hasMore: false, nextCursor: null });
+  });
+
+  it('only accepts a cursor with the sort it was made for', async () => {
+    // Run the list route's validation, after authentication and stopping before the controller
+    const validate = async (query) => {
+      const layer = itineraryRoutes.stack.find(candidate =>
+        candidate.route && candidate.route.path === '/' && candidate.route.methods.get
+      );
+      const handlers = layer.route.stack.map(routeLayer => routeLayer.handle).slice(1, -1);
+      const req = { query, body: {}, params: {}, user: { id: 'user-1' } };
+      const res = mockResponse();
+
+      for (const handler of handlers) {
+        let passed = false;
+        await handler(req, res, () => {
+          passed = true;
+        });
+        if (!passed) {
+          return { status: res.status.mock.calls[0][0], errors: res.json.mock.calls[0][0].errors.map(error => error.message) };
+        }
+      }
+      return { status: null, errors: [] };
+    };
+    const last = { _id: '64b7f0c2a1b2c3d4e5f60718', createdAt: new Date(2026, 0, 1), totalCost: 120 };
+
+    expect(await validate({ cursor: encodeCursor(last, '-createdAt') })).toEqual({ status: null, errors: [] });
+    expect(await validate({ sort: 'totalCost', cursor: encodeCursor(last, 'totalCost') })).toEqual({ status: null, errors: [] });
+    expect(await validate({ sort: '-totalCost', cursor: encodeCursor(last, 'totalCost') })).toEqual({
+      status: 400,
+      errors: ['The cursor belongs to a different sort; start again from the first page']
+    });
+    expect(await validate({ cursor: encodeCursor(last, 'totalCost') })).toEqual(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for search result highlighting in utils/itinerarySearch.js
+ */
+
+const { getSearchTerms, highlight, buildSearchResult } = require('../utils/itinerarySearch');
+
+describe('Itinerary search', () => {
+  it('highlights the words that were searched for, ignoring negated words', () => {
+    expect(getSearchTerms('Sushi "night market" -ramen')).toEqual(['market', 'sushi', 'night']);
+  });
+
+  it('matches other forms of a word like the text index does', () => {
+    const terms = getSearchTerms('restaurants');
+
+    expect(highlight('Best restaurant in Shibuya', terms)).toEqual({
+      text: 'Best restaurant in Shibuya',
+      ranges: [{ start: 5, length: 10 }]
+    });
+  });
+
+  it('returns null when nothing matched', () => {
+    expect(highlight('Tsukiji outer market', getSearchTerms('sushi'))).toBeNull();
+    expect(highlight(undefined, getSearchTerms('sushi'))).toBeNull();
+  });
+
+  it('cuts long texts down to a snippet around the first match', () => {
+    const text = `${'Walk along the river and visit the old temples. '.repeat(4)}Then stop for sushi at the counter. ${'x'.repeat(200)}`;
+    const { text: snippet, ranges } = highlight(text, getSearchTerms('sushi'));
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet.slice(ranges[0].start, ranges[0].start + ranges[0].length)).toBe('sushi');
+  });
+
+  it('lists the matching fields of an itinerary with their positions', () => {
+    const itinerary = {
+      _id: 'itinerary-1',
+      title: 'Tokyo in spring',
+      location: 'Tokyo, Japan',
+      startDate: new Date('2026-04-01'),
+      endDate: new Date('2026-04-05'),
+      score: 7.5,
+      days: [
+        { activities: [{ _id: 'a1', name: 'Senso-ji', description: 'Temple visit' }] },
+        { activities: [{ _id: 'a2', name: 'Sushi Dai', description: 'Omakase sushi breakfast' }] }
+      ]
+    };
+
+    const result = buildSearchResult(itinerary, getSearchTerms('sushi'));
+
+    expect(result.itinerary).toEqual({
+      _id: 'itinerary-1',
+      title: 'Tokyo in spring',
+      location: 'Tokyo, Japan',
+      startDate: itinerary.startDate,
+      endDate: itinerary.endDate
+    });
+    expect(result.score).toBe(7.5);
+    expect(result.matches).toEqual([
+      { field: 'activity.name', dayIndex: 1, activityIndex: 0, activityId: 'a2', text: 'Sushi Dai', ranges: [{ start: 0, length: 5 }] },
+      { field: 'activity.description', dayIndex: 1, activityIndex: 0, activityId: 'a2', text: 'Omakase sushi breakfast', ranges: [{ start: 8, length: 5 }] }
+    ]);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for itinerary templates and cloning: utils/itineraryCopy.js and the
+ * template and clone routes in controllers/itineraryController.js
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const itineraryController = require('../controllers/itineraryController');
+const { copyItineraryContent } = require('../utils/itineraryCopy');
+const { mockResponse, buildItinerary } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+const viewerId = new mongoose.Types.ObjectId().toString();
+
+const itineraryFields = {
+  userId: ownerId,
+  collaborators: [{ userId: viewerId }],
+  preferences: { budget: 'low' },
+  days: [
+    {
+      date: new Date('2026-05-01'),
+      activities: [
+        {
+          name: 'Tram 28',
+          startTime: '09:00',
+          cost: 3,
+          location: { name: 'Martim Moniz', coordinates: { lat: 38.7158, lng: -9.1357 } }
+        },
+        {
+          name: 'Dinner at Ramiro',
+          cost: 45,
+          reservation: { reservationId: 'RES-1', confirmationCode: 'ABC123', status: 'confirmed' }
+        }
+      ]
+    },
+    {
+      date: new Date('2026-05-02T12:00:00.000Z'),
+      activities: [{ name: 'Oceanarium', cost: 25 }]
+    }
+  ]
+};
+
+describe('Itinerary copies', () => {
+  it('move every date to the new start date', () => {
+    const copy = copyItineraryContent(buildItinerary(itineraryFields), { startDate: '2026-09-10' });
+
+    expect(copy.startDate.toISOString()).toBe('2026-09-10T00:00:00.000Z');
+    expect(copy.endDate.toISOString()).toBe('2026-09-11T00:00:00.000Z');
+    // Days keep their place in the trip and their time of day
+    expect(copy.days.map(day => day.date.toISOString())).toEqual([
+      '2026-09-10T00:00:00.000Z',
+      '2026-09-11T12:00:00.000Z'
+    ]);
+  });
+
+  it('leave out IDs and reservations', () => {
+    const copy = copyItineraryContent(buildItinerary(itineraryFields));
+    const dinner = copy.days[0].activities[1];
+
+    expect(copy.days[0]._id).toBeUndefined();
+    expect(dinner._id).toBeUndefined();
+    expect(dinner.reservation).toBeUndefined();
+    expect(dinner).toEqual(expect.objectContaining({ name: 'Dinner at Ramiro', cost: 45 }));
+  });
+
+  it('drop activity locations when the destination changes', () => {
+    const itinerary = buildItinerary(itineraryFields);
+
+    expect(copyItineraryContent(itinerary).days[0].activities[0].location.name).toBe('Martim Moniz');
+
+    const copy = copyItineraryContent(itinerary, { location: 'Porto', title: 'Weekend in Porto' });
+    expect(copy.location).toBe('Porto');
+    expect(copy.title).toBe('Weekend in Porto');
+    expect(copy.days[0].activities[0].location).toBeUndefined();
+    expect(copy.days[0].activities[0].startTime).toBe('09:00');
+  });
+});
+
+describe('Template and clone routes', () => {
+  let itinerary;
+
+  beforeEach(() => {
+    itinerary = buildItinerary(itineraryFields);
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+    jest.spyOn(Itinerary.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves a template owned by the caller', async () => {
+    const res = mockResponse();
+
+    await itineraryController.saveAsTemplate(
+      { params: { id: itinerary.id }, body: {}, user: { id: viewerId } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const template = res.json.mock.calls[0][0].data;
+    expect(template.isTemplate).toBe(true);
+    expect(template.userId.toString()).toBe(viewerId);
+    expect(template.collaborators).toHaveLength(0);
+    expect(template.id).not.toBe(itinerary.id);
+  });
+
+  it('clones onto new dates with a recalculated total and no reservations', async () => {
+    const res = mockResponse();
+
+    await itineraryController.cloneItinerary(
+      { params: { id: itinerary.id }, body: { startDate: '2026-06-05' }, user: { id: ownerId } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const clone = res.json.mock.calls[0][0].data;
+    expect(clone.isTemplate).toBe(false);
+    expect(clone.startDate.toISOString()).toBe('2026-06-05T00:00:00.000Z');
+    expect(clone.totalCost).toBe(73);
+    expect(clone.days[0].activities[1].reservation.reservationId).toBeUndefined();
+    expect(clone.$locals.changedBy).toBe(ownerId);
+
+    // The original is unchanged
+    expect(itinerary.days[0].activities[1].reservation.reservationId).toBe('RES-1');
+  });
+
+  it('only makes templates through their own routes', async () => {
+    const res = mockResponse();
+
+    await itineraryController.updateItinerary(
+      {
+        params: { id: itinerary.id },
+        body: { title: 'Lisbon plan', isTemplate: true },
+        user: { id: ownerId },
+        get: () => undefined
+      },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(itinerary.title).toBe('Lisbon plan');
+    expect(itinerary.isTemplate).toBe(false);
+  });
+
+  it('hides itineraries the caller cannot see', async () => {
+    const res = mockResponse();
+
+    await itineraryController.cloneItinerary(
+      {
+        params: { id: itinerary.id },
+        body: { startDate: '2026-06-05' },
+        user: { id: new mongoose.Types.ObjectId().toString() }
+      },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(Itinerary.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for itinerary version history: utils/itineraryDiff.js, the snapshot
+ * methods in models/Itinerary.js and reverting in controllers/itineraryController.js
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const ItineraryVersion = require('../models/ItineraryVersion');
+const itineraryController = require('../controllers/itineraryController');
+const { diffSnapshots } = require('../utils/itineraryDiff');
+const { mockResponse, buildItinerary } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+const viewerId = new mongoose.Types.ObjectId().toString();
+
+const itineraryFields = {
+  userId: ownerId,
+  collaborators: [{ userId: viewerId }],
+  version: 3
+};
+
+describe('Itinerary version diffs', () => {
+  it('reports changed fields by path, matching activities by ID', () => {
+    const before = buildItinerary(itineraryFields).getSnapshot();
+    const after = JSON.parse(JSON.stringify(before));
+    after.title = 'Long weekend in Lisbon';
+    after.days[0].activities[1].cost = 8;
+
+    const dayId = before.days[0]._id.toString();
+    const activityId = before.days[0].activities[1]._id.toString();
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { op: 'replace', path: 'title', oldValue: 'Weekend in Lisbon', value: 'Long weekend in Lisbon' },
+      { op: 'replace', path: `days[${dayId}].activities[${activityId}].cost`, oldValue: 6, value: 8 }
+    ]);
+  });
+
+  it('reports a wiped day as a removal with its content', () => {
+    const before = buildItinerary(itineraryFields).getSnapshot();
+    const after = { ...before, days: [before.days[0]] };
+    const removedDay = before.days[1];
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { op: 'remove', path: `days[${removedDay._id}]`, index: 1, oldValue: removedDay }
+    ]);
+  });
+
+  it('reports reordered and moved activities', () => {
+    const before = buildItinerary(itineraryFields).getSnapshot();
+    const after = JSON.parse(JSON.stringify(before));
+    const [tram, pastry] = after.days[0].activities;
+    after.days[0].activities = [pastry];
+    after.days[1].activities.unshift(tram);
+
+    const ops = diffSnapshots(before, after).map(change => change.op);
+    expect(ops).toEqual(['remove', 'add']);
+
+    const reordered = JSON.parse(JSON.stringify(before));
+    reordered.days[0].activities.reverse();
+    expect(diffSnapshots(before, reordered)).toEqual([
+      expect.objectContaining({ op: 'reorder', path: `days[${before.days[0]._id}].activities` })
+    ]);
+  });
+
+  it('lists everything as added for a new itinerary', () => {
+    const snapshot = buildItinerary(itineraryFields).getSnapshot();
+    const changes = diffSnapshots(null, snapshot);
+
+    expect(changes.every(change => change.op === 'add')).toBe(true);
+    expect(changes.map(change => change.path)).toEqual(expect.arrayContaining(['title', 'location', 'days']));
+  });
+});
+
+describe('Itinerary snapshots', () => {
+  it('only snapshot the versioned content', () => {
+    const snapshot = buildItinerary(itineraryFields).getSnapshot();
+
+    expect(Object.keys(snapshot)).toEqual(Itinerary.VERSIONED_FIELDS);
+    expect(snapshot.collaborators).toBeUndefined();
+  });
+
+  it('restore days and activities with their IDs', () => {
+    const itinerary = buildItinerary(itineraryFields);
+    const snapshot = itinerary.getSnapshot();
+    const activityId = itinerary.days[1].activities[0].id;
+
+    itinerary.days = [];
+    itinerary.title = 'Changed';
+    itinerary.restoreSnapshot(snapshot);
+
+    expect(itinerary.title).toBe('Weekend in Lisbon');
+    expect(itinerary.days[1].activities[0].id).toBe(activityId);
+  });
+});
+
+describe('Reverting an itinerary', () => {
+  let itinerary;
+  let storedVersion;
+
+  beforeEach(() => {
+    itinerary = buildItinerary(itineraryFields);
+    storedVersion = { itineraryId: itinerary._id, version: 2, snapshot: itinerary.getSnapshot() };
+
+    // The current version has lost a day
+    itinerary.days.pull(itinerary.days[1]._id);
+
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+    jest.spyOn(itinerary, 'save').mockResolvedValue(itinerary);
+    jest.spyOn(ItineraryVersion, 'findOne').mockImplementation(filter => ({
+      lean: jest.fn().mockResolvedValue(filter.version === storedVersion.version ? storedVersion : null)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('restores the old content as a new version', async () => {
+    const res = mockResponse();
+
+    await itineraryController.revertToVersion(
+      { params: { id: itinerary.id, version: '2' }, user: { id: ownerId } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(itinerary.days).toHaveLength(2);
+    expect(itinerary.$locals.revertedFrom).toBe(2);
+    expect(itinerary.$locals.changedBy).toBe(ownerId);
+    expect(itinerary.save).toHaveBeenCalled();
+  });
+
+  it('keeps the reservations activities have now', async () => {
+    const [tram, pastry] = itinerary.days[0].activities;
+    tram.reservation = { reservationId: 'R-1', status: 'cancelled' };
+    storedVersion.snapshot.days[0].activities[0].reservation = { reservationId: 'R-1', status: 'confirmed' };
+    storedVersion.snapshot.days[1].activities[0].reservation = { reservationId: 'R-2', status: 'confirmed' };
+    pastry.reservation = { reservationId: 'R-3', status: 'confirmed' };
+
+    const res = mockResponse();
+    await itineraryController.revertToVersion(
+      { params: { id: itinerary.id, version: '2' }, user: { id: ownerId } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(itinerary.days[0].activities.id(tram.id).reservation.status).toBe('cancelled');
+    expect(itinerary.days[0].activities.id(pastry.id).reservation.reservationId).toBe('R-3');
+    // An activity that was deleted since does not bring its old reservation back
+    expect(itinerary.days[1].activities[0].reservation.reservationId).toBeUndefined();
+  });
+
+  it('rejects unknown versions and viewers', async () => {
+    const missing = mockResponse();
+    await itineraryController.revertToVersion(
+      { params: { id: itinerary.id, version: '1' }, user: { id: ownerId } },
+      missing
+    );
+    expect(missing.status).toHaveBeenCalledWith(404);
+
+    const viewer = mockResponse();
+    await itineraryController.revertToVersion(
+      { params: { id: itinerary.id, version: '2' }, user: { id: viewerId } },
+      viewer
+    );
+    expect(viewer.status).toHaveBeenCalledWith(403);
+    expect(itinerary.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('Recording versions', () => {
+  let itinerary;
+
+  beforeEach(() => {
+    // A copy as loaded from the database
+    itinerary = Itinerary.hydrate(buildItinerary(itineraryFields).toObject({ depopulate: true }));
+    jest.spyOn(Itinerary.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(ItineraryVersion, 'deleteMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records each content change as the next version', async () => {
+    jest.spyOn(ItineraryVersion, 'create').mockResolvedValue({});
+    itinerary.title = 'Long weekend in Lisbon';
+    itinerary.$locals.changedBy = ownerId;
+
+    await itinerary.save();
+
+    expect(Itinerary.collection.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: itinerary._id, version: 3 }),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(ItineraryVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+      itineraryId: itinerary._id,
+      version: 4,
+      action: 'update',
+      changedBy: ownerId
+    }));
+  });
+
+  it('still reports the save as done when the version cannot be recorded', async () => {
+    jest.spyOn(ItineraryVersion, 'create').mockRejectedValue(new Error('Write conflict'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    itinerary.title = 'Long weekend in Lisbon';
+
+    await expect(itinerary.save()).resolves.toBe(itinerary);
+    expect(console.error).toHaveBeenCalledWith('Failed to record itinerary version:', expect.any(Error));
+    expect(itinerary.$locals.loadedState.version).toBe(4);
+  });
+});
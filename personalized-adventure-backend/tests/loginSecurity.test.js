@@ -0,0 +1,105 @@
+/**
+ * Tests for per-account lockout and new-device detection in utils/loginSecurity.js
+ */
+
+jest.mock('../models/User', () => ({
+  findByIdAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../models/LoginEvent', () => ({
+  create: jest.fn(),
+  exists: jest.fn()
+}));
+
+jest.mock('../utils/mailer', () => ({
+  sendMail: jest.fn()
+}));
+
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const { sendMail } = require('../utils/mailer');
+const {
+  MAX_FAILED_ATTEMPTS,
+  getLockoutDuration,
+  getLockoutRemainingMs,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../utils/loginSecurity');
+
+const mockRequest = (headers = {}) => ({
+  ip: '203.0.113.7',
+  header: (name) => headers[name]
+});
+
+describe('Login security', () => {
+  const user = { _id: '64b7f0c2a1b2c3d4e5f60718', email: 'ana@example.com', username: 'ana' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    LoginEvent.create.mockImplementation(async (doc) => ({ ...doc, createdAt: new Date() }));
+  });
+
+  it('doubles the lock time with each lockout up to a day', () => {
+    expect(getLockoutDuration(0)).toBe(5 * 60 * 1000);
+    expect(getLockoutDuration(1)).toBe(10 * 60 * 1000);
+    expect(getLockoutDuration(20)).toBe(24 * 60 * 60 * 1000);
+  });
+
+  it('reports the remaining lock time', () => {
+    expect(getLockoutRemainingMs({ loginSecurity: {} })).toBe(0);
+    expect(getLockoutRemainingMs({ loginSecurity: { lockedUntil: new Date(Date.now() - 1000) } })).toBe(0);
+    expect(getLockoutRemainingMs({ loginSecurity: { lockedUntil: new Date(Date.now() + 60000) } })).toBeGreaterThan(0);
+  });
+
+  it('counts failures without locking below the threshold', async () => {
+    User.findByIdAndUpdate.mockResolvedValue({ loginSecurity: { failedAttempts: MAX_FAILED_ATTEMPTS - 1 } });
+
+    const lockoutMs = await recordFailedLogin(user, mockRequest(), 'password');
+
+    expect(lockoutMs).toBe(0);
+    expect(User.updateOne).not.toHaveBeenCalled();
+    expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({ success: false, failureReason: 'password' }));
+  });
+
+  it('locks the account and emails the owner at the threshold', async () => {
+    User.findByIdAndUpdate.mockResolvedValue({ loginSecurity: { failedAttempts: MAX_FAILED_ATTEMPTS, lockoutCount: 1 } });
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const lockoutMs = await recordFailedLogin(user, mockRequest(), 'password');
+
+    expect(lockoutMs).toBe(10 * 60 * 1000);
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: user.email }));
+  });
+
+  it('does not extend the lock for attempts made while locked', async () => {
+    const lockoutMs = await recordFailedLogin(user, mockRequest(), 'locked');
+
+    expect(lockoutMs).toBe(0);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('flags and reports a login from a new device', async () => {
+    LoginEvent.exists
+      .mockResolvedValueOnce(null) // this device has not logged in before
+      .mockResolvedValueOnce({ _id: 'earlier-login' });
+
+    const event = await recordSuccessfulLogin(user, mockRequest({ 'x-device-id': 'new-phone' }));
+
+    expect(event.newDevice).toBe(true);
+    expect(sendMail).toHaveBeenCalled();
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id },
+      { $set: expect.objectContaining({ 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockedUntil': null }) }
+    );
+  });
+
+  it('does not alert on the first ever login', async () => {
+    LoginEvent.exists.mockResolvedValue(null);
+
+    const event = await recordSuccessfulLogin(user, mockRequest({ 'user-agent': 'Browser' }));
+
+    expect(event.newDevice).toBe(false);
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for transport selection in utils/mailer.js
+ */
+
+describe('Mail transport', () => {
+  const { NODE_ENV, MAIL_TRANSPORT } = process.env;
+  let mailer;
+
+  beforeEach(() => {
+    jest.resetModules();
+    mailer = require('../utils/mailer');
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = NODE_ENV;
+    if (MAIL_TRANSPORT === undefined) {
+      delete process.env.MAIL_TRANSPORT;
+    } else {
+      process.env.MAIL_TRANSPORT = MAIL_TRANSPORT;
+    }
+    jest.restoreAllMocks();
+  });
+
+  it('falls back to the transport named in MAIL_TRANSPORT outside production', () => {
+    process.env.NODE_ENV = 'development';
+    process.env.MAIL_TRANSPORT = 'file';
+
+    expect(mailer.getTransport()).toBe(mailer.fileTransport);
+  });
+
+  it('refuses to send in production until a real transport is registered', async () => {
+    process.env.NODE_ENV = 'production';
+    process.env.MAIL_TRANSPORT = 'console';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(() => mailer.getTransport()).toThrow('No mail transport registered');
+    await expect(mailer.sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'Hello' }))
+      .rejects.toThrow('Failed to send email');
+    expect(console.log).not.toHaveBeenCalled();
+
+    const transport = { send: jest.fn() };
+    mailer.setTransport(transport);
+    await mailer.sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'Hello' });
+    expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'ana@example.com' }));
+  });
+});
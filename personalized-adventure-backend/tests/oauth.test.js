@@ -0,0 +1,377 @@
+/**
+ * Tests for social sign-in through the mock identity provider and the account linking rules
+ */
+
+// The mock provider is opt-in
+process.env.OAUTH_MOCK_ENABLED = 'true';
+
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  exists: jest.fn(),
+  create: jest.fn()
+}));
+
+jest.mock('../models/AccountToken', () => ({
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../models/OAuthState', () => ({
+  create: jest.fn(),
+  findOneAndDelete: jest.fn()
+}));
+
+jest.mock('../utils/loginSecurity', () => ({
+  ...jest.requireActual('../utils/loginSecurity'),
+  recordSuccessfulLogin: jest.fn()
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  sendLoginSession: jest.fn(async (req, res) => res.status(200).json({ success: true }))
+}));
+
+const User = require('../models/User');
+const AccountToken = require('../models/AccountToken');
+const OAuthState = require('../models/OAuthState');
+const { hashToken, sendLoginSession } = require('../middleware/auth');
+const {
+  registerProvider,
+  clearProviders,
+  configureProviders,
+  getProvider,
+  getCodeChallenge,
+  createMockProvider,
+  issueMockCode
+} = require('../utils/oauthProviders');
+const oauthController = require('../controllers/oauthController');
+const { mockResponse } = require('./helpers');
+
+const APP_REDIRECT = 'personalizedadventure://oauth';
+
+// The cookie header of a browser that received a response's cookies
+const browserCookies = (res) => ({
+  cookie: res.cookie.mock.calls.map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('; ')
+});
+
+// Stand-in for the pending sign-in collection, matching the filter the callback uses
+const findPending = (pending) => async (filter) => (
+  filter.stateHash === pending.stateHash && filter.browserKeyHash === pending.browserKeyHash ? pending : null
+);
+
+/**
+ * Run the browser part of a mock provider sign-in and return the app redirect
+ */
+const signInWithMock = async (identity) => {
+  // Start: the pending sign-in is stored and the browser goes to the mock provider
+  const startRes = mockResponse();
+  await oauthController.startSignIn(
+    { params: { provider: 'mock' }, query: { redirectUri: APP_REDIRECT } },
+    startRes
+  );
+  const authorizationUrl = new URL(startRes.redirect.mock.calls[0][0]);
+  const pending = OAuthState.create.mock.calls[OAuthState.create.mock.calls.length - 1][0];
+
+  // Mock provider sign-in page submitted with the chosen identity
+  const authorizeRes = mockResponse();
+  await oauthController.mockAuthorize(
+    { query: { ...Object.fromEntries(authorizationUrl.searchParams), ...identity } },
+    authorizeRes
+  );
+  const callbackUrl = new URL(authorizeRes.redirect.mock.calls[0][0]);
+
+  // Callback: the state and the browser's key are looked up by their hashes
+  OAuthState.findOneAndDelete.mockImplementation(findPending(pending));
+  const callbackRes = mockResponse();
+  await oauthController.handleCallback(
+    {
+      method: 'GET',
+      params: { provider: 'mock' },
+      query: Object.fromEntries(callbackUrl.searchParams),
+      headers: browserCookies(startRes)
+    },
+    callbackRes
+  );
+
+  return new URL(callbackRes.redirect.mock.calls[0][0]);
+};
+
+/**
+ * Sign in through a provider that trusts its emails, like Google: a test
+ * provider that redeems codes from the mock provider's code store
+ */
+const signInWithPartner = async (profile) => {
+  registerProvider({
+    ...createMockProvider({ baseUrl: 'http://localhost:3000' }),
+    name: 'partner',
+    displayName: 'Partner',
+    linksByEmail: true
+  });
+
+  const startRes = mockResponse();
+  await oauthController.startSignIn(
+    { params: { provider: 'partner' }, query: { redirectUri: APP_REDIRECT } },
+    startRes
+  );
+  const state = new URL(startRes.redirect.mock.calls[0][0]).searchParams.get('state');
+  const pending = OAuthState.create.mock.calls[OAuthState.create.mock.calls.length - 1][0];
+  const code = issueMockCode(profile, { nonce: pending.nonce, codeChallenge: getCodeChallenge(pending.codeVerifier) });
+
+  OAuthState.findOneAndDelete.mockImplementation(findPending(pending));
+  const callbackRes = mockResponse();
+  await oauthController.handleCallback(
+    { method: 'GET', params: { provider: 'partner' }, query: { code, state }, headers: browserCookies(startRes) },
+    callbackRes
+  );
+
+  return new URL(callbackRes.redirect.mock.calls[0][0]);
+};
+
+describe('Social sign-in', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.exists.mockResolvedValue(null);
+    OAuthState.create.mockImplementation(async (doc) => doc);
+    AccountToken.create.mockImplementation(async (doc) => doc);
+  });
+
+  it('rejects app redirect URIs that are not allowed', async () => {
+    const res = mockResponse();
+
+    await oauthController.startSignIn(
+      { params: { provider: 'mock' }, query: { redirectUri: 'https://evil.example.com/oauth' } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(OAuthState.create).not.toHaveBeenCalled();
+  });
+
+  it('uses PKCE and never puts the verifier in the authorization URL', async () => {
+    const res = mockResponse();
+
+    await oauthController.startSignIn(
+      { params: { provider: 'mock' }, query: { redirectUri: APP_REDIRECT } },
+      res
+    );
+
+    const pending = OAuthState.create.mock.calls[0][0];
+    const authorizationUrl = res.redirect.mock.calls[0][0];
+
+    expect(authorizationUrl).toContain(`code_challenge=${getCodeChallenge(pending.codeVerifier)}`);
+    expect(authorizationUrl).not.toContain(pending.codeVerifier);
+  });
+
+  it('creates an account for a new identity and hands the app a login code', async () => {
+    User.findOne.mockResolvedValue(null);
+    User.create.mockImplementation(async (doc) => ({ id: 'new-user', ...doc }));
+
+    const appRedirect = await signInWithMock({ email: 'Sam@Example.com', name: 'Sam', email_verified: 'true' });
+
+    expect(appRedirect.protocol).toBe('personalizedadventure:');
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+      username: 'Sam',
+      email: 'sam@example.com',
+      emailVerified: true,
+      passwordSet: false,
+      identities: [expect.objectContaining({ provider: 'mock', subject: 'mock-sam@example.com' })]
+    }));
+
+    const code = appRedirect.searchParams.get('code');
+    expect(AccountToken.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'new-user',
+      purpose: 'oauth-login',
+      tokenHash: hashToken(code)
+    }));
+
+    // The app exchanges the code for a normal login session
+    AccountToken.findOneAndUpdate.mockResolvedValue({ userId: 'new-user' });
+    User.findById.mockResolvedValue({ id: 'new-user', status: 'active', twoFactor: { enabled: false } });
+    const res = mockResponse();
+    await oauthController.exchangeLoginCode({ body: { code } }, res);
+
+    expect(AccountToken.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ tokenHash: hashToken(code), purpose: 'oauth-login', usedAt: null }),
+      expect.anything()
+    );
+    expect(sendLoginSession).toHaveBeenCalled();
+  });
+
+  it('links a verified provider email to the verified account with that email', async () => {
+    const existingUser = {
+      id: 'existing-user',
+      emailVerified: true,
+      identities: [],
+      save: jest.fn()
+    };
+    User.findOne
+      .mockResolvedValueOnce(null) // no account linked to this identity yet
+      .mockResolvedValueOnce(existingUser);
+
+    const appRedirect = await signInWithPartner({ subject: 'partner-ana', email: 'ana@example.com', emailVerified: true });
+
+    expect(appRedirect.searchParams.get('code')).toBeTruthy();
+    expect(existingUser.identities).toEqual([expect.objectContaining({ provider: 'partner', subject: 'partner-ana' })]);
+    expect(existingUser.save).toHaveBeenCalled();
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('never links a mock identity to an existing account', async () => {
+    const existingUser = {
+      id: 'admin-user',
+      role: 'admin',
+      emailVerified: true,
+      identities: [],
+      save: jest.fn()
+    };
+    User.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(existingUser);
+
+    const appRedirect = await signInWithMock({ email: 'admin@example.com', email_verified: 'true' });
+
+    expect(appRedirect.searchParams.get('code')).toBeNull();
+    expect(appRedirect.searchParams.get('error')).toMatch(/already exists/);
+    expect(existingUser.save).not.toHaveBeenCalled();
+    expect(AccountToken.create).not.toHaveBeenCalled();
+  });
+
+  it('only enables the mock provider when asked to', () => {
+    const { NODE_ENV, OAUTH_MOCK_ENABLED } = process.env;
+    try {
+      process.env.NODE_ENV = 'beta';
+      delete process.env.OAUTH_MOCK_ENABLED;
+      clearProviders();
+      configureProviders();
+      expect(getProvider('mock')).toBeNull();
+
+      process.env.OAUTH_MOCK_ENABLED = 'true';
+      configureProviders();
+      expect(getProvider('mock')).not.toBeNull();
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      process.env.OAUTH_MOCK_ENABLED = OAUTH_MOCK_ENABLED;
+    }
+  });
+
+  it('does not link to an account whose email is not verified', async () => {
+    const existingUser = { id: 'existing-user', emailVerified: false, identities: [], save: jest.fn() };
+    User.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(existingUser);
+
+    const appRedirect = await signInWithMock({ email: 'ana@example.com', email_verified: 'true' });
+
+    expect(appRedirect.searchParams.get('code')).toBeNull();
+    expect(appRedirect.searchParams.get('error')).toMatch(/link Mock Identity Provider from your profile/);
+    expect(existingUser.save).not.toHaveBeenCalled();
+  });
+
+  it('does not link an unverified provider email to an existing account', async () => {
+    const existingUser = { id: 'existing-user', emailVerified: true, identities: [], save: jest.fn() };
+    User.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(existingUser);
+
+    const appRedirect = await signInWithMock({ email: 'ana@example.com' });
+
+    expect(appRedirect.searchParams.get('error')).toBeTruthy();
+    expect(existingUser.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects a callback whose state is unknown', async () => {
+    OAuthState.findOneAndDelete.mockResolvedValue(null);
+    const res = mockResponse();
+
+    await oauthController.handleCallback(
+      { method: 'GET', params: { provider: 'mock' }, query: { code: 'abc', state: 'forged' }, headers: { cookie: 'oauthBrowser=abc' } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.redirect).not.toHaveBeenCalled();
+  });
+
+  it('only completes a link in the browser that started it', async () => {
+    // Someone starts linking to their own account and passes the URL on
+    const startRes = mockResponse();
+    await oauthController.startLink(
+      { params: { provider: 'mock' }, body: { redirectUri: APP_REDIRECT }, user: { id: 'user-1' } },
+      startRes
+    );
+    expect(startRes.cookie).toHaveBeenCalledWith('oauthBrowser', expect.any(String), expect.objectContaining({
+      httpOnly: true,
+      sameSite: 'lax',
+      path: '/api/auth/oauth'
+    }));
+    const pending = OAuthState.create.mock.calls[0][0];
+    expect(pending.browserKeyHash).toBe(hashToken(startRes.cookie.mock.calls[0][1]));
+    OAuthState.findOneAndDelete.mockImplementation(findPending(pending));
+
+    // Whoever signs in at the provider with it returns without the key
+    const authorizationUrl = new URL(startRes.json.mock.calls[0][0].data.authorizationUrl);
+    const authorizeRes = mockResponse();
+    await oauthController.mockAuthorize(
+      { query: { ...Object.fromEntries(authorizationUrl.searchParams), email: 'victim@example.com', email_verified: 'true' } },
+      authorizeRes
+    );
+    const query = Object.fromEntries(new URL(authorizeRes.redirect.mock.calls[0][0]).searchParams);
+
+    for (const headers of [{}, { cookie: 'oauthBrowser=someone-else' }]) {
+      const res = mockResponse();
+      await oauthController.handleCallback({ method: 'GET', params: { provider: 'mock' }, query, headers }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    expect(User.findById).not.toHaveBeenCalled();
+
+    // The browser that started it can finish
+    User.findOne.mockReturnValue({ select: async () => null });
+    const linkingUser = { id: 'user-1', identities: [], save: jest.fn() };
+    User.findById.mockResolvedValue(linkingUser);
+    const res = mockResponse();
+    await oauthController.handleCallback(
+      { method: 'GET', params: { provider: 'mock' }, query, headers: browserCookies(startRes) },
+      res
+    );
+    expect(new URL(res.redirect.mock.calls[0][0]).searchParams.get('linked')).toBe('mock');
+    expect(res.clearCookie).toHaveBeenCalledWith('oauthBrowser', expect.objectContaining({ path: '/api/auth/oauth' }));
+  });
+
+  it('rejects a mock authorization code redeemed with the wrong verifier', async () => {
+    const provider = getProvider('mock');
+    const code = issueMockCode({ subject: 'mock-a', email: 'a@example.com' }, {
+      nonce: 'nonce',
+      codeChallenge: getCodeChallenge('right-verifier')
+    });
+
+    await expect(provider.exchangeCode({ code, codeVerifier: 'wrong-verifier', nonce: 'nonce' }))
+      .rejects.toThrow('different request');
+  });
+
+  it('asks for the second factor before issuing a session', async () => {
+    AccountToken.findOneAndUpdate.mockResolvedValue({ userId: 'user-2fa' });
+    User.findById.mockResolvedValue({ id: 'user-2fa', status: 'active', twoFactor: { enabled: true } });
+    const res = mockResponse();
+
+    await oauthController.exchangeLoginCode({ body: { code: 'ab12' } }, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ twoFactorRequired: true }));
+    expect(sendLoginSession).not.toHaveBeenCalled();
+  });
+
+  it('keeps the last sign-in method of an account without a password', async () => {
+    const user = {
+      passwordSet: false,
+      identities: [{ provider: 'mock', subject: 'mock-a' }],
+      save: jest.fn()
+    };
+    User.findById.mockResolvedValue(user);
+    const res = mockResponse();
+
+    await oauthController.unlinkIdentity({ user: { id: 'user-1' }, params: { provider: 'mock' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+});
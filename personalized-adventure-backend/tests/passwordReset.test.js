@@ -0,0 +1,155 @@
+/**
+ * Tests for the password reset flow in controllers/userController.js
+ */
+
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn()
+}));
+
+jest.mock('../models/AccountToken', () => ({
+  create: jest.fn(),
+  updateMany: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../utils/mailer', () => ({
+  sendMail: jest.fn()
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  revokeUserSessions: jest.fn()
+}));
+
+const User = require('../models/User');
+const AccountToken = require('../models/AccountToken');
+const { sendMail } = require('../utils/mailer');
+const { hashToken, comparePassword, revokeUserSessions } = require('../middleware/auth');
+const userController = require('../controllers/userController');
+const { mockResponse } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Password reset', () => {
+  let user;
+  let tokens;
+
+  // Stand-in for the token collection, matching the filters the controller uses
+  const storeTokens = () => {
+    AccountToken.create.mockImplementation(async (doc) => {
+      const token = { usedAt: null, ...doc };
+      tokens.push(token);
+      return token;
+    });
+    AccountToken.findOneAndUpdate.mockImplementation(async (filter, update) => {
+      const token = tokens.find(candidate =>
+        candidate.tokenHash === filter.tokenHash &&
+        candidate.purpose === filter.purpose &&
+        candidate.usedAt === null &&
+        candidate.expiresAt > filter.expiresAt.$gt
+      );
+      if (!token) {
+        return null;
+      }
+      const before = { ...token };
+      Object.assign(token, update);
+      return before;
+    });
+  };
+
+  const requestReset = async (email) => {
+    const res = mockResponse();
+    await userController.requestPasswordReset({ body: { email } }, res);
+    return res;
+  };
+
+  const resetPassword = async (token, password = 'N3w-password!') => {
+    const res = mockResponse();
+    await userController.resetPassword({ body: { token, password } }, res);
+    return res;
+  };
+
+  const sentToken = () => sendMail.mock.calls[0][0].text.match(/\?token=(\w+)/)[1];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tokens = [];
+    user = {
+      id: '64b7f0c2a1b2c3d4e5f60718',
+      username: 'ana',
+      email: 'ana@example.com',
+      password: 'old-hash',
+      set: jest.fn(),
+      save: jest.fn()
+    };
+    User.findOne.mockImplementation(async ({ email }) => (email === user.email ? user : null));
+    User.findById.mockResolvedValue(user);
+    storeTokens();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores only the hash of the token it emails', async () => {
+    const res = await requestReset(user.email);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(AccountToken.updateMany).toHaveBeenCalledWith(
+      { userId: user.id, purpose: 'password-reset', usedAt: null },
+      { usedAt: expect.any(Date) }
+    );
+
+    const token = sentToken();
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: user.email }));
+    expect(tokens).toHaveLength(1);
+    expect(tokens[0]).toEqual(expect.objectContaining({ userId: user.id, purpose: 'password-reset' }));
+    expect(tokens[0].tokenHash).toBe(hashToken(token));
+    expect(tokens[0].tokenHash).not.toBe(token);
+    expect(tokens[0].expiresAt.getTime() - Date.now()).toBeGreaterThan(HOUR_MS - 60000);
+    expect(tokens[0].expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(HOUR_MS);
+  });
+
+  it('gives the same response for unknown emails and failed sends', async () => {
+    const known = await requestReset(user.email);
+    const unknown = await requestReset('nobody@example.com');
+    sendMail.mockRejectedValueOnce(new Error('Failed to send email'));
+    const failed = await requestReset(user.email);
+
+    expect(unknown.status).toHaveBeenCalledWith(200);
+    expect(failed.status).toHaveBeenCalledWith(200);
+    expect(unknown.json.mock.calls[0][0]).toEqual(known.json.mock.calls[0][0]);
+    expect(failed.json.mock.calls[0][0]).toEqual(known.json.mock.calls[0][0]);
+    expect(console.error).toHaveBeenCalledWith('Failed to send password reset email:', expect.any(Error));
+  });
+
+  it('resets the password once and signs out every session', async () => {
+    await requestReset(user.email);
+    const token = sentToken();
+
+    const res = await resetPassword(token);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(await comparePassword('N3w-password!', user.password)).toBe(true);
+    expect(user.passwordSet).toBe(true);
+    expect(user.save).toHaveBeenCalled();
+    expect(revokeUserSessions).toHaveBeenCalledWith(user.id);
+
+    const reused = await resetPassword(token, 'An0ther-password!');
+    expect(reused.status).toHaveBeenCalledWith(400);
+    expect(await comparePassword('N3w-password!', user.password)).toBe(true);
+  });
+
+  it('rejects expired tokens', async () => {
+    await requestReset(user.email);
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    const res = await resetPassword(sentToken());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.password).toBe('old-hash');
+    expect(revokeUserSessions).not.toHaveBeenCalled();
+  });
+});
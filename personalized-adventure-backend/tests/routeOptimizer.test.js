@@ -0,0 +1,215 @@
+/**
+ * Tests for day route optimization in utils/routeOptimizer.js and the
+ * optimize-route endpoint in controllers/itineraryController.js
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const itineraryController = require('../controllers/itineraryController');
+const { isFixedActivity, routeDistance, optimizeDayRoute } = require('../utils/routeOptimizer');
+const { mockResponse } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+// Points along a line of longitude, roughly 1.1 km apart
+const at = (step) => ({ name: `Stop ${step}`, coordinates: { lat: 38.70 + step * 0.01, lng: -9.14 } });
+
+const activity = (name, step, fields = {}) => ({ _id: name, name, location: step === null ? undefined : at(step), ...fields });
+
+const names = (activities) => activities.map(entry => entry.name);
+
+const buildItinerary = () => new Itinerary({
+  title: 'Day in Lisbon',
+  location: 'Lisbon',
+  startDate: '2026-05-01',
+  endDate: '2026-05-01',
+  timeZone: 'Europe/Lisbon',
+  userId: ownerId,
+  days: [{
+    date: '2026-05-01',
+    activities: [
+      { name: 'A', startTime: '09:00', endTime: '10:00', location: at(0) },
+      { name: 'C', startTime: '10:30', endTime: '11:00', location: at(2) },
+      { name: 'B', startTime: '11:30', endTime: '12:00', location: at(1) },
+      { name: 'D', startTime: '13:00', endTime: '15:00', location: at(3) }
+    ]
+  }]
+});
+
+describe('Day route optimization', () => {
+  it('reorder flexible activities to shorten the route', () => {
+    const activities = [activity('A', 0), activity('C', 2), activity('B', 1), activity('D', 3)];
+
+    const result = optimizeDayRoute(activities);
+
+    expect(names(result.activities)).toEqual(['A', 'B', 'C', 'D']);
+    expect(result.changed).toBe(true);
+    expect(result.distanceBefore).toBeCloseTo(5.56, 1);
+    expect(result.distanceAfter).toBeCloseTo(3.34, 1);
+  });
+
+  it('keep the current order when none is shorter', () => {
+    const activities = [activity('A', 0), activity('B', 1), activity('C', 2)];
+    const result = optimizeDayRoute(activities);
+
+    expect(result.changed).toBe(false);
+    expect(result.activities).toEqual(activities);
+  });
+
+  it('leave reservations, fixed times and unmapped activities in place', () => {
+    const activities = [
+      activity('Tour', 3, { reservation: { reservationId: 'RES-1', status: 'confirmed' } }),
+      activity('A', 0),
+      activity('Lunch', null),
+      activity('C', 2),
+      activity('Show', 5, { fixedTime: true }),
+      activity('B', 1)
+    ];
+
+    expect(activities.map(isFixedActivity)).toEqual([true, false, true, false, true, false]);
+    expect(isFixedActivity(activity('Old', 1, { reservation: { reservationId: 'RES-2', status: 'cancelled' } }))).toBe(false);
+
+    const result = optimizeDayRoute(activities);
+    expect(names(result.activities)).toEqual(['Tour', 'A', 'Lunch', 'B', 'Show', 'C']);
+    expect(result.distanceAfter).toBeLessThan(routeDistance(activities));
+  });
+
+  it('start moved activities at their new positions', () => {
+    const activities = [
+      activity('A', 0, { startTime: '09:00', endTime: '10:00' }),
+      activity('C', 2, { startTime: '10:30', endTime: '11:00' }),
+      activity('B', 1, { startTime: '11:30' })
+    ];
+
+    // B has no end time, so it takes the one of its new position
+    const result = optimizeDayRoute(activities);
+    expect(result.activities.map(({ name, startTime, endTime }) => [name, startTime, endTime])).toEqual([
+      ['A', '09:00', '10:00'],
+      ['B', '10:30', '11:00'],
+      ['C', '11:30', '12:00']
+    ]);
+  });
+
+  it('keep the duration of moved activities', () => {
+    const activities = [
+      activity('A', 0, { startTime: '09:00', endTime: '10:00' }),
+      activity('C', 2, { startTime: '10:30', endTime: '12:30' }),
+      activity('B', 1, { startTime: '13:00', endTime: '13:30' }),
+      activity('D', 3, { startTime: '16:00', endTime: '17:00' })
+    ];
+
+    const result = optimizeDayRoute(activities);
+    expect(result.activities.map(({ name, startTime, endTime }) => [name, startTime, endTime])).toEqual([
+      ['A', '09:00', '10:00'],
+      ['B', '10:30', '11:00'],
+      ['C', '13:00', '15:00'],
+      ['D', '16:00', '17:00']
+    ]);
+  });
+
+  it('not move an activity where it would run into the next one', () => {
+    const activities = [
+      activity('A', 0, { startTime: '09:00', endTime: '10:00' }),
+      activity('C', 2, { startTime: '10:30', endTime: '12:30' }),
+      activity('B', 1, { startTime: '13:00', endTime: '13:30' }),
+      activity('D', 3, { startTime: '14:00', endTime: '15:00', fixedTime: true })
+    ];
+
+    // The two-hour visit to C would end at 15:00 in B's place, after D starts
+    const result = optimizeDayRoute(activities);
+    expect(result.changed).toBe(false);
+    expect(result.activities).toEqual(activities);
+
+    // Long days are searched differently, with the same rule
+    const longDay = [5, 0, 9, 2, 7, 1, 8, 3, 6, 4].map((step, index) => activity(`S${step}`, step, {
+      startTime: `${String(8 + index).padStart(2, '0')}:00`,
+      endTime: `${String(8 + index).padStart(2, '0')}:${step === 9 ? '59' : '30'}`
+    }));
+    const { activities: reordered } = optimizeDayRoute(longDay);
+    reordered.forEach((entry, index) => {
+      expect(entry.startTime).toBe(longDay[index].startTime);
+      if (index < reordered.length - 1) {
+        expect(entry.endTime <= reordered[index + 1].startTime).toBe(true);
+      }
+    });
+    expect(reordered.find(entry => entry.name === 'S9').endTime).toMatch(/:59$/);
+  });
+
+  it('find a short route for long days', () => {
+    const order = [5, 0, 9, 2, 7, 1, 8, 3, 6, 4, 10];
+    const activities = order.map(step => activity(`S${step}`, step));
+
+    const result = optimizeDayRoute(activities);
+
+    expect(result.distanceAfter).toBeCloseTo(11.12, 1);
+    expect(result.distanceAfter).toBeLessThan(result.distanceBefore / 3);
+  });
+});
+
+describe('Optimize route endpoint', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('previews the new order without saving it', async () => {
+    const itinerary = buildItinerary();
+    await itinerary.validate();
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+    const save = jest.spyOn(itinerary, 'save');
+
+    const res = mockResponse();
+    await itineraryController.optimizeRoute({
+      params: { id: itinerary.id },
+      body: { dryRun: true },
+      user: { id: ownerId },
+      get: () => undefined
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.applied).toBe(false);
+    expect(data.distanceAfter).toBeLessThan(data.distanceBefore);
+    expect(names(data.days[0].activities)).toEqual(['A', 'B', 'C', 'D']);
+    expect(save).not.toHaveBeenCalled();
+    expect(names(itinerary.days[0].activities)).toEqual(['A', 'C', 'B', 'D']);
+  });
+
+  it('saves the new order, keeping activity IDs', async () => {
+    const itinerary = buildItinerary();
+    await itinerary.validate();
+    const ids = Object.fromEntries(itinerary.days[0].activities.map(entry => [entry.name, entry._id.toString()]));
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+    jest.spyOn(itinerary, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+
+    const res = mockResponse();
+    await itineraryController.optimizeRoute({
+      params: { id: itinerary.id },
+      body: { dayIds: [itinerary.days[0].id] },
+      user: { id: ownerId },
+      get: () => undefined
+    }, res);
+
+    expect(res.json.mock.calls[0][0].data.applied).toBe(true);
+    const [, second, third] = itinerary.days[0].activities;
+    expect([second.name, second._id.toString(), second.startTime]).toEqual(['B', ids.B, '10:30']);
+    expect([third.name, third.startTime, third.startsAt.toISOString()]).toEqual(['C', '11:30', '2026-05-01T10:30:00.000Z']);
+  });
+
+  it('refuses changes based on an old version', async () => {
+    const itinerary = buildItinerary();
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+
+    const res = mockResponse();
+    await itineraryController.optimizeRoute({
+      params: { id: itinerary.id },
+      body: {},
+      user: { id: ownerId },
+      get: (name) => (name.toLowerCase() === 'if-match' ? '"stale"' : undefined)
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(412);
+  });
+});
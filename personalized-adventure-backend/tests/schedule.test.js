@@ -0,0 +1,172 @@
+/**
+ * Tests for schedule feasibility checks in utils/schedule.js and the warnings
+ * sent with itineraries by controllers/itineraryController.js
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const itineraryController = require('../controllers/itineraryController');
+const { distanceKm, estimateTravelMinutes, checkSchedule } = require('../utils/schedule');
+const { mockResponse } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+// Places in Lisbon
+const BELEM_TOWER = { name: 'Belém Tower', coordinates: { lat: 38.6916, lng: -9.2160 } };
+const JERONIMOS = { name: 'Jerónimos Monastery', coordinates: { lat: 38.6979, lng: -9.2068 } };
+const ALFAMA = { name: 'Alfama', coordinates: { lat: 38.7118, lng: -9.1300 } };
+
+// 1 May 2026 is a Friday
+const buildItinerary = (activities, preferences = {}) => new Itinerary({
+  title: 'Day in Lisbon',
+  location: 'Lisbon',
+  startDate: '2026-05-01',
+  endDate: '2026-05-01',
+  timeZone: 'Europe/Lisbon',
+  userId: ownerId,
+  preferences,
+  days: [{ date: '2026-05-01', activities }]
+});
+
+const checked = async (itinerary) => {
+  await itinerary.validate();
+  return checkSchedule(itinerary);
+};
+
+describe('Travel estimates', () => {
+  it('use the straight-line distance with a detour for the travel mode', () => {
+    expect(distanceKm(BELEM_TOWER.coordinates, ALFAMA.coordinates)).toBeCloseTo(7.8, 1);
+    expect(estimateTravelMinutes(BELEM_TOWER.coordinates, ALFAMA.coordinates, 'transit')).toBe(31);
+    expect(estimateTravelMinutes(BELEM_TOWER.coordinates, ALFAMA.coordinates, 'walking')).toBe(136);
+  });
+});
+
+describe('Schedule checks', () => {
+  it('find overlapping activities, including ones starting at the same time', async () => {
+    const itinerary = buildItinerary([
+      { name: 'Tram 28', startTime: '09:00', endTime: '10:30' },
+      { name: 'Coffee', startTime: '10:00', endTime: '10:20' },
+      { name: 'Pastries', startTime: '10:15' },
+      { name: 'Lunch', startTime: '12:00', endTime: '13:00' },
+      { name: 'Call home', startTime: '12:00' }
+    ]);
+    const [tram, coffee, pastries, lunch, call] = itinerary.days[0].activities;
+
+    const warnings = await checked(itinerary);
+
+    expect(warnings.map(warning => [warning.code, warning.activityId, warning.relatedActivityId])).toEqual([
+      ['ACTIVITY_OVERLAP', coffee._id, tram._id],
+      // Still during the tram ride, which ends last
+      ['ACTIVITY_OVERLAP', pastries._id, tram._id],
+      ['ACTIVITY_OVERLAP', call._id, lunch._id]
+    ]);
+    expect(warnings[0].dayId).toBe(itinerary.days[0]._id);
+  });
+
+  it('find activities too far apart for the time between them', async () => {
+    const itinerary = buildItinerary([
+      { name: 'Belém Tower', startTime: '09:00', endTime: '10:00', location: BELEM_TOWER },
+      { name: 'Jerónimos', startTime: '10:30', endTime: '11:30', location: JERONIMOS, travelMode: 'walking' },
+      { name: 'Alfama walk', startTime: '11:55', endTime: '13:00', location: ALFAMA }
+    ]);
+
+    const warnings = await checked(itinerary);
+
+    // Jerónimos is a 20-minute walk away, but Alfama is across town
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toEqual(expect.objectContaining({
+      code: 'TRAVEL_TIME_TOO_SHORT',
+      activityId: itinerary.days[0].activities[2]._id,
+      travelMode: 'transit',
+      gapMinutes: 25,
+      travelMinutes: 27
+    }));
+
+    // Driving there is quick enough
+    itinerary.set('preferences.travelMode', 'driving');
+    expect(await checked(itinerary)).toEqual([]);
+  });
+
+  it('ignore placeholder coordinates', async () => {
+    const nowhere = { name: 'Cafe', coordinates: { lat: 0, lng: 0 } };
+    const itinerary = buildItinerary([
+      { name: 'Breakfast', startTime: '08:00', endTime: '09:00', location: nowhere },
+      { name: 'Alfama walk', startTime: '09:00', endTime: '10:00', location: ALFAMA }
+    ]);
+
+    expect(await checked(itinerary)).toEqual([]);
+  });
+
+  it('find activities outside opening hours or on closing days', async () => {
+    const museum = {
+      ...JERONIMOS,
+      openingHours: [{ days: [0, 2, 3, 4, 5, 6], open: '10:00', close: '17:30' }]
+    };
+    const bar = { ...ALFAMA, openingHours: [{ days: [4, 5, 6], open: '20:00', close: '02:00' }] };
+    const itinerary = buildItinerary([
+      { name: 'Monastery', startTime: '09:30', endTime: '11:00', location: museum },
+      { name: 'Fado', startTime: '22:00', endTime: '01:30', location: bar }
+    ]);
+
+    const warnings = await checked(itinerary);
+    expect(warnings.map(warning => warning.code)).toEqual(['OUTSIDE_OPENING_HOURS']);
+    expect(warnings[0].message).toBe('Monastery is outside the opening hours of Jerónimos Monastery on Friday (10:00-17:30)');
+
+    // Closed on Mondays
+    itinerary.days[0].date = '2026-05-04';
+    itinerary.startDate = '2026-05-04';
+    itinerary.endDate = '2026-05-04';
+    expect((await checked(itinerary)).map(warning => warning.message)).toEqual([
+      'Jerónimos Monastery is closed on Monday',
+      'Alfama is closed on Monday'
+    ]);
+  });
+
+  it('compare days in different time zones by the instant they happen', async () => {
+    const itinerary = new Itinerary({
+      title: 'Flight to New York',
+      location: 'Lisbon',
+      startDate: '2026-05-01',
+      endDate: '2026-05-02',
+      timeZone: 'Europe/Lisbon',
+      userId: ownerId,
+      days: [
+        { date: '2026-05-01', activities: [{ name: 'Flight', startTime: '13:00', endTime: '16:00' }] },
+        // 10:00 in New York is 15:00 in Lisbon, during the flight, and 16:00 is after it
+        {
+          date: '2026-05-01',
+          timeZone: 'America/New_York',
+          activities: [{ name: 'Check in', startTime: '10:00' }, { name: 'Dinner', startTime: '16:00' }]
+        }
+      ]
+    });
+
+    const warnings = await checked(itinerary);
+    expect(warnings.map(warning => warning.activityId)).toEqual([itinerary.days[1].activities[0]._id]);
+  });
+});
+
+describe('Itinerary responses', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('include the schedule warnings', async () => {
+    const itinerary = buildItinerary([
+      { name: 'Tram 28', startTime: '09:00', endTime: '10:30' },
+      { name: 'Coffee', startTime: '10:00', endTime: '10:20' }
+    ]);
+    await itinerary.validate();
+    jest.spyOn(Itinerary, 'findById').mockResolvedValue(itinerary);
+
+    const res = mockResponse();
+    await itineraryController.getItineraryById({
+      params: { id: itinerary.id },
+      user: { id: ownerId },
+      get: () => undefined
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].scheduleWarnings.map(warning => warning.code)).toEqual(['ACTIVITY_OVERLAP']);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for time-zone-aware scheduling: utils/timeZones.js, schedule
+ * normalization in models/Itinerary.js and the dates of generated itineraries
+ */
+
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const User = require('../models/User');
+const weatherAPI = require('../utils/weatherAPI');
+const eventsAPI = require('../utils/eventsAPI');
+const itineraryController = require('../controllers/itineraryController');
+const {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  normalizeTime,
+  toCalendarDate,
+  listTripDates,
+  zonedTimeToUtc
+} = require('../utils/timeZones');
+const { mockResponse } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+const buildItinerary = () => new Itinerary({
+  title: 'Tokyo and Seoul',
+  location: 'Tokyo',
+  startDate: '2026-05-01',
+  endDate: '2026-05-02',
+  timeZone: 'Asia/Tokyo',
+  userId: ownerId,
+  days: [
+    {
+      date: '2026-05-01',
+      activities: [
+        { name: 'Tsukiji breakfast', startTime: '8:00', endTime: '9:30 am' },
+        { name: 'Golden Gai', startTime: '10:00 pm', endTime: '01:00' }
+      ]
+    },
+    {
+      date: '2026-05-02',
+      timeZone: 'Asia/Seoul',
+      activities: [{ name: 'Gyeongbokgung', startTime: '10:00' }]
+    }
+  ]
+});
+
+describe('Time zones', () => {
+  it('convert wall-clock times to instants across daylight-saving changes', () => {
+    expect(zonedTimeToUtc(new Date('2026-07-01'), '08:00', 'America/New_York').toISOString()).toBe('2026-07-01T12:00:00.000Z');
+    expect(zonedTimeToUtc(new Date('2026-01-15'), '08:00', 'America/New_York').toISOString()).toBe('2026-01-15T13:00:00.000Z');
+    expect(zonedTimeToUtc(new Date('2026-07-01'), '08:00', 'Asia/Kolkata').toISOString()).toBe('2026-07-01T02:30:00.000Z');
+    // 01:30 does not happen in Lisbon on 29 March, so the clock has moved on to 02:30
+    expect(zonedTimeToUtc(new Date('2026-03-29'), '01:30', 'Europe/Lisbon').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+    expect(getTimeZoneOffset(new Date('2026-07-01T12:00:00Z'), 'Europe/Lisbon')).toBe(60);
+  });
+
+  it('normalize times and calendar dates', () => {
+    expect(['8:00', '08:00:00', '8am', '8:00 p.m.', '12:15 AM'].map(normalizeTime))
+      .toEqual(['08:00', '08:00', '08:00', '20:00', '00:15']);
+    expect(['24:00', '13pm', '8:5', 'noon'].map(normalizeTime)).toEqual([null, null, null, null]);
+
+    expect(toCalendarDate('2026-05-01').toISOString()).toBe('2026-05-01T00:00:00.000Z');
+    expect(toCalendarDate('2026-05-01T00:30:00+02:00', 'Europe/Paris').toISOString()).toBe('2026-05-01T00:00:00.000Z');
+    expect(toCalendarDate('2026-05-01T20:00:00-07:00', 'America/Los_Angeles').toISOString()).toBe('2026-05-01T00:00:00.000Z');
+    expect(listTripDates('2026-02-27', '2026-03-01').map(date => date.toISOString().slice(0, 10)))
+      .toEqual(['2026-02-27', '2026-02-28', '2026-03-01']);
+  });
+
+  it('accept IANA time zones only', () => {
+    expect(isValidTimeZone('Europe/Lisbon')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+});
+
+describe('Itinerary schedules', () => {
+  it('are normalized in the time zone of each day', async () => {
+    const itinerary = buildItinerary();
+    await itinerary.validate();
+
+    const [breakfast, bar] = itinerary.days[0].activities;
+    expect([breakfast.startTime, breakfast.endTime]).toEqual(['08:00', '09:30']);
+    expect(breakfast.startsAt.toISOString()).toBe('2026-04-30T23:00:00.000Z');
+    // Ends after midnight, on the next day
+    expect(bar.startsAt.toISOString()).toBe('2026-05-01T13:00:00.000Z');
+    expect(bar.endsAt.toISOString()).toBe('2026-05-01T16:00:00.000Z');
+    // Seoul is in the same offset as Tokyo, but the day keeps its own zone
+    expect(itinerary.getDayTimeZone(itinerary.days[1])).toBe('Asia/Seoul');
+    expect(itinerary.days[1].activities[0].startsAt.toISOString()).toBe('2026-05-02T01:00:00.000Z');
+  });
+
+  it('keep days on their calendar date when sent with an offset', async () => {
+    const itinerary = buildItinerary();
+    itinerary.days[0].date = '2026-05-01T00:30:00+09:00';
+    await itinerary.validate();
+
+    expect(itinerary.days[0].date.toISOString()).toBe('2026-05-01T00:00:00.000Z');
+  });
+
+  it('reject unknown time zones and times', async () => {
+    const itinerary = buildItinerary();
+    itinerary.days[1].timeZone = 'Asia/Atlantis';
+    itinerary.days[0].activities[0].startTime = '25:00';
+
+    await expect(itinerary.validate()).rejects.toMatchObject({
+      errors: {
+        'days.1.timeZone': expect.anything(),
+        'days.0.activities.0.startTime': expect.anything()
+      }
+    });
+  });
+});
+
+describe('Generated itineraries', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('plan every day of the trip in the destination time zone', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: ownerId, preferences: {} });
+    jest.spyOn(weatherAPI, 'getWeatherForecast').mockResolvedValue([]);
+    jest.spyOn(eventsAPI, 'getEvents').mockResolvedValue([]);
+    jest.spyOn(Itinerary.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+
+    const res = mockResponse();
+    await itineraryController.generateItinerary({
+      body: { location: 'Honolulu', startDate: '2026-05-01', endDate: '2026-05-03', timeZone: 'Pacific/Honolulu' },
+      user: { id: ownerId }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const { days, timeZone } = res.json.mock.calls[0][0].data;
+    expect(timeZone).toBe('Pacific/Honolulu');
+    expect(days.map(day => day.date.toISOString().slice(0, 10))).toEqual(['2026-05-01', '2026-05-02', '2026-05-03']);
+    // Breakfast at 08:00 in Honolulu (UTC-10)
+    expect(days[0].activities[0].startsAt.toISOString()).toBe('2026-05-01T18:00:00.000Z');
+  });
+});
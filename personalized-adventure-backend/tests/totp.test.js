@@ -0,0 +1,51 @@
+/**
+ * Tests for the RFC 6238 TOTP implementation in utils/totp.js
+ */
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri
+} = require('../utils/totp');
+
+// Shared secret from the RFC 6238 test vectors ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('round-trips base32 encoding', () => {
+    const bytes = Buffer.from('hello two factor');
+    expect(base32Decode(base32Encode(bytes)).equals(bytes)).toBe(true);
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+  });
+
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    // RFC values are 8 digits; a 6 digit code is the last six of them
+    expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, getTimeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  it('accepts codes within the drift window and rejects others', () => {
+    const time = 1111111109 * 1000;
+    const step = getTimeStep(time);
+
+    expect(verifyCode(RFC_SECRET, '081804', { time })).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 3), { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '12345', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+  });
+
+  it('generates 160-bit secrets and provisioning URIs', () => {
+    const secret = generateSecret();
+    expect(base32Decode(secret)).toHaveLength(20);
+
+    const uri = buildProvisioningUri({ secret, accountName: 'traveler@example.com' });
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Personalized%20Adventure:traveler%40example\.com\?/);
+    expect(uri).toContain(`secret=${secret}`);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for what callers may see of other accounts in controllers/userController.js
+ */
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+
+const User = require('../models/User');
+const userController = require('../controllers/userController');
+const { mockResponse } = require('./helpers');
+
+describe('Getting a user', () => {
+  const memberId = '64b7f0c2a1b2c3d4e5f60718';
+  const otherId = '64b7f0c2a1b2c3d4e5f60719';
+  const supportId = '64b7f0c2a1b2c3d4e5f6071a';
+  const roles = { [memberId]: 'user', [otherId]: 'user', [supportId]: 'support' };
+  let selected;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    selected = {};
+    User.findById.mockImplementation((id) => ({
+      select: jest.fn(async (fields) => {
+        selected[id] = selected[id] || [];
+        selected[id].push(fields);
+        return { _id: id, role: roles[id] };
+      })
+    }));
+  });
+
+  const getUser = async (callerId, id) => {
+    const res = mockResponse();
+    await userController.getUser({ params: { id }, user: { id: callerId } }, res);
+    return res;
+  };
+
+  it('returns the whole account to its owner', async () => {
+    const res = await getUser(memberId, memberId);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(selected[memberId]).toEqual(['-password']);
+  });
+
+  it('only returns the public profile of other accounts', async () => {
+    const res = await getUser(memberId, otherId);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(selected[otherId]).toEqual(['username createdAt']);
+  });
+
+  it('returns the whole account to staff who may read accounts', async () => {
+    const res = await getUser(supportId, otherId);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(selected[otherId]).toEqual(['-password']);
+  });
+});
+
+describe('Looking up a user by email', () => {
+  it('only returns what an invite needs', async () => {
+    const select = jest.fn(async () => ({ id: '64b7f0c2a1b2c3d4e5f60719', username: 'ana', email: 'ana@example.com' }));
+    User.findOne.mockReturnValue({ select });
+    const res = mockResponse();
+
+    await userController.findUserByEmail(
+      { query: { email: 'ana@example.com' }, user: { id: '64b7f0c2a1b2c3d4e5f60718' } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(select).toHaveBeenCalledWith('_id username email');
+  });
+});
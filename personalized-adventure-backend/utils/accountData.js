@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const Itinerary = require('../models/Itinerary');
+const ItineraryVersion = require('../models/ItineraryVersion');
+const RefreshToken = require('../models/RefreshToken');
+const AccountToken = require('../models/AccountToken');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+
+/**
+ * Personal data export and account erasure.
+ *
+ * The export gathers everything the server stores about a user into a single
+ * JSON document. Erasure removes the same data; each step is idempotent and
+ * the user document is deleted last, so an erasure that fails part-way can
+ * simply be run again.
+ */
+
+// Bumped whenever the layout of the export document changes
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Flatten the reservations stored on itinerary activities into a list
+ * @param {Array<Object>} itineraries - Plain itinerary objects
+ * @returns {Array<Object>} - Reservations with the itinerary and activity they belong to
+ */
+const collectReservations = (itineraries) => {
+  const reservations = [];
+
+  itineraries.forEach(itinerary => {
+    (itinerary.days || []).forEach(day => {
+      (day.activities || []).forEach(activity => {
+        if (activity.reservation && activity.reservation.reservationId) {
+          reservations.push({
+            itineraryId: itinerary._id,
+            itineraryTitle: itinerary.title,
+            date: day.date,
+            activity: activity.name,
+            ...activity.reservation
+          });
+        }
+      });
+    });
+  });
+
+  return reservations;
+};
+
+/**
+ * Build the data export for a user
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object|null>} - The export document, or null if the user does not exist
+ */
+const buildDataExport = async (userId) => {
+  // Secrets (password hash, 2FA secrets) are excluded by the projection and schema
+  const user = await User.findById(userId).select('-password').lean();
+
+  if (!user) {
+    return null;
+  }
+
+  const { preferences, ...profile } = user;
+
+  const [itineraries, sharedItineraries, apiKeys] = await Promise.all([
+    Itinerary.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Itinerary.find({ 'collaborators.userId': userId })
+      .select('title location startDate endDate collaborators.$')
+      .lean(),
+    ApiKey.find({ userId }).select('-keyHash').lean()
+  ]);
+
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile,
+    preferences: preferences || {},
+    itineraries,
+    // Itineraries owned by other users are listed without their contents
+    sharedItineraries: sharedItineraries.map(itinerary => ({
+      _id: itinerary._id,
+      title: itinerary.title,
+      location: itinerary.location,
+      startDate: itinerary.startDate,
+      endDate: itinerary.endDate,
+      role: itinerary.collaborators[0] && itinerary.collaborators[0].role
+    })),
+    reservations: collectReservations(itineraries),
+    apiKeys
+  };
+};
+
+/**
+ * Erase a user account and all data linked to it
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object>} - Counts of the removed records
+ */
+const eraseAccount = async (userId) => {
+  const ownedItineraryIds = await Itinerary.find({ userId }).distinct('_id');
+  const itineraryVersions = await ItineraryVersion.deleteMany({ itineraryId: { $in: ownedItineraryIds } });
+  // Versions of other people's itineraries no longer point at the user
+  await ItineraryVersion.updateMany({ changedBy: userId }, { changedBy: null });
+  const itineraries = await Itinerary.deleteMany({ userId });
+
+  // Drop the user from itineraries other people shared with them
+  const sharedItineraries = await Itinerary.updateMany(
+    { 'collaborators.userId': userId },
+    { $pull: { collaborators: { userId } }, $set: { updatedAt: Date.now() } }
+  );
+
+  const sessions = await Session.deleteMany({ userId });
+  const loginEvents = await LoginEvent.deleteMany({ userId });
+  const apiKeyUsage = await ApiKeyUsage.deleteMany({ userId });
+  const apiKeys = await ApiKey.deleteMany({ userId });
+  const refreshTokens = await RefreshToken.deleteMany({ userId });
+  const accountTokens = await AccountToken.deleteMany({ userId });
+
+  // Delete the user last so a failed run can be retried
+  const user = await User.deleteOne({ _id: userId });
+
+  return {
+    user: user.deletedCount,
+    itineraries: itineraries.deletedCount,
+    itineraryVersions: itineraryVersions.deletedCount,
+    sharedItineraries: sharedItineraries.modifiedCount,
+    sessions: sessions.deletedCount,
+    loginEvents: loginEvents.deletedCount,
+    apiKeys: apiKeys.deletedCount,
+    apiKeyUsage: apiKeyUsage.deletedCount,
+    refreshTokens: refreshTokens.deletedCount,
+    accountTokens: accountTokens.deletedCount
+  };
+};
+
+module.exports = {
+  EXPORT_FORMAT_VERSION,
+  collectReservations,
+  buildDataExport,
+  eraseAccount
+};
@@ -0,0 +1,220 @@
+const { DEFAULT_CURRENCY, getRateTable, convertAmount } = require('./exchangeRates');
+
+/**
+ * Cost roll-ups and budget checks for itineraries.
+ *
+ * The `budget` preference (low, medium or high) maps to a daily spending
+ * limit. A trip's limit is the daily limit times the number of days from its
+ * start date to its end date, so a day that overspends can be made up on
+ * another. Going over a limit is reported as a warning, never refused.
+ *
+ * Activities can be priced in their own currency; costs are converted with
+ * the rate table in utils/exchangeRates.js before they are added up.
+ */
+
+// Currency of the budget limits below
+const BUDGET_LIMITS_CURRENCY = 'USD';
+
+// Daily spending limit for each budget preference, in `BUDGET_LIMITS_CURRENCY`
+const BUDGET_LIMITS = {
+  low: 100,
+  medium: 250,
+  high: 600
+};
+
+const DEFAULT_BUDGET = 'medium';
+
+// Share of the trip limit at which a warning is given before it is reached
+const NEAR_LIMIT_RATIO = 0.9;
+
+// Activities without a category are counted as 'other'
+const UNCATEGORIZED = 'other';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round money to cents so sums like 0.1 + 0.2 read as 0.3
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the currency an itinerary's costs are kept in
+ * @param {Object} itinerary - Itinerary document or plain object
+ * @returns {string} - Currency code
+ */
+const itineraryCurrency = (itinerary) => itinerary.currency || DEFAULT_CURRENCY;
+
+/**
+ * Count the days of a trip, including the first and last
+ * @param {Object} itinerary - Itinerary with `startDate` and `endDate`
+ * @returns {number} - Number of days, at least 1
+ */
+const countTripDays = ({ startDate, endDate }) => {
+  const start = new Date(startDate).toISOString().slice(0, 10);
+  const end = new Date(endDate).toISOString().slice(0, 10);
+  return Math.max(Math.round((new Date(end) - new Date(start)) / DAY_MS) + 1, 1);
+};
+
+/**
+ * Get the spending limits that apply to an itinerary
+ * @param {Object} itinerary - Itinerary document or plain object
+ * @param {string} [currency] - Currency of the limits; defaults to the itinerary's
+ * @returns {Object} - `{ budget, dailyLimit, tripLimit }`
+ */
+const getBudgetLimits = (itinerary, currency = itineraryCurrency(itinerary)) => {
+  const preference = itinerary.preferences && itinerary.preferences.budget;
+  const budget = BUDGET_LIMITS[preference] ? preference : DEFAULT_BUDGET;
+  const dailyLimit = roundAmount(
+    convertAmount(BUDGET_LIMITS[budget], BUDGET_LIMITS_CURRENCY, currency) ?? BUDGET_LIMITS[budget]
+  );
+
+  return {
+    budget,
+    dailyLimit,
+    tripLimit: roundAmount(dailyLimit * countTripDays(itinerary))
+  };
+};
+
+/**
+ * Get the cost of an activity in another currency. Costs in a currency the
+ * rate table does not have are counted unconverted.
+ * @param {Object} activity - Activity
+ * @param {string} fromCurrency - Currency of activities without their own
+ * @param {string} currency - Currency to convert into
+ * @returns {number} - Converted cost
+ */
+const activityCost = (activity, fromCurrency, currency) => {
+  const cost = activity.cost || 0;
+  return convertAmount(cost, activity.currency || fromCurrency, currency) ?? cost;
+};
+
+/**
+ * Add the cost of activities to per-category totals
+ * @param {Object} totals - Totals by category, updated in place
+ * @param {Array<Object>} activities - Activities to add
+ * @param {Function} costOf - Gets an activity's converted cost
+ * @returns {Object} - The totals
+ */
+const addToCategories = (totals, activities, costOf) => activities.reduce((categories, activity) => {
+  const category = activity.category || UNCATEGORIZED;
+  categories[category] = roundAmount((categories[category] || 0) + costOf(activity));
+  return categories;
+}, totals);
+
+/**
+ * Roll up the costs of an itinerary by day and by category
+ * @param {Object} itinerary - Itinerary document or plain object
+ * @param {Object} [options] - `currency` to report in; defaults to the itinerary's
+ * @returns {Object} - `{ currency, totalCost, byCategory, byDay }`; `byCategory` maps each
+ *   category to its total, and `byDay` lists `{ dayId, date, total, byCategory }`
+ */
+const summarizeCosts = (itinerary, { currency = itineraryCurrency(itinerary) } = {}) => {
+  const costOf = (activity) => activityCost(activity, itineraryCurrency(itinerary), currency);
+
+  const byDay = (itinerary.days || []).map(day => {
+    const activities = day.activities || [];
+    return {
+      dayId: day._id,
+      date: day.date,
+      total: roundAmount(activities.reduce((sum, activity) => sum + costOf(activity), 0)),
+      byCategory: addToCategories({}, activities, costOf)
+    };
+  });
+
+  return {
+    currency,
+    totalCost: roundAmount(byDay.reduce((sum, day) => sum + day.total, 0)),
+    byCategory: (itinerary.days || []).reduce((totals, day) => addToCategories(totals, day.activities || [], costOf), {}),
+    byDay
+  };
+};
+
+/**
+ * Check an itinerary's costs against its budget
+ * @param {Object} itinerary - Itinerary document or plain object
+ * @param {Object} [summary] - Result of `summarizeCosts`, if already computed;
+ *   the warnings use its currency
+ * @returns {Array<Object>} - Warnings with a `code` of 'TRIP_OVER_BUDGET',
+ *   'TRIP_NEAR_BUDGET' or 'DAY_OVER_BUDGET', a `message`, the `total` and the `limit`
+ */
+const checkBudget = (itinerary, summary = summarizeCosts(itinerary)) => {
+  const { currency } = summary;
+  const { budget, dailyLimit, tripLimit } = getBudgetLimits(itinerary, currency);
+  const warnings = [];
+
+  if (summary.totalCost > tripLimit) {
+    warnings.push({
+      code: 'TRIP_OVER_BUDGET',
+      message: `The trip costs ${summary.totalCost} ${currency}, over the ${budget} budget of ${tripLimit} ${currency}`,
+      total: summary.totalCost,
+      limit: tripLimit
+    });
+  } else if (summary.totalCost >= tripLimit * NEAR_LIMIT_RATIO) {
+    warnings.push({
+      code: 'TRIP_NEAR_BUDGET',
+      message: `The trip costs ${summary.totalCost} ${currency}, close to the ${budget} budget of ${tripLimit} ${currency}`,
+      total: summary.totalCost,
+      limit: tripLimit
+    });
+  }
+
+  summary.byDay
+    .filter(day => day.total > dailyLimit)
+    .forEach(day => {
+      warnings.push({
+        code: 'DAY_OVER_BUDGET',
+        message: `${new Date(day.date).toISOString().slice(0, 10)} costs ${day.total} ${currency}, over the daily limit of ${dailyLimit} ${currency}`,
+        dayId: day.dayId,
+        date: day.date,
+        total: day.total,
+        limit: dailyLimit
+      });
+    });
+
+  return warnings;
+};
+
+/**
+ * Build the budget report of an itinerary, for charts in the app
+ * @param {Object} itinerary - Itinerary document or plain object
+ * @param {Object} [options] - `currency` to report in, e.g. the user's home
+ *   currency; defaults to the itinerary's
+ * @returns {Object} - Limits, totals by category (largest first, with their
+ *   share of the total) and by day, and the budget warnings, all in `currency`
+ */
+const buildBudgetReport = (itinerary, options = {}) => {
+  const summary = summarizeCosts(itinerary, options);
+  const { budget, dailyLimit, tripLimit } = getBudgetLimits(itinerary, summary.currency);
+
+  return {
+    currency: summary.currency,
+    itineraryCurrency: itineraryCurrency(itinerary),
+    ratesDate: getRateTable().date,
+    budget,
+    dailyLimit,
+    tripLimit,
+    totalCost: summary.totalCost,
+    remaining: roundAmount(tripLimit - summary.totalCost),
+    byCategory: Object.entries(summary.byCategory)
+      .map(([category, total]) => ({
+        category,
+        total,
+        share: summary.totalCost > 0 ? roundAmount(total / summary.totalCost) : 0
+      }))
+      .sort((a, b) => b.total - a.total),
+    byDay: summary.byDay.map(day => ({
+      ...day,
+      limit: dailyLimit,
+      overBudget: day.total > dailyLimit
+    })),
+    warnings: checkBudget(itinerary, summary)
+  };
+};
+
+module.exports = {
+  BUDGET_LIMITS,
+  BUDGET_LIMITS_CURRENCY,
+  roundAmount,
+  getBudgetLimits,
+  summarizeCosts,
+  checkBudget,
+  buildBudgetReport
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const { hashToken } = require('../middleware/auth');
+const { sendMail } = require('./mailer');
+
+/**
+ * Email address verification, shared by users changing their own address
+ * and staff changing it for them.
+ */
+
+// Verification links are valid for a day
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Issue a new email verification token for a user and email it to them.
+ * Any earlier unused verification links stop working.
+ * @param {Object} user - The user document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  await AccountToken.updateMany(
+    { userId: user.id, purpose: 'email-verification', usedAt: null },
+    { usedAt: new Date() }
+  );
+  
+  const token = crypto.randomBytes(32).toString('hex');
+  await AccountToken.create({
+    userId: user.id,
+    purpose: 'email-verification',
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+  });
+  
+  const verifyUrl = `${process.env.EMAIL_VERIFICATION_URL || 'personalizedadventure://verify-email'}?token=${token}`;
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Personalized Adventure email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm that this is your email address by opening the link below:',
+      verifyUrl,
+      '',
+      `If the link does not open the app, enter this code on the verification screen: ${token}`,
+      '',
+      'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_MS,
+  sendVerificationEmail
+};
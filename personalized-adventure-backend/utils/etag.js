@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Entity tags for conditional requests on itineraries.
+ *
+ * Every save of an itinerary sets `updatedAt` (see models/Itinerary.js), so
+ * the ID, `updatedAt` and `version` together identify one state of it.
+ * Clients send the tag back in `If-None-Match` to revalidate a cached copy,
+ * and in `If-Match` so an edit fails instead of overwriting someone else's.
+ * Saves are themselves conditional on the stored `updatedAt` and `version`,
+ * so an edit that passes `If-Match` can still lose a race with another one.
+ */
+
+/**
+ * Send the 412 for an edit based on an outdated copy of an itinerary
+ * @param {Object} res - Express response object
+ */
+const sendItineraryChanged = (res) => {
+  res.status(412).json({
+    success: false,
+    code: 'ITINERARY_CHANGED',
+    message: 'The itinerary has changed since you loaded it. Reload it and try again'
+  });
+};
+
+/**
+ * Compute the ETag of an itinerary
+ * @param {Object} itinerary - Itinerary document
+ * @returns {string} - Quoted strong ETag
+ */
+const itineraryETag = (itinerary) => {
+  const state = `${itinerary._id}:${new Date(itinerary.updatedAt).getTime()}:${itinerary.version || 0}`;
+  const hash = crypto.createHash('sha256').update(state).digest('base64url');
+  return `"${hash.slice(0, 32)}"`;
+};
+
+/**
+ * Check an ETag against an `If-None-Match` or `If-Match` header
+ * @param {string} header - Comma separated list of ETags, or `*`
+ * @param {string} etag - Current ETag
+ * @param {boolean} weak - Use weak comparison (`If-None-Match`), which ignores `W/` prefixes
+ * @returns {boolean} - True if one of the listed tags matches
+ */
+const matchesETag = (header, etag, weak) => {
+  if (header.trim() === '*') {
+    return true;
+  }
+
+  return header.split(',').some(tag => {
+    const trimmed = tag.trim();
+
+    if (trimmed.startsWith('W/')) {
+      // Weak tags never match a strong comparison
+      return weak && trimmed.slice(2) === etag;
+    }
+
+    return trimmed === etag;
+  });
+};
+
+/**
+ * Send the itinerary's ETag and answer `If-None-Match` with 304 when the
+ * client's copy is current
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} itinerary - Itinerary document
+ * @returns {boolean} - True if a 304 was sent
+ */
+const sendNotModified = (req, res, itinerary) => {
+  const etag = itineraryETag(itinerary);
+  res.set('ETag', etag);
+
+  const ifNoneMatch = req.get('If-None-Match');
+
+  if (ifNoneMatch && matchesETag(ifNoneMatch, etag, true)) {
+    res.status(304).end();
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Enforce `If-Match` before changing an itinerary. Requests without the
+ * header are allowed through.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} itinerary - Itinerary document as currently stored
+ * @returns {boolean} - True if the request may go ahead, false if a 412 was sent
+ */
+const checkIfMatch = (req, res, itinerary) => {
+  const ifMatch = req.get('If-Match');
+
+  if (!ifMatch) {
+    return true;
+  }
+
+  const etag = itineraryETag(itinerary);
+
+  if (matchesETag(ifMatch, etag, false)) {
+    return true;
+  }
+
+  res.set('ETag', etag);
+  sendItineraryChanged(res);
+  return false;
+};
+
+/**
+ * Answer a save that failed because the itinerary was changed after it was
+ * loaded (see `getLoadedStateFilter` in models/Itinerary.js)
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the save
+ * @returns {boolean} - True if the error was a conflict and a 412 was sent
+ */
+const sendWriteConflict = (res, error) => {
+  if (!(error instanceof mongoose.Error.DocumentNotFoundError)) {
+    return false;
+  }
+
+  sendItineraryChanged(res);
+  return true;
+};
+
+module.exports = {
+  itineraryETag,
+  matchesETag,
+  sendNotModified,
+  checkIfMatch,
+  sendItineraryChanged,
+  sendWriteConflict
+};
@@ -1,5 +1,6 @@
 const axios = require('axios');
 require('dotenv').config();
+const { getMockCoordinates } = require('./placesAPI');
 
 /**
  * Get events for a specific location and date range
@@ -28,9 +29,9 @@ exports.getEvents = async (location, startDate, endDate) => {
     const numEvents = Math.floor(Math.random() * 10) + 5; // 5-15 events
     
     for (let i = 0; i < numEvents; i++) {
-      // Random date within the range
+      // Random date within the range, including the end date
       const eventDate = new Date(start);
-      eventDate.setDate(start.getDate() + Math.floor(Math.random() * daysDiff));
+      eventDate.setUTCDate(start.getUTCDate() + Math.floor(Math.random() * (daysDiff + 1)));
       
       // Random time
       const hours = Math.floor(Math.random() * 12) + 9; // 9 AM to 9 PM
@@ -41,14 +42,12 @@ exports.getEvents = async (location, startDate, endDate) => {
         name: `${location} ${eventTypes[Math.floor(Math.random() * eventTypes.length)]} Event`,
         type: eventTypes[Math.floor(Math.random() * eventTypes.length)],
         date: eventDate.toISOString().split('T')[0],
-        time: `${hours}:${minutes === 0 ? '00' : minutes}`,
+        time: `${String(hours).padStart(2, '0')}:${minutes === 0 ? '00' : minutes}`,
         location: {
           name: `${location} Venue ${i + 1}`,
           address: `${Math.floor(Math.random() * 1000) + 1} Main St, ${location}`,
-          coordinates: {
-            lat: (Math.random() * 180 - 90).toFixed(6),
-            lng: (Math.random() * 360 - 180).toFixed(6)
-          }
+          // Within 4 km of the city centre
+          coordinates: getMockCoordinates(location, [Math.random() * 8 - 4, Math.random() * 8 - 4])
         },
         description: `This is a sample event in ${location}. It would have a detailed description in a real application.`,
         price: Math.floor(Math.random() * 100) + 10, // $10-$110
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const bundledTable = require('../data/exchangeRates.json');
+
+/**
+ * Exchange-rate tables for converting costs between currencies.
+ *
+ * Rates come from a table rather than a live service, so conversions work
+ * offline and give the same result every time. The table bundled in
+ * data/exchangeRates.json is used unless `EXCHANGE_RATES_FILE` names a rates
+ * file to import instead, in the same format:
+ *
+ *   { "base": "USD", "date": "2026-10-01", "rates": { "EUR": 0.92, "GBP": 0.79 } }
+ *
+ * Each rate is how much of that currency one unit of `base` buys. Deployments
+ * that keep rates elsewhere can install a table with `setRateTable` at startup.
+ */
+
+// ISO 4217 currency code
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const DEFAULT_CURRENCY = 'USD';
+
+let activeTable = null;
+
+/**
+ * Check a rate table and add the base currency's own rate
+ * @param {Object} table - `{ base, date, rates }`
+ * @returns {Object} - The checked table
+ * @throws {Error} If the table is malformed
+ */
+const normalizeRateTable = (table) => {
+  if (!table || !CURRENCY_CODE.test(table.base)) {
+    throw new Error('Rate table needs a base currency code');
+  }
+
+  if (!table.rates || typeof table.rates !== 'object') {
+    throw new Error('Rate table needs a rates object');
+  }
+
+  Object.entries(table.rates).forEach(([code, rate]) => {
+    if (!CURRENCY_CODE.test(code) || typeof rate !== 'number' || !(rate > 0)) {
+      throw new Error(`Invalid rate for ${code}`);
+    }
+  });
+
+  return {
+    base: table.base,
+    date: table.date || null,
+    rates: { ...table.rates, [table.base]: 1 }
+  };
+};
+
+/**
+ * Read a rates file
+ * @param {string} filePath - Path of a JSON rates file
+ * @returns {Object} - The checked table
+ * @throws {Error} If the file cannot be read or is malformed
+ */
+const loadRatesFile = (filePath) => normalizeRateTable(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+
+/**
+ * Replace the rate table used for conversions
+ * @param {Object} table - `{ base, date, rates }`
+ * @returns {Object} - The checked table
+ */
+const setRateTable = (table) => {
+  activeTable = normalizeRateTable(table);
+  return activeTable;
+};
+
+/**
+ * Get the active rate table, importing `EXCHANGE_RATES_FILE` on first use.
+ * A file that cannot be imported is logged and the bundled table is used.
+ * @returns {Object} - `{ base, date, rates }`
+ */
+const getRateTable = () => {
+  if (!activeTable) {
+    const filePath = process.env.EXCHANGE_RATES_FILE;
+
+    if (filePath) {
+      try {
+        activeTable = loadRatesFile(path.resolve(filePath));
+      } catch (error) {
+        console.error(`Unable to import exchange rates from ${filePath}, using the bundled table:`, error.message);
+      }
+    }
+
+    if (!activeTable) {
+      activeTable = normalizeRateTable(bundledTable);
+    }
+  }
+
+  return activeTable;
+};
+
+/**
+ * Check whether the rate table can convert a currency
+ * @param {string} code - Currency code
+ * @returns {boolean}
+ */
+const isSupportedCurrency = (code) => (
+  typeof code === 'string' && Object.prototype.hasOwnProperty.call(getRateTable().rates, code)
+);
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Currency to convert into
+ * @param {Object} [table] - Rate table; defaults to the active one
+ * @returns {number|null} - Unrounded amount in `to`, or null if either currency is not in the table
+ */
+const convertAmount = (amount, from, to, table = getRateTable()) => {
+  if (from === to) {
+    return amount;
+  }
+
+  const fromRate = table.rates[from];
+  const toRate = table.rates[to];
+
+  if (!fromRate || !toRate) {
+    return null;
+  }
+
+  return (amount / fromRate) * toRate;
+};
+
+module.exports = {
+  CURRENCY_CODE,
+  DEFAULT_CURRENCY,
+  loadRatesFile,
+  setRateTable,
+  getRateTable,
+  isSupportedCurrency,
+  convertAmount
+};
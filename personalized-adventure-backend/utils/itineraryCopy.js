@@ -0,0 +1,78 @@
+/**
+ * Copies of itineraries, for saving templates and reusing a plan on new dates.
+ *
+ * A copy gets new day and activity IDs and no reservations, which belong to
+ * the original trip. Dates move by whole days, so every day keeps its place
+ * in the trip and activities keep their times.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the UTC midnight starting a date's day
+ * @param {Date} date - Date
+ * @returns {number} - Milliseconds since the epoch
+ */
+const startOfDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+/**
+ * Count the whole days from one date to another, ignoring the time of day
+ * @param {Date} from - First date
+ * @param {Date} to - Second date
+ * @returns {number} - Days, negative if `to` is earlier
+ */
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+/**
+ * Move a date by a number of days
+ * @param {Date} date - Date to move
+ * @param {number} days - Days to add
+ * @returns {Date} - New date
+ */
+const shiftDate = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Copy an activity without its ID and reservation
+ * @param {Object} activity - Activity from an itinerary snapshot
+ * @param {boolean} keepLocation - False when the copy is for another destination
+ * @returns {Object} - Activity fields
+ */
+const copyActivity = ({ _id, reservation, location, ...fields }, keepLocation) => (
+  keepLocation && location ? { ...fields, location } : fields
+);
+
+/**
+ * Build the content of a copy of an itinerary
+ * @param {Object} itinerary - Itinerary document to copy
+ * @param {Object} options - Changes to make in the copy
+ * @param {Date|string} [options.startDate] - New start date; every date moves by the same number of days
+ * @param {string} [options.location] - New destination. Activity locations and
+ *   the time zones of legs are dropped, since they belong to the old destination
+ * @param {string} [options.timeZone] - Time zone of the new destination
+ * @param {string} [options.title] - New title
+ * @returns {Object} - `title`, `location`, `startDate`, `endDate`, `timeZone`, `days`
+ *   and `preferences` for a new itinerary
+ */
+const copyItineraryContent = (itinerary, { startDate, location, timeZone, title } = {}) => {
+  const snapshot = itinerary.getSnapshot();
+  const offset = startDate ? daysBetween(snapshot.startDate, new Date(startDate)) : 0;
+  const retargeted = Boolean(location) && location !== snapshot.location;
+
+  return {
+    title: title || snapshot.title,
+    location: retargeted ? location : snapshot.location,
+    startDate: shiftDate(snapshot.startDate, offset),
+    endDate: shiftDate(snapshot.endDate, offset),
+    timeZone: timeZone || snapshot.timeZone,
+    days: (snapshot.days || []).map(day => ({
+      date: shiftDate(day.date, offset),
+      timeZone: retargeted ? undefined : day.timeZone,
+      activities: (day.activities || []).map(activity => copyActivity(activity, !retargeted))
+    })),
+    preferences: snapshot.preferences
+  };
+};
+
+module.exports = {
+  copyItineraryContent
+};
@@ -0,0 +1,116 @@
+/**
+ * Differences between two itinerary snapshots (see `getSnapshot` in
+ * models/Itinerary.js).
+ *
+ * Days and activities are matched by ID, so a renamed activity shows up as
+ * one change rather than a removal and an addition. Paths name items by ID:
+ * `days[<dayId>].activities[<activityId>].cost`.
+ */
+
+/**
+ * Check whether a value is a plain object (not an array, date or ID)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => (
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !value._bsontype
+);
+
+/**
+ * Check whether an array holds items with IDs, like days and activities
+ * @param {Array} value - Array to check
+ * @returns {boolean}
+ */
+const isIdentifiedList = (value) => (
+  Array.isArray(value) && value.length > 0 && value.every(item => isPlainObject(item) && item._id)
+);
+
+// Compare dates, IDs and nested values by their JSON form
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Collect the differences between two values
+ * @param {string} path - Path of the values
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {Array<Object>} changes - Differences found so far
+ */
+const diffValues = (path, before, after, changes) => {
+  if (sameValue(before, after)) {
+    return;
+  }
+
+  const beforeIsList = isIdentifiedList(before) || (Array.isArray(before) && before.length === 0);
+  const afterIsList = isIdentifiedList(after) || (Array.isArray(after) && after.length === 0);
+
+  if (beforeIsList && afterIsList && (before.length > 0 || after.length > 0)) {
+    diffLists(path, before, after, changes);
+  } else if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.delete('_id');
+    keys.forEach(key => diffValues(path ? `${path}.${key}` : key, before[key], after[key], changes));
+  } else if (before === undefined) {
+    changes.push({ op: 'add', path, value: after });
+  } else if (after === undefined) {
+    changes.push({ op: 'remove', path, oldValue: before });
+  } else {
+    changes.push({ op: 'replace', path, oldValue: before, value: after });
+  }
+};
+
+/**
+ * Collect the differences between two lists of items with IDs
+ * @param {string} path - Path of the lists
+ * @param {Array<Object>} before - Old items
+ * @param {Array<Object>} after - New items
+ * @param {Array<Object>} changes - Differences found so far
+ */
+const diffLists = (path, before, after, changes) => {
+  const beforeById = new Map(before.map(item => [item._id.toString(), item]));
+  const afterById = new Map(after.map(item => [item._id.toString(), item]));
+
+  before.forEach((item, index) => {
+    const id = item._id.toString();
+    if (!afterById.has(id)) {
+      changes.push({ op: 'remove', path: `${path}[${id}]`, index, oldValue: item });
+    }
+  });
+
+  after.forEach((item, index) => {
+    const id = item._id.toString();
+    if (beforeById.has(id)) {
+      diffValues(`${path}[${id}]`, beforeById.get(id), item, changes);
+    } else {
+      changes.push({ op: 'add', path: `${path}[${id}]`, index, value: item });
+    }
+  });
+
+  // Items present in both versions but in a different order
+  const keptBefore = before.map(item => item._id.toString()).filter(id => afterById.has(id));
+  const keptAfter = after.map(item => item._id.toString()).filter(id => beforeById.has(id));
+
+  if (!sameValue(keptBefore, keptAfter)) {
+    changes.push({ op: 'reorder', path, oldValue: keptBefore, value: keptAfter });
+  }
+};
+
+/**
+ * List the differences between two itinerary snapshots
+ * @param {Object|null} before - Older snapshot, or null for a new itinerary
+ * @param {Object} after - Newer snapshot
+ * @returns {Array<Object>} - Changes as `{ op, path, oldValue, value }`, where
+ *   `op` is 'add', 'remove', 'replace' or 'reorder'
+ */
+const diffSnapshots = (before, after) => {
+  const changes = [];
+  diffValues('', before || {}, after, changes);
+  return changes;
+};
+
+module.exports = {
+  diffSnapshots
+};
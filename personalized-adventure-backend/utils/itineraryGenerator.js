@@ -0,0 +1,537 @@
+const { BUDGET_LIMITS } = require('./budget');
+const {
+  DEFAULT_TRAVEL_MODE,
+  toMinutes,
+  toTimeOfDay,
+  getCoordinates,
+  estimateTravelMinutes,
+  fitsOpeningHours
+} = require('./schedule');
+const { normalizeTime, toDateKey } = require('./timeZones');
+
+/**
+ * Preference-driven itinerary generation.
+ *
+ * A day is a list of time slots for meals and activities, with more and
+ * longer slots for more adventurous travel styles. Slots are filled in order
+ * with the best-scoring candidate from the places and events in the location.
+ * Candidates score for matching the user's interests and travel style, for
+ * fitting the budget and the weather, and for being close to the previous
+ * activity, and lose points for repeating a place. Candidates that are closed,
+ * cannot be reached in time, cost more than the day has left or are outdoors
+ * in a storm are never picked.
+ *
+ * Each pick keeps the reasons it scored, so the itinerary can explain itself.
+ * Prices are in US dollars, like the budget limits in utils/budget.js.
+ */
+
+// Longest trip, in days, that is generated in one request
+const MAX_TRIP_DAYS = 30;
+
+// Meal and activity slots of a day for each travel style, in the destination's local time
+const DAY_SLOTS = {
+  relaxed: [
+    { meal: 'breakfast', start: '09:00', end: '10:00' },
+    { start: '10:30', end: '12:30' },
+    { meal: 'lunch', start: '13:00', end: '14:30' },
+    { start: '15:30', end: '17:30' },
+    { meal: 'dinner', start: '19:30', end: '21:30' }
+  ],
+  moderate: [
+    { meal: 'breakfast', start: '08:00', end: '09:00' },
+    { start: '09:30', end: '12:00' },
+    { meal: 'lunch', start: '12:30', end: '13:45' },
+    { start: '14:15', end: '16:45' },
+    { start: '17:15', end: '19:00' },
+    { meal: 'dinner', start: '19:30', end: '21:30' }
+  ],
+  adventurous: [
+    { meal: 'breakfast', start: '07:30', end: '08:15' },
+    { start: '08:30', end: '12:00' },
+    { meal: 'lunch', start: '12:30', end: '13:30' },
+    { start: '13:45', end: '16:45' },
+    { start: '17:00', end: '19:00' },
+    { meal: 'dinner', start: '19:30', end: '21:00' },
+    { start: '21:30', end: '23:30' }
+  ]
+};
+
+const DEFAULT_TRAVEL_STYLE = 'moderate';
+const DEFAULT_BUDGET = 'medium';
+
+// Intensity of activities that suits each travel style, from 1 (relaxed) to 3 (adventurous)
+const STYLE_INTENSITY = {
+  relaxed: 1,
+  moderate: 2,
+  adventurous: 3
+};
+
+// Tags of events by type, for matching against interests
+const EVENT_TAGS = {
+  Concert: ['music', 'concerts', 'nightlife'],
+  Festival: ['festivals', 'music', 'culture'],
+  Exhibition: ['exhibitions', 'art', 'museums', 'culture'],
+  Sports: ['sports'],
+  Theater: ['theater', 'culture'],
+  Workshop: ['workshops'],
+  Conference: ['conferences'],
+  'Food & Drink': ['food', 'wine']
+};
+
+// Event types held outdoors
+const OUTDOOR_EVENT_TYPES = ['Festival', 'Sports'];
+
+// Events only give a start time
+const EVENT_DURATION_MINUTES = 120;
+
+// Points for each part of a candidate's score
+const SCORES = {
+  interest: 3,
+  maxInterestMatches: 2,
+  style: 1,
+  withinBudget: 1,
+  overBudget: -2,
+  sunnyOutdoors: 1,
+  wetOutdoors: -4,
+  wetIndoors: 2,
+  event: 2,
+  repeatedPlace: -5,
+  repeatedType: -2,
+  travelMinutes: -1 / 20,
+  // Lowest score for an activity to be planned rather than leaving the time free
+  minimumActivity: -2,
+  // Events take a set part of the day, so they need to match an interest to be planned
+  minimumEvent: 5
+};
+
+// Slots cut shorter than this by an event are left out
+const MIN_SLOT_MINUTES = 45;
+
+// Visits start on the quarter hour
+const TIME_STEP_MINUTES = 15;
+
+// Travel this short is worth mentioning
+const NEARBY_MINUTES = 10;
+
+/**
+ * Normalize an interest or tag so "Museums" matches "museum"
+ * @param {string} term - Interest or tag
+ * @returns {string}
+ */
+const normalizeTerm = (term) => String(term).trim().toLowerCase().replace(/s$/, '');
+
+/**
+ * Sort a weather type into the conditions that matter for planning
+ * @param {string} [weatherType] - E.g. "sunny" or "Patchy rain possible"
+ * @returns {string} - 'stormy', 'wet', 'sunny', 'mild' or 'unknown'
+ */
+const classifyWeather = (weatherType) => {
+  if (!weatherType) {
+    return 'unknown';
+  }
+  if (/storm|thunder/i.test(weatherType)) {
+    return 'stormy';
+  }
+  if (/rain|shower|drizzle|snow|sleet/i.test(weatherType)) {
+    return 'wet';
+  }
+  return /sun|clear/i.test(weatherType) ? 'sunny' : 'mild';
+};
+
+/**
+ * Combine the preferences sent for a trip with the ones saved for the user.
+ * Preferences sent for the trip win; ones set in neither are left out so the
+ * itinerary's defaults apply.
+ * @param {Object} [requested] - Preferences sent for the trip
+ * @param {Object} [saved] - The user's saved preferences
+ * @returns {Object} - `activities`, `budget`, `travelStyle` and `travelMode`
+ */
+const mergePreferences = (requested = {}, saved = {}) => ['activities', 'budget', 'travelStyle', 'travelMode']
+  .reduce((preferences, field) => {
+    const value = requested[field] !== undefined ? requested[field] : saved[field];
+    if (value !== undefined && value !== null) {
+      preferences[field] = field === 'activities' ? [...value] : value;
+    }
+    return preferences;
+  }, {});
+
+/**
+ * Turn places and the day's events into candidates with the same shape
+ * @param {Array<Object>} places - From utils/placesAPI.js
+ * @param {Array<Object>} events - Events on the day, from utils/eventsAPI.js
+ * @returns {Array<Object>}
+ */
+const toCandidates = (places, events) => [
+  ...places.map(place => ({
+    ...place,
+    key: `place:${place.id || place.name}`,
+    meals: place.meals || [],
+    tags: place.tags || [],
+    intensity: place.intensity || 1,
+    price: Number(place.price) || 0
+  })),
+  ...events
+    .filter(event => normalizeTime(event.time))
+    .map(event => ({
+      ...event,
+      key: `event:${event.id || event.name}`,
+      isEvent: true,
+      startTime: normalizeTime(event.time),
+      meals: [],
+      tags: EVENT_TAGS[event.type] || [],
+      indoor: !OUTDOOR_EVENT_TYPES.includes(event.type),
+      intensity: 2,
+      price: Number(event.price) || 0,
+      durationMinutes: EVENT_DURATION_MINUTES
+    }))
+];
+
+/**
+ * Work out when a place would be visited in a slot, if it fits at all
+ * @param {Object} candidate - Place candidate from `toCandidates`
+ * @param {Object} slot - Slot with `start` and `end` in minutes
+ * @param {number} earliest - Earliest start after travelling from the previous activity
+ * @param {number} weekday - Day of the week from 0 (Sunday)
+ * @returns {Object|null} - `{ start, end }` in minutes, or null if it does not fit
+ */
+const scheduleVisit = (candidate, slot, earliest, weekday) => {
+  const start = Math.ceil(earliest / TIME_STEP_MINUTES) * TIME_STEP_MINUTES;
+  const end = start + (candidate.durationMinutes || slot.end - start);
+  if (end > slot.end) {
+    return null;
+  }
+
+  const periods = (candidate.openingHours || []).filter(period => (period.days || []).includes(weekday));
+  if (candidate.openingHours && candidate.openingHours.length > 0 && !fitsOpeningHours(periods, start, end)) {
+    return null;
+  }
+
+  return { start, end };
+};
+
+/**
+ * Score a candidate for a slot
+ * @param {Object} candidate - Candidate from `toCandidates`
+ * @param {Object} context - What is known about the day so far
+ * @returns {Object|null} - `{ score, reasons }`, or null if it cannot be picked
+ */
+const scoreCandidate = (candidate, context) => {
+  const { preferences, interests, weather, allowance, remainingBudget, travelMinutes, previous, usedKeys, dayTypes, date } = context;
+  const reasons = [];
+  let score = 0;
+
+  if (candidate.price > remainingBudget) {
+    return null;
+  }
+
+  const conditions = classifyWeather(weather && weather.weatherType);
+  if (!candidate.indoor && conditions === 'stormy') {
+    return null;
+  }
+
+  const tags = candidate.tags.map(normalizeTerm);
+  const matches = interests.filter(interest => tags.includes(normalizeTerm(interest)));
+  if (matches.length > 0) {
+    score += SCORES.interest * Math.min(matches.length, SCORES.maxInterestMatches);
+    reasons.push(`Matches your interest in ${matches.join(' and ')}`);
+  }
+
+  // Meals suit any travel style
+  if (candidate.meals.length === 0) {
+    const styleFit = 1 - Math.abs(candidate.intensity - STYLE_INTENSITY[preferences.travelStyle]);
+    score += SCORES.style * styleFit;
+    if (styleFit === 1) {
+      reasons.push(`Suits your ${preferences.travelStyle} travel style`);
+    }
+  }
+
+  if (candidate.price <= allowance) {
+    score += SCORES.withinBudget;
+    reasons.push(candidate.price === 0 ? 'Free' : `Fits your ${preferences.budget} budget at $${candidate.price}`);
+  } else {
+    score += SCORES.overBudget * (candidate.price - allowance) / allowance;
+  }
+
+  if (candidate.indoor && (conditions === 'wet' || conditions === 'stormy')) {
+    score += SCORES.wetIndoors;
+    reasons.push(`Indoors, out of the ${weather.weatherType} weather`);
+  } else if (!candidate.indoor && conditions === 'wet') {
+    score += SCORES.wetOutdoors;
+  } else if (!candidate.indoor && conditions === 'sunny') {
+    score += SCORES.sunnyOutdoors;
+    reasons.push(`Outdoors on a ${weather.weatherType} day`);
+  }
+
+  if (candidate.isEvent) {
+    score += SCORES.event;
+    reasons.push(`Only on ${date}`);
+  }
+
+  if (usedKeys.has(candidate.key)) {
+    score += SCORES.repeatedPlace;
+  } else if (dayTypes.has(candidate.type)) {
+    score += SCORES.repeatedType;
+  }
+
+  score += SCORES.travelMinutes * travelMinutes;
+  if (previous && travelMinutes <= NEARBY_MINUTES) {
+    reasons.push(`About ${travelMinutes} minutes by ${preferences.travelMode} from ${previous.name}`);
+  }
+
+  return { score: Math.round(score * 10) / 10, reasons };
+};
+
+/**
+ * Build the activity for a picked candidate
+ * @param {Object} candidate - Candidate from `toCandidates`
+ * @param {Object} visit - `{ start, end }` in minutes
+ * @returns {Object} - Activity fields
+ */
+const toActivity = (candidate, visit) => {
+  const location = {
+    name: candidate.location.name,
+    address: candidate.location.address,
+    coordinates: getCoordinates(candidate) || undefined
+  };
+  if (candidate.openingHours) {
+    location.openingHours = candidate.openingHours;
+  }
+
+  return {
+    name: candidate.name,
+    description: candidate.description,
+    startTime: toTimeOfDay(visit.start),
+    endTime: toTimeOfDay(visit.end),
+    location,
+    category: candidate.isEvent ? 'event' : (candidate.meals.length > 0 ? 'food' : 'attraction'),
+    cost: candidate.price,
+    weatherDependent: !candidate.indoor,
+    // Events happen at their time, so route optimization leaves them in place
+    fixedTime: Boolean(candidate.isEvent)
+  };
+};
+
+/**
+ * Name a slot for notes, e.g. "lunch" or "afternoon"
+ * @param {Object} slot - Slot with `start` in minutes
+ * @returns {string}
+ */
+const slotLabel = (slot) => {
+  if (slot.meal) {
+    return slot.meal;
+  }
+  if (slot.start < 12 * 60) {
+    return 'morning';
+  }
+  return slot.start < 17 * 60 ? 'afternoon' : 'evening';
+};
+
+/**
+ * Make room in the day's slots for a fixed time: slots during it are cut
+ * short, and ones left too short for anything are dropped
+ * @param {Array<Object>} slots - Slots with `start` and `end` in minutes
+ * @param {Object} window - `{ start, end }` to keep free, in minutes
+ * @returns {Object} - `{ slots, dropped }`, where `dropped` are the slots left out
+ */
+const makeRoom = (slots, window) => slots.reduce((result, slot) => {
+  if (slot.end <= window.start || slot.start >= window.end) {
+    result.slots.push(slot);
+    return result;
+  }
+
+  // Keep the longer part of the slot, before or after the window
+  const before = { ...slot, end: window.start };
+  const after = { ...slot, start: window.end };
+  const longer = before.end - before.start >= after.end - after.start ? before : after;
+  if (longer.end - longer.start >= MIN_SLOT_MINUTES) {
+    result.slots.push(longer);
+  } else {
+    result.dropped.push(slot);
+  }
+  return result;
+}, { slots: [], dropped: [] });
+
+/**
+ * Fit the day's slots around an event. A meal that no longer fits is moved to
+ * just before the event; other slots that no longer fit are left out.
+ * @param {Array<Object>} slots - Slots with `start` and `end` in minutes
+ * @param {Object} event - Picked event with its `candidate` and `visit`
+ * @param {Array<string>} notes - Notes on the day, which changes are added to
+ * @returns {Array<Object>} - The remaining slots
+ */
+const fitAroundEvent = (slots, event, notes) => {
+  const { name } = event.candidate;
+  let { slots: remaining, dropped } = makeRoom(slots, event.visit);
+
+  dropped.filter(slot => slot.meal).forEach(meal => {
+    const moved = { ...meal, start: event.visit.start - (meal.end - meal.start), end: event.visit.start };
+    const result = makeRoom(remaining, moved);
+    remaining = [...result.slots, moved];
+    dropped = [...dropped, ...result.dropped];
+    notes.push(`${meal.meal.charAt(0).toUpperCase()}${meal.meal.slice(1)} moved to ${toTimeOfDay(moved.start)} to make way for ${name}`);
+  });
+
+  dropped.filter(slot => !slot.meal).forEach(slot => {
+    notes.push(`The ${slotLabel(slot)} slot (${toTimeOfDay(slot.start)}-${toTimeOfDay(slot.end)}) made way for ${name}`);
+  });
+
+  return remaining.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Plan one day: reserve the time of the best event, if one is good enough,
+ * then fill the slots around it in order
+ * @param {Object} options - `date`, `candidates`, `weather`, `preferences`,
+ *   `interests` and the trip's `usedKeys`, which picks are added to
+ * @returns {Object} - Day plan, see `planTripDays`
+ */
+const planDay = ({ date, candidates, weather, preferences, interests, usedKeys }) => {
+  const dateKey = toDateKey(date);
+  const weekday = new Date(dateKey).getUTCDay();
+  const limit = BUDGET_LIMITS[preferences.budget];
+  const dayKeys = new Set();
+  const dayTypes = new Set();
+  const picks = [];
+  const notes = [];
+  let slots = DAY_SLOTS[preferences.travelStyle]
+    .map(slot => ({ ...slot, start: toMinutes(slot.start), end: toMinutes(slot.end) }));
+  let spent = 0;
+  let previous = null;
+  let previousEnd = 0;
+
+  const conditions = classifyWeather(weather && weather.weatherType);
+  const forecast = weather && weather.weatherType && `${weather.weatherType.charAt(0).toUpperCase()}${weather.weatherType.slice(1)}`;
+  if (conditions === 'stormy') {
+    notes.push(`${forecast} weather expected, so outdoor activities were left out`);
+  } else if (conditions === 'wet') {
+    notes.push(`${forecast} weather expected, so indoor activities were preferred`);
+  } else if (conditions === 'unknown') {
+    notes.push('No weather forecast for this day');
+  }
+
+  const baseContext = { preferences, interests, weather, date: dateKey, usedKeys, dayTypes };
+
+  // Events happen at a set time, so the best one is placed first and the day is planned around it
+  const event = candidates
+    .filter(candidate => candidate.isEvent)
+    .map(candidate => {
+      const rating = scoreCandidate(candidate, {
+        ...baseContext,
+        remainingBudget: limit,
+        allowance: limit / slots.length,
+        travelMinutes: 0,
+        previous: null
+      });
+      const start = toMinutes(candidate.startTime);
+      return rating && { candidate, visit: { start, end: start + candidate.durationMinutes }, ...rating };
+    })
+    .filter(option => option && option.score >= SCORES.minimumEvent)
+    .reduce((top, option) => (!top || option.score > top.score ? option : top), null);
+
+  let plan = slots;
+  if (event) {
+    slots = fitAroundEvent(slots, event, notes);
+    plan = [...slots, { start: event.visit.start, event }].sort((a, b) => a.start - b.start);
+    spent += event.candidate.price;
+  }
+
+  // Money is kept back for the meals still to come, at the cheapest place for each
+  const cheapestMeal = (meal) => Math.min(
+    ...candidates.filter(candidate => candidate.meals.includes(meal)).map(candidate => candidate.price),
+    Infinity
+  );
+  const mealReserve = (slotIndex) => plan.slice(slotIndex + 1)
+    .filter(slot => slot.meal && Number.isFinite(cheapestMeal(slot.meal)))
+    .reduce((total, slot) => total + cheapestMeal(slot.meal), 0);
+
+  let slotsLeft = slots.length;
+  plan.forEach((slot, slotIndex) => {
+    let best = slot.event;
+
+    if (!best) {
+      const remainingBudget = limit - spent - mealReserve(slotIndex);
+      const context = { ...baseContext, remainingBudget, allowance: remainingBudget / slotsLeft, previous };
+      slotsLeft -= 1;
+
+      const options = candidates
+        .filter(candidate => !candidate.isEvent && !dayKeys.has(candidate.key))
+        .filter(candidate => (slot.meal ? candidate.meals.includes(slot.meal) : candidate.meals.length === 0))
+        .map(candidate => {
+          const from = previous && getCoordinates(previous);
+          const to = getCoordinates(candidate);
+          const travelMinutes = from && to ? estimateTravelMinutes(from, to, preferences.travelMode) : 0;
+          const visit = scheduleVisit(candidate, slot, Math.max(slot.start, previousEnd + travelMinutes), weekday);
+          const rating = visit && scoreCandidate(candidate, { ...context, travelMinutes });
+          return rating && { candidate, visit, ...rating };
+        })
+        // Free time is better than a poor activity, but meals are always planned
+        .filter(option => option && (slot.meal || option.score >= SCORES.minimumActivity));
+
+      if (options.length === 0) {
+        notes.push(`Nothing suitable for the ${slotLabel(slot)} (${toTimeOfDay(slot.start)}-${toTimeOfDay(slot.end)}), so it was left free`);
+        return;
+      }
+
+      // The first of equally good candidates is picked
+      best = options.reduce((top, option) => (option.score > top.score ? option : top));
+      spent += best.candidate.price;
+    }
+
+    picks.push({ activity: toActivity(best.candidate, best.visit), score: best.score, reasons: best.reasons });
+    usedKeys.add(best.candidate.key);
+    dayKeys.add(best.candidate.key);
+    dayTypes.add(best.candidate.type);
+    previous = best.candidate;
+    previousEnd = best.visit.end;
+  });
+
+  return {
+    date: dateKey,
+    weather: weather && weather.weatherType ? weather.weatherType : null,
+    budget: { limit, spent },
+    notes,
+    activities: picks
+  };
+};
+
+/**
+ * Plan the days of a trip from the places, events and weather in its location
+ * @param {Object} options
+ * @param {Array<Date>} options.dates - Dates of the trip, from `listTripDates`
+ * @param {Array<Object>} options.places - Places from utils/placesAPI.js
+ * @param {Array<Object>} [options.events] - Events from utils/eventsAPI.js
+ * @param {Array<Object>} [options.weather] - Daily forecast from utils/weatherAPI.js
+ * @param {Object} [options.preferences] - `activities` (interests), `budget`,
+ *   `travelStyle` and `travelMode`
+ * @returns {Array<Object>} - One plan per date: `{ date, weather, budget: { limit, spent },
+ *   notes, activities }`, where each of `activities` is `{ activity, score, reasons }`
+ *   and `activity` has the fields of an itinerary activity
+ */
+const planTripDays = ({ dates, places, events = [], weather = [], preferences = {} }) => {
+  const resolved = {
+    travelStyle: DAY_SLOTS[preferences.travelStyle] ? preferences.travelStyle : DEFAULT_TRAVEL_STYLE,
+    budget: BUDGET_LIMITS[preferences.budget] ? preferences.budget : DEFAULT_BUDGET,
+    travelMode: preferences.travelMode || DEFAULT_TRAVEL_MODE
+  };
+  const interests = (preferences.activities || []).filter(Boolean);
+  const usedKeys = new Set();
+
+  return dates.map(date => {
+    const dateKey = toDateKey(date);
+    return planDay({
+      date,
+      candidates: toCandidates(places, events.filter(event => event.date === dateKey)),
+      weather: weather.find(forecast => forecast.date === dateKey),
+      preferences: resolved,
+      interests,
+      usedKeys
+    });
+  });
+};
+
+module.exports = {
+  DAY_SLOTS,
+  MAX_TRIP_DAYS,
+  mergePreferences,
+  planTripDays
+};
@@ -0,0 +1,192 @@
+/**
+ * Query options for listing itineraries.
+ *
+ * Lists are paged with an opaque cursor rather than page numbers, so pages
+ * stay stable while itineraries are added or removed. The cursor holds the
+ * sort it was made for, and the sort value and ID of the last itinerary on
+ * the previous page; `_id` breaks ties so no itinerary is skipped or repeated.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sortable fields; prefix with '-' for descending order
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'startDate', 'endDate', 'totalCost', 'title'];
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt', 'startDate', 'endDate'];
+const DEFAULT_SORT = '-createdAt';
+
+const SORT_OPTIONS = SORT_FIELDS.reduce((options, field) => options.concat(field, `-${field}`), []);
+
+/**
+ * Split a sort option into its field and direction
+ * @param {string} sort - One of `SORT_OPTIONS`
+ * @returns {Object} - `{ field, descending }`
+ */
+const parseSort = (sort) => {
+  const descending = sort.startsWith('-');
+  return { field: descending ? sort.slice(1) : sort, descending };
+};
+
+/**
+ * Encode the position after an itinerary as a cursor
+ * @param {Object} itinerary - Last itinerary on the page
+ * @param {string} sort - Sort option of the list, e.g. `-createdAt`
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (itinerary, sort) => Buffer.from(JSON.stringify({
+  sort,
+  value: itinerary[parseSort(sort).field],
+  id: itinerary._id.toString()
+})).toString('base64url');
+
+/**
+ * Decode a cursor from the query string. Date values are turned back into dates.
+ * @param {string} cursor - Cursor from `nextCursor`
+ * @returns {Object|null} - `{ sort, value, id }`, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { sort, value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/i.test(id)) {
+      throw new Error('Bad ID');
+    }
+
+    if (!SORT_OPTIONS.includes(sort)) {
+      throw new Error('Bad sort');
+    }
+
+    return {
+      sort,
+      value: DATE_SORT_FIELDS.includes(parseSort(sort).field) && value !== null ? new Date(value) : value,
+      id
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the UTC start and end of a YYYY-MM-DD day
+ * @param {string} date - Day
+ * @returns {Array<Date>} - `[start, end]`
+ */
+const dayBounds = (date) => {
+  const start = new Date(`${date.slice(0, 10)}T00:00:00.000Z`);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000 - 1);
+  return [start, end];
+};
+
+/**
+ * Build the filter conditions for the query string filters
+ * @param {Object} query - Validated query parameters
+ * @returns {Array<Object>} - MongoDB conditions to combine with `$and`
+ */
+const buildFilterConditions = (query) => {
+  const conditions = [];
+
+  if (query.location) {
+    // Escape regex metacharacters so the location is matched literally
+    const pattern = new RegExp(query.location.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    conditions.push({ location: pattern });
+  }
+
+  // `date` finds itineraries covering a single day; `from`/`to` find any overlap with a range
+  const from = query.date || query.from;
+  const to = query.date || query.to;
+
+  if (from) {
+    conditions.push({ endDate: { $gte: dayBounds(from)[0] } });
+  }
+
+  if (to) {
+    conditions.push({ startDate: { $lte: dayBounds(to)[1] } });
+  }
+
+  if (query.category) {
+    conditions.push({ 'days.activities.category': { $in: query.category.split(',').map(value => value.trim()) } });
+  }
+
+  if (query.minCost !== undefined || query.maxCost !== undefined) {
+    const cost = {};
+    if (query.minCost !== undefined) cost.$gte = Number(query.minCost);
+    if (query.maxCost !== undefined) cost.$lte = Number(query.maxCost);
+    conditions.push({ totalCost: cost });
+  }
+
+  return conditions;
+};
+
+/**
+ * Turn list query parameters into a MongoDB query. The parameters must
+ * already be validated (see `itineraryListValidationRules` in routes/itinerary.js).
+ * The cursor must have been made for the same sort.
+ * @param {Object} baseFilter - Filter every result must match (e.g. access control)
+ * @param {Object} query - Validated query parameters
+ * @returns {Object} - `{ filter, pageFilter, sort, limit, sortOption }`; `filter` is used for the total count
+ */
+const buildItineraryQuery = (baseFilter, query = {}) => {
+  const sortOption = query.sort || DEFAULT_SORT;
+  const { field: sortField, descending } = parseSort(sortOption);
+  const direction = descending ? -1 : 1;
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const filter = { $and: [baseFilter, ...buildFilterConditions(query)] };
+  let pageFilter = filter;
+
+  if (query.cursor) {
+    const { value, id } = decodeCursor(query.cursor);
+    const operator = descending ? '$lt' : '$gt';
+
+    pageFilter = {
+      $and: [
+        ...filter.$and,
+        {
+          $or: [
+            { [sortField]: { [operator]: value } },
+            { [sortField]: value, _id: { [operator]: id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  return {
+    filter,
+    pageFilter,
+    sort: { [sortField]: direction, _id: direction },
+    limit,
+    sortOption
+  };
+};
+
+/**
+ * Build the pagination block of a list response
+ * @param {Array<Object>} results - Results fetched with `limit + 1`
+ * @param {Object} query - Result of `buildItineraryQuery`
+ * @returns {Object} - `{ data, pagination }`
+ */
+const paginate = (results, { limit, sortOption }) => {
+  const hasMore = results.length > limit;
+  const data = hasMore ? results.slice(0, limit) : results;
+
+  return {
+    data,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortOption) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  DEFAULT_SORT,
+  SORT_OPTIONS,
+  encodeCursor,
+  decodeCursor,
+  buildItineraryQuery,
+  paginate
+};
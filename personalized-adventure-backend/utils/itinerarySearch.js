@@ -0,0 +1,142 @@
+/**
+ * Full-text search helpers for itineraries.
+ *
+ * Matching and ranking are done by MongoDB's `itinerary_text` index (see
+ * models/Itinerary.js). These helpers work out which fields of a result
+ * matched and where, so the app can highlight them.
+ */
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+// Longer texts are cut down to a snippet around the first match
+const SNIPPET_LENGTH = 160;
+
+// Common English endings, so "restaurants" highlights "restaurant" like the text index matches it
+const SUFFIXES = ['ing', 'es', 'ed', 's'];
+
+/**
+ * Reduce a word to the prefix used to find it in text
+ * @param {string} word - Lower case word
+ * @returns {string} - Prefix
+ */
+const stem = (word) => {
+  const suffix = SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+};
+
+/**
+ * Get the words of a search that results are highlighted for. Negated
+ * words (`-word`) are left out; quoted phrases are split into words.
+ * @param {string} q - Search string, as sent to `$text`
+ * @returns {Array<string>} - Lower case prefixes, longest first
+ */
+const getSearchTerms = (q) => {
+  const words = q
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean)
+    .map(stem);
+
+  return [...new Set(words)].sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Find the search terms in a text
+ * @param {string} text - Text to search
+ * @param {Array<string>} terms - Result of `getSearchTerms`
+ * @returns {Object|null} - `{ text, ranges }` with `ranges` as `{ start, length }`
+ *   of each matched word, or null if nothing matched
+ */
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  let ranges = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = wordPattern.exec(text)) !== null) {
+    const word = match[0].toLowerCase();
+    if (terms.some(term => word.startsWith(term))) {
+      ranges.push({ start: match.index, length: match[0].length });
+    }
+  }
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  let snippet = text;
+
+  if (text.length > SNIPPET_LENGTH) {
+    // Start a little before the first match, on a word boundary
+    let start = Math.max(ranges[0].start - 40, 0);
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space !== -1 && space < ranges[0].start ? space + 1 : ranges[0].start;
+    }
+    const end = Math.min(start + SNIPPET_LENGTH, text.length);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    snippet = `${prefix}${text.slice(start, end)}${suffix}`;
+
+    ranges = ranges
+      .filter(range => range.start + range.length <= end)
+      .map(range => ({ start: range.start - start + prefix.length, length: range.length }));
+  }
+
+  return { text: snippet, ranges };
+};
+
+/**
+ * Build a search result for an itinerary
+ * @param {Object} itinerary - Itinerary document with its text `score`
+ * @param {Array<string>} terms - Result of `getSearchTerms`
+ * @returns {Object} - Itinerary summary, score and highlighted matches
+ */
+const buildSearchResult = (itinerary, terms) => {
+  const matches = [];
+
+  const addMatch = (field, text, position = {}) => {
+    const highlighted = highlight(text, terms);
+    if (highlighted) {
+      matches.push({ field, ...position, ...highlighted });
+    }
+  };
+
+  addMatch('title', itinerary.title);
+  addMatch('location', itinerary.location);
+
+  (itinerary.days || []).forEach((day, dayIndex) => {
+    (day.activities || []).forEach((activity, activityIndex) => {
+      const position = { dayIndex, activityIndex, activityId: activity._id };
+      addMatch('activity.name', activity.name, position);
+      addMatch('activity.description', activity.description, position);
+    });
+  });
+
+  return {
+    itinerary: {
+      _id: itinerary._id,
+      title: itinerary.title,
+      location: itinerary.location,
+      startDate: itinerary.startDate,
+      endDate: itinerary.endDate
+    },
+    score: itinerary.score,
+    matches
+  };
+};
+
+module.exports = {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  getSearchTerms,
+  highlight,
+  buildSearchResult
+};
@@ -0,0 +1,289 @@
+/**
+ * JSON Patch (RFC 6902) for syncing itineraries with offline clients.
+ *
+ * `createPatch` describes how to turn one JSON document into another, and
+ * `applyPatch` applies a client's patch. Both work on plain JSON values, so
+ * dates and IDs must already be strings.
+ */
+
+// Operations a client may send
+const PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Escape a key for use in a JSON Pointer
+ * @param {string} key - Object key or array index
+ * @returns {string} - Escaped pointer token
+ */
+const escapeToken = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Split a JSON Pointer into its keys
+ * @param {string} pointer - JSON Pointer, e.g. `/days/0/activities`
+ * @returns {Array<string>|null} - Keys, or null if the pointer is malformed or unsafe
+ */
+const parsePointer = (pointer) => {
+  if (pointer === '') {
+    return [];
+  }
+
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    return null;
+  }
+
+  const keys = pointer
+    .slice(1)
+    .split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  // Never let a patch reach object prototypes
+  return keys.some(key => UNSAFE_KEYS.includes(key)) ? null : keys;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Compare two JSON values, ignoring the order of object keys
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+const deepEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && deepEqual(a[key], b[key]));
+  }
+
+  return a === b;
+};
+
+/**
+ * Check whether two arrays hold the same items with IDs in the same order
+ * @param {Array} before - Old array
+ * @param {Array} after - New array
+ * @returns {boolean}
+ */
+const sameIdentifiedItems = (before, after) => (
+  before.length === after.length &&
+  before.every((item, index) => isObject(item) && isObject(after[index]) && item._id && item._id === after[index]._id)
+);
+
+/**
+ * Collect the operations turning one value into another
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {string} path - JSON Pointer of the values
+ * @param {Array<Object>} patch - Operations found so far
+ */
+const diff = (before, after, path, patch) => {
+  if (deepEqual(before, after)) {
+    return;
+  }
+
+  if (isObject(before) && isObject(after)) {
+    Object.keys(before).forEach(key => {
+      if (!(key in after)) {
+        patch.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+      }
+    });
+
+    Object.keys(after).forEach(key => {
+      const keyPath = `${path}/${escapeToken(key)}`;
+      if (key in before) {
+        diff(before[key], after[key], keyPath, patch);
+      } else {
+        patch.push({ op: 'add', path: keyPath, value: after[key] });
+      }
+    });
+    return;
+  }
+
+  // Days and activities are compared item by item while the same items are
+  // in the same order; otherwise the whole list is replaced, which keeps
+  // array indexes in the patch unambiguous
+  if (Array.isArray(before) && Array.isArray(after) && sameIdentifiedItems(before, after)) {
+    before.forEach((item, index) => diff(item, after[index], `${path}/${index}`, patch));
+    return;
+  }
+
+  patch.push({ op: 'replace', path, value: after });
+};
+
+/**
+ * Create a JSON Patch turning one document into another
+ * @param {Object} before - Old document
+ * @param {Object} after - New document
+ * @returns {Array<Object>} - JSON Patch operations
+ */
+const createPatch = (before, after) => {
+  const patch = [];
+  diff(before, after, '', patch);
+  return patch;
+};
+
+/**
+ * Find the container and key a pointer refers to
+ * @param {Object} document - Document being patched
+ * @param {Array<string>} keys - Parsed pointer
+ * @returns {Object|null} - `{ parent, key }`, or null if the parent does not exist
+ */
+const resolveParent = (document, keys) => {
+  let parent = document;
+
+  for (const key of keys.slice(0, -1)) {
+    if (Array.isArray(parent) ? !/^\d+$/.test(key) || Number(key) >= parent.length : !isObject(parent) || !(key in parent)) {
+      return null;
+    }
+    parent = parent[key];
+  }
+
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    return null;
+  }
+
+  return { parent, key: keys[keys.length - 1] };
+};
+
+/**
+ * Read the value at a pointer
+ * @param {Object} document - Document being patched
+ * @param {Array<string>} keys - Parsed pointer
+ * @returns {Object} - `{ found, value }`
+ */
+const getValue = (document, keys) => {
+  const target = resolveParent(document, keys);
+  if (!target) {
+    return { found: false };
+  }
+
+  const { parent, key } = target;
+  const found = Array.isArray(parent) ? /^\d+$/.test(key) && Number(key) < parent.length : key in parent;
+  return { found, value: found ? parent[key] : undefined };
+};
+
+/**
+ * Insert or set a value at a pointer
+ * @param {Object} document - Document being patched
+ * @param {Array<string>} keys - Parsed pointer
+ * @param {*} value - Value to insert
+ * @returns {boolean} - False if the location is invalid
+ */
+const addValue = (document, keys, value) => {
+  const target = resolveParent(document, keys);
+  if (!target) {
+    return false;
+  }
+
+  const { parent, key } = target;
+
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : Number(key);
+    if (!/^(\d+|-)$/.test(key) || index > parent.length) {
+      return false;
+    }
+    parent.splice(index, 0, value);
+  } else {
+    parent[key] = value;
+  }
+
+  return true;
+};
+
+/**
+ * Remove the value at a pointer
+ * @param {Object} document - Document being patched
+ * @param {Array<string>} keys - Parsed pointer
+ * @returns {boolean} - False if there is no value there
+ */
+const removeValue = (document, keys) => {
+  if (!getValue(document, keys).found) {
+    return false;
+  }
+
+  const { parent, key } = resolveParent(document, keys);
+
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+
+  return true;
+};
+
+/**
+ * Apply a JSON Patch. The document is not modified; operations apply to a
+ * copy and the whole patch fails if any operation fails.
+ * @param {Object} document - Document to patch
+ * @param {Array<Object>} patch - JSON Patch operations
+ * @returns {Object} - `{ document }` with the result, or `{ error, index, failedTest }`
+ *   describing the first operation that could not be applied
+ */
+const applyPatch = (document, patch) => {
+  const result = clone(document);
+
+  for (let index = 0; index < patch.length; index++) {
+    const { op, path, from, value } = patch[index];
+    const keys = parsePointer(path);
+    const fail = (error) => ({ error: `Operation ${index} (${op} ${path}): ${error}`, index, failedTest: op === 'test' });
+
+    if (!keys || keys.length === 0) {
+      return fail('path must point inside the document');
+    }
+
+    if (op === 'add' || op === 'replace') {
+      if (value === undefined) {
+        return fail('value is required');
+      }
+      if (op === 'replace' && !removeValue(result, keys)) {
+        return fail('nothing to replace');
+      }
+      if (!addValue(result, keys, clone(value))) {
+        return fail('location does not exist');
+      }
+    } else if (op === 'remove') {
+      if (!removeValue(result, keys)) {
+        return fail('nothing to remove');
+      }
+    } else if (op === 'move' || op === 'copy') {
+      const fromKeys = parsePointer(from);
+      const source = fromKeys && fromKeys.length > 0 ? getValue(result, fromKeys) : { found: false };
+
+      if (!source.found) {
+        return fail('from does not exist');
+      }
+      if (op === 'move' && path.startsWith(`${from}/`)) {
+        return fail('cannot move a value into itself');
+      }
+      if (op === 'move') {
+        removeValue(result, fromKeys);
+      }
+      if (!addValue(result, keys, clone(source.value))) {
+        return fail('location does not exist');
+      }
+    } else if (op === 'test') {
+      const current = getValue(result, keys);
+      if (!current.found || !deepEqual(current.value, value)) {
+        return fail('test failed');
+      }
+    } else {
+      return fail(`op must be one of: ${PATCH_OPERATIONS.join(', ')}`);
+    }
+  }
+
+  return { document: result };
+};
+
+module.exports = {
+  PATCH_OPERATIONS,
+  parsePointer,
+  createPatch,
+  applyPatch
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const { sendMail } = require('./mailer');
+
+/**
+ * Per-account login protection.
+ *
+ * `authLimiter` only limits by IP, so guesses spread over many addresses are
+ * counted here against the account instead. After `MAX_FAILED_ATTEMPTS`
+ * consecutive failures the account is locked; each further lockout before a
+ * successful login doubles the lock time, up to `MAX_LOCKOUT_MS`.
+ *
+ * Every attempt is recorded as a `LoginEvent`. A successful login from a
+ * device with no earlier successful login is flagged as a new device and the
+ * user is emailed; the app also shows these events as notifications.
+ */
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const BASE_LOCKOUT_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Get the lock time for the next lockout
+ * @param {number} lockoutCount - Lockouts since the last successful login
+ * @returns {number} - Lock duration in milliseconds
+ */
+const getLockoutDuration = (lockoutCount) => {
+  return Math.min(BASE_LOCKOUT_MS * Math.pow(2, lockoutCount), MAX_LOCKOUT_MS);
+};
+
+/**
+ * Get how long an account stays locked
+ * @param {Object} user - The user document
+ * @returns {number} - Remaining lock time in milliseconds, 0 if not locked
+ */
+const getLockoutRemainingMs = (user) => {
+  const lockedUntil = user.loginSecurity && user.loginSecurity.lockedUntil;
+  return lockedUntil ? Math.max(0, new Date(lockedUntil).getTime() - Date.now()) : 0;
+};
+
+/**
+ * Collect the request metadata stored with a login event
+ * @param {Object} req - Express request object
+ * @returns {Object} - `{ ip, userAgent, deviceFingerprint }`
+ */
+const getLoginMetadata = (req) => {
+  const userAgent = req.header('user-agent') || '';
+  // The app sends a random per-install ID; other clients fall back to the user agent
+  const deviceId = req.header('x-device-id') || userAgent;
+
+  return {
+    ip: req.ip,
+    userAgent,
+    deviceFingerprint: crypto.createHash('sha256').update(deviceId).digest('hex')
+  };
+};
+
+/**
+ * Record a rejected login and lock the account once it has too many failures
+ * @param {Object} user - The user document
+ * @param {Object} req - Express request object
+ * @param {string} reason - 'password', 'two-factor' or 'locked'
+ * @returns {Promise<number>} - Lock time in milliseconds if this attempt locked the account, otherwise 0
+ */
+const recordFailedLogin = async (user, req, reason) => {
+  await LoginEvent.create({
+    userId: user._id,
+    success: false,
+    failureReason: reason,
+    ...getLoginMetadata(req)
+  });
+
+  // Attempts made while locked do not extend the lock
+  if (reason === 'locked') {
+    return 0;
+  }
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': new Date() }
+    },
+    { new: true }
+  );
+
+  if (!updated || updated.loginSecurity.failedAttempts < MAX_FAILED_ATTEMPTS) {
+    return 0;
+  }
+
+  // Only the request that crosses the threshold applies the lock
+  const lockoutMs = getLockoutDuration(updated.loginSecurity.lockoutCount || 0);
+  const locked = await User.updateOne(
+    { _id: user._id, 'loginSecurity.failedAttempts': { $gte: MAX_FAILED_ATTEMPTS } },
+    {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockedUntil': new Date(Date.now() + lockoutMs)
+      },
+      $inc: { 'loginSecurity.lockoutCount': 1 }
+    }
+  );
+
+  if (!locked.modifiedCount) {
+    return 0;
+  }
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your Personalized Adventure account was locked',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        `We locked your account for ${Math.round(lockoutMs / 60000)} minutes after ${MAX_FAILED_ATTEMPTS} failed sign-in attempts.`,
+        '',
+        'If this was not you, someone may be trying to guess your password. Consider resetting it once the lock expires.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Failed to send lockout email:', error);
+  }
+
+  return lockoutMs;
+};
+
+/**
+ * Record a successful login, clear the failure counters and alert the user
+ * when the login comes from a new device
+ * @param {Object} user - The user document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - The created login event
+ */
+const recordSuccessfulLogin = async (user, req) => {
+  const metadata = getLoginMetadata(req);
+
+  const [knownDevice, hasEarlierLogin] = await Promise.all([
+    LoginEvent.exists({ userId: user._id, success: true, deviceFingerprint: metadata.deviceFingerprint }),
+    LoginEvent.exists({ userId: user._id, success: true })
+  ]);
+
+  // The very first login is not worth an alert
+  const newDevice = !knownDevice && Boolean(hasEarlierLogin);
+
+  const event = await LoginEvent.create({
+    userId: user._id,
+    success: true,
+    newDevice,
+    ...metadata
+  });
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockoutCount': 0,
+        'loginSecurity.lockedUntil': null,
+        'loginSecurity.lastLoginAt': event.createdAt
+      }
+    }
+  );
+
+  if (newDevice) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'New sign-in to your Personalized Adventure account',
+        text: [
+          `Hi ${user.username},`,
+          '',
+          'Your account was just used to sign in on a new device:',
+          `Device: ${metadata.userAgent || 'Unknown'}`,
+          `IP address: ${metadata.ip || 'Unknown'}`,
+          `Time: ${event.createdAt.toISOString()}`,
+          '',
+          'If this was you, there is nothing to do. If not, reset your password and sign out of all devices.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Failed to send new device email:', error);
+    }
+  }
+
+  return event;
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  getLockoutDuration,
+  getLockoutRemainingMs,
+  getLoginMetadata,
+  recordFailedLogin,
+  recordSuccessfulLogin
+};
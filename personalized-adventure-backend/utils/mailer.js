@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Pluggable mail delivery.
+ *
+ * A transport is any object with an async `send(message)` method, where
+ * `message` is `{ from, to, subject, text, html }`. The built-in transports
+ * are meant for local development; production deployments register a real
+ * one with `setTransport` at startup (e.g. a wrapper around an SMTP client
+ * or a provider SDK).
+ *
+ * The transport is chosen with `MAIL_TRANSPORT` (`console` or `file`,
+ * default `console`). When `NODE_ENV` is `production` no built-in transport
+ * is used, and sending fails until a real one has been registered.
+ */
+
+/**
+ * Transport that prints messages to the server log
+ */
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log([
+      '--- Outgoing email ---',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '----------------------'
+    ].join('\n'));
+  }
+};
+
+/**
+ * Transport that writes each message as a JSON file into `MAIL_OUTBOX_DIR`
+ * (default `./mail-outbox`), so links can be opened during manual testing
+ */
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    
+    const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.json`;
+    
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+const builtInTransports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Replace the transport used to deliver mail
+ * @param {Object} transport - Object with an async `send(message)` method
+ */
+const setTransport = (transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+};
+
+/**
+ * Get the active transport, falling back to the one named in `MAIL_TRANSPORT`
+ * outside production
+ * @returns {Object} - The active transport
+ * @throws {Error} - In production, if no transport was registered
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No mail transport registered; call setTransport at startup');
+    }
+    
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    activeTransport = builtInTransports[name] || consoleTransport;
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<void>}
+ */
+const sendMail = async (message) => {
+  const from = process.env.MAIL_FROM || 'Personalized Adventure <no-reply@personalizedadventure.com>';
+  
+  try {
+    await getTransport().send({ from, ...message });
+  } catch (error) {
+    console.error('Error sending email:', error);
+    throw new Error('Failed to send email');
+  }
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  consoleTransport,
+  fileTransport
+};
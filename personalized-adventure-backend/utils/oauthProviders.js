@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Social sign-in providers.
+ *
+ * Every provider implements the same small interface so the OAuth routes do
+ * not need to know which one they are talking to:
+ *
+ * - `name` and `displayName`
+ * - `getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge })` returns
+ *   the URL the user is sent to
+ * - `exchangeCode({ code, redirectUri, codeVerifier, nonce })` resolves to the
+ *   verified profile `{ subject, email, emailVerified, name }`
+ * - `responseMode` (optional) is `'form_post'` when the provider POSTs the
+ *   callback instead of redirecting with a query string
+ * - `linksByEmail` (optional) is `false` when the provider's emails cannot be
+ *   trusted to link an identity to an existing account
+ *
+ * Google, Apple and a generic OIDC provider are registered from environment
+ * variables. The mock provider runs inside this server so the whole flow can
+ * be exercised without network access. Anyone can sign in to it as any email,
+ * so it is only enabled with `OAUTH_MOCK_ENABLED=true` and never links to
+ * existing accounts.
+ */
+
+const HTTP_TIMEOUT_MS = 10000;
+const JWKS_CACHE_MS = 60 * 60 * 1000; // 1 hour
+const MOCK_CODE_TTL_MS = 2 * 60 * 1000; // 2 minutes
+
+const providers = new Map();
+
+/**
+ * Register a provider, replacing any provider with the same name
+ * @param {Object} provider - Provider implementing the interface above
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Remove every registered provider (used by tests)
+ */
+const clearProviders = () => {
+  providers.clear();
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} - The provider, or null if it is not enabled
+ */
+const getProvider = (name) => providers.get(name) || null;
+
+/**
+ * List the enabled providers for sign-in buttons
+ * @returns {Array<Object>} - `{ name, displayName }` for each provider
+ */
+const listProviders = () => Array.from(providers.values()).map(provider => ({
+  name: provider.name,
+  displayName: provider.displayName
+}));
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Encoded value
+ */
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * Generate a random URL-safe value for `state` and `nonce`
+ * @returns {string} - Random value
+ */
+const randomValue = () => base64url(crypto.randomBytes(32));
+
+/**
+ * Derive the S256 PKCE challenge for a verifier
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {string} - Code challenge
+ */
+const getCodeChallenge = (codeVerifier) => base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+/**
+ * Map ID token claims to the profile used for account linking
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Object} - `{ subject, email, emailVerified, name }`
+ */
+const profileFromClaims = (claims) => ({
+  subject: String(claims.sub),
+  email: claims.email ? String(claims.email).toLowerCase() : null,
+  // Apple sends the flag as a string
+  emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+  name: claims.name || null
+});
+
+const jwksCache = new Map();
+
+/**
+ * Find the public key a provider signed an ID token with
+ * @param {string} jwksUri - The provider's JWKS endpoint
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} - The public key
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const fetchKeys = async () => {
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    jwksCache.set(jwksUri, { keys: data.keys || [], fetchedAt: Date.now() });
+    return data.keys || [];
+  };
+
+  const cached = jwksCache.get(jwksUri);
+  let keys = cached && Date.now() - cached.fetchedAt < JWKS_CACHE_MS ? cached.keys : await fetchKeys();
+  let jwk = keys.find(key => key.kid === kid);
+
+  // Providers rotate keys; refetch once before giving up
+  if (!jwk && cached) {
+    keys = await fetchKeys();
+    jwk = keys.find(key => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new Error('ID token was signed with an unknown key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {string} idToken - The ID token from the token endpoint
+ * @param {Object} options - `{ issuer, clientId, jwksUri, nonce }`
+ * @returns {Promise<Object>} - The verified claims
+ */
+const verifyIdToken = async (idToken, { issuer, clientId, jwksUri, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Provider did not return a valid ID token');
+  }
+
+  const key = await getSigningKey(jwksUri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'ES256'],
+    issuer,
+    audience: clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+};
+
+/**
+ * Create a provider for any OpenID Connect issuer using the authorization code flow with PKCE
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Provider name used in URLs
+ * @param {string} config.displayName - Name shown on the sign-in button
+ * @param {string} config.issuer - Expected `iss` claim
+ * @param {string} config.authorizationEndpoint - Authorization endpoint URL
+ * @param {string} config.tokenEndpoint - Token endpoint URL
+ * @param {string} config.jwksUri - JWKS endpoint URL
+ * @param {string} config.clientId - OAuth client ID
+ * @param {string|Function} config.clientSecret - Client secret, or a function returning one
+ * @param {string} [config.scope='openid email profile'] - Requested scopes
+ * @param {Object} [config.authorizationParams] - Extra authorization request parameters
+ * @param {string} [config.responseMode] - Set to 'form_post' for providers that POST the callback
+ * @returns {Object} - The provider
+ */
+const createOidcProvider = ({
+  name,
+  displayName,
+  issuer,
+  authorizationEndpoint,
+  tokenEndpoint,
+  jwksUri,
+  clientId,
+  clientSecret,
+  scope = 'openid email profile',
+  authorizationParams = {},
+  responseMode
+}) => ({
+  name,
+  displayName,
+  responseMode,
+
+  getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      ...(responseMode ? { response_mode: responseMode } : {}),
+      ...authorizationParams
+    });
+
+    return `${authorizationEndpoint}?${params.toString()}`;
+  },
+
+  async exchangeCode({ code, redirectUri, codeVerifier, nonce }) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      client_secret: typeof clientSecret === 'function' ? clientSecret() : clientSecret,
+      code_verifier: codeVerifier
+    });
+
+    const { data } = await axios.post(tokenEndpoint, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: HTTP_TIMEOUT_MS
+    });
+
+    const claims = await verifyIdToken(data.id_token, { issuer, clientId, jwksUri, nonce });
+    return profileFromClaims(claims);
+  }
+});
+
+/**
+ * Create the Google provider
+ * @param {Object} config - `{ clientId, clientSecret }`
+ * @returns {Object} - The provider
+ */
+const createGoogleProvider = ({ clientId, clientSecret }) => createOidcProvider({
+  name: 'google',
+  displayName: 'Google',
+  issuer: 'https://accounts.google.com',
+  authorizationEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth',
+  tokenEndpoint: 'https://oauth2.googleapis.com/token',
+  jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+  clientId,
+  clientSecret,
+  authorizationParams: { prompt: 'select_account' }
+});
+
+/**
+ * Create the Sign in with Apple provider. Apple's client secret is a short
+ * JWT signed with the team's private key, so a fresh one is made per exchange.
+ * @param {Object} config - `{ clientId, teamId, keyId, privateKey }`
+ * @returns {Object} - The provider
+ */
+const createAppleProvider = ({ clientId, teamId, keyId, privateKey }) => createOidcProvider({
+  name: 'apple',
+  displayName: 'Apple',
+  issuer: 'https://appleid.apple.com',
+  authorizationEndpoint: 'https://appleid.apple.com/auth/authorize',
+  tokenEndpoint: 'https://appleid.apple.com/auth/token',
+  jwksUri: 'https://appleid.apple.com/auth/keys',
+  clientId,
+  clientSecret: () => jwt.sign({}, privateKey, {
+    algorithm: 'ES256',
+    expiresIn: '5m',
+    issuer: teamId,
+    subject: clientId,
+    audience: 'https://appleid.apple.com',
+    keyid: keyId
+  }),
+  scope: 'openid email name',
+  // Apple requires form_post when the name or email scope is requested
+  responseMode: 'form_post'
+});
+
+// Codes issued by the mock provider, keyed by code
+const mockCodes = new Map();
+
+/**
+ * Issue an authorization code from the mock provider's sign-in page
+ * @param {Object} profile - `{ subject, email, emailVerified, name }` chosen on the page
+ * @param {Object} request - `{ nonce, codeChallenge }` from the authorization request
+ * @returns {string} - The authorization code
+ */
+const issueMockCode = (profile, { nonce, codeChallenge }) => {
+  const code = randomValue();
+
+  mockCodes.set(code, {
+    profile,
+    nonce,
+    codeChallenge,
+    expiresAt: Date.now() + MOCK_CODE_TTL_MS
+  });
+
+  return code;
+};
+
+/**
+ * Create the in-process mock provider. Its authorization URL is the sign-in
+ * page served by `GET /api/auth/oauth/mock/authorize`.
+ * @param {Object} config - `{ baseUrl }` where this server is reachable
+ * @returns {Object} - The provider
+ */
+const createMockProvider = ({ baseUrl }) => ({
+  name: 'mock',
+  displayName: 'Mock Identity Provider',
+  // The sign-in page accepts any email, so it proves nothing about who owns it
+  linksByEmail: false,
+
+  getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+    const params = new URLSearchParams({
+      redirect_uri: redirectUri,
+      state,
+      nonce,
+      code_challenge: codeChallenge
+    });
+
+    return `${baseUrl}/api/auth/oauth/mock/authorize?${params.toString()}`;
+  },
+
+  async exchangeCode({ code, codeVerifier, nonce }) {
+    const issued = mockCodes.get(code);
+    mockCodes.delete(code);
+
+    if (!issued || issued.expiresAt < Date.now()) {
+      throw new Error('Invalid or expired authorization code');
+    }
+
+    if (issued.codeChallenge !== getCodeChallenge(codeVerifier) || issued.nonce !== nonce) {
+      throw new Error('Authorization code was issued for a different request');
+    }
+
+    return issued.profile;
+  }
+});
+
+/**
+ * Get the public URL of this server, used to build provider callback URLs
+ * @returns {string} - Base URL without a trailing slash
+ */
+const getCallbackBaseUrl = () => (
+  process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`
+).replace(/\/+$/, '');
+
+/**
+ * Get the callback URL registered with a provider
+ * @param {string} name - Provider name
+ * @returns {string} - Callback URL
+ */
+const getCallbackUrl = (name) => `${getCallbackBaseUrl()}/api/auth/oauth/${name}/callback`;
+
+/**
+ * Register the providers configured in the environment
+ */
+const configureProviders = () => {
+  const env = process.env;
+
+  if (env.GOOGLE_CLIENT_ID && env.GOOGLE_CLIENT_SECRET) {
+    registerProvider(createGoogleProvider({
+      clientId: env.GOOGLE_CLIENT_ID,
+      clientSecret: env.GOOGLE_CLIENT_SECRET
+    }));
+  }
+
+  if (env.APPLE_CLIENT_ID && env.APPLE_TEAM_ID && env.APPLE_KEY_ID && env.APPLE_PRIVATE_KEY) {
+    registerProvider(createAppleProvider({
+      clientId: env.APPLE_CLIENT_ID,
+      teamId: env.APPLE_TEAM_ID,
+      keyId: env.APPLE_KEY_ID,
+      // Allow the PEM to be stored on one line with escaped newlines
+      privateKey: env.APPLE_PRIVATE_KEY.replace(/\\n/g, '\n')
+    }));
+  }
+
+  if (env.OIDC_ISSUER && env.OIDC_CLIENT_ID && env.OIDC_CLIENT_SECRET) {
+    const issuer = env.OIDC_ISSUER.replace(/\/+$/, '');
+
+    registerProvider(createOidcProvider({
+      name: 'oidc',
+      displayName: env.OIDC_DISPLAY_NAME || 'Single Sign-On',
+      issuer,
+      authorizationEndpoint: env.OIDC_AUTHORIZATION_ENDPOINT || `${issuer}/authorize`,
+      tokenEndpoint: env.OIDC_TOKEN_ENDPOINT || `${issuer}/token`,
+      jwksUri: env.OIDC_JWKS_URI || `${issuer}/.well-known/jwks.json`,
+      clientId: env.OIDC_CLIENT_ID,
+      clientSecret: env.OIDC_CLIENT_SECRET,
+      scope: env.OIDC_SCOPE || undefined
+    }));
+  }
+
+  // Strictly opt-in, whatever NODE_ENV says
+  if (env.OAUTH_MOCK_ENABLED === 'true') {
+    registerProvider(createMockProvider({ baseUrl: getCallbackBaseUrl() }));
+  }
+};
+
+configureProviders();
+
+module.exports = {
+  registerProvider,
+  clearProviders,
+  configureProviders,
+  getProvider,
+  listProviders,
+  randomValue,
+  getCodeChallenge,
+  profileFromClaims,
+  verifyIdToken,
+  createOidcProvider,
+  createGoogleProvider,
+  createAppleProvider,
+  createMockProvider,
+  issueMockCode,
+  getCallbackUrl
+};
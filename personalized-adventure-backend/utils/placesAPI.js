@@ -0,0 +1,114 @@
+const axios = require('axios');
+require('dotenv').config();
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+const KM_PER_DEGREE = 111.32;
+
+// Places every city has, placed `offsetKm` east and north of the city centre.
+// `tags` are matched against the interests in a user's `preferences.activities`,
+// `intensity` runs from 1 (relaxed) to 3 (adventurous) and `price` is per person in US dollars.
+const MOCK_PLACES = [
+  { type: 'cafe', name: 'Corner Cafe', meals: ['breakfast'], tags: ['food', 'coffee'], indoor: true, intensity: 1, price: 12, durationMinutes: 60, offsetKm: [0.3, 0.2], openingHours: [{ days: EVERY_DAY, open: '07:00', close: '15:00' }], description: 'Coffee and pastries to start the day' },
+  { type: 'bakery', name: 'Bakery', meals: ['breakfast'], tags: ['food', 'pastries'], indoor: true, intensity: 1, price: 8, durationMinutes: 45, offsetKm: [-0.5, 0.6], openingHours: [{ days: EVERY_DAY, open: '06:30', close: '13:00' }], description: 'Fresh bread and local pastries' },
+  { type: 'brunch', name: 'Brunch House', meals: ['breakfast', 'lunch'], tags: ['food'], indoor: true, intensity: 1, price: 22, durationMinutes: 75, offsetKm: [1.1, -0.4], openingHours: [{ days: EVERY_DAY, open: '08:00', close: '15:00' }], description: 'Long brunches with local produce' },
+  { type: 'street food', name: 'Street Food Market', meals: ['lunch', 'dinner'], tags: ['food', 'street food', 'markets'], indoor: false, intensity: 2, price: 15, durationMinutes: 60, offsetKm: [-1.2, -0.8], openingHours: [{ days: EVERY_DAY, open: '11:00', close: '22:00' }], description: 'Stalls with the dishes the city is known for' },
+  { type: 'noodle bar', name: 'Noodle Bar', meals: ['lunch', 'dinner'], tags: ['food'], indoor: true, intensity: 1, price: 14, durationMinutes: 60, offsetKm: [0.7, 1.3], openingHours: [{ days: EVERY_DAY, open: '11:30', close: '22:00' }], description: 'Quick, filling bowls of noodles' },
+  { type: 'tavern', name: 'Family Tavern', meals: ['lunch', 'dinner'], tags: ['food', 'local cuisine'], indoor: true, intensity: 1, price: 25, durationMinutes: 90, offsetKm: [-0.2, -1.5], openingHours: [{ days: EVERY_DAY, open: '12:00', close: '22:00' }], description: 'Home cooking from a family recipe book' },
+  { type: 'bistro', name: 'Bistro', meals: ['lunch', 'dinner'], tags: ['food', 'wine'], indoor: true, intensity: 1, price: 35, durationMinutes: 90, offsetKm: [1.6, 0.5], openingHours: [{ days: [0, 2, 3, 4, 5, 6], open: '12:00', close: '23:00' }], description: 'Seasonal plates and a long wine list' },
+  { type: 'fine dining', name: 'Fine Dining', meals: ['dinner'], tags: ['food', 'fine dining', 'wine'], indoor: true, intensity: 1, price: 90, durationMinutes: 120, offsetKm: [0.4, -0.9], openingHours: [{ days: [2, 3, 4, 5, 6], open: '19:00', close: '23:30' }], description: 'A tasting menu from one of the best kitchens in town' },
+  { type: 'museum', name: 'City Museum', tags: ['museums', 'history', 'culture'], indoor: true, intensity: 1, price: 18, durationMinutes: 120, offsetKm: [0.1, 0.9], openingHours: [{ days: [0, 2, 3, 4, 5, 6], open: '10:00', close: '18:00' }], description: 'The story of the city from its founding to today' },
+  { type: 'gallery', name: 'Art Gallery', tags: ['museums', 'art', 'galleries', 'culture'], indoor: true, intensity: 1, price: 15, durationMinutes: 90, offsetKm: [0.9, 0.8], openingHours: [{ days: [0, 2, 3, 4, 5, 6], open: '10:00', close: '19:00' }], description: 'Old masters and contemporary work by local artists' },
+  { type: 'science center', name: 'Science Center', tags: ['museums', 'science', 'family'], indoor: true, intensity: 1, price: 20, durationMinutes: 120, offsetKm: [2.4, -1.1], openingHours: [{ days: EVERY_DAY, open: '10:00', close: '18:00' }], description: 'Hands-on exhibits for all ages' },
+  { type: 'walking tour', name: 'Old Town Walking Tour', tags: ['tours', 'history', 'walking', 'culture'], indoor: false, intensity: 2, price: 25, durationMinutes: 150, offsetKm: [-0.4, 0.3], openingHours: [{ days: EVERY_DAY, open: '09:00', close: '18:00' }], description: 'A guided walk through the oldest streets in town' },
+  { type: 'bike tour', name: 'Bike Tour', tags: ['tours', 'cycling', 'outdoors', 'adventure'], indoor: false, intensity: 3, price: 40, durationMinutes: 180, offsetKm: [-1.8, 0.9], openingHours: [{ days: EVERY_DAY, open: '09:00', close: '17:00' }], description: 'See the sights from the saddle with a local guide' },
+  { type: 'park', name: 'City Park', tags: ['parks', 'nature', 'walking'], indoor: false, intensity: 1, price: 0, durationMinutes: 90, offsetKm: [1.3, 2.0], openingHours: [{ days: EVERY_DAY, open: '06:00', close: '22:00' }], description: 'Lawns, lakes and shady paths in the heart of the city' },
+  { type: 'garden', name: 'Botanical Garden', tags: ['parks', 'nature', 'gardens'], indoor: false, intensity: 1, price: 8, durationMinutes: 90, offsetKm: [-2.1, 1.7], openingHours: [{ days: EVERY_DAY, open: '09:00', close: '18:00' }], description: 'Plants from every continent' },
+  { type: 'viewpoint', name: 'Hilltop Viewpoint', tags: ['views', 'photography', 'walking'], indoor: false, intensity: 2, price: 0, durationMinutes: 60, offsetKm: [-0.9, 2.6], openingHours: [{ days: EVERY_DAY, open: '06:00', close: '23:00' }], description: 'The best view over the rooftops' },
+  { type: 'hiking', name: 'Ridge Trail', tags: ['hiking', 'nature', 'outdoors', 'adventure'], indoor: false, intensity: 3, price: 0, durationMinutes: 180, offsetKm: [-4.5, 3.5], openingHours: [{ days: EVERY_DAY, open: '07:00', close: '19:00' }], description: 'A marked trail along the ridge above the city' },
+  { type: 'kayaking', name: 'Kayak Center', tags: ['water sports', 'kayaking', 'outdoors', 'adventure'], indoor: false, intensity: 3, price: 55, durationMinutes: 150, offsetKm: [3.8, -2.4], openingHours: [{ days: EVERY_DAY, open: '09:00', close: '18:00' }], description: 'Guided paddles along the waterfront' },
+  { type: 'climbing', name: 'Climbing Gym', tags: ['climbing', 'sports', 'adventure'], indoor: true, intensity: 3, price: 25, durationMinutes: 120, offsetKm: [2.9, 1.2], openingHours: [{ days: EVERY_DAY, open: '10:00', close: '22:00' }], description: 'Bouldering and roped climbs, with gear to rent' },
+  { type: 'market', name: 'Central Market', tags: ['shopping', 'markets', 'food'], indoor: true, intensity: 1, price: 20, durationMinutes: 90, offsetKm: [-0.7, -0.3], openingHours: [{ days: [1, 2, 3, 4, 5, 6], open: '08:00', close: '20:00' }], description: 'A covered market full of local produce and crafts' },
+  { type: 'shopping', name: 'Shopping District', tags: ['shopping'], indoor: false, intensity: 1, price: 50, durationMinutes: 120, offsetKm: [0.5, -0.2], openingHours: [{ days: EVERY_DAY, open: '10:00', close: '21:00' }], description: 'Boutiques and department stores along the high street' },
+  { type: 'cooking class', name: 'Cooking School', tags: ['food', 'cooking', 'workshops', 'culture'], indoor: true, intensity: 2, price: 65, durationMinutes: 180, offsetKm: [1.9, -0.6], openingHours: [{ days: EVERY_DAY, open: '10:00', close: '20:00' }], description: 'Learn to cook three local dishes, then eat them' },
+  { type: 'spa', name: 'Thermal Spa', tags: ['wellness', 'spa', 'relaxation'], indoor: true, intensity: 1, price: 70, durationMinutes: 120, offsetKm: [-2.6, -1.9], openingHours: [{ days: EVERY_DAY, open: '10:00', close: '21:00' }], description: 'Warm pools and saunas to unwind in' },
+  { type: 'live music', name: 'Jazz Club', tags: ['music', 'nightlife'], indoor: true, intensity: 1, price: 20, durationMinutes: 120, offsetKm: [0.2, -0.6], openingHours: [{ days: EVERY_DAY, open: '20:00', close: '02:00' }], description: 'Live sets every night in a basement club' }
+];
+
+/**
+ * Get made-up coordinates for a location name, since the mock has no geocoder.
+ * The same name always gets the same city centre, and places and events are
+ * spread a few kilometres around it so travel times between them are realistic.
+ * @param {string} location - City name
+ * @param {Array<number>} [offsetKm] - Kilometres east and north of the centre
+ * @returns {Object} - `{ lat, lng }`
+ */
+exports.getMockCoordinates = (location, [eastKm, northKm] = [0, 0]) => {
+  const hash = [...String(location).toLowerCase()].reduce(
+    (total, character) => (total * 31 + character.charCodeAt(0)) % 1000003,
+    7
+  );
+  const lat = (hash % 12000) / 100 - 60;
+  const lng = ((hash * 7919) % 36000) / 100 - 180;
+
+  return {
+    lat: Number((lat + northKm / KM_PER_DEGREE).toFixed(6)),
+    lng: Number((lng + eastKm / (KM_PER_DEGREE * Math.cos(lat * Math.PI / 180))).toFixed(6))
+  };
+};
+
+/**
+ * Get places to visit and eat at in a location
+ * @param {string} location - City name or coordinates
+ * @returns {Promise<Array>} - Array of places with `type`, `tags`, `meals` (for
+ *   places to eat), `indoor`, `intensity`, `price`, `durationMinutes`,
+ *   `openingHours` and a `location`
+ */
+exports.getPlaces = async (location) => {
+  try {
+    // This would typically call a real places API like Google Places, Foursquare, etc.
+    // For demonstration purposes, we'll return mock data
+    return MOCK_PLACES.map(({ offsetKm, name, ...place }, index) => ({
+      id: `place-${index + 1}`,
+      ...place,
+      name: `${location} ${name}`,
+      meals: place.meals || [],
+      location: {
+        name: `${location} ${name}`,
+        address: `${(index + 1) * 12} Main St, ${location}`,
+        coordinates: exports.getMockCoordinates(location, offsetKm)
+      }
+    }));
+
+    // In a real implementation, you would call an actual places API:
+    /*
+    const API_KEY = process.env.PLACES_API_KEY;
+    const response = await axios.get('https://maps.googleapis.com/maps/api/place/textsearch/json', {
+      params: {
+        key: API_KEY,
+        query: `things to do in ${location}`
+      }
+    });
+
+    return response.data.results.map(place => ({
+      id: place.place_id,
+      name: place.name,
+      type: place.types[0],
+      tags: place.types.map(type => type.replace(/_/g, ' ')),
+      meals: place.types.includes('restaurant') ? ['lunch', 'dinner'] : [],
+      indoor: !place.types.some(type => ['park', 'natural_feature', 'campground'].includes(type)),
+      intensity: 1,
+      price: [0, 10, 25, 50, 100][place.price_level || 0],
+      durationMinutes: 90,
+      location: {
+        name: place.name,
+        address: place.formatted_address,
+        coordinates: place.geometry.location
+      }
+    }));
+    */
+  } catch (error) {
+    console.error('Error fetching places data:', error);
+    throw new Error('Failed to fetch places');
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * Activity reservations are only made through the reserve route. Other edits,
+ * by collaborators or by staff, cannot add, change or remove one, whatever
+ * their request body says.
+ */
+
+/**
+ * Collect the reservation of every activity of an itinerary
+ * @param {Object} itinerary - Itinerary document
+ * @returns {Map<string, Object>} - Reservations by activity ID
+ */
+const getReservations = (itinerary) => new Map(itinerary.days.flatMap(day => (
+  day.activities.map(activity => [activity.id, activity.toObject().reservation])
+)));
+
+/**
+ * Give every activity back the reservation it had before a whole-itinerary
+ * update. Activities that did not exist before get none.
+ * @param {Object} itinerary - Itinerary document
+ * @param {Map<string, Object>} reservations - Reservations from `getReservations`
+ */
+const restoreReservations = (itinerary, reservations) => {
+  itinerary.days.forEach(day => day.activities.forEach(activity => {
+    activity.set('reservation', reservations.get(activity.id));
+  }));
+};
+
+/**
+ * Drop any reservation from the activities of days sent in a request body
+ * @param {Array<Object>} days - Days from the request body
+ * @returns {Array<Object>} - Days whose activities have no reservation
+ */
+const withoutReservations = (days) => days.map(day => ({
+  ...day,
+  activities: (day.activities || []).map(({ reservation, ...activity }) => activity)
+}));
+
+module.exports = {
+  getReservations,
+  restoreReservations,
+  withoutReservations
+};
@@ -0,0 +1,270 @@
+const { DAY_MINUTES, toMinutes, toTimeOfDay, distanceKm, getCoordinates } = require('./schedule');
+
+/**
+ * Route optimization for the activities of a day.
+ *
+ * Flexible activities are reordered to shorten the path between them, while
+ * fixed ones stay where they are: activities marked `fixedTime`, activities
+ * with a reservation, and activities without coordinates, which cannot be
+ * placed on a map. The start times belong to the positions in the day: a
+ * moved activity starts when the position it moves into starts and keeps its
+ * own duration. Orders in which a moved activity would run into the next
+ * activity, or past midnight, are not considered.
+ */
+
+// Days with up to this many flexible activities are searched exhaustively;
+// longer days start from the nearest neighbour and improve it step by step
+const MAX_EXACT_ACTIVITIES = 8;
+
+// Distances closer than this are treated as equal, so orders are only changed for a real gain
+const EPSILON_KM = 1e-6;
+
+/**
+ * Check whether an activity has to stay at its position and time
+ * @param {Object} activity - Activity
+ * @returns {boolean}
+ */
+const isFixedActivity = (activity) => Boolean(
+  activity.fixedTime ||
+  (activity.reservation && activity.reservation.reservationId && activity.reservation.status !== 'cancelled') ||
+  !getCoordinates(activity)
+);
+
+/**
+ * Get the times of an activity placed at a position of the day. A moved
+ * activity starts when the position does and keeps its own duration; if it
+ * or the position has no times, it takes the position's times.
+ * @param {Array<Object>} activities - Activities of the day, in their current order
+ * @param {number} index - Position
+ * @param {Object} activity - Activity placed at the position
+ * @returns {Object} - `{ startTime, endTime, endMinutes }`, where `endMinutes`
+ *   is the end in minutes since midnight of the day, or null if unknown
+ */
+const getTimesAt = (activities, index, activity) => {
+  const position = activities[index];
+
+  if (activity === position) {
+    return { startTime: activity.startTime, endTime: activity.endTime, endMinutes: null };
+  }
+
+  if (!position.startTime || !activity.startTime || !activity.endTime) {
+    return { startTime: position.startTime, endTime: position.endTime, endMinutes: null };
+  }
+
+  const duration = (toMinutes(activity.endTime) - toMinutes(activity.startTime) + DAY_MINUTES) % DAY_MINUTES;
+  const endMinutes = toMinutes(position.startTime) + duration;
+  return { startTime: position.startTime, endTime: toTimeOfDay(endMinutes), endMinutes };
+};
+
+/**
+ * Check that an activity placed at a position of the day ends before the
+ * next activity with a start time, and before midnight
+ * @param {Array<Object>} activities - Activities of the day, in their current order
+ * @param {number} index - Position
+ * @param {Object} activity - Activity placed at the position
+ * @returns {boolean}
+ */
+const fitsPosition = (activities, index, activity) => {
+  const { endMinutes } = getTimesAt(activities, index, activity);
+
+  if (endMinutes === null) {
+    return true;
+  }
+
+  // Every position keeps its start time, whichever activity ends up there
+  const next = activities.slice(index + 1).find(entry => entry.startTime);
+  return endMinutes <= DAY_MINUTES && (!next || endMinutes <= toMinutes(next.startTime));
+};
+
+/**
+ * Check that every activity of an order fits its position
+ * @param {Array<Object>} activities - Activities of the day, in their current order
+ * @param {Array<Object>} order - The same activities in a new order
+ * @returns {boolean}
+ */
+const fitsTimetable = (activities, order) => (
+  order.every((activity, index) => fitsPosition(activities, index, activity))
+);
+
+/**
+ * Measure the path through activities in order. Activities without
+ * coordinates are skipped.
+ * @param {Array<Object>} activities - Activities in order
+ * @returns {number} - Distance in kilometres
+ */
+const routeDistance = (activities) => {
+  let total = 0;
+  let previous = null;
+
+  activities.forEach(activity => {
+    const point = getCoordinates(activity);
+    if (!point) {
+      return;
+    }
+    if (previous) {
+      total += distanceKm(previous, point);
+    }
+    previous = point;
+  });
+
+  return total;
+};
+
+/**
+ * Find the shortest order by trying every order of the flexible activities,
+ * skipping partial orders already longer than the best found
+ * @param {Array<Object>} activities - Activities of the day
+ * @param {Array<boolean>} fixed - Whether each position is fixed
+ * @returns {Array<Object>} - Activities in the best order
+ */
+const searchExact = (activities, fixed) => {
+  const flexible = activities.filter((activity, index) => !fixed[index]);
+  const used = new Array(flexible.length).fill(false);
+  const order = [];
+  // The current order is kept unless another is shorter
+  let best = { distance: routeDistance(activities), order: activities };
+
+  const visit = (index, distance, previous) => {
+    // Routes only get longer, so this order cannot beat the best one
+    if (distance >= best.distance - EPSILON_KM) {
+      return;
+    }
+
+    if (index === activities.length) {
+      best = { distance, order: [...order] };
+      return;
+    }
+
+    const place = (activity) => {
+      const point = getCoordinates(activity);
+      order.push(activity);
+      visit(
+        index + 1,
+        point && previous ? distance + distanceKm(previous, point) : distance,
+        point || previous
+      );
+      order.pop();
+    };
+
+    if (fixed[index]) {
+      place(activities[index]);
+      return;
+    }
+
+    flexible.forEach((activity, candidate) => {
+      if (!used[candidate] && fitsPosition(activities, index, activity)) {
+        used[candidate] = true;
+        place(activity);
+        used[candidate] = false;
+      }
+    });
+  };
+
+  visit(0, 0, null);
+  return best.order;
+};
+
+/**
+ * Find a short order for a long day: fill each flexible position with the
+ * nearest remaining activity (or keep the current order if that does not fit
+ * the timetable), then swap pairs of activities or reverse runs of them while
+ * that shortens the route
+ * @param {Array<Object>} activities - Activities of the day
+ * @param {Array<boolean>} fixed - Whether each position is fixed
+ * @returns {Array<Object>} - Activities in the order found
+ */
+const searchHeuristic = (activities, fixed) => {
+  const remaining = activities.filter((activity, index) => !fixed[index]);
+  let previous = null;
+
+  const nearestOrder = activities.map((activity, index) => {
+    let next = activity;
+    if (!fixed[index]) {
+      const nearest = previous
+        ? remaining.reduce((closest, candidate) => (
+          distanceKm(previous, getCoordinates(candidate)) < distanceKm(previous, getCoordinates(closest)) ? candidate : closest
+        ))
+        : remaining[0];
+      remaining.splice(remaining.indexOf(nearest), 1);
+      next = nearest;
+    }
+    previous = getCoordinates(next) || previous;
+    return next;
+  });
+
+  const order = fitsTimetable(activities, nearestOrder) ? nearestOrder : [...activities];
+  const slots = activities.map((activity, index) => index).filter(index => !fixed[index]);
+  let distance = routeDistance(order);
+  let improved = true;
+
+  const tryOrder = (candidate) => {
+    const candidateDistance = routeDistance(candidate);
+    if (candidateDistance < distance - EPSILON_KM && fitsTimetable(activities, candidate)) {
+      order.splice(0, order.length, ...candidate);
+      distance = candidateDistance;
+      return true;
+    }
+    return false;
+  };
+
+  while (improved) {
+    improved = false;
+    for (let a = 0; a < slots.length; a++) {
+      for (let b = a + 1; b < slots.length; b++) {
+        const swapped = [...order];
+        [swapped[slots[a]], swapped[slots[b]]] = [swapped[slots[b]], swapped[slots[a]]];
+
+        const reversed = [...order];
+        const run = slots.slice(a, b + 1);
+        run.forEach((slot, offset) => {
+          reversed[slot] = order[run[run.length - 1 - offset]];
+        });
+
+        improved = tryOrder(swapped) || tryOrder(reversed) || improved;
+      }
+    }
+  }
+
+  return distance < routeDistance(activities) - EPSILON_KM ? order : activities;
+};
+
+/**
+ * Reorder the flexible activities of a day to shorten the route between them
+ * @param {Array<Object>} activities - Activities of the day, in order
+ * @returns {Object} - `{ activities, distanceBefore, distanceAfter, changed }`:
+ *   the activities in their new order, moved ones with their new times, and
+ *   the route length before and after in kilometres
+ */
+const optimizeDayRoute = (activities) => {
+  const fixed = activities.map(isFixedActivity);
+  const flexibleCount = fixed.filter(isFixed => !isFixed).length;
+  const distanceBefore = routeDistance(activities);
+
+  let order = activities;
+  if (flexibleCount > 1) {
+    order = flexibleCount <= MAX_EXACT_ACTIVITIES
+      ? searchExact(activities, fixed)
+      : searchHeuristic(activities, fixed);
+  }
+
+  const changed = order.some((activity, index) => activity !== activities[index]);
+
+  return {
+    activities: order.map((activity, index) => {
+      if (activity === activities[index]) {
+        return activity;
+      }
+      const { startTime, endTime } = getTimesAt(activities, index, activity);
+      return { ...activity, startTime, endTime };
+    }),
+    distanceBefore: Math.round(distanceBefore * 100) / 100,
+    distanceAfter: Math.round(routeDistance(order) * 100) / 100,
+    changed
+  };
+};
+
+module.exports = {
+  isFixedActivity,
+  routeDistance,
+  optimizeDayRoute
+};
@@ -0,0 +1,300 @@
+/**
+ * Feasibility checks for itinerary schedules.
+ *
+ * Finds activities that overlap, back-to-back activities too far apart to
+ * travel between in the time left, and activities at places that are closed
+ * at the time. Like budget checks, problems are reported as warnings and
+ * never refused: plans change, and the traveller may know better.
+ *
+ * The checks use the `startsAt` and `endsAt` instants the model sets on save
+ * (see `normalizeSchedule` in models/Itinerary.js), so activities on days in
+ * different time zones are compared correctly. Activities without a start
+ * time are not checked.
+ */
+
+// Average door-to-door speed in a city for each travel mode, in km/h
+const TRAVEL_SPEEDS = {
+  walking: 4.5,
+  cycling: 14,
+  transit: 20,
+  driving: 30
+};
+
+const TRAVEL_MODES = Object.keys(TRAVEL_SPEEDS);
+
+const DEFAULT_TRAVEL_MODE = 'transit';
+
+// Streets are rarely straight, so the distance travelled is longer than the straight line
+const DETOUR_FACTOR = 1.3;
+
+const EARTH_RADIUS_KM = 6371;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Get the minutes since midnight of an "HH:MM" time
+ * @param {string} time - Time of day
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes since midnight as "HH:MM", wrapping past midnight
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string}
+ */
+const toTimeOfDay = (minutes) => {
+  const wrapped = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Get the coordinates of an activity's location, if it has real ones.
+ * Placeholder coordinates of 0, 0 are treated as unknown.
+ * @param {Object} activity - Activity
+ * @returns {Object|null} - `{ lat, lng }`
+ */
+const getCoordinates = (activity) => {
+  const coordinates = activity.location && activity.location.coordinates;
+  if (!coordinates) {
+    return null;
+  }
+
+  const lat = Number(coordinates.lat);
+  const lng = Number(coordinates.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) {
+    return null;
+  }
+
+  return { lat, lng };
+};
+
+/**
+ * Get the great-circle distance between two points
+ * @param {Object} from - `{ lat, lng }`
+ * @param {Object} to - `{ lat, lng }`
+ * @returns {number} - Distance in kilometres
+ */
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Estimate how long it takes to travel between two points
+ * @param {Object} from - `{ lat, lng }`
+ * @param {Object} to - `{ lat, lng }`
+ * @param {string} [travelMode] - One of `TRAVEL_MODES`
+ * @returns {number} - Whole minutes
+ */
+const estimateTravelMinutes = (from, to, travelMode = DEFAULT_TRAVEL_MODE) => {
+  const speed = TRAVEL_SPEEDS[travelMode] || TRAVEL_SPEEDS[DEFAULT_TRAVEL_MODE];
+  return Math.ceil((distanceKm(from, to) * DETOUR_FACTOR / speed) * 60);
+};
+
+/**
+ * List the timed activities of an itinerary in the order they happen
+ * @param {Object} itinerary - Itinerary document or plain object
+ * @returns {Array<Object>} - `{ day, activity, start, end }`, where `end` is the
+ *   start for activities without an end time
+ */
+const listTimedActivities = (itinerary) => (itinerary.days || [])
+  .flatMap(day => (day.activities || [])
+    .filter(activity => activity.startsAt)
+    .map(activity => ({
+      day,
+      activity,
+      start: new Date(activity.startsAt),
+      end: new Date(activity.endsAt || activity.startsAt)
+    })))
+  .sort((a, b) => a.start - b.start);
+
+/**
+ * Build a warning about an activity
+ * @param {string} code - Warning code
+ * @param {string} message - Description for people
+ * @param {Object} entry - Entry from `listTimedActivities`
+ * @param {Object} [details] - Other fields of the warning
+ * @returns {Object}
+ */
+const buildWarning = (code, message, { day, activity }, details = {}) => ({
+  code,
+  message,
+  dayId: day._id,
+  activityId: activity._id,
+  ...details
+});
+
+/**
+ * Find activities that start before an earlier one has ended
+ * @param {Array<Object>} entries - Result of `listTimedActivities`
+ * @returns {Array<Object>} - 'ACTIVITY_OVERLAP' warnings on the later activity
+ */
+const findOverlaps = (entries) => {
+  const warnings = [];
+  let latest = null;
+
+  entries.forEach(entry => {
+    if (latest && (entry.start < latest.end || entry.start.getTime() === latest.start.getTime())) {
+      warnings.push(buildWarning(
+        'ACTIVITY_OVERLAP',
+        `${entry.activity.name} starts before ${latest.activity.name} ends`,
+        entry,
+        { relatedActivityId: latest.activity._id }
+      ));
+    }
+
+    if (!latest || entry.end > latest.end) {
+      latest = entry;
+    }
+  });
+
+  return warnings;
+};
+
+/**
+ * Find activities that follow one at another place sooner than it takes to get there
+ * @param {Object} itinerary - Itinerary document or plain object
+ * @param {Array<Object>} entries - Result of `listTimedActivities`
+ * @returns {Array<Object>} - 'TRAVEL_TIME_TOO_SHORT' warnings on the later activity
+ */
+const findShortTransitions = (itinerary, entries) => {
+  const defaultMode = (itinerary.preferences && itinerary.preferences.travelMode) || DEFAULT_TRAVEL_MODE;
+
+  return entries.slice(1).reduce((warnings, entry, index) => {
+    const previous = entries[index];
+    const from = getCoordinates(previous.activity);
+    const to = getCoordinates(entry.activity);
+    const gapMinutes = Math.round((entry.start - previous.end) / MINUTE_MS);
+
+    // Overlaps are reported on their own
+    if (!from || !to || gapMinutes < 0) {
+      return warnings;
+    }
+
+    // An activity's travel mode is how people get there
+    const travelMode = entry.activity.travelMode || defaultMode;
+    const travelMinutes = estimateTravelMinutes(from, to, travelMode);
+
+    if (gapMinutes < travelMinutes) {
+      warnings.push(buildWarning(
+        'TRAVEL_TIME_TOO_SHORT',
+        `Getting from ${previous.activity.name} to ${entry.activity.name} takes about ${travelMinutes} minutes by ${travelMode}, but there are only ${gapMinutes}`,
+        entry,
+        {
+          relatedActivityId: previous.activity._id,
+          travelMode,
+          distanceKm: Math.round(distanceKm(from, to) * 10) / 10,
+          travelMinutes,
+          gapMinutes
+        }
+      ));
+    }
+
+    return warnings;
+  }, []);
+};
+
+/**
+ * Get the English name of a day of the week
+ * @param {number} weekday - Day of the week from 0 (Sunday)
+ * @returns {string}
+ */
+const toWeekdayName = (weekday) => (
+  ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][weekday]
+);
+
+/**
+ * Check whether a visit fits in one of the opening periods of a day. A period
+ * closing before it opens ends after midnight.
+ * @param {Array<Object>} periods - `{ open, close }` periods open that day, as "HH:MM"
+ * @param {number} start - Start of the visit in minutes since midnight
+ * @param {number} end - End of the visit in minutes since midnight, past 1440 after midnight
+ * @returns {boolean}
+ */
+const fitsOpeningHours = (periods, start, end) => periods.some(period => {
+  const open = toMinutes(period.open);
+  let close = toMinutes(period.close);
+  if (close <= open) {
+    close += DAY_MINUTES;
+  }
+  return start >= open && end <= close;
+});
+
+/**
+ * Check whether an activity fits in its place's opening hours. Each period is
+ * `{ days, open, close }` with days of the week from 0 (Sunday) and times as
+ * "HH:MM"; a period closing before it opens ends after midnight.
+ * @param {Object} entry - Entry from `listTimedActivities`
+ * @returns {Object|null} - 'OUTSIDE_OPENING_HOURS' warning, or null if it fits or the hours are unknown
+ */
+const checkOpeningHours = (entry) => {
+  const { day, activity } = entry;
+  const periods = activity.location && activity.location.openingHours;
+  if (!periods || periods.length === 0 || !activity.startTime) {
+    return null;
+  }
+
+  const weekday = new Date(day.date).getUTCDay();
+  const start = toMinutes(activity.startTime);
+  const end = activity.endTime
+    ? start + ((toMinutes(activity.endTime) - start + DAY_MINUTES) % DAY_MINUTES)
+    : start;
+  const placeName = activity.location.name || activity.name;
+
+  const openThatDay = periods.filter(period => (period.days || []).includes(weekday));
+  if (openThatDay.length === 0) {
+    return buildWarning('OUTSIDE_OPENING_HOURS', `${placeName} is closed on ${toWeekdayName(weekday)}`, entry);
+  }
+
+  if (fitsOpeningHours(openThatDay, start, end)) {
+    return null;
+  }
+
+  const hours = openThatDay.map(period => `${period.open}-${period.close}`).join(', ');
+  return buildWarning(
+    'OUTSIDE_OPENING_HOURS',
+    `${activity.name} is outside the opening hours of ${placeName} on ${toWeekdayName(weekday)} (${hours})`,
+    entry,
+    { openingHours: openThatDay.map(({ open, close }) => ({ open, close })) }
+  );
+};
+
+/**
+ * Check an itinerary's schedule for conflicts and activities that cannot be done as planned
+ * @param {Object} itinerary - Itinerary document or plain object, after `normalizeSchedule`
+ * @returns {Array<Object>} - Warnings with a `code` of 'ACTIVITY_OVERLAP',
+ *   'TRAVEL_TIME_TOO_SHORT' or 'OUTSIDE_OPENING_HOURS', a `message`, and the
+ *   `dayId` and `activityId` of the activity to highlight. Warnings about two
+ *   activities also have the `relatedActivityId` of the earlier one.
+ */
+const checkSchedule = (itinerary) => {
+  const entries = listTimedActivities(itinerary);
+
+  return [
+    ...findOverlaps(entries),
+    ...findShortTransitions(itinerary, entries),
+    ...entries.map(checkOpeningHours).filter(Boolean)
+  ];
+};
+
+module.exports = {
+  TRAVEL_MODES,
+  DEFAULT_TRAVEL_MODE,
+  DAY_MINUTES,
+  toMinutes,
+  toTimeOfDay,
+  getCoordinates,
+  distanceKm,
+  estimateTravelMinutes,
+  fitsOpeningHours,
+  checkSchedule
+};
@@ -0,0 +1,192 @@
+/**
+ * Time-zone handling for itinerary schedules.
+ *
+ * Days are calendar dates, stored as UTC midnight so that the same date is
+ * read back wherever the server or the app runs. Activity times are wall-clock
+ * times ("08:00") in the time zone of their day: the itinerary's IANA zone, or
+ * the zone of a leg set on the day. `zonedTimeToUtc` turns a date and time into
+ * the instant it happens, so clients can show it in any other zone.
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "8:00", "08:00", "20:00:00", "8pm" or "8:30 a.m."
+const TIME_PATTERN = /^(\d{1,2})(?::([0-5]\d))?(?::[0-5]\d)?\s*(?:([ap])\.?m\.?)?$/i;
+
+// Formatters are costly to create, so one is kept per zone
+const formatters = new Map();
+
+/**
+ * Get a formatter giving the wall-clock parts of an instant in a zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat}
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is an IANA time zone, e.g. "Europe/Lisbon"
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a zone
+ * @param {Date|number} instant - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - `{ year, month, day, hour, minute, second }`, with months from 1
+ */
+const getZonedParts = (instant, timeZone) => getFormatter(timeZone)
+  .formatToParts(new Date(instant))
+  .reduce((parts, { type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+    return parts;
+  }, {});
+
+/**
+ * Get how far a zone's clocks are ahead of UTC at an instant
+ * @param {Date|number} instant - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Offset in minutes, e.g. 60 for Lisbon in summer
+ */
+const getTimeZoneOffset = (instant, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClock - Math.floor(new Date(instant).getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Normalize a time of day to 24-hour "HH:MM"
+ * @param {string} value - Time such as "8:00", "20:00:00" or "8:30 pm"
+ * @returns {string|null} - Normalized time, or null if it is not a time
+ */
+const normalizeTime = (value) => {
+  const match = typeof value === 'string' && value.trim().match(TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  let hours = Number(match[1]);
+  const minutes = match[2] || '00';
+  const meridiem = match[3] && match[3].toLowerCase();
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return `${String(hours).padStart(2, '0')}:${minutes}`;
+};
+
+/**
+ * Get the calendar date of a stored day as "YYYY-MM-DD"
+ * @param {Date|string} date - Date stored as UTC midnight
+ * @returns {string}
+ */
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Store a calendar date as UTC midnight. A value that is not already at UTC
+ * midnight is read as an instant and gets the date it falls on in `timeZone`,
+ * so "2026-05-01T00:30:00+02:00" stays on 1 May for a trip in Europe.
+ * @param {Date|string} value - Date
+ * @param {string} [timeZone] - IANA time zone of the trip
+ * @returns {Date}
+ */
+const toCalendarDate = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const date = new Date(value);
+  if (date.getTime() % DAY_MS === 0) {
+    return date;
+  }
+
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Add whole days to a calendar date
+ * @param {Date|string} date - Date stored as UTC midnight
+ * @param {number} days - Days to add, negative to go back
+ * @returns {Date}
+ */
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * List the calendar dates of a trip, including the first and last
+ * @param {Date|string} startDate - First day, e.g. "2026-05-01"
+ * @param {Date|string} endDate - Last day
+ * @returns {Array<Date>} - Dates at UTC midnight
+ */
+const listTripDates = (startDate, endDate) => {
+  const dates = [];
+  const last = toCalendarDate(endDate).getTime();
+
+  for (let date = toCalendarDate(startDate); date.getTime() <= last; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Get the instant a wall-clock time happens on a date in a zone. Times that a
+ * daylight-saving change skips are moved forward by the change.
+ * @param {Date|string} date - Calendar date stored as UTC midnight
+ * @param {string} time - Time of day as "HH:MM"
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (date, time, timeZone = DEFAULT_TIME_ZONE) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = new Date(date).getTime() + (hours * 60 + minutes) * 60000;
+
+  // The offset at the wall-clock time read as UTC is off by at most one change
+  const guess = wallClock - getTimeZoneOffset(wallClock, timeZone) * 60000;
+  return new Date(wallClock - getTimeZoneOffset(guess, timeZone) * 60000);
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getTimeZoneOffset,
+  normalizeTime,
+  toDateKey,
+  toCalendarDate,
+  addDays,
+  listTripDates,
+  zonedTimeToUtc
+};
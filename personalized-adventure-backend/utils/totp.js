@@ -0,0 +1,161 @@
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator
+ * apps such as Google Authenticator, 1Password and Authy.
+ * Uses HMAC-SHA1, 6 digit codes and a 30 second period.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    
+    value = (value << 5) | index;
+    bits += 5;
+    
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random shared secret for a new authenticator enrollment
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step (counter) for a moment in time
+ * @param {number} [time] - Milliseconds since the epoch (defaults to now)
+ * @returns {number} - The time step
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+/**
+ * Compute the one-time code for a secret and time step (RFC 4226 HOTP)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code against a secret, allowing for clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.window=1] - Number of steps before and after now to accept
+ * @param {number} [options.time] - Time to verify at (defaults to now)
+ * @returns {number|null} - The matching time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  
+  const currentStep = getTimeStep(time);
+  
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCode(secret, step);
+    
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32 encoded secret
+ * @param {string} params.accountName - Account label shown in the app (usually the email)
+ * @param {string} [params.issuer] - Service name shown in the app
+ * @returns {string} - Provisioning URI
+ */
+const buildProvisioningUri = ({ secret, accountName, issuer = 'Personalized Adventure' }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri
+};
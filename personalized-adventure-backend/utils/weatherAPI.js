@@ -22,9 +22,10 @@ exports.getWeatherForecast = async (location, startDate, endDate) => {
     const weatherTypes = ['sunny', 'partly cloudy', 'cloudy', 'rainy', 'stormy'];
     const forecast = [];
     
-    for (let i = 0; i < daysDiff; i++) {
+    // Trips include their end date
+    for (let i = 0; i <= daysDiff; i++) {
       const currentDate = new Date(start);
-      currentDate.setDate(start.getDate() + i);
+      currentDate.setUTCDate(start.getUTCDate() + i);
       
       forecast.push({
         date: currentDate.toISOString().split('T')[0],